@@ -32,6 +32,8 @@ module.exports = [
         URL: 'readonly',
         URLSearchParams: 'readonly',
         fetch: 'readonly',
+        Request: 'readonly',
+        Response: 'readonly',
         Promise: 'readonly',
         // Jest globals
         describe: 'readonly',
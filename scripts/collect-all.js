@@ -1,8 +1,34 @@
 /**
  * Main data collection script that runs all collectors
- * 
- * This script imports and executes all the individual data collectors
- * and handles error logging and data saving.
+ *
+ * This script registers every collector and generator with the pipeline
+ * scheduler (scripts/lib/pipeline.js), which runs them as a dependency graph
+ * and writes their data, then records a run summary.
+ *
+ * Options (pass after `npm run collect --`):
+ *   --only a,b     Run only the listed nodes
+ *   --skip x,y     Run everything except the listed nodes
+ *   --from node    Rerun a node and everything downstream of it
+ *   --dry-run      Compute everything but write nothing; print a diff of
+ *                  what would change instead
+ *   --mock         Accept collectors' mock fallback data (local development
+ *                  without API keys); refused otherwise
+ *   --record dir   Save every HTTP response and the data files read/written
+ *                  to a fixture directory (see lib/http-replay.js)
+ *   --replay dir   Rerun a recording offline, byte-for-byte
+ *
+ * Nodes left out of a partial run are not executed; the nodes that do run
+ * read the files those nodes left on disk.
+ *
+ * A node that fails or returns degraded data keeps its previous file, and
+ * summary.json marks that source stale (see scripts/lib/run-summary.js).
+ * status.json adds durations, record counts and a 30-day history per node
+ * for the /status page (see scripts/lib/status-report.js).
+ *
+ * Each run also writes public/data/changes/<date>.json and .md, a report of
+ * what changed in the collected data (see scripts/lib/change-report.js), and
+ * appends its LLM calls and their estimated cost to public/data/llm-usage.json
+ * (see scripts/lib/llm-ledger.js; LLM_BUDGET_USD caps the spend).
  */
 
 // Load environment variables from .env file for local development
@@ -10,45 +36,178 @@ require('dotenv').config();
 
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { runPipeline, selectNodes, toNode, DATA_DIR } = require('./lib/pipeline');
+const dataStore = require('./lib/data-store');
+const { buildSummary } = require('./lib/run-summary');
+const { setMockAllowed } = require('./lib/provenance');
+const httpReplay = require('./lib/http-replay');
+const { formatDiff } = require('./lib/text-diff');
+const { readTrackedFiles, buildChangeReport, formatChangeReport } = require('./lib/change-report');
+const llmLedger = require('./lib/llm-ledger');
+const { writeStatus } = require('./lib/status-report');
+const { lastReviewOutcome } = require('./generators/bio-reviewer');
+const { lastCollectionOutcome } = require('./collectors/crossref');
 
-// Import all collectors
-const orcidCollector = require('./collectors/orcid');
-const scholarCollector = require('./collectors/scholar');
-const universityCollector = require('./collectors/university');
-const githubCollector = require('./collectors/github');
-const newsCollector = require('./collectors/news');
-const webSearchCollector = require('./collectors/websearch');
-const socialMediaCollector = require('./collectors/social-media');
-const socialMediaAggregator = require('./collectors/social-media-aggregator');
-const wosCollector = require('./collectors/wos');
-const scopusCollector = require('./collectors/scopus');
-const semanticScholarCollector = require('./collectors/semantic-scholar');
-const publicationsAggregator = require('./collectors/publications-aggregator');
-const toreadCollector = require('./collectors/toread');
-const oraCollector = require('./collectors/ora');
-const researchRadioCollector = require('./collectors/research-radio');
-const zettelkastenCollector = require('./collectors/zettelkasten');
-const ownPaperClaimsCollector = require('./collectors/own-paper-claims');
+const REPO_ROOT = path.join(__dirname, '..');
 
-// Import generators
-const aboutGenerator = require('./generators/about-generator');
-const teachingGenerator = require('./generators/teaching-generator');
-const socialMediaInsightsGenerator = require('./generators/social-media-insights');
-const publicationsGenerator = require('./generators/publications-generator');
-const bibtexGenerator = require('./generators/bibtex-generator');
-const ownPublicationsFeedGenerator = require('./generators/own-publications-feed');
+// Some collectors read their credentials when loaded, so a replay's
+// placeholder credentials must be set before the registry below is required.
+const cliOptions = require.main === module ? parseOptionsOrExit(process.argv.slice(2)) : null;
+if (cliOptions && cliOptions.replay) {
+  httpReplay.applyReplayCredentials(cliOptions.replay);
+}
+
+// Registered pipeline nodes. Each module declares its own outputs and
+// dependencies in its `pipeline` export; order here only breaks ties between
+// nodes that are ready at the same time.
+const PIPELINE = [
+  // Collectors
+  require('./collectors/orcid'),
+  require('./collectors/scholar'),
+  require('./collectors/university'),
+  require('./collectors/github'),
+  require('./collectors/news'),
+  require('./collectors/websearch'),
+  require('./collectors/social-media'),
+  require('./collectors/wos'),
+  require('./collectors/scopus'),
+  require('./collectors/semantic-scholar'),
+  require('./collectors/openalex'),
+  require('./collectors/toread'),
+  require('./collectors/ora'),
+  require('./collectors/research-radio'),
+  require('./collectors/zettelkasten'),
+  require('./collectors/own-paper-claims'),
+  require('./collectors/publications-aggregator'),
+  require('./collectors/social-media-aggregator'),
+
+  // Generators
+  require('./generators/about-generator'),
+  require('./generators/teaching-generator'),
+  require('./generators/social-media-insights'),
+  require('./generators/publications-generator'),
+  require('./generators/bibtex-generator'),
+  require('./generators/own-publications-feed'),
+  require('./generators/data-software-generator')
+];
+
+/**
+ * Parse command-line options.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} `only`, `skip`, `from`, `dryRun`, `mock`, `record`, `replay`
+ */
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      only: { type: 'string' },
+      skip: { type: 'string' },
+      from: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      mock: { type: 'boolean', default: false },
+      record: { type: 'string' },
+      replay: { type: 'string' }
+    }
+  });
+  if (values.record && values.replay) {
+    throw new Error('--record and --replay cannot be combined');
+  }
+  const list = value =>
+    value
+      ? value
+          .split(',')
+          .map(s => s.trim())
+          .filter(Boolean)
+      : [];
+  return {
+    only: list(values.only),
+    skip: list(values.skip),
+    from: values.from || null,
+    dryRun: values['dry-run'],
+    mock: values.mock,
+    record: values.record || null,
+    replay: values.replay || null
+  };
+}
 
-// Ensure data directory exists
-const dataDir = path.join(__dirname, '../public/data');
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
+function parseOptionsOrExit(argv) {
+  try {
+    return parseOptions(argv);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Print what a dry run would have written, as a diff against the files on disk.
+ */
+function reportDryRun() {
+  let changed = 0;
+  let unchanged = 0;
+
+  for (const [filePath, content] of dataStore.stagedWrites()) {
+    const relPath = path.relative(REPO_ROOT, filePath);
+    if (!fs.existsSync(filePath)) {
+      changed++;
+      console.log(`\n+++ ${relPath} (new file, ${content.split('\n').length} lines)`);
+      continue;
+    }
+    const diff = formatDiff(fs.readFileSync(filePath, 'utf8'), content);
+    if (!diff) {
+      unchanged++;
+      continue;
+    }
+    changed++;
+    console.log(`\n--- ${relPath}`);
+    console.log(diff);
+  }
+
+  console.log(
+    `\nDry run: ${changed} file(s) would change, ${unchanged} unchanged. Nothing was written.`
+  );
+}
+
+/**
+ * Read the previous run's summary; staleness counters carry over from it.
+ */
+function loadPreviousSummary(summaryPath) {
+  try {
+    return JSON.parse(dataStore.readFileSync(summaryPath, 'utf8'));
+  } catch {
+    return {};
+  }
 }
 
 // Run all collectors and save data
-async function collectAll() {
+async function collectAll(options = {}) {
   try {
     console.log('Starting data collection...');
-    
+
+    const selected = selectNodes(PIPELINE.map(toNode), options);
+    if (selected.size < PIPELINE.length) {
+      console.log(
+        `Running ${selected.size} of ${PIPELINE.length} nodes: ${[...selected].join(', ')}`
+      );
+    }
+    dataStore.setDryRun(options.dryRun);
+    if (options.dryRun) {
+      console.log('Dry run: no files will be written');
+    }
+    setMockAllowed(options.mock);
+    if (options.mock) {
+      console.log('Mock mode: mock fallback data will be accepted');
+    }
+    if (options.record) {
+      httpReplay.startRecording(options.record);
+      console.log(`Recording HTTP traffic to ${options.record}`);
+    } else if (options.replay) {
+      httpReplay.startReplay(options.replay);
+      console.log(`Replaying ${options.replay} offline`);
+    }
+
     // Check if running in GitHub Actions to manage verbose warnings
     const isGitHubActions = process.env.GITHUB_ACTIONS === 'true';
     const hasGeminiKey = !!process.env.GEMINI_API_KEY;
@@ -60,256 +219,106 @@ async function collectAll() {
       console.log(`- Gemini API key: ${hasGeminiKey ? 'Available' : 'Missing'}`);
       console.log(`- Web of Science API key: ${process.env.WOS_API_KEY ? 'Available' : 'Missing'}`);
       console.log(`- Scopus API key: ${process.env.SCOPUS_API_KEY ? 'Available' : 'Missing'}`);
-      console.log(`- Semantic Scholar API key: ${process.env.S2_API_KEY ? 'Available' : 'Missing'}`);
-    }
-    
-    // Phase 1: Collect basic data sources in parallel
-    console.log('Phase 1: Collecting basic data sources...');
-    const [orcidData, scholarData, universityData, githubData, newsData, webSearchData, socialMediaData, wosData, scopusData, semanticScholarData, toreadData, oraData, researchRadioData, zettelkastenData, ownPaperClaimsData] = await Promise.all([
-      orcidCollector.collect().catch(err => {
-        console.error('ORCID collection error:', err.message);
-        return null;
-      }),
-      scholarCollector.collect().catch(err => {
-        console.error('Scholar collection error:', err.message);
-        return null;
-      }),
-      universityCollector.collect().catch(err => {
-        console.error('University collection error:', err.message);
-        return null;
-      }),
-      githubCollector.collect().catch(err => {
-        console.error('GitHub collection error:', err.message);
-        return null;
-      }),
-      newsCollector.collect().catch(err => {
-        console.error('News collection error:', err.message);
-        return null;
-      }),
-      webSearchCollector.collect().catch(err => {
-        // Don't show detailed errors for Gemini when not in GitHub Actions
-        if (!isGitHubActions && err.message.includes('Gemini')) {
-          console.log('Web Search requires Gemini API key, using mock data');
-        } else {
-          console.error('Web Search collection error:', err.message);
-        }
-        return null;
-      }),
-      socialMediaCollector.collect().catch(err => {
-        console.error('Social Media collection error:', err.message);
-        return null;
-      }),
-      wosCollector.collect().catch(err => {
-        // Only show detailed WoS errors in GitHub Actions
-        if (isGitHubActions) {
-          console.error('Web of Science collection error:', err.message);
-        }
-        return null;
-      }),
-      scopusCollector.collect().catch(err => {
-        // Only show detailed Scopus errors in GitHub Actions
-        if (isGitHubActions) {
-          console.error('Scopus collection error:', err.message);
-        }
-        return null;
-      }),
-      semanticScholarCollector.collect().catch(err => {
-        // Only show detailed Semantic Scholar errors in GitHub Actions
-        if (isGitHubActions) {
-          console.error('Semantic Scholar collection error:', err.message);
-        }
-        return null;
-      }),
-      toreadCollector.collect().catch(err => {
-        console.error('Toread collection error:', err.message);
-        return null;
-      }),
-      oraCollector.collect().catch(err => {
-        console.error('ORA UNIURB collection error:', err.message);
-        return null;
-      }),
-      researchRadioCollector.collect().catch(err => {
-        console.error('Research Radio collection error:', err.message);
-        return null;
-      }),
-      zettelkastenCollector.collect().catch(err => {
-        console.error('Zettelkasten collection error:', err.message);
-        return null;
-      }),
-      ownPaperClaimsCollector.collect().catch(err => {
-        console.error('Own paper claims collection failed:', err.message);
-        return null;
-      })
-    ]);
-    
-    // Save Phase 1 data
-    if (orcidData) fs.writeFileSync(path.join(dataDir, 'orcid.json'), JSON.stringify(orcidData, null, 2));
-    if (scholarData) fs.writeFileSync(path.join(dataDir, 'scholar.json'), JSON.stringify(scholarData, null, 2));
-    if (universityData) fs.writeFileSync(path.join(dataDir, 'university.json'), JSON.stringify(universityData, null, 2));
-    if (githubData) fs.writeFileSync(path.join(dataDir, 'github.json'), JSON.stringify(githubData, null, 2));
-    if (newsData) fs.writeFileSync(path.join(dataDir, 'news.json'), JSON.stringify(newsData, null, 2));
-    if (webSearchData) {
-      fs.writeFileSync(path.join(dataDir, 'websearch.json'), JSON.stringify(webSearchData, null, 2));
-      // Also copy to Jekyll _data directory for site.data.websearch access
-      fs.writeFileSync(path.join(__dirname, '../_data/websearch.json'), JSON.stringify(webSearchData, null, 2));
-    }
-    if (socialMediaData) fs.writeFileSync(path.join(dataDir, 'social-media.json'), JSON.stringify(socialMediaData, null, 2));
-    if (wosData) fs.writeFileSync(path.join(dataDir, 'wos.json'), JSON.stringify(wosData, null, 2));
-    if (scopusData) fs.writeFileSync(path.join(dataDir, 'scopus.json'), JSON.stringify(scopusData, null, 2));
-    if (semanticScholarData) fs.writeFileSync(path.join(dataDir, 'semantic-scholar.json'), JSON.stringify(semanticScholarData, null, 2));
-    if (toreadData) {
-      fs.writeFileSync(path.join(dataDir, 'toread.json'), JSON.stringify(toreadData, null, 2));
-      // Also copy to Jekyll _data directory for site.data.toread access
-      fs.writeFileSync(path.join(__dirname, '../_data/toread.json'), JSON.stringify(toreadData, null, 2));
-    }
-    if (oraData) fs.writeFileSync(path.join(dataDir, 'ora.json'), JSON.stringify(oraData, null, 2));
-    if (researchRadioData) {
-      fs.writeFileSync(path.join(dataDir, 'research-radio.json'), JSON.stringify(researchRadioData, null, 2));
-      // Also copy to Jekyll _data directory for site.data.researchRadio access
-      fs.writeFileSync(path.join(__dirname, '../_data/research-radio.json'), JSON.stringify(researchRadioData, null, 2));
-    }
-    if (ownPaperClaimsData) fs.writeFileSync(path.join(dataDir, 'own-paper-claims.json'), JSON.stringify(ownPaperClaimsData, null, 2));
-    if (zettelkastenData) {
-      fs.writeFileSync(path.join(dataDir, 'zettelkasten.json'), JSON.stringify(zettelkastenData, null, 2));
-      // Also copy to Jekyll _data directory for site.data.zettelkasten access
-      fs.writeFileSync(path.join(__dirname, '../_data/zettelkasten.json'), JSON.stringify(zettelkastenData, null, 2));
+      console.log(
+        `- Semantic Scholar API key: ${process.env.S2_API_KEY ? 'Available' : 'Missing'}`
+      );
     }
 
-    // Phase 2: Aggregate publications (using saved data from Phase 1)
-    console.log('Phase 2: Aggregating publications...');
-    const aggregatedPublicationsData = await publicationsAggregator.collect().catch(err => {
-      console.error('Publications aggregation error:', err.message);
-      return null;
-    });
-    
-    // Save Phase 2 aggregated data
-    if (aggregatedPublicationsData) fs.writeFileSync(path.join(dataDir, 'aggregated-publications.json'), JSON.stringify(aggregatedPublicationsData, null, 2));
-    
-    // Create a summary file with collection timestamp
-    const summary = {
-      lastUpdated: new Date().toISOString(),
-      collections: {
-        orcid: !!orcidData,
-        scholar: !!scholarData,
-        university: !!universityData,
-        github: !!githubData,
-        news: !!newsData,
-        websearch: !!webSearchData,
-        socialMedia: !!socialMediaData,
-        wos: !!wosData,
-        scopus: !!scopusData,
-        semanticScholar: !!semanticScholarData,
-        aggregatedPublications: !!aggregatedPublicationsData,
-        toread: !!toreadData,
-        ora: !!oraData,
-        researchRadio: !!researchRadioData
-      }
-    };
-    
-    fs.writeFileSync(path.join(dataDir, 'summary.json'), JSON.stringify(summary, null, 2));
-    
-    console.log('Data collection completed successfully');
-    
-    // Update News & Updates section with social media content
-    try {
-      console.log('Aggregating social media posts for News & Updates...');
-      await socialMediaAggregator.collect();
-      console.log('Social media aggregation completed successfully');
-    } catch (socialError) {
-      console.error('Error aggregating social media posts:', socialError.message);
-      // Continue execution even if social media aggregation fails
-    }
-    
-    // Generate About Me section using Gemini API (weekly or on-demand)
-    if (process.env.SKIP_ABOUT_GENERATION !== 'true') {
-      try {
-        const aboutGenerated = await aboutGenerator.generateAboutMe();
-        if (aboutGenerated) {
-          console.log('About Me section generated successfully');
-        } else {
-          console.log('About Me section generation skipped or failed');
-        }
-      } catch (genError) {
-        console.error('Error generating About Me section:', genError);
-        // Continue execution even if the generation fails
-      }
-    } else {
-      console.log('Skipping About Me generation (will be handled separately)');
-    }
-    
-    // Generate Teaching data (monthly or on-demand)
-    if (process.env.SKIP_TEACHING_GENERATION !== 'true') {
-      try {
-        const teachingGenerated = await teachingGenerator.generateTeachingData();
-        if (teachingGenerated) {
-          console.log('Teaching data generated successfully');
-        } else {
-          console.log('Teaching data generation skipped or failed');
-        }
-      } catch (genError) {
-        console.error('Error generating teaching data:', genError);
-        // Continue execution even if the generation fails
-      }
-    } else {
-      console.log('Skipping Teaching generation (will be handled separately)');
-    }
-    
-    // Generate Social Media Insights
-    try {
-      const insightsGenerated = await socialMediaInsightsGenerator.generateSocialMediaInsights();
-      if (insightsGenerated) {
-        console.log('Social media insights generated successfully');
-      } else {
-        console.log('Social media insights generation skipped or failed');
-      }
-    } catch (genError) {
-      console.error('Error generating social media insights:', genError);
-      // Continue execution even if the generation fails
-    }
-    
-    // Generate Publications Data from Scholar
-    try {
-      const publicationsGenerated = await publicationsGenerator.generatePublicationsData();
-      if (publicationsGenerated) {
-        console.log('Publications data generated successfully');
-      } else {
-        console.log('Publications data generation skipped or failed');
-      }
-    } catch (genError) {
-      console.error('Error generating publications data:', genError);
-      // Continue execution even if the generation fails
+    // Ensure data directory exists
+    if (!fs.existsSync(DATA_DIR)) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
     }
 
-    // Generate BibTeX file
-    try {
-      const bibtexGenerated = await bibtexGenerator.generateBibtex();
-      if (bibtexGenerated) {
-        console.log('BibTeX file generated successfully');
-      } else {
-        console.log('BibTeX generation skipped or failed');
-      }
-    } catch (genError) {
-      console.error('Error generating BibTeX file:', genError);
-      // Continue execution even if the generation fails
-    }
+    const beforeRun = readTrackedFiles(DATA_DIR);
+    const results = await runPipeline(PIPELINE, { selected });
+    const now = new Date().toISOString();
+    // Crossref runs inside the aggregator; report it as a source of its own
+    // so a carried-over crossref.json shows up as stale
+    if (lastCollectionOutcome()) results.set('crossref', lastCollectionOutcome());
+
+    // Record per-source freshness alongside the run timestamp
+    const summaryPath = path.join(DATA_DIR, 'summary.json');
+    const summary = buildSummary(
+      results,
+      loadPreviousSummary(summaryPath),
+      now,
+      Boolean(options.mock)
+    );
+    dataStore.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
+
+    // The bio reviewer runs inside about-generator and fails open, so it
+    // only shows up on the status page if reported separately.
+    const statusResults = new Map(results);
+    if (lastReviewOutcome()) statusResults.set('bio-reviewer', lastReviewOutcome());
+    writeStatus(statusResults, now);
 
-    // Generate own-publications feed (consumed by research-radio + fg-zettelkasten)
-    try {
-      const ownPubsGenerated = await ownPublicationsFeedGenerator.generateOwnPublicationsFeed();
-      if (ownPubsGenerated) {
-        console.log('Own-publications feed generated successfully');
-      } else {
-        console.log('Own-publications feed generation skipped or failed');
-      }
-    } catch (genError) {
-      console.error('Error generating own-publications feed:', genError);
-      // Continue execution even if the generation fails
+    writeChangeReport(beforeRun, now);
+
+    const withStatus = status =>
+      [...results].filter(([, r]) => r.status === status).map(([name]) => name);
+    const failed = withStatus('failed');
+    const degraded = withStatus('degraded');
+    const skipped = [...results]
+      .filter(([, r]) => r.status === 'skipped' && r.reason !== 'not selected')
+      .map(([name]) => name);
+    if (failed.length > 0) console.log(`Failed: ${failed.join(', ')}`);
+    if (degraded.length > 0) console.log(`Degraded (kept previous data): ${degraded.join(', ')}`);
+    if (summary.mocked.length > 0) console.log(`Returned mock data: ${summary.mocked.join(', ')}`);
+    if (skipped.length > 0) console.log(`Skipped: ${skipped.join(', ')}`);
+
+    if (options.dryRun) {
+      reportDryRun();
     }
+    reportReplaySession(httpReplay.stop());
+    // After the replay check: call latencies are not reproducible.
+    llmLedger.writeReport('collect');
+
+    console.log('Data collection completed successfully');
   } catch (error) {
+    httpReplay.stop();
     console.error('Error in data collection process:', error);
     process.exit(1);
   }
 }
 
+/**
+ * Write this run's change report and print its Markdown summary.
+ *
+ * @param {Object} beforeRun - readTrackedFiles() result from before the pipeline ran
+ * @param {string} now - ISO timestamp of this run
+ */
+function writeChangeReport(beforeRun, now) {
+  const report = buildChangeReport(beforeRun, readTrackedFiles(DATA_DIR), now);
+  const markdown = formatChangeReport(report);
+  const changesDir = path.join(DATA_DIR, 'changes');
+  if (!dataStore.isDryRun() && !fs.existsSync(changesDir)) {
+    fs.mkdirSync(changesDir, { recursive: true });
+  }
+  dataStore.writeFileSync(
+    path.join(changesDir, `${report.date}.json`),
+    JSON.stringify(report, null, 2)
+  );
+  dataStore.writeFileSync(path.join(changesDir, `${report.date}.md`), markdown);
+  console.log(`\n${markdown}`);
+}
+
+function reportReplaySession(session) {
+  if (!session) return;
+  if (session.mode === 'record') {
+    console.log(`Recorded ${session.requests} HTTP responses to ${session.dir}`);
+    return;
+  }
+  console.log(`Replayed ${session.requests} HTTP responses from ${session.dir}`);
+  if (session.mismatched.length > 0) {
+    console.log(`Outputs differing from the recording: ${session.mismatched.join(', ')}`);
+  } else {
+    console.log('All recorded outputs reproduced');
+  }
+}
+
 // Run the collection process
-collectAll();
\ No newline at end of file
+if (require.main === module) {
+  collectAll(cliOptions);
+}
+
+module.exports = { collectAll, parseOptions, PIPELINE };
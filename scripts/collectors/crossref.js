@@ -5,30 +5,45 @@
  * This provides the most complete and reliable author information.
  */
 
-const axios = require('axios');
-const fs = require('fs');
+const httpClient = require('../lib/http-client');
+const dataStore = require('../lib/data-store');
 const path = require('path');
+const { PROVENANCE } = require('../lib/provenance');
 
 const CROSSREF_API_BASE = 'https://api.crossref.org/works';
 const OUTPUT_PATH = path.join(__dirname, '../../public/data/crossref.json');
 
-// Rate limiting: Crossref allows 50 requests/second, but we'll be conservative
-const RATE_LIMIT_DELAY = 200; // 200ms = 5 requests per second
 const BATCH_SIZE = 10; // Process 10 DOIs at a time
 
+// How the last collect() call went, as a pipeline-style result for the run
+// summary: Crossref runs inside the publications aggregator rather than as a
+// pipeline node of its own.
+let lastOutcome = null;
+
+/**
+ * Fetch Crossref metadata for the DOIs of the aggregated publications and
+ * save it to crossref.json.
+ *
+ * A run in which no lookup succeeded, or most of them failed, is degraded:
+ * nothing is written, so the last good crossref.json stays in place, and the
+ * result carries the message in `error` (see hasErrorMarker() in
+ * lib/pipeline.js). DOIs Crossref does not know count as neither.
+ */
 async function collect() {
   console.log('Collecting publication data from Crossref...');
+  const startedAt = Date.now();
   
   try {
     // First, get DOIs from existing aggregated data
     const aggregatedDataPath = path.join(__dirname, '../../public/data/aggregated-publications.json');
     
-    if (!fs.existsSync(aggregatedDataPath)) {
+    if (!dataStore.existsSync(aggregatedDataPath)) {
       console.log('No aggregated data found. Please run publications aggregator first.');
+      lastOutcome = { status: 'failed', reason: 'no aggregated publications', durationMs: Date.now() - startedAt };
       return null;
     }
     
-    const aggregatedData = JSON.parse(fs.readFileSync(aggregatedDataPath, 'utf8'));
+    const aggregatedData = JSON.parse(dataStore.readFileSync(aggregatedDataPath, 'utf8'));
     
     // Extract DOIs from aggregated publications
     const dois = aggregatedData.publications
@@ -40,17 +55,19 @@ async function collect() {
     
     if (dois.length === 0) {
       console.log('No DOIs found in aggregated data. Cannot query Crossref.');
+      lastOutcome = { status: 'ok', provenance: PROVENANCE.LIVE, durationMs: Date.now() - startedAt };
       return { publications: [], lastUpdated: new Date().toISOString() };
     }
     
     const publications = [];
+    let failed = 0;
     
     // Process DOIs in batches
     for (let i = 0; i < dois.length; i += BATCH_SIZE) {
       const batch = dois.slice(i, i + BATCH_SIZE);
       console.log(`Processing batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(dois.length / BATCH_SIZE)}: ${batch.length} DOIs`);
       
-      // Process each DOI in the batch with rate limiting
+      // Process each DOI in the batch
       for (const doi of batch) {
         try {
           const publication = await fetchCrossrefMetadata(doi);
@@ -58,11 +75,9 @@ async function collect() {
             publications.push(publication);
             console.log(`✓ Retrieved metadata for: "${publication.title.substring(0, 60)}..."`);
           }
-          
-          // Rate limiting delay
-          await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
         } catch (error) {
           console.error(`✗ Error fetching DOI ${doi}:`, error.message);
+          failed++;
           // Continue with next DOI
         }
       }
@@ -71,25 +86,44 @@ async function collect() {
     const result = {
       publications,
       lastUpdated: new Date().toISOString(),
+      provenance: PROVENANCE.LIVE,
       metadata: {
         total_requested: dois.length,
         successful_requests: publications.length,
-        failed_requests: dois.length - publications.length
+        failed_requests: failed,
+        not_found: dois.length - publications.length - failed
       }
     };
     
+    if (publications.length === 0 || failed > dois.length / 2) {
+      result.error = `${failed} of ${dois.length} Crossref lookups failed`;
+      console.log(`✗ ${result.error}; keeping the previous crossref.json`);
+      lastOutcome = { status: 'degraded', error: result.error, durationMs: Date.now() - startedAt };
+      return result;
+    }
+    
     // Save to file
-    fs.writeFileSync(OUTPUT_PATH, JSON.stringify(result, null, 2));
+    dataStore.writeFileSync(OUTPUT_PATH, JSON.stringify(result, null, 2));
     console.log(`✓ Crossref data saved to ${OUTPUT_PATH}`);
     console.log(`Successfully retrieved ${publications.length}/${dois.length} publications from Crossref`);
     
+    lastOutcome = { status: 'ok', provenance: PROVENANCE.LIVE, durationMs: Date.now() - startedAt };
     return result;
   } catch (error) {
     console.error('Error in Crossref collection:', error);
+    lastOutcome = { status: 'failed', error: error.message, durationMs: Date.now() - startedAt };
     throw error;
   }
 }
 
+/**
+ * Result of the last collect() call in this process, or null if it never ran.
+ * @return {Object|null} { status, error|reason, provenance, durationMs }
+ */
+function lastCollectionOutcome() {
+  return lastOutcome;
+}
+
 /**
  * Fetch metadata for a single DOI from Crossref
  */
@@ -97,9 +131,9 @@ async function fetchCrossrefMetadata(doi) {
   const url = `${CROSSREF_API_BASE}/${encodeURIComponent(doi)}`;
   
   try {
-    const response = await axios.get(url, {
+    // The client's default User-Agent carries the mailto for the polite pool.
+    const response = await httpClient.get(url, {
       headers: {
-        'User-Agent': 'Academic Website Data Collector (mailto:fabio.giglietto@uniurb.it)',
         'Accept': 'application/json'
       },
       timeout: 10000 // 10 second timeout
@@ -120,6 +154,8 @@ async function fetchCrossrefMetadata(doi) {
       doi: work.DOI,
       title: work.title ? work.title[0] : 'Unknown Title',
       authors: authors,
+      author_names: extractNames(work.author),
+      editor_names: extractNames(work.editor),
       venue: venue,
       year: year,
       type: work.type || 'article',
@@ -133,9 +169,14 @@ async function fetchCrossrefMetadata(doi) {
       issn: work.ISSN ? work.ISSN[0] : null,
       isbn: work.ISBN ? work.ISBN[0] : null,
       subject: work.subject || [],
+      language: work.language || null,
       abstract: work.abstract || null,
       license: work.license ? work.license.map(l => l.URL) : [],
       funder: work.funder || [],
+      funding: extractFunding(work.funder),
+      relations: extractRelations(work.relation),
+      updated_by: extractUpdates(work['updated-by']),
+      update_to: extractUpdates(work['update-to']),
       crossref_score: work.score || 1.0
     };
   } catch (error) {
@@ -174,6 +215,90 @@ function extractAuthors(authorArray) {
   return formattedAuthors.join('; ');
 }
 
+/**
+ * Keep Crossref author or editor names as structured parts for the BibTeX
+ * export: organisations have a `name` instead of family and given names
+ */
+function extractNames(nameArray) {
+  if (!Array.isArray(nameArray)) return [];
+  
+  return nameArray
+    .filter(person => person && (person.family || person.name || person.given))
+    .map(person => ({
+      family: person.family || null,
+      given: person.given || null,
+      suffix: person.suffix || null,
+      name: person.family ? null : (person.name || person.given)
+    }));
+}
+
+/**
+ * Flatten Crossref `relation` metadata (e.g. `is-preprint-of`,
+ * `has-version`) to the relations that point at another DOI
+ */
+function extractRelations(relation) {
+  if (!relation) return [];
+  
+  const relations = [];
+  Object.entries(relation).forEach(([type, targets]) => {
+    (Array.isArray(targets) ? targets : []).forEach(target => {
+      if (target && target['id-type'] === 'doi' && target.id) {
+        relations.push({ type, doi: target.id.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '') });
+      }
+    });
+  });
+  
+  return relations;
+}
+
+/**
+ * Flatten Crossref `updated-by` (notices issued on this work) or `update-to`
+ * (works this notice updates) entries: retractions, corrections, errata,
+ * expressions of concern and the like, including those Crossref takes from
+ * the Retraction Watch database (`source: retraction-watch`)
+ */
+function extractUpdates(updates) {
+  if (!Array.isArray(updates)) return [];
+  
+  return updates
+    .filter(update => update && update.DOI && update.type)
+    .map(update => {
+      const dateParts = update.updated && update.updated['date-parts'] && update.updated['date-parts'][0];
+      return {
+        type: String(update.type).toLowerCase().replace(/-/g, '_'),
+        doi: update.DOI,
+        date: dateParts && dateParts[0]
+          ? dateParts.map(part => String(part).padStart(2, '0')).join('-')
+          : null,
+        label: update.label || null,
+        source: update.source || null,
+        record_id: update['record-id'] !== undefined ? String(update['record-id']) : null
+      };
+    });
+}
+
+/**
+ * Flatten Crossref `funder` metadata to each funder's name, Open Funder
+ * Registry DOI and award numbers
+ */
+function extractFunding(funders) {
+  if (!Array.isArray(funders)) return [];
+  
+  return funders
+    .filter(funder => funder && (funder.name || funder.DOI))
+    .map(funder => {
+      const awardInfo = (funder['award-info'] || []).flatMap(info => info['award-number'] || []);
+      const awards = [...(funder.award || []), ...awardInfo]
+        .map(award => String(award).trim())
+        .filter(Boolean);
+      return {
+        name: funder.name || null,
+        doi: funder.DOI || null,
+        awards: [...new Set(awards)]
+      };
+    });
+}
+
 /**
  * Extract publication year from Crossref date information
  */
@@ -219,14 +344,10 @@ function extractVenue(work) {
   return '';
 }
 
-/**
- * Sleep function for rate limiting
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 module.exports = {
   collect,
-  name: 'crossref'
+  lastCollectionOutcome,
+  OUTPUT_PATH,
+  name: 'crossref',
+  _testing: { extractNames, extractRelations, extractUpdates, extractFunding }
 };
\ No newline at end of file
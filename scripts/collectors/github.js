@@ -1,11 +1,17 @@
 /**
  * GitHub data collector
  *
- * Fetches repository and contribution data from GitHub API
+ * Fetches repository and contribution data from GitHub API. For each own
+ * (non-fork) repository it also reads the citation metadata the Data &
+ * Software page lists citable software by: the CITATION.cff file, and a
+ * Zenodo DOI from that file or from the README's DOI badge.
  */
 
+const yaml = require('js-yaml');
 const config = require('../config');
 
+const ZENODO_DOI = /10\.5281\/zenodo\.\d+/i;
+
 // Use dynamic import for ESM module
 let Octokit;
 async function importOctokit() {
@@ -76,6 +82,12 @@ async function collect() {
       })
     );
     
+    // Citation metadata of own repositories (CITATION.cff, Zenodo DOI)
+    const citations = new Map();
+    for (const repo of repos.filter(repo => !repo.fork)) {
+      citations.set(repo.name, await fetchCitationMetadata(octokit, username, repo.name));
+    }
+    
     return {
       profile: {
         login: profile.login,
@@ -96,7 +108,9 @@ async function collect() {
         stars: repo.stargazers_count,
         forks: repo.forks_count,
         created_at: repo.created_at,
-        updated_at: repo.updated_at
+        updated_at: repo.updated_at,
+        fork: repo.fork,
+        ...(citations.get(repo.name) || { citation: null, zenodo_doi: null })
       })),
       activity: repoActivity,
       lastUpdated: new Date().toISOString()
@@ -107,7 +121,88 @@ async function collect() {
   }
 }
 
+/**
+ * Read a repository's CITATION.cff and look for a Zenodo DOI in it or, when
+ * it has none, in the README. Missing files are not errors.
+ *
+ * @returns {Promise<Object>} `{citation, zenodo_doi}`, both possibly null
+ */
+async function fetchCitationMetadata(octokit, owner, repo) {
+  const cff = await fetchRawFile(() => octokit.repos.getContent({
+    owner,
+    repo,
+    path: 'CITATION.cff',
+    mediaType: { format: 'raw' }
+  }), `${repo}/CITATION.cff`);
+  const citation = cff ? parseCitationCff(cff) : null;
+  
+  let zenodoDoi = citation && findZenodoDoi([citation.doi, ...citation.identifiers].join(' '));
+  if (!zenodoDoi) {
+    const readme = await fetchRawFile(() => octokit.repos.getReadme({
+      owner,
+      repo,
+      mediaType: { format: 'raw' }
+    }), `${repo} README`);
+    zenodoDoi = findZenodoDoi(readme);
+  }
+  
+  return { citation, zenodo_doi: zenodoDoi || null };
+}
+
+// Helper function to fetch a file's raw text, null when it does not exist
+async function fetchRawFile(request, label) {
+  try {
+    const { data } = await request();
+    return typeof data === 'string' ? data : null;
+  } catch (error) {
+    if (error.status !== 404) {
+      console.warn(`Error fetching ${label}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Parse the fields of a CITATION.cff file the site shows.
+ *
+ * @param {string} text - CITATION.cff content
+ * @returns {Object|null} `{title, version, doi, date_released, license,
+ *   identifiers}`, or null when the file is not valid YAML
+ */
+function parseCitationCff(text) {
+  let cff;
+  try {
+    cff = yaml.load(text);
+  } catch (error) {
+    console.warn('Invalid CITATION.cff:', error.message);
+    return null;
+  }
+  if (!cff || typeof cff !== 'object') return null;
+  
+  // A malformed `identifiers` (not a list) counts as none
+  const identifiers = (Array.isArray(cff.identifiers) ? cff.identifiers : [])
+    .filter(identifier => identifier && identifier.type === 'doi' && identifier.value)
+    .map(identifier => String(identifier.value));
+  const released = cff['date-released'];
+  return {
+    title: cff.title ? String(cff.title) : null,
+    version: cff.version !== undefined && cff.version !== null ? String(cff.version) : null,
+    doi: cff.doi ? String(cff.doi) : identifiers[0] || null,
+    date_released: released instanceof Date ? released.toISOString().slice(0, 10) : released || null,
+    license: cff.license ? String(cff.license) : null,
+    identifiers
+  };
+}
+
+// Helper function to find a Zenodo DOI (e.g. in a README badge)
+function findZenodoDoi(text) {
+  const match = ZENODO_DOI.exec(text || '');
+  return match ? match[0].toLowerCase() : null;
+}
+
 module.exports = {
   collect,
-  name: 'github'
+  name: 'github',
+  pipeline: { output: 'github.json' },
+  _testing: { parseCitationCff, findZenodoDoi, fetchCitationMetadata }
 };
\ No newline at end of file
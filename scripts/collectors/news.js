@@ -4,7 +4,7 @@
  * Fetches recent news mentions or publications
  */
 
-const axios = require('axios');
+const httpClient = require('../lib/http-client');
 const cheerio = require('cheerio');
 const config = require('../config');
 
@@ -51,7 +51,7 @@ async function collect() {
       sources.map(async (source) => {
         try {
           // Use a common browser user agent
-          const response = await axios.get(source.url, {
+          const response = await httpClient.get(source.url, {
             headers: {
               'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
               'Accept': 'text/html,application/xhtml+xml,application/xml',
@@ -135,5 +135,6 @@ async function collect() {
 
 module.exports = {
   collect,
-  name: 'news'
+  name: 'news',
+  pipeline: { output: 'news.json' }
 };
\ No newline at end of file
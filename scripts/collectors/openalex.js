@@ -0,0 +1,193 @@
+/**
+ * OpenAlex Collector
+ *
+ * Fetches the researcher's works and citation counts from OpenAlex, an open
+ * catalogue that needs no API key. The author is resolved from the ORCID iD
+ * in config.js; the client's User-Agent carries the mailto that puts the
+ * requests in OpenAlex's polite pool.
+ *
+ * Each work comes with its DOI, authorships with institutions, concepts and
+ * topics, open access status, abstract (rebuilt from OpenAlex's inverted
+ * index), referenced works and yearly citation counts.
+ * The publications aggregator merges the works as the `openalex` source.
+ *
+ * Like the other keyless collectors it has no mock fallback: on failure it
+ * returns null and the last good openalex.json stays in place.
+ */
+
+const config = require('../config');
+const httpClient = require('../lib/http-client');
+const { invertedIndexToText } = require('../lib/abstracts');
+
+const API_BASE = 'https://api.openalex.org';
+const PER_PAGE = 200;
+// A safety stop for the cursor loop, far above any single author's output.
+const MAX_PAGES = 50;
+
+const WORK_FIELDS = [
+  'id',
+  'doi',
+  'title',
+  'publication_year',
+  'publication_date',
+  'type',
+  'primary_location',
+  'authorships',
+  'cited_by_count',
+  'counts_by_year',
+  'concepts',
+  'topics',
+  'open_access',
+  'abstract_inverted_index',
+  'referenced_works',
+  'referenced_works_count'
+].join(',');
+
+/** `https://openalex.org/W123` -> `W123`. */
+function shortId(id) {
+  return id ? String(id).replace(/^https?:\/\/openalex\.org\//, '') : null;
+}
+
+/** `https://doi.org/10.1/x` -> `10.1/x`. */
+function bareDoi(doi) {
+  return doi ? doi.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '') : null;
+}
+
+/** `https://orcid.org/0000-...` -> `0000-...`. */
+function bareOrcid(orcid) {
+  return orcid ? orcid.replace(/^https?:\/\/orcid\.org\//i, '') : null;
+}
+
+function mapInstitution(institution) {
+  return {
+    name: institution.display_name || null,
+    ror: institution.ror || null,
+    country: institution.country_code || null
+  };
+}
+
+/**
+ * Convert an OpenAlex work to the collector's publication record.
+ *
+ * @param {Object} work - Work object from the OpenAlex API
+ * @returns {Object|null} Null for works without a title
+ */
+function mapWork(work) {
+  if (!work || !work.title) return null;
+  const authorships = (work.authorships || []).map(authorship => ({
+    position: authorship.author_position || null,
+    name: (authorship.author && authorship.author.display_name) || authorship.raw_author_name,
+    orcid: bareOrcid(authorship.author && authorship.author.orcid),
+    openalexId: shortId(authorship.author && authorship.author.id),
+    institutions: (authorship.institutions || []).map(mapInstitution)
+  }));
+  const source = work.primary_location && work.primary_location.source;
+  const openAccess = work.open_access || {};
+
+  return {
+    openalexId: shortId(work.id),
+    title: work.title,
+    authors: authorships.map(authorship => authorship.name).join(', ') || null,
+    authorships,
+    venue: (source && source.display_name) || null,
+    year: work.publication_year || null,
+    publicationDate: work.publication_date || null,
+    type: work.type || null,
+    doi: bareDoi(work.doi),
+    citations: work.cited_by_count || 0,
+    citationsByYear: (work.counts_by_year || [])
+      .map(entry => ({ year: entry.year, count: entry.cited_by_count }))
+      .sort((a, b) => a.year - b.year),
+    concepts: (work.concepts || []).map(concept => ({
+      name: concept.display_name,
+      level: concept.level,
+      score: concept.score
+    })),
+    topics: (work.topics || []).map(topic => ({
+      name: topic.display_name,
+      subfield: (topic.subfield && topic.subfield.display_name) || null,
+      field: (topic.field && topic.field.display_name) || null,
+      score: topic.score
+    })),
+    openAccess: {
+      isOa: Boolean(openAccess.is_oa),
+      status: openAccess.oa_status || null,
+      url: openAccess.oa_url || null,
+      repositoryFulltext: Boolean(openAccess.any_repository_has_fulltext)
+    },
+    abstract: invertedIndexToText(work.abstract_inverted_index),
+    referencedWorks: (work.referenced_works || []).map(shortId),
+    referencedWorksCount: work.referenced_works_count || 0
+  };
+}
+
+/**
+ * Fetch every work of an author, following OpenAlex's cursor pagination.
+ *
+ * @param {string} authorId - Short OpenAlex author ID (`A…`)
+ * @returns {Promise<Object[]>} Raw work objects
+ */
+async function fetchWorks(authorId) {
+  const works = [];
+  let cursor = '*';
+  for (let page = 0; cursor && page < MAX_PAGES; page++) {
+    const data = await httpClient.getJson(`${API_BASE}/works`, {
+      params: {
+        filter: `author.id:${authorId}`,
+        select: WORK_FIELDS,
+        'per-page': PER_PAGE,
+        cursor
+      }
+    });
+    const results = data.results || [];
+    works.push(...results);
+    cursor = results.length > 0 && data.meta ? data.meta.next_cursor : null;
+  }
+  return works;
+}
+
+async function collect() {
+  console.log('Collecting OpenAlex data...');
+
+  try {
+    const author = await httpClient.getJson(`${API_BASE}/authors/orcid:${config.orcidId}`);
+    const authorId = shortId(author.id);
+    console.log(`Resolved ORCID ${config.orcidId} to OpenAlex author ${authorId}`);
+
+    const works = await fetchWorks(authorId);
+    const publications = works.map(mapWork).filter(Boolean);
+    console.log(`Retrieved ${publications.length} works from OpenAlex`);
+
+    const stats = author.summary_stats || {};
+    return {
+      profile: {
+        openalexId: authorId,
+        name: author.display_name || null,
+        orcid: bareOrcid(author.orcid),
+        institutions: (author.last_known_institutions || []).map(mapInstitution)
+      },
+      publications,
+      metrics: {
+        hIndex: stats.h_index ?? null,
+        i10Index: stats.i10_index ?? null,
+        documentCount: author.works_count ?? publications.length,
+        citationCount:
+          author.cited_by_count ?? publications.reduce((sum, pub) => sum + pub.citations, 0)
+      },
+      lastUpdated: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('OpenAlex collection error:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  collect,
+  name: 'openalex',
+  pipeline: {
+    output: 'openalex.json',
+    enabled: () => Boolean(config.orcidId)
+  },
+  _testing: { mapWork, fetchWorks }
+};
@@ -10,11 +10,12 @@
  * - Metadata format: oai_dc (Dublin Core)
  */
 
-const axios = require('axios');
+const httpClient = require('../lib/http-client');
 const xml2js = require('xml2js');
-const fs = require('fs');
+const dataStore = require('../lib/data-store');
 const path = require('path');
 const config = require('../config');
+const { guessLanguage } = require('../lib/abstracts');
 
 // OAI-PMH endpoint configuration
 const OAI_BASE_URL = 'https://ora.uniurb.it/oai/request';
@@ -35,14 +36,12 @@ const INCREMENTAL_OVERLAP_DAYS = 7;
  *
  * ORA records write the name many ways ("Giglietto Fabio", "Giglietto, F.",
  * "F. GIGLIETTO"), and the repository also holds records by other authors
- * with the same surname (e.g. the physicist N. Giglietto). Require the
- * surname plus either the first name or the bare initial "F".
+ * with the same surname (e.g. the physicist N. Giglietto), so this goes
+ * through the profile's name matching (config.isOwnName) rather than a
+ * surname check.
  */
 function isTargetAuthor(authorName) {
-  const name = authorName.toLowerCase();
-  if (!name.includes('giglietto')) return false;
-  const rest = name.replace(/giglietto/g, ' ');
-  return /\bfabio\b/.test(rest) || /\bf\.?(?=[\s,;]|$)/.test(rest);
+  return config.isOwnName(authorName);
 }
 
 /**
@@ -131,10 +130,17 @@ function extractDublinCore(record) {
     const creators = toArray(dc.creator);
     const authors = creators.map(c => typeof c === 'string' ? c : (c._ || '')).filter(Boolean);
 
-    // Extract abstract/description
-    const descriptions = toArray(dc.description);
-    const abstract = descriptions.length > 0 ?
-      (typeof descriptions[0] === 'string' ? descriptions[0] : (descriptions[0]._ || '')) : null;
+    // Extract abstract/description. Records may carry one in Italian and one
+    // in English: keep the English one (marked xml:lang, or by its words)
+    const descriptions = toArray(dc.description)
+      .map(d => ({
+        text: typeof d === 'string' ? d : (d._ || ''),
+        lang: typeof d === 'object' && d.$ ? d.$['xml:lang'] || null : null
+      }))
+      .filter(d => d.text);
+    const english = descriptions.find(d =>
+      d.lang ? /^en/i.test(d.lang) : guessLanguage(d.text) === 'en');
+    const abstract = descriptions.length > 0 ? (english || descriptions[0]).text : null;
 
     // Extract publisher
     const publishers = toArray(dc.publisher);
@@ -195,7 +201,7 @@ function extractDublinCore(record) {
 async function fetchOaPdfUrl(handleUrl) {
   if (!handleUrl) return null;
   try {
-    const response = await axios.get(handleUrl, {
+    const response = await httpClient.get(handleUrl, {
       headers: { 'User-Agent': 'Mozilla/5.0', 'Accept': 'text/html' },
       timeout: 30000
     });
@@ -232,91 +238,75 @@ async function fetchOAIRecords(params = {}, maxPages = 100) {
   let truncated = false;
 
   do {
-    try {
-      let url;
-      if (resumptionToken) {
-        url = `${OAI_BASE_URL}?verb=ListRecords&resumptionToken=${encodeURIComponent(resumptionToken)}`;
-      } else {
-        const queryParams = new URLSearchParams({
-          verb: 'ListRecords',
-          metadataPrefix: METADATA_PREFIX,
-          ...params
-        });
-        url = `${OAI_BASE_URL}?${queryParams.toString()}`;
-      }
-
-      console.log(`Fetching OAI-PMH page ${pageCount + 1}...`);
-
-      const response = await axios.get(url, {
-        headers: {
-          'Accept': 'application/xml'
-        },
-        timeout: 30000
+    let url;
+    if (resumptionToken) {
+      url = `${OAI_BASE_URL}?verb=ListRecords&resumptionToken=${encodeURIComponent(resumptionToken)}`;
+    } else {
+      const queryParams = new URLSearchParams({
+        verb: 'ListRecords',
+        metadataPrefix: METADATA_PREFIX,
+        ...params
       });
+      url = `${OAI_BASE_URL}?${queryParams.toString()}`;
+    }
 
-      const parsed = await parseXML(response.data);
-      const oaiResponse = parsed['OAI-PMH'] || parsed;
+    console.log(`Fetching OAI-PMH page ${pageCount + 1}...`);
 
-      // Check for errors
-      if (oaiResponse.error) {
-        const errorCode = oaiResponse.error.$ ? oaiResponse.error.$.code : 'unknown';
-        const errorMsg = oaiResponse.error._ || oaiResponse.error;
-        if (errorCode === 'noRecordsMatch') {
-          console.log('No records found for the specified criteria');
-          break;
-        }
-        throw new Error(`OAI-PMH error (${errorCode}): ${errorMsg}`);
-      }
+    const response = await httpClient.get(url, {
+      headers: {
+        'Accept': 'application/xml'
+      },
+      timeout: 30000
+    });
 
-      const listRecords = oaiResponse.ListRecords;
-      if (!listRecords) {
-        console.log('No ListRecords element in response');
-        break;
-      }
+    const parsed = await parseXML(response.data);
+    const oaiResponse = parsed['OAI-PMH'] || parsed;
 
-      // Extract records
-      let records = listRecords.record || [];
-      if (!Array.isArray(records)) {
-        records = [records];
+    // Check for errors
+    if (oaiResponse.error) {
+      const errorCode = oaiResponse.error.$ ? oaiResponse.error.$.code : 'unknown';
+      const errorMsg = oaiResponse.error._ || oaiResponse.error;
+      if (errorCode === 'noRecordsMatch') {
+        console.log('No records found for the specified criteria');
+        break;
       }
+      throw new Error(`OAI-PMH error (${errorCode}): ${errorMsg}`);
+    }
 
-      // Filter for target author and extract data
-      for (const record of records) {
-        // Track deleted records so incremental merges can drop them
-        if (record.header && record.header.$ && record.header.$.status === 'deleted') {
-          const delMatch = (record.header.identifier || '').match(/oai:ora\.uniurb\.it:(\d+\/\d+)/);
-          if (delMatch) deletedHandles.push(delMatch[1]);
-          continue;
-        }
+    const listRecords = oaiResponse.ListRecords;
+    if (!listRecords) {
+      console.log('No ListRecords element in response');
+      break;
+    }
 
-        const extracted = extractDublinCore(record);
-        if (extracted && isAuthorRecord(extracted)) {
-          allRecords.push(extracted);
-        }
-      }
+    // Extract records
+    let records = listRecords.record || [];
+    if (!Array.isArray(records)) {
+      records = [records];
+    }
 
-      // Check for resumption token
-      resumptionToken = listRecords.resumptionToken;
-      if (resumptionToken && typeof resumptionToken === 'object') {
-        resumptionToken = resumptionToken._ || null;
+    // Filter for target author and extract data
+    for (const record of records) {
+      // Track deleted records so incremental merges can drop them
+      if (record.header && record.header.$ && record.header.$.status === 'deleted') {
+        const delMatch = (record.header.identifier || '').match(/oai:ora\.uniurb\.it:(\d+\/\d+)/);
+        if (delMatch) deletedHandles.push(delMatch[1]);
+        continue;
       }
 
-      pageCount++;
-
-      // Add delay between requests to be respectful
-      if (resumptionToken) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      const extracted = extractDublinCore(record);
+      if (extracted && isAuthorRecord(extracted)) {
+        allRecords.push(extracted);
       }
+    }
 
-    } catch (error) {
-      if (error.response && error.response.status === 503) {
-        console.log('Server busy, waiting before retry...');
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        continue;
-      }
-      throw error;
+    // Check for resumption token
+    resumptionToken = listRecords.resumptionToken;
+    if (resumptionToken && typeof resumptionToken === 'object') {
+      resumptionToken = resumptionToken._ || null;
     }
 
+    pageCount++;
   } while (resumptionToken && pageCount < maxPages);
 
   if (resumptionToken) {
@@ -354,9 +344,9 @@ async function collect() {
     // run are harvested and merged into it; otherwise (or with
     // ORA_FULL_HARVEST=1) the entire repository is scanned once.
     let previous = null;
-    if (!process.env.ORA_FULL_HARVEST && fs.existsSync(PREVIOUS_OUTPUT_PATH)) {
+    if (!process.env.ORA_FULL_HARVEST && dataStore.existsSync(PREVIOUS_OUTPUT_PATH)) {
       try {
-        previous = JSON.parse(fs.readFileSync(PREVIOUS_OUTPUT_PATH, 'utf8'));
+        previous = JSON.parse(dataStore.readFileSync(PREVIOUS_OUTPUT_PATH, 'utf8'));
       } catch (e) {
         console.warn(`Could not read previous ORA output (${e.message}), doing a full harvest`);
       }
@@ -418,7 +408,6 @@ async function collect() {
     for (const record of unresolved) {
       record.oaPdfUrl = await fetchOaPdfUrl(record.url);
       if (record.oaPdfUrl) oaPdfCount++;
-      await new Promise(resolve => setTimeout(resolve, 500));
     }
     console.log(`Resolved ${oaPdfCount}/${unresolved.length} newly checked open-access PDF URLs`);
 
@@ -456,4 +445,9 @@ async function collect() {
   }
 }
 
-module.exports = { collect };
+module.exports = {
+  collect,
+  name: 'ora',
+  pipeline: { output: 'ora.json' },
+  _testing: { extractDublinCore }
+};
@@ -5,7 +5,7 @@
  * Includes pagination to get all works
  */
 
-const axios = require('axios');
+const httpClient = require('../lib/http-client');
 const config = require('../config');
 
 async function collect() {
@@ -101,7 +101,7 @@ async function collect() {
       addLog(`Attempting to fetch ORCID record with ${format.name} format...`);
       
       try {
-        recordResponse = await axios.get(`https://pub.orcid.org/v3.0/${orcidId}/record`, {
+        recordResponse = await httpClient.get(`https://pub.orcid.org/v3.0/${orcidId}/record`, {
           headers: { 
             'Accept': format.accept
           }
@@ -138,7 +138,7 @@ async function collect() {
     
     let worksResponse = null;
     try {
-      worksResponse = await axios.get(`https://pub.orcid.org/v3.0/${orcidId}/works`, {
+      worksResponse = await httpClient.get(`https://pub.orcid.org/v3.0/${orcidId}/works`, {
         headers: { 
           'Accept': 'application/json'
         }
@@ -283,5 +283,6 @@ async function collect() {
 
 module.exports = {
   collect,
-  name: 'orcid'
+  name: 'orcid',
+  pipeline: { output: 'orcid.json' }
 };
\ No newline at end of file
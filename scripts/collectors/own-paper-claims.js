@@ -22,14 +22,13 @@
  * re-fetches only notes that actually changed.
  */
 
-const https = require('https');
-const fs = require('fs');
+const config = require('../config');
+const httpClient = require('../lib/http-client');
+const dataStore = require('../lib/data-store');
 const path = require('path');
 
-const STATE_URL =
-  'https://raw.githubusercontent.com/fabiogiglietto/fg-zettelkasten/main/data/state.json';
-const VAULT_RAW =
-  'https://raw.githubusercontent.com/fabiogiglietto/fg-zettelkasten/main/vault/';
+const STATE_URL = config.feeds.zettelkastenState;
+const VAULT_RAW = config.feeds.zettelkastenVault;
 
 const OWN_PUBLICATIONS_PATH = path.join(__dirname, '../../public/data/own-publications.json');
 const CACHE_PATH = path.join(__dirname, '../../public/data/own-paper-claims.json');
@@ -38,24 +37,6 @@ const CACHE_PATH = path.join(__dirname, '../../public/data/own-paper-claims.json
 // a biography never needs it.
 const SECTIONS = ['Summary', 'Key Contributions', 'Findings'];
 
-function fetchUrl(url) {
-  return new Promise((resolve, reject) => {
-    https
-      .get(url, res => {
-        if (res.statusCode !== 200) {
-          res.resume();
-          reject(new Error(`HTTP ${res.statusCode} for ${url}`));
-          return;
-        }
-        let body = '';
-        res.setEncoding('utf8');
-        res.on('data', chunk => { body += chunk; });
-        res.on('end', () => resolve(body));
-      })
-      .on('error', reject);
-  });
-}
-
 /**
  * Read a single scalar out of a note's YAML frontmatter without a YAML parser —
  * the fields we need (kind, year, doi, title) are all simple scalars.
@@ -110,7 +91,7 @@ function parseNote(markdown, bibtexKey) {
 
 function readJson(filePath) {
   try {
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return JSON.parse(dataStore.readFileSync(filePath, 'utf8'));
   } catch (e) {
     return null;
   }
@@ -129,7 +110,7 @@ function ownBibtexKeys() {
 
 async function collect() {
   try {
-    const state = JSON.parse(await fetchUrl(STATE_URL));
+    const state = await httpClient.getJson(STATE_URL);
     const papers = (state && state.papers) || {};
     const ownKeys = ownBibtexKeys();
     if (ownKeys.size === 0) {
@@ -160,7 +141,7 @@ async function collect() {
         continue;
       }
       try {
-        const markdown = await fetchUrl(VAULT_RAW + target.notePath);
+        const markdown = await httpClient.getText(VAULT_RAW + target.notePath);
         const parsed = parseNote(markdown, target.bibtexKey);
         fetched++;
         if (parsed) {
@@ -187,5 +168,12 @@ async function collect() {
 module.exports = {
   collect,
   name: 'own-paper-claims',
+  // Reads own-publications.json to pick out the notes worth fetching, so it
+  // must run after this run's feed has been written.
+  pipeline: {
+    output: 'own-paper-claims.json',
+    dependsOn: ['own-publications-feed'],
+    enabled: () => Boolean(STATE_URL && VAULT_RAW),
+  },
   _testing: { parseNote, extractSection, frontmatterValue },
 };
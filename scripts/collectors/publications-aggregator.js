@@ -2,14 +2,30 @@
  * Publications Aggregator
  * 
  * Aggregates publication data from multiple sources (ORCID, Google Scholar, 
- * Web of Science, Scopus, Semantic Scholar) and combines it into a unified format with 
+ * Web of Science, Scopus, Semantic Scholar, OpenAlex) and combines it into a unified format with 
  * comprehensive citation metrics.
  */
 
-const fs = require('fs');
+const dataStore = require('../lib/data-store');
 const path = require('path');
-const stringSimilarity = require('string-similarity');
 const config = require('../config');
+const { PROVENANCE, acceptInput, isMock } = require('../lib/provenance');
+const { SIDE_WRITES, hasErrorMarker } = require('../lib/pipeline');
+const publicationRegistry = require('../lib/publication-registry');
+const publicationOverrides = require('../lib/publication-overrides');
+const citationHistory = require('../lib/citation-history');
+const { calculateHIndex, computeBibliometrics } = require('../lib/bibliometrics');
+const { compareTitles, createTitleIndex } = require('../lib/title-matcher');
+const publicationVersions = require('../lib/publication-versions');
+const datasets = require('../lib/datasets');
+const editorialNotices = require('../lib/editorial-notices');
+const projectFunding = require('../lib/project-funding');
+const openAccess = require('../lib/open-access');
+const abstracts = require('../lib/abstracts');
+const publicationTypes = require('../lib/publication-types');
+
+const { normalizeDoi, identityKeys } = publicationRegistry;
+const NO_OVERRIDES = publicationOverrides.createOverrides();
 
 // Note: These collector imports are kept for potential future use
 // but data is loaded from files instead of re-collecting
@@ -20,12 +36,13 @@ const _scopusCollector = require('./scopus');
 const crossrefCollector = require('./crossref');
 const _semanticScholarCollector = require('./semantic-scholar');
 
-// Helper function to load existing data files
+// Helper function to load existing data files. Mock data is refused
+// outside mock mode so placeholder records never reach the aggregate.
 async function loadDataFile(filePath) {
   try {
-    if (fs.existsSync(filePath)) {
-      const data = fs.readFileSync(filePath, 'utf8');
-      return JSON.parse(data);
+    if (dataStore.existsSync(filePath)) {
+      const data = dataStore.readFileSync(filePath, 'utf8');
+      return acceptInput(JSON.parse(data), filePath);
     } else {
       console.log(`Data file not found: ${filePath}`);
       return null;
@@ -36,29 +53,145 @@ async function loadDataFile(filePath) {
   }
 }
 
+/**
+ * Whether a source record may be matched to an aggregated entry: false when a
+ * split in the publication overrides says they are different works, and
+ * between a preprint DOI and another DOI, since a preprint is linked to its
+ * published version rather than merged into it (see publication-versions.js).
+ *
+ * @param {Object} publication - Aggregated entry
+ * @param {Object} record - The source record's `doi` and `source_ids`
+ * @param {Object} overrides - loadOverrides() result
+ */
+function canMatch(publication, record, overrides) {
+  if (publicationVersions.isPreprintPair(publication.doi, record.doi)) return false;
+  return !overrides.keepsApart(identityKeys(publication).strong, identityKeys(record).strong);
+}
+
+/**
+ * Flat view of the fields a source can set on an aggregated entry: its
+ * scalar fields plus each `citations`, `source_urls` and `source_ids` value
+ * (as e.g. `citations.scholar`).
+ */
+function fieldSnapshot(publication) {
+  const snapshot = {};
+  for (const [field, value] of Object.entries(publication)) {
+    if (field === 'merge_history' || field === 'metrics') continue;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [key, inner] of Object.entries(value)) snapshot[`${field}.${key}`] = inner;
+    } else {
+      snapshot[field] = value;
+    }
+  }
+  return snapshot;
+}
+
+/** Fields that hold a value in `after` that they did not hold in `before`. */
+function changedFields(before, after) {
+  return Object.keys(after).filter(
+    field =>
+      after[field] !== null &&
+      after[field] !== undefined &&
+      JSON.stringify(after[field]) !== JSON.stringify(before[field])
+  );
+}
+
+/**
+ * Start an entry's merge_history with the source record it was created from.
+ *
+ * @param {Object} publication - New aggregated entry
+ * @param {Object} match - `{source, sourceId}`
+ * @returns {Object} The entry
+ */
+function recordCreation(publication, match) {
+  publication.merge_history = [
+    { ...match, method: 'new', fields: changedFields({}, fieldSnapshot(publication)) }
+  ];
+  return publication;
+}
+
+/**
+ * Apply a source record (or a duplicate entry) to an aggregated entry and
+ * add to its merge_history how the two were matched and which fields the
+ * record set. `npm run explain` prints the history.
+ *
+ * @param {Object} publication - Aggregated entry, updated in place
+ * @param {Object} match - `{source, method, sourceId, ...}`; title matches
+ *   add `sourceTitle` and, for Dice matches, `score` and `threshold`
+ * @param {Function} update - Copies the record's data into the entry
+ */
+function recordMatch(publication, match, update) {
+  const before = fieldSnapshot(publication);
+  update();
+  publication.merge_history = publication.merge_history || [];
+  publication.merge_history.push({
+    ...match,
+    fields: changedFields(before, fieldSnapshot(publication))
+  });
+}
+
+/**
+ * Find the aggregated entry a source record matches by title: the best match
+ * among the entries the record may join (see canMatch()). Equally good
+ * matches are logged and listed in the event as `ambiguousWith`, except
+ * entries with the best match's DOI, which mergeDuplicateDois() folds into
+ * it anyway.
+ *
+ * @param {Object} titleIndex - createTitleIndex() over the aggregated entries
+ * @param {string} title - The record's title
+ * @param {Object} record - `{doi, source_ids}` of the record
+ * @param {Object} overrides - Publication overrides
+ * @returns {{publication: Object, match: Object}|null} The entry and the
+ *   match fields for its merge_history event
+ */
+function findTitleMatch(titleIndex, title, record, overrides) {
+  const best = titleIndex.findBest(title, publication => canMatch(publication, record, overrides));
+  if (!best) return null;
+
+  const match = { ...best.match };
+  const doi = best.publication.doi ? normalizeDoi(best.publication.doi) : null;
+  const others = best.ambiguousWith.filter(
+    publication => !doi || !publication.doi || normalizeDoi(publication.doi) !== doi
+  );
+  if (others.length > 0) {
+    match.ambiguousWith = others.map(publication => publication.title);
+    console.warn(
+      `Ambiguous title match for "${title}": kept "${best.publication.title}" over ` +
+        match.ambiguousWith.map(other => `"${other}"`).join(', ')
+    );
+  }
+  return { publication: best.publication, match };
+}
+
 /**
  * Generic processor for merging publications from a data source
  * Reduces code duplication across WoS, Scopus, Semantic Scholar processing
  *
  * @param {Object} sourceData - The source data containing publications array
- * @param {string} sourceName - Name of the source (wos, scopus, semanticScholar)
+ * @param {string} sourceName - Name of the source (wos, scopus, semanticScholar, openalex)
  * @param {Map} publicationsMap - The map of existing publications
  * @param {Object} fieldMapping - Maps source fields to publication fields
+ * @param {Object} [overrides] - Publication overrides whose splits block matches
  */
-function processPublicationSource(sourceData, sourceName, publicationsMap, fieldMapping) {
+function processPublicationSource(sourceData, sourceName, publicationsMap, fieldMapping, overrides = NO_OVERRIDES) {
   if (!sourceData?.publications) return;
 
   console.log(`Processing ${sourceData.publications.length} publications from ${fieldMapping.displayName}`);
+  const titleIndex = createTitleIndex(publicationsMap);
 
   sourceData.publications.forEach(pub => {
     let matched = false;
+    const sourceId = pub[fieldMapping.idField] ?? null;
+    const record = { doi: pub.doi, source_ids: { [sourceName]: sourceId } };
 
     // Try to match by DOI first
     if (pub.doi) {
       const doiKey = `doi:${pub.doi.toLowerCase()}`;
-      if (publicationsMap.has(doiKey)) {
+      if (publicationsMap.has(doiKey) && canMatch(publicationsMap.get(doiKey), record, overrides)) {
         const publication = publicationsMap.get(doiKey);
-        updatePublicationFromSource(publication, pub, sourceName, fieldMapping);
+        recordMatch(publication, { source: sourceName, method: 'doi', sourceId }, () =>
+          updatePublicationFromSource(publication, pub, sourceName, fieldMapping)
+        );
         console.log(`Matched ${fieldMapping.displayName} publication by DOI: "${pub.title}" with ${pub.citations || 0} citations`);
         matched = true;
       }
@@ -66,34 +199,35 @@ function processPublicationSource(sourceData, sourceName, publicationsMap, field
 
     // If no DOI match, try by title
     if (!matched) {
-      const sourceTitle = pub.title.toLowerCase().replace(/[^\w\s]/g, '');
-
-      for (const [_key, publication] of publicationsMap.entries()) {
-        const pubTitle = publication.title.toLowerCase().replace(/[^\w\s]/g, '');
-
-        if (isSimilarTitle(pubTitle, sourceTitle)) {
+      const found = findTitleMatch(titleIndex, pub.title, record, overrides);
+      if (found) {
+        const { publication } = found;
+        const match = { source: sourceName, ...found.match, sourceId, sourceTitle: pub.title };
+        recordMatch(publication, match, () => {
           updatePublicationFromSource(publication, pub, sourceName, fieldMapping);
 
           // Add DOI if missing
           if (!publication.doi && pub.doi) {
             publication.doi = pub.doi;
           }
+        });
 
-          console.log(`Matched ${fieldMapping.displayName} publication by title: "${pub.title}" with ${pub.citations || 0} citations`);
-          matched = true;
-          break;
-        }
+        console.log(`Matched ${fieldMapping.displayName} publication by title: "${pub.title}" with ${pub.citations || 0} citations`);
+        matched = true;
       }
     }
 
-    // If still no match, add as new entry
+    // If still no match, add as new entry (beside, not over, an entry a split
+    // kept it apart from)
     if (!matched) {
-      const key = pub.doi
+      let key = pub.doi
         ? `doi:${pub.doi.toLowerCase()}`
         : `title:${pub.title.toLowerCase().replace(/[^\w\s]/g, '')}`;
+      if (publicationsMap.has(key)) key += `#${sourceName}`;
 
       const newPublication = createNewPublication(pub, sourceName, fieldMapping);
-      publicationsMap.set(key, newPublication);
+      publicationsMap.set(key, recordCreation(newPublication, { source: sourceName, sourceId }));
+      titleIndex.add(key, newPublication);
     }
   });
 }
@@ -131,7 +265,8 @@ function createNewPublication(sourcePub, sourceName, fieldMapping) {
       scholar: null,
       wos: null,
       scopus: null,
-      semanticScholar: null
+      semanticScholar: null,
+      openalex: null
     },
     source_urls: {
       orcid: null,
@@ -139,6 +274,7 @@ function createNewPublication(sourcePub, sourceName, fieldMapping) {
       wos: null,
       scopus: null,
       semanticScholar: null,
+      openalex: null,
       ora: null
     },
     source_ids: {
@@ -147,6 +283,7 @@ function createNewPublication(sourcePub, sourceName, fieldMapping) {
       wos: null,
       scopus: null,
       semanticScholar: null,
+      openalex: null,
       ora: null
     },
     metrics: {}
@@ -165,6 +302,28 @@ function createNewPublication(sourcePub, sourceName, fieldMapping) {
   return publication;
 }
 
+/**
+ * Crossref's bibliographic details for the BibTeX export: volume, issue,
+ * pages, ISSN, ISBN, language, subjects, and author and editor names in
+ * their parts (see lib/bibtex-names.js). Empty values are left out.
+ */
+function crossrefBibliographicFields(pub) {
+  const fields = {
+    volume: pub.volume,
+    issue: pub.issue,
+    pages: pub.page,
+    issn: pub.issn,
+    isbn: pub.isbn,
+    language: pub.language,
+    subjects: pub.subject,
+    crossref_authors: pub.author_names,
+    crossref_editors: pub.editor_names
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) =>
+    value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)
+  ));
+}
+
 // Field mappings for each source
 const SOURCE_MAPPINGS = {
   wos: {
@@ -186,6 +345,27 @@ const SOURCE_MAPPINGS = {
       publication.isOpenAccess = sourcePub.isOpenAccess;
       publication.openAccessPdf = sourcePub.openAccessPdf;
       publication.fieldsOfStudy = sourcePub.fieldsOfStudy;
+      abstracts.addCandidate(publication, 'semanticScholar', sourcePub.abstract);
+      if (sourcePub.arxivId) {
+        publication.arxivId = sourcePub.arxivId;
+      }
+    }
+  },
+  openalex: {
+    displayName: 'OpenAlex',
+    idField: 'openalexId',
+    buildUrl: (pub) => `https://openalex.org/${pub.openalexId}`,
+    extraFields: (publication, sourcePub) => {
+      publication.topics = (sourcePub.topics || []).map(topic => topic.name);
+      publication.openalexType = sourcePub.type;
+      publication.oaStatus = sourcePub.openAccess ? sourcePub.openAccess.status : null;
+      publication.oaUrl = sourcePub.openAccess ? sourcePub.openAccess.url : null;
+      publication.oaRepositoryFulltext = sourcePub.openAccess
+        ? Boolean(sourcePub.openAccess.repositoryFulltext)
+        : null;
+      publication.citationsByYear = sourcePub.citationsByYear;
+      publication.referencedWorksCount = sourcePub.referencedWorksCount;
+      abstracts.addCandidate(publication, 'openalex', sourcePub.abstract);
     }
   },
   ora: {
@@ -196,9 +376,7 @@ const SOURCE_MAPPINGS = {
       publication.oraHandle = sourcePub.handle;
       publication.oraType = sourcePub.type;
       publication.oaPdfUrl = sourcePub.oaPdfUrl || null;
-      if (sourcePub.abstract) {
-        publication.abstract = sourcePub.abstract;
-      }
+      abstracts.addCandidate(publication, 'ora', sourcePub.abstract);
     }
   }
 };
@@ -211,21 +389,32 @@ async function collect() {
     
     // Load existing data files instead of re-collecting
     console.log('Loading existing data files...');
-    const [orcidData, scholarData, wosData, scopusData, semanticScholarData, oraData] = await Promise.all([
+    const [orcidData, scholarData, wosData, scopusData, semanticScholarData, openalexData, oraData] = await Promise.all([
       loadDataFile(path.join(dataDir, 'orcid.json')),
       loadDataFile(path.join(dataDir, 'scholar.json')),
       loadDataFile(path.join(dataDir, 'wos.json')),
       loadDataFile(path.join(dataDir, 'scopus.json')),
       loadDataFile(path.join(dataDir, 'semantic-scholar.json')),
+      loadDataFile(path.join(dataDir, 'openalex.json')),
       loadDataFile(path.join(dataDir, 'ora.json'))
     ]);
     
-    // Collect crossref data which depends on aggregated data
-    const crossrefData = await crossrefCollector.collect().catch(err => {
+    // Collect crossref data which depends on aggregated data. When the
+    // collection fails or is degraded, carry over the last good crossref.json
+    // (the run summary marks Crossref stale, see collect-all.js)
+    let crossrefData = await crossrefCollector.collect().catch(err => {
       console.error('Crossref collection error:', err);
       return null;
     });
+    if (!crossrefData || hasErrorMarker(crossrefData)) {
+      console.log('Using the previous crossref.json');
+      crossrefData = await loadDataFile(crossrefCollector.OUTPUT_PATH);
+    }
     
+    // Hand-made corrections (_data/publication-overrides.yml). An invalid
+    // file fails the aggregator so the last good aggregate stays in place.
+    const overrides = publicationOverrides.loadOverrides();
+
     // Extract work summaries from ORCID data - this is our base list
     let publicationsMap = new Map();
     
@@ -324,7 +513,7 @@ async function collect() {
           }
         }
 
-        publicationsMap.set(key, {
+        publicationsMap.set(key, recordCreation({
           title: work.title.title.value,
           type: work.type,
           venue: journalTitle,
@@ -338,7 +527,8 @@ async function collect() {
             scholar: null,
             wos: null,
             scopus: null,
-            semanticScholar: null
+            semanticScholar: null,
+            openalex: null
           },
           source_urls: {
             orcid: work.url ? work.url.value : null,
@@ -346,6 +536,7 @@ async function collect() {
             wos: null,
             scopus: null,
             semanticScholar: null,
+            openalex: null,
             ora: null
           },
           source_ids: {
@@ -354,10 +545,11 @@ async function collect() {
             wos: null,
             scopus: null,
             semanticScholar: null,
+            openalex: null,
             ora: null
           },
           metrics: {}
-        });
+        }, { source: 'orcid', sourceId: work['put-code'] }));
         } catch (workProcessError) {
           console.error('Error processing work:', workProcessError);
           console.log('Problematic work:', JSON.stringify(work).substring(0, 200) + '...');
@@ -373,30 +565,38 @@ async function collect() {
     if (oraData && oraData.publications) {
       console.log(`Processing ${oraData.publications.length} publications from ORA UNIURB`);
 
+      // Copy an ORA record's repository links, full text and missing metadata
+      const applyOraRecord = (publication, pub) => {
+        publication.source_urls.ora = pub.url;
+        publication.source_ids.ora = pub.handle;
+        publication.oraHandle = pub.handle;
+        publication.oraType = pub.type;
+        publication.oaPdfUrl = pub.oaPdfUrl || null;
+        abstracts.addCandidate(publication, 'ora', pub.abstract);
+        if (!publication.authors && pub.authors) {
+          publication.authors = pub.authors;
+        }
+        if (!publication.venue && (pub.journal || pub.publisher)) {
+          publication.venue = pub.journal || pub.publisher;
+        }
+        if (!publication.publisherUrl && pub.publisherUrl) {
+          publication.publisherUrl = pub.publisherUrl;
+        }
+      };
+
+      const oraTitleIndex = createTitleIndex(publicationsMap);
       oraData.publications.forEach(pub => {
         let matched = false;
+        const record = { doi: pub.doi, source_ids: { ora: pub.handle } };
 
         // Try to match by DOI first
         if (pub.doi) {
           const doiKey = `doi:${pub.doi.toLowerCase()}`;
-          if (publicationsMap.has(doiKey)) {
+          if (publicationsMap.has(doiKey) && canMatch(publicationsMap.get(doiKey), record, overrides)) {
             const publication = publicationsMap.get(doiKey);
-            publication.source_urls.ora = pub.url;
-            publication.source_ids.ora = pub.handle;
-            publication.oraHandle = pub.handle;
-            publication.oaPdfUrl = pub.oaPdfUrl || null;
-            if (pub.abstract && !publication.abstract) {
-              publication.abstract = pub.abstract;
-            }
-            if (!publication.authors && pub.authors) {
-              publication.authors = pub.authors;
-            }
-            if (!publication.venue && (pub.journal || pub.publisher)) {
-              publication.venue = pub.journal || pub.publisher;
-            }
-            if (!publication.publisherUrl && pub.publisherUrl) {
-              publication.publisherUrl = pub.publisherUrl;
-            }
+            recordMatch(publication, { source: 'ora', method: 'doi', sourceId: pub.handle }, () =>
+              applyOraRecord(publication, pub)
+            );
             console.log(`Matched ORA publication by DOI: "${pub.title}"`);
             matched = true;
           }
@@ -404,46 +604,30 @@ async function collect() {
 
         // If no DOI match, try by title
         if (!matched) {
-          const oraTitle = pub.title.toLowerCase().replace(/[^\w\s]/g, '');
-
-          for (const [_key, publication] of publicationsMap.entries()) {
-            const pubTitle = publication.title.toLowerCase().replace(/[^\w\s]/g, '');
-
-            if (isSimilarTitle(pubTitle, oraTitle)) {
-              publication.source_urls.ora = pub.url;
-              publication.source_ids.ora = pub.handle;
-              publication.oraHandle = pub.handle;
-              publication.oaPdfUrl = pub.oaPdfUrl || null;
-              if (pub.abstract && !publication.abstract) {
-                publication.abstract = pub.abstract;
-              }
-              if (!publication.authors && pub.authors) {
-                publication.authors = pub.authors;
-              }
-              if (!publication.venue && (pub.journal || pub.publisher)) {
-                publication.venue = pub.journal || pub.publisher;
-              }
-              if (!publication.publisherUrl && pub.publisherUrl) {
-                publication.publisherUrl = pub.publisherUrl;
-              }
+          const found = findTitleMatch(oraTitleIndex, pub.title, record, overrides);
+          if (found) {
+            const { publication } = found;
+            const match = { source: 'ora', ...found.match, sourceId: pub.handle, sourceTitle: pub.title };
+            recordMatch(publication, match, () => {
+              applyOraRecord(publication, pub);
               // Add DOI if missing
               if (!publication.doi && pub.doi) {
                 publication.doi = pub.doi;
               }
-              console.log(`Matched ORA publication by title: "${pub.title}"`);
-              matched = true;
-              break;
-            }
+            });
+            console.log(`Matched ORA publication by title: "${pub.title}"`);
+            matched = true;
           }
         }
 
         // If still no match, add as new entry (ORA has full-text access)
         if (!matched) {
-          const key = pub.doi
+          let key = pub.doi
             ? `doi:${pub.doi.toLowerCase()}`
             : `title:${pub.title.toLowerCase().replace(/[^\w\s]/g, '')}`;
+          if (publicationsMap.has(key)) key += '#ora';
 
-          publicationsMap.set(key, {
+          publicationsMap.set(key, recordCreation({
             title: pub.title,
             authors: pub.authors,
             venue: pub.journal || pub.publisher,
@@ -453,7 +637,8 @@ async function collect() {
               scholar: null,
               wos: null,
               scopus: null,
-              semanticScholar: null
+              semanticScholar: null,
+              openalex: null
             },
             source_urls: {
               orcid: null,
@@ -461,6 +646,7 @@ async function collect() {
               wos: null,
               scopus: null,
               semanticScholar: null,
+              openalex: null,
               ora: pub.url
             },
             source_ids: {
@@ -469,25 +655,30 @@ async function collect() {
               wos: null,
               scopus: null,
               semanticScholar: null,
+              openalex: null,
               ora: pub.handle
             },
             oraHandle: pub.handle,
             oraType: pub.type,
             oaPdfUrl: pub.oaPdfUrl || null,
             publisherUrl: pub.publisherUrl || null,
-            abstract: pub.abstract,
+            abstract_candidates: pub.abstract ? { ora: pub.abstract } : undefined,
             metrics: {}
-          });
+          }, { source: 'ora', sourceId: pub.handle }));
+          oraTitleIndex.add(key, publicationsMap.get(key));
           console.log(`Added new publication from ORA: "${pub.title}"`);
         }
       });
     }
 
     // Process Web of Science publications using generic processor
-    processPublicationSource(wosData, 'wos', publicationsMap, SOURCE_MAPPINGS.wos);
+    processPublicationSource(wosData, 'wos', publicationsMap, SOURCE_MAPPINGS.wos, overrides);
     
     // Process Scopus publications using generic processor
-    processPublicationSource(scopusData, 'scopus', publicationsMap, SOURCE_MAPPINGS.scopus);
+    processPublicationSource(scopusData, 'scopus', publicationsMap, SOURCE_MAPPINGS.scopus, overrides);
+
+    // Process OpenAlex publications using generic processor
+    processPublicationSource(openalexData, 'openalex', publicationsMap, SOURCE_MAPPINGS.openalex, overrides);
     
     // Process Crossref publications (AUTHORITATIVE SOURCE for author information)
     if (crossrefData && crossrefData.publications) {
@@ -499,31 +690,48 @@ async function collect() {
           const doiKey = `doi:${pub.doi.toLowerCase()}`;
           if (publicationsMap.has(doiKey)) {
             const publication = publicationsMap.get(doiKey);
-            
-            // PRIORITIZE Crossref authors as the authoritative source
-            if (pub.authors) {
-              publication.authors = pub.authors;
-              console.log(`✓ Updated authoritative authors from Crossref for: "${pub.title.substring(0, 60)}..."`);
-            }
-            
-            // Add other Crossref metadata
-            publication.source_urls.crossref = pub.url;
-            publication.crossref_type = pub.crossref_type;
-            publication.publisher = pub.publisher;
-            
-            // Update venue if more complete in Crossref
-            if (pub.venue && (!publication.venue || publication.venue.length < pub.venue.length)) {
-              publication.venue = pub.venue;
-            }
-            
-            // Update year if missing
-            if (!publication.year && pub.year) {
-              publication.year = pub.year;
-            }
+            recordMatch(publication, { source: 'crossref', method: 'doi', sourceId: pub.doi }, () => {
+              // PRIORITIZE Crossref authors as the authoritative source
+              if (pub.authors) {
+                publication.authors = pub.authors;
+                console.log(`✓ Updated authoritative authors from Crossref for: "${pub.title.substring(0, 60)}..."`);
+              }
+
+              // Add other Crossref metadata
+              publication.source_urls.crossref = pub.url;
+              publication.crossref_type = pub.crossref_type;
+              publication.publisher = pub.publisher;
+              if (pub.relations && pub.relations.length > 0) {
+                publication.crossref_relations = pub.relations;
+              }
+              // Retractions, corrections and other notices (see lib/editorial-notices.js)
+              if (pub.updated_by && pub.updated_by.length > 0) {
+                publication.crossref_updated_by = pub.updated_by;
+              }
+              if (pub.update_to && pub.update_to.length > 0) {
+                publication.crossref_update_to = pub.update_to;
+              }
+              // Funders and award numbers (see lib/project-funding.js)
+              if (pub.funding && pub.funding.length > 0) {
+                publication.funding = pub.funding;
+              }
+              Object.assign(publication, crossrefBibliographicFields(pub));
+              abstracts.addCandidate(publication, 'crossref', pub.abstract);
+
+              // Update venue if more complete in Crossref
+              if (pub.venue && (!publication.venue || publication.venue.length < pub.venue.length)) {
+                publication.venue = pub.venue;
+              }
+
+              // Update year if missing
+              if (!publication.year && pub.year) {
+                publication.year = pub.year;
+              }
+            });
           } else {
             // Add new publication from Crossref
             console.log(`Adding new publication from Crossref: "${pub.title.substring(0, 60)}..."`);
-            publicationsMap.set(doiKey, {
+            publicationsMap.set(doiKey, recordCreation({
               title: pub.title,
               authors: pub.authors,
               venue: pub.venue,
@@ -533,7 +741,8 @@ async function collect() {
                 scholar: null,
                 wos: null,
                 scopus: null,
-                semanticScholar: null
+                semanticScholar: null,
+                openalex: null
               },
               source_urls: {
                 orcid: null,
@@ -541,19 +750,27 @@ async function collect() {
                 wos: null,
                 scopus: null,
                 crossref: pub.url,
-                semanticScholar: null
+                semanticScholar: null,
+                openalex: null
               },
               source_ids: {
                 orcid: null,
                 scholar: null,
                 wos: null,
                 scopus: null,
-                semanticScholar: null
+                semanticScholar: null,
+                openalex: null
               },
               crossref_type: pub.crossref_type,
               publisher: pub.publisher,
+              crossref_relations: pub.relations && pub.relations.length > 0 ? pub.relations : undefined,
+              crossref_updated_by: pub.updated_by && pub.updated_by.length > 0 ? pub.updated_by : undefined,
+              crossref_update_to: pub.update_to && pub.update_to.length > 0 ? pub.update_to : undefined,
+              funding: pub.funding && pub.funding.length > 0 ? pub.funding : undefined,
+              ...crossrefBibliographicFields(pub),
+              abstract_candidates: pub.abstract ? { crossref: pub.abstract } : undefined,
               metrics: {}
-            });
+            }, { source: 'crossref', sourceId: pub.doi }));
           }
         }
       });
@@ -563,21 +780,23 @@ async function collect() {
     // title against the now-populated map of canonical, mostly DOI-keyed entries).
     if (scholarData && scholarData.publications) {
       console.log(`Processing ${scholarData.publications.length} publications from Google Scholar`);
+      const scholarTitleIndex = createTitleIndex(publicationsMap);
       scholarData.publications.forEach(pub => {
         // Normalize title for matching
         const scholarTitle = pub.title.toLowerCase().replace(/[^\w\s]/g, '');
+        const record = { source_ids: { scholar: pub.id } };
 
-        // Try to find a match in the map
-        let found = false;
-        for (const [, publication] of publicationsMap.entries()) {
-          const pubTitle = publication.title.toLowerCase().replace(/[^\w\s]/g, '');
-
-          // Check if titles are similar enough. Match against ALL existing
-          // entries (DOI-keyed included) — Scholar has no DOI, so title is the
-          // only join key. Restricting to title-keyed entries (the old bug)
-          // meant Scholar citations never reached DOI-keyed canonical papers
-          // and instead spawned duplicate entries.
-          if (isSimilarTitle(pubTitle, scholarTitle)) {
+        // Match against ALL existing entries (DOI-keyed included) — Scholar
+        // has no DOI, so title is the only join key. Restricting to
+        // title-keyed entries (the old bug) meant Scholar citations never
+        // reached DOI-keyed canonical papers and instead spawned duplicate
+        // entries.
+        const titleMatch = findTitleMatch(scholarTitleIndex, pub.title, record, overrides);
+        const found = titleMatch !== null;
+        if (found) {
+          const { publication } = titleMatch;
+          const match = { source: 'scholar', ...titleMatch.match, sourceId: pub.id, sourceTitle: pub.title };
+          recordMatch(publication, match, () => {
             // A paper can appear more than once on Scholar (title variants,
             // un-merged duplicates). Keep the highest citation count so a later,
             // lower (or blank) entry can't clobber the real number.
@@ -597,16 +816,14 @@ async function collect() {
             if (!publication.authors && pub.authors) {
               publication.authors = pub.authors;
             }
-
-            found = true;
-            break;
-          }
+          });
         }
 
         // If not found, add as new entry (a genuinely Scholar-only publication)
         if (!found) {
-          const key = `title:${scholarTitle}`;
-          publicationsMap.set(key, {
+          let key = `title:${scholarTitle}`;
+          if (publicationsMap.has(key)) key += '#scholar';
+          publicationsMap.set(key, recordCreation({
             title: pub.title,
             authors: pub.authors,
             venue: pub.venue,
@@ -616,7 +833,8 @@ async function collect() {
               scholar: pub.citations ? parseInt(pub.citations) : 0,
               wos: null,
               scopus: null,
-              semanticScholar: null
+              semanticScholar: null,
+              openalex: null
             },
             source_urls: {
               orcid: null,
@@ -624,6 +842,7 @@ async function collect() {
               wos: null,
               scopus: null,
               semanticScholar: null,
+              openalex: null,
               ora: null
             },
             source_ids: {
@@ -632,16 +851,18 @@ async function collect() {
               wos: null,
               scopus: null,
               semanticScholar: null,
+              openalex: null,
               ora: null
             },
             metrics: {}
-          });
+          }, { source: 'scholar', sourceId: pub.id }));
+          scholarTitleIndex.add(key, publicationsMap.get(key));
         }
       });
     }
 
     // Process Semantic Scholar publications using generic processor
-    processPublicationSource(semanticScholarData, 'semanticScholar', publicationsMap, SOURCE_MAPPINGS.semanticScholar);
+    processPublicationSource(semanticScholarData, 'semanticScholar', publicationsMap, SOURCE_MAPPINGS.semanticScholar, overrides);
 
     // Final pass: merge entries that share the same DOI.
     //
@@ -654,20 +875,81 @@ async function collect() {
     // variants of the same work collapse too. Entries without a DOI are left
     // untouched — we deliberately do NOT merge by title here, to avoid wrongly
     // collapsing distinct papers with similar titles.
-    const mergedByDoi = mergeDuplicateDois(publicationsMap);
-
-    // Drop research-data artifacts (deposited datasets, R scripts, data files) —
-    // see isDataArtifact(). They are not publications and shouldn't appear in the
-    // list or count toward the metrics below.
-    const publications = Array.from(mergedByDoi.values())
-      .filter(pub => !isDataArtifact(pub))
-      .map(pub => {
+    const mergedByDoi = mergeDuplicateDois(publicationsMap, overrides);
+
+    // Give every work its permanent ID, merge what the registry or the
+    // overrides say is one work, apply the manual corrections, and drop hidden
+    // works and research-data artifacts (deposited datasets, R scripts, data
+    // files — see isDataArtifact()). Those are not publications and shouldn't
+    // appear in the list or count toward the metrics below; they are listed
+    // in datasets.json instead.
+    const now = new Date().toISOString();
+    const registry = publicationRegistry.loadRegistry();
+    const artifacts = [];
+    const works = identifyWorks(Array.from(mergedByDoi.values()), registry, overrides, now, artifacts);
+
+    // Pick each work's abstract from its sources' and list the works with none
+    const abstractReport = abstracts.fillAbstracts(works);
+    const abstractSources = Object.entries(abstractReport.bySource).map(([source, count]) => `${count} from ${source}`);
+    console.log(`Abstracts: ${abstractSources.join(', ')}; ${abstractReport.missing.length} work(s) without one`);
+    for (const pub of abstractReport.missing) {
+      console.log(`  No abstract: "${pub.title.substring(0, 60)}"${pub.doi ? ` (${pub.doi})` : ''}`);
+    }
+
+    // One type per work from the sources' types (see lib/publication-types.js)
+    const typeCounts = publicationTypes.classifyAll(works);
+    console.log(`Types: ${Object.entries(typeCounts).map(([type, count]) => `${count} ${type}`).join(', ')}`);
+
+    // Link preprints to their published versions (kept as separate works)
+    const preprintLinks = publicationVersions.linkVersions(works);
+    if (preprintLinks > 0) {
+      console.log(`Linked ${preprintLinks} preprint(s) to their published versions`);
+    }
+
+    // Label retracted, corrected and otherwise noticed works
+    for (const pub of editorialNotices.applyNotices(works)) {
+      const message = `Editorial notice (${pub.notice_status}): "${pub.title.substring(0, 60)}"`;
+      if (editorialNotices.isRetracted(pub)) console.warn(message);
+      else console.log(message);
+    }
+
+    // Link works to the projects in _data/projects.yml that funded them
+    const projects = projectFunding.loadProjects();
+    const projectLinks = projectFunding.linkProjects(works, projects);
+    if (projectLinks > 0) {
+      console.log(`Linked ${projectLinks} work(s) to funded projects`);
+    }
+
+    // Look for PDFs ORA's OAI feed has not caught up with, then in Unpaywall,
+    // so they count as evidence and deposits below
+    const pdfsFound = await openAccess.resolvePdfs(works, config.email);
+    if (pdfsFound.oraSearch > 0 || pdfsFound.unpaywall > 0) {
+      console.log(`Found ${pdfsFound.oraSearch} PDF(s) by ORA search and ${pdfsFound.unpaywall} in Unpaywall`);
+    }
+
+    // Classify open access and check the EU-funded works' repository deposits
+    const oaCounts = openAccess.classifyAll(works);
+    const oaSummary = Object.entries(oaCounts).map(([status, count]) => `${count} ${status}`);
+    console.log(`Open access: ${oaSummary.join(', ')}`);
+    const oaReport = openAccess.depositReport(works, projects, now);
+    for (const pub of oaReport.missing) {
+      console.warn(`Missing repository deposit (${pub.programme}, due ${pub.due}): "${pub.title.substring(0, 60)}"`);
+    }
+
+    // Group the data artifacts by deposit and link them to the papers they
+    // replicate
+    const deposits = datasets.groupDeposits(artifacts);
+    const replicationLinks = datasets.linkReplications(deposits, works);
+    console.log(`Found ${deposits.length} data deposit(s), ${replicationLinks} linked to a paper`);
+
+    const publications = works.map(pub => {
       // Calculate best citation count
       const citationCounts = [
         pub.citations.scholar, 
         pub.citations.wos, 
         pub.citations.scopus,
-        pub.citations.semanticScholar
+        pub.citations.semanticScholar,
+        pub.citations.openalex
       ].filter(count => count !== null);
       
       pub.metrics = {
@@ -692,15 +974,50 @@ async function collect() {
         with_wos: publications.filter(pub => pub.citations.wos !== null).length,
         with_scopus: publications.filter(pub => pub.citations.scopus !== null).length,
         with_semanticScholar: publications.filter(pub => pub.citations.semanticScholar !== null).length,
+        with_openalex: publications.filter(pub => pub.citations.openalex !== null).length,
         with_crossref: publications.filter(pub => pub.source_urls && pub.source_urls.crossref).length,
         with_ora: publications.filter(pub => pub.source_urls && pub.source_urls.ora !== null).length
-      }
+      },
+      // g-index, m-quotient, per-source and recent indicators, authorship
+      ...computeBibliometrics(publications, now)
     };
     
+    // The aggregate is only as real as its inputs
+    const sources = [orcidData, scholarData, wosData, scopusData, semanticScholarData, openalexData, oraData];
+    const provenance = sources.some(isMock) ? PROVENANCE.MOCK : PROVENANCE.LIVE;
+
+    // The registry, datasets.json, oa-compliance.json and the citation
+    // history must only change along with aggregated-publications.json, so
+    // the scheduler writes them once that has been validated and written
+    const sideWrites = [
+      () => publicationRegistry.saveRegistry(registry, now),
+      () => datasets.saveDatasets(deposits, { lastUpdated: now, provenance }),
+      () => openAccess.saveCompliance({ by_status: oaCounts, ...oaReport }, { lastUpdated: now, provenance })
+    ];
+
+    // Add today's counts to the per-work citation history (mock counts would
+    // show up in it as real gains)
+    if (provenance === PROVENANCE.LIVE) {
+      const history = citationHistory.loadCitationHistory();
+      // Date each source's counts by when it collected them: a blocked
+      // collector leaves an older file, which must not pass for today's counts
+      const collectedAt = {
+        scholar: scholarData && scholarData.lastUpdated,
+        wos: wosData && wosData.lastUpdated,
+        scopus: scopusData && scopusData.lastUpdated,
+        semanticScholar: semanticScholarData && semanticScholarData.lastUpdated,
+        openalex: openalexData && openalexData.lastUpdated
+      };
+      citationHistory.recordCitations(history, publications, registry, now, collectedAt);
+      sideWrites.push(() => citationHistory.saveCitationHistory(history, now));
+    }
+
     return {
       publications,
       metrics,
-      lastUpdated: new Date().toISOString()
+      lastUpdated: now,
+      provenance,
+      [SIDE_WRITES]: sideWrites
     };
   } catch (error) {
     console.error('Error aggregating publication data:', error);
@@ -708,26 +1025,6 @@ async function collect() {
   }
 }
 
-/**
- * Calculate h-index from an array of citation counts
- */
-function calculateHIndex(citations) {
-  // Sort citations in descending order
-  const sortedCitations = [...citations].sort((a, b) => b - a);
-  
-  // Find the largest index i where sortedCitations[i] >= i+1
-  let hIndex = 0;
-  for (let i = 0; i < sortedCitations.length; i++) {
-    if (sortedCitations[i] >= i + 1) {
-      hIndex = i + 1;
-    } else {
-      break;
-    }
-  }
-  
-  return hIndex;
-}
-
 /**
  * Decide whether an aggregated entry is a research-data artifact rather than a
  * publication. ORCID surfaces deposited datasets, R scripts and data files (e.g.
@@ -735,28 +1032,18 @@ function calculateHIndex(citations) {
  * "itanes_data.tab", "5_sna.R", "Replication Data for: ...", "new fileset") as
  * works. Most are typed `data-set`; a few Figshare deposits are mistyped `other`
  * by ORCID, so we also treat any Figshare DOI as data (this author uses Figshare
- * only for data/figures, never papers).
+ * only for data/figures, never papers). The type goes through the taxonomy, so
+ * an override written as `dataset` counts as well as ORCID's `data-set`.
  *
  * @param {Object} pub - Aggregated publication entry
- * @returns {boolean} True if the entry should be excluded from the publication list
+ * @returns {boolean} True if the entry should be listed as data (see lib/datasets.js)
+ *   rather than as a publication
  */
 function isDataArtifact(pub) {
-  return pub.type === 'data-set' ||
+  return publicationTypes.normalizeType(pub.type) === 'dataset' ||
     (!!pub.doi && /^10\.6084\/m9\.figshare/i.test(pub.doi));
 }
 
-/**
- * Normalise a DOI for duplicate detection: lower-case and strip a trailing
- * version suffix (e.g. the `_v1` / `_v2` that OSF/preprint servers append to
- * successive versions of the same deposit).
- *
- * @param {string} doi - Raw DOI
- * @returns {string} Normalised DOI key
- */
-function normalizeDoi(doi) {
-  return doi.toLowerCase().replace(/_v\d+$/, '');
-}
-
 /**
  * Merge a non-null source value into a publication, only when the target is
  * currently empty. Used to union nested {source: value} objects without letting
@@ -771,16 +1058,77 @@ function mergeFillObject(target, source) {
   });
 }
 
+/**
+ * Merge a duplicate entry into another without dropping any source's
+ * contribution: max citation count per source, union of source urls/ids,
+ * first non-null scalar fields. The kept entry's merge_history records the
+ * merge, with the duplicate's own history nested under it.
+ *
+ * @param {Object} existing - Entry that is kept, updated in place
+ * @param {Object} pub - Duplicate entry
+ * @param {string} method - Why they are one work: 'doi', 'normalized-doi',
+ *   'registry' or 'override'
+ */
+function mergePublication(existing, pub, method) {
+  const history = pub.merge_history || [];
+  const match = {
+    source: history.length > 0 ? history[0].source : 'unknown',
+    method,
+    sourceId: pub.doi || null,
+    sourceTitle: pub.title,
+    history
+  };
+  recordMatch(existing, match, () => fillFromDuplicate(existing, pub));
+}
+
+function fillFromDuplicate(existing, pub) {
+  // `_v1`/`_v2` DOIs of one deposit: keep the list of versions.
+  publicationVersions.addDoiVersions(existing, pub);
+
+  // Citations: keep the highest count seen from each source.
+  Object.keys(existing.citations).forEach(source => {
+    const a = existing.citations[source];
+    const b = pub.citations[source];
+    if (b !== null && b !== undefined) {
+      existing.citations[source] = a === null || a === undefined ? b : Math.max(a, b);
+    }
+  });
+
+  // Source URLs and IDs: union, preferring values already present.
+  mergeFillObject(existing.source_urls, pub.source_urls);
+  mergeFillObject(existing.source_ids, pub.source_ids);
+  if (pub.abstract_candidates) {
+    existing.abstract_candidates = existing.abstract_candidates || {};
+    mergeFillObject(existing.abstract_candidates, pub.abstract_candidates);
+  }
+
+  // Metadata: fill any gaps from the duplicate.
+  [
+    'authors', 'venue', 'year', 'month', 'day', 'publicationDate', 'type',
+    'crossref_type', 'openalexType', 'publisher', 'oraHandle', 'oraType', 'oaPdfUrl',
+    'influentialCitations', 'topics', 'oaStatus', 'oaUrl', 'oaRepositoryFulltext',
+    'citationsByYear', 'referencedWorksCount', 'arxivId', 'crossref_relations',
+    'crossref_updated_by', 'crossref_update_to', 'funding', 'volume', 'issue', 'pages',
+    'issn', 'isbn', 'language', 'subjects', 'crossref_authors', 'crossref_editors'
+  ].forEach(field => {
+    if ((existing[field] === null || existing[field] === undefined) &&
+        pub[field] !== null && pub[field] !== undefined) {
+      existing[field] = pub[field];
+    }
+  });
+}
+
 /**
  * Final-pass de-duplication: collapse map entries that resolve to the same
- * normalised DOI into a single record, preserving the richest information from
- * each (max citation count per source, union of source urls/ids, first non-null
- * scalar fields). Entries without a DOI pass through unchanged.
+ * normalised DOI into a single record (see mergePublication()). Entries
+ * without a DOI, and entries a split override keeps apart, pass through
+ * unchanged.
  *
  * @param {Map} publicationsMap - The fully-populated publications map
+ * @param {Object} [overrides] - Publication overrides whose splits block merges
  * @returns {Map} A new map keyed by normalised DOI (or original key when no DOI)
  */
-function mergeDuplicateDois(publicationsMap) {
+function mergeDuplicateDois(publicationsMap, overrides = NO_OVERRIDES) {
   const merged = new Map();
 
   for (const [key, pub] of publicationsMap.entries()) {
@@ -798,79 +1146,130 @@ function mergeDuplicateDois(publicationsMap) {
       continue;
     }
 
-    // Merge `pub` into `existing` without dropping any source's contribution.
-    console.log(`Merging duplicate DOI entry: "${pub.title.substring(0, 60)}" (${pub.doi})`);
-
-    // Citations: keep the highest count seen from each source.
-    Object.keys(existing.citations).forEach(source => {
-      const a = existing.citations[source];
-      const b = pub.citations[source];
-      if (b !== null && b !== undefined) {
-        existing.citations[source] = a === null || a === undefined ? b : Math.max(a, b);
-      }
-    });
+    if (!canMatch(existing, pub, overrides)) {
+      merged.set(key, pub);
+      continue;
+    }
 
-    // Source URLs and IDs: union, preferring values already present.
-    mergeFillObject(existing.source_urls, pub.source_urls);
-    mergeFillObject(existing.source_ids, pub.source_ids);
-
-    // Scalar metadata: fill any gaps from the duplicate.
-    [
-      'authors', 'venue', 'year', 'month', 'day', 'publicationDate', 'type',
-      'crossref_type', 'publisher', 'oraHandle', 'oraType', 'oaPdfUrl', 'abstract',
-      'influentialCitations'
-    ].forEach(field => {
-      if ((existing[field] === null || existing[field] === undefined) &&
-          pub[field] !== null && pub[field] !== undefined) {
-        existing[field] = pub[field];
-      }
-    });
+    console.log(`Merging duplicate DOI entry: "${pub.title.substring(0, 60)}" (${pub.doi})`);
+    const sameDoi = existing.doi.toLowerCase() === pub.doi.toLowerCase();
+    mergePublication(existing, pub, sameDoi ? 'doi' : 'normalized-doi');
   }
 
   return merged;
 }
 
 /**
- * Check if two titles are similar enough to be considered the same paper
- * Uses Dice coefficient via string-similarity library for robust matching
+ * Give each aggregated entry its permanent ID from the publication registry
+ * and apply the manual overrides: entries the registry or a `merge` override
+ * says are one work are merged, `works` corrections are applied (the
+ * corrected fields are listed in the entry's `overrides`), and hidden works
+ * and data artifacts are dropped. Data artifacts a `hide: false` correction
+ * does not keep are handed back in `artifacts`.
  *
- * @param {string} title1 - First title to compare
- * @param {string} title2 - Second title to compare
- * @param {number} threshold - Similarity threshold (default 0.8)
- * @returns {boolean} - True if titles are similar enough
+ * @param {Object[]} entries - Aggregated entries after mergeDuplicateDois()
+ * @param {Object} registry - loadRegistry() result, updated in place
+ * @param {Object} overrides - loadOverrides() result
+ * @param {string} now - ISO timestamp of this run
+ * @param {Object[]} [artifacts] - Receives the data artifacts that are
+ *   dropped, each with its `id`
+ * @returns {Object[]} The works to publish, each with an `id`
  */
-function isSimilarTitle(title1, title2, threshold = 0.8) {
-  // Clean and normalize titles
-  const t1 = title1.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
-  const t2 = title2.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
-
-  // Handle edge cases
-  if (!t1 || !t2) return false;
-  if (t1 === t2) return true;
+function identifyWorks(entries, registry, overrides, now, artifacts = []) {
+  const { resolveRef } = publicationRegistry;
+  publicationRegistry.applySplits(registry, overrides.split);
+  const ids = publicationRegistry.assignIds(registry, entries, {
+    keepsApart: overrides.keepsApart,
+    now
+  });
 
-  // Check if one is a substring of the other (common with subtitles)
-  if (t1.includes(t2) || t2.includes(t1)) {
-    return true;
+  const registered = ids.map(id => resolveRef(registry, id));
+  for (const group of overrides.merge) {
+    const [keepId, ...otherIds] = group.map(ref => resolveRef(registry, ref));
+    if (!keepId || otherIds.includes(null)) {
+      console.warn(`Publication override: cannot merge ${group.join(', ')}, not all of them are known`);
+      continue;
+    }
+    otherIds.forEach(otherId => publicationRegistry.mergeWorks(registry, keepId, otherId));
   }
 
-  // Use Dice coefficient for string similarity (more robust than Levenshtein for titles)
-  const similarity = stringSimilarity.compareTwoStrings(t1, t2);
+  // Entries that share an ID after the registry's and the overrides' merges
+  // are one work. Those the registry had not joined before the merge
+  // overrides were applied are joined by an override.
+  const works = new Map();
+  const registeredAs = new Map();
+  entries.forEach((pub, i) => {
+    const id = resolveRef(registry, ids[i]);
+    const existing = works.get(id);
+    if (existing) {
+      console.log(`Merging entries of ${id}: "${pub.title.substring(0, 60)}"`);
+      const method = registeredAs.get(id) === registered[i] ? 'registry' : 'override';
+      mergePublication(existing, pub, method);
+    } else {
+      works.set(id, { id, ...pub });
+      registeredAs.set(id, registered[i]);
+    }
+  });
 
-  // Use higher threshold for short titles to avoid false positives
-  const minLength = Math.min(t1.length, t2.length);
-  const adjustedThreshold = minLength < 30 ? 0.85 : threshold;
+  const corrections = new Map();
+  for (const [ref, correction] of overrides.works) {
+    const id = resolveRef(registry, ref);
+    if (!id) {
+      console.warn(`Publication override: no work is known as ${ref}`);
+      continue;
+    }
+    corrections.set(id, { ...corrections.get(id), ...correction });
+  }
 
-  return similarity >= adjustedThreshold;
+  return Array.from(works.values()).filter(pub => {
+    const correction = corrections.get(pub.id);
+    if (correction) {
+      const corrected = publicationOverrides.applyCorrection(pub, correction);
+      if (corrected.length > 0) pub.overrides = corrected;
+      if (correction.hide !== undefined) return !correction.hide;
+    }
+    if (!isDataArtifact(pub)) return true;
+    artifacts.push(pub);
+    return false;
+  });
+}
+
+/**
+ * Check if two titles are similar enough to be considered the same paper
+ * (see compareTitles()).
+ *
+ * @returns {boolean} - True if titles are similar enough
+ */
+function isSimilarTitle(title1, title2, threshold = 0.8) {
+  return compareTitles(title1, title2, threshold) !== null;
 }
 
 module.exports = {
   collect,
+  name: 'publications-aggregator',
+  // Scholar is blocked often enough that requiring every source to be fresh
+  // would stall the whole publications branch; a failed source's last-good
+  // file is merged instead.
+  pipeline: {
+    output: 'aggregated-publications.json',
+    outputs: [
+      'public/data/crossref.json',
+      'public/data/publication-registry.json',
+      'public/data/citation-history.json',
+      'public/data/datasets.json',
+      'public/data/oa-compliance.json'
+    ],
+    dependsOn: ['orcid', 'scholar', 'wos', 'scopus', 'semantic-scholar', 'openalex', 'ora'],
+    allowStaleInputs: true
+  },
   // Export utilities for testing
   _testing: {
     isSimilarTitle,
+    compareTitles,
     isDataArtifact,
     normalizeDoi,
     mergeDuplicateDois,
+    identifyWorks,
     calculateHIndex,
     loadDataFile,
     processPublicationSource,
@@ -11,29 +11,13 @@
  * slot has not yet arrived, so a badge appears as soon as the audio is live.
  */
 
-const https = require('https');
+const config = require('../config');
+const httpClient = require('../lib/http-client');
 
 class ResearchRadioCollector {
   constructor() {
-    this.episodesUrl = 'https://fabiogiglietto.github.io/research-radio/episodes.json';
-  }
-
-  async fetchFromUrl(url) {
-    return new Promise((resolve, reject) => {
-      https.get(url, (res) => {
-        let data = '';
-
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-
-        res.on('end', () => {
-          resolve(data);
-        });
-      }).on('error', (err) => {
-        reject(new Error(`HTTPS request failed: ${err.message}`));
-      });
-    });
+    this.episodesUrl = config.feeds.researchRadioEpisodes;
+    this.siteUrl = config.feeds.researchRadioSite || this.episodesUrl;
   }
 
   /**
@@ -84,8 +68,7 @@ class ResearchRadioCollector {
     try {
       console.log('Fetching Research Radio episodes...');
 
-      const raw = await this.fetchFromUrl(this.episodesUrl);
-      const data = JSON.parse(raw);
+      const data = await httpClient.getJson(this.episodesUrl);
       const episodes = (data.episodes || []).map((ep) => this.parseEpisode(ep));
 
       console.log(`Found ${episodes.length} podcast episodes`);
@@ -109,7 +92,7 @@ class ResearchRadioCollector {
         episodesByDoi: episodesByDoi,
         totalEpisodes: episodes.length,
         lastUpdated: new Date().toISOString(),
-        source: 'https://fabiogiglietto.github.io/research-radio/'
+        source: this.siteUrl
       };
 
       console.log(`Successfully processed ${episodes.length} Research Radio episodes`);
@@ -125,7 +108,7 @@ class ResearchRadioCollector {
         totalEpisodes: 0,
         error: error.message,
         lastUpdated: new Date().toISOString(),
-        source: 'https://fabiogiglietto.github.io/research-radio/'
+        source: this.siteUrl
       };
     }
   }
@@ -135,5 +118,10 @@ const collector = new ResearchRadioCollector();
 
 module.exports = {
   collect: () => collector.collect(),
-  name: 'research-radio'
+  name: 'research-radio',
+  pipeline: {
+    output: 'research-radio.json',
+    mirrorToData: true,
+    enabled: () => Boolean(config.feeds.researchRadioEpisodes)
+  }
 };
@@ -4,7 +4,7 @@
  * Scrapes publication data from Google Scholar profile
  */
 
-const axios = require('axios');
+const httpClient = require('../lib/http-client');
 const cheerio = require('cheerio');
 const config = require('../config');
 
@@ -12,8 +12,6 @@ const config = require('../config');
 const PAGE_SIZE = 100;
 const MAX_PAGES = 10; // safety cap (1000 publications)
 
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
 async function collect() {
   console.log('Collecting Google Scholar data...');
 
@@ -33,7 +31,7 @@ async function collect() {
     for (let page = 0; page < MAX_PAGES; page++) {
       const cstart = page * PAGE_SIZE;
       const url = `https://scholar.google.com/citations?user=${scholarId}&cstart=${cstart}&pagesize=${PAGE_SIZE}`;
-      const response = await axios.get(url, { headers });
+      const response = await httpClient.get(url, { headers });
       const $ = cheerio.load(response.data);
 
       const rows = $('.gsc_a_tr');
@@ -81,9 +79,6 @@ async function collect() {
 
       // Fewer rows than a full page means we've reached the end.
       if (rows.length < PAGE_SIZE) break;
-
-      // Be gentle between requests to reduce the chance of being blocked.
-      await delay(1500);
     }
 
     console.log(`Collected ${publications.length} Scholar publications across pages.`);
@@ -101,5 +96,6 @@ async function collect() {
 
 module.exports = {
   collect,
-  name: 'scholar'
+  name: 'scholar',
+  pipeline: { output: 'scholar.json' }
 };
\ No newline at end of file
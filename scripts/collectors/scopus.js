@@ -4,38 +4,9 @@
  * Fetches publication data and citation metrics from Scopus API
  */
 
-const axios = require('axios');
-
-/**
- * Makes an API request with retries
- * @param {Function} requestFn - The function that makes the request
- * @param {number} maxRetries - Maximum number of retry attempts
- * @param {number} delay - Delay between retries in ms
- * @returns {Promise} - The response from the API
- */
-async function withRetry(requestFn, maxRetries = 3, delay = 1000) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await requestFn();
-    } catch (error) {
-      lastError = error;
-      // Don't retry on 401 (authentication errors)
-      if (error.response && error.response.status === 401) {
-        throw error;
-      }
-      console.log(`Attempt ${attempt} failed. ${attempt < maxRetries ? `Retrying in ${delay/1000}s...` : 'No more retries.'}`);
-      if (attempt < maxRetries) {
-        await new Promise(resolve => setTimeout(resolve, delay));
-        // Exponential backoff
-        delay *= 2;
-      }
-    }
-  }
-  
-  throw lastError;
-}
+const config = require('../config');
+const httpClient = require('../lib/http-client');
+const { PROVENANCE } = require('../lib/provenance');
 
 async function collect() {
   console.log('Collecting Scopus data...');
@@ -43,8 +14,7 @@ async function collect() {
   // Get API key from environment variable
   const apiKey = process.env.SCOPUS_API_KEY;
   
-  // Author ID for Fabio Giglietto in Scopus
-  const authorId = '55570380700';
+  const authorId = config.scopusAuthorId;
   
   // Check if this is running on GitHub Actions
   const isGitHubActions = process.env.GITHUB_ACTIONS === 'true';
@@ -81,21 +51,18 @@ async function collect() {
     let response;
     
     try {
-      response = await withRetry(async () => {
-        // Include API key in both URL params and headers (this sometimes works better)
-        const params = new URLSearchParams({
-          ...queryParams,
-          apiKey: apiKey
-        }).toString();
-        
-        return await axios.get(`${baseUrl}?${params}`, {
-          headers: {
-            'Accept': 'application/json',
-            'X-ELS-APIKey': apiKey,
-            'X-ELS-Insttoken': process.env.SCOPUS_INSTTOKEN || '',
-            'User-Agent': 'FabioGigliettoAcademicWebsite/1.0'
-          }
-        });
+      // Include API key in both URL params and headers (this sometimes works better)
+      const params = new URLSearchParams({
+        ...queryParams,
+        apiKey: apiKey
+      }).toString();
+      
+      response = await httpClient.get(`${baseUrl}?${params}`, {
+        headers: {
+          'Accept': 'application/json',
+          'X-ELS-APIKey': apiKey,
+          'X-ELS-Insttoken': process.env.SCOPUS_INSTTOKEN || ''
+        }
       });
     } catch (error) {
       // If first method fails, try the second method
@@ -105,7 +72,7 @@ async function collect() {
         console.log(`First method failed with status code: ${error.response.status}`);
         // Log only brief error data for security
         console.log(`Error type: ${error.response.data?.['service-error']?.status?.statusCode || 'Unknown'}`);
-      } else if (error.request) {
+      } else if (error.code === 'ERR_NETWORK' || error.code === 'ERR_TIMEOUT') {
         console.log('Network error in first method attempt');
       } else {
         console.log(`Error in first method: ${error.message}`);
@@ -115,15 +82,12 @@ async function collect() {
       const params = new URLSearchParams(queryParams).toString();
       
       try {
-        response = await withRetry(async () => {
-          return await axios.get(`${baseUrl}?${params}`, {
-            headers: {
-              'Accept': 'application/json',
-              'X-ELS-APIKey': apiKey,
-              'X-ELS-Insttoken': process.env.SCOPUS_INSTTOKEN || '',
-              'User-Agent': 'FabioGigliettoAcademicWebsite/1.0'
-            }
-          });
+        response = await httpClient.get(`${baseUrl}?${params}`, {
+          headers: {
+            'Accept': 'application/json',
+            'X-ELS-APIKey': apiKey,
+            'X-ELS-Insttoken': process.env.SCOPUS_INSTTOKEN || ''
+          }
         });
       } catch (secondError) {
         console.log('Both authentication methods failed');
@@ -136,7 +100,7 @@ async function collect() {
         }).toString();
         
         try {
-          const authorResponse = await axios.get(`${authorApiUrl}?${authorParams}`, {
+          const authorResponse = await httpClient.get(`${authorApiUrl}?${authorParams}`, {
             headers: {
               'Accept': 'application/json',
               'X-ELS-APIKey': apiKey
@@ -157,7 +121,7 @@ async function collect() {
               count: 25  // Smaller count
             }).toString();
             
-            response = await axios.get(`${baseUrl}?${minimalParams}`, {
+            response = await httpClient.get(`${baseUrl}?${minimalParams}`, {
               headers: {
                 'Accept': 'application/json',
                 'X-ELS-APIKey': apiKey
@@ -276,7 +240,7 @@ async function collect() {
           : error.response.data;
         console.error(`Response data: ${errorData}`);
       }
-    } else if (error.request) {
+    } else if (error.code === 'ERR_NETWORK' || error.code === 'ERR_TIMEOUT') {
       console.error('Network error: No response received from Scopus API');
       console.log('Please check your internet connection');
     } else {
@@ -339,11 +303,13 @@ function getMockData() {
       documentCount: mockPublications.length,
       citationCount: citationCount
     },
-    lastUpdated: new Date().toISOString()
+    lastUpdated: new Date().toISOString(),
+    provenance: PROVENANCE.MOCK
   };
 }
 
 module.exports = {
   collect,
-  name: 'scopus'
+  name: 'scopus',
+  pipeline: { output: 'scopus.json', enabled: () => Boolean(config.scopusAuthorId) }
 };
\ No newline at end of file
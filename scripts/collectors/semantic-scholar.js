@@ -4,42 +4,9 @@
  * Fetches publication data and citation metrics from Semantic Scholar API
  */
 
-const axios = require('axios');
-
-/**
- * Makes an API request with retries and rate limiting
- * @param {Function} requestFn - The function that makes the request
- * @param {number} maxRetries - Maximum number of retry attempts
- * @param {number} delay - Delay between retries in ms
- * @returns {Promise} - The response from the API
- */
-async function withRetry(requestFn, maxRetries = 3, delay = 1000) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      // Rate limiting: wait 1 second between requests as per S2 API limits
-      if (attempt > 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-      return await requestFn();
-    } catch (error) {
-      lastError = error;
-      // Don't retry on 401 (authentication errors)
-      if (error.response && error.response.status === 401) {
-        throw error;
-      }
-      console.log(`Attempt ${attempt} failed. ${attempt < maxRetries ? `Retrying in ${delay/1000}s...` : 'No more retries.'}`);
-      if (attempt < maxRetries) {
-        await new Promise(resolve => setTimeout(resolve, delay));
-        // Exponential backoff
-        delay *= 2;
-      }
-    }
-  }
-  
-  throw lastError;
-}
+const config = require('../config');
+const httpClient = require('../lib/http-client');
+const { PROVENANCE } = require('../lib/provenance');
 
 async function collect() {
   console.log('Collecting Semantic Scholar data...');
@@ -47,8 +14,7 @@ async function collect() {
   // Get API key from environment variable
   const apiKey = process.env.S2_API_KEY;
   
-  // Author ID for Fabio Giglietto in Semantic Scholar
-  const authorId = '2045956';
+  const authorId = config.semanticScholarId;
   
   // Check if this is running on GitHub Actions
   const isGitHubActions = process.env.GITHUB_ACTIONS === 'true';
@@ -74,33 +40,27 @@ async function collect() {
     
     // First, get author information
     console.log('Fetching author profile...');
-    const authorResponse = await withRetry(async () => {
-      return await axios.get(`${baseUrl}/author/${authorId}`, {
-        headers: {
-          'x-api-key': apiKey,
-          'User-Agent': 'FabioGigliettoAcademicWebsite/1.0'
-        },
-        params: {
-          fields: 'name,affiliations,homepage,paperCount,citationCount,hIndex'
-        }
-      });
+    const authorResponse = await httpClient.get(`${baseUrl}/author/${authorId}`, {
+      headers: {
+        'x-api-key': apiKey
+      },
+      params: {
+        fields: 'name,affiliations,homepage,paperCount,citationCount,hIndex'
+      }
     });
     
     console.log(`Author profile retrieved: ${authorResponse.data.name}`);
     
     // Get author's papers with detailed information
     console.log('Fetching author papers...');
-    const papersResponse = await withRetry(async () => {
-      return await axios.get(`${baseUrl}/author/${authorId}/papers`, {
-        headers: {
-          'x-api-key': apiKey,
-          'User-Agent': 'FabioGigliettoAcademicWebsite/1.0'
-        },
-        params: {
-          fields: 'paperId,title,abstract,venue,year,referenceCount,citationCount,influentialCitationCount,isOpenAccess,openAccessPdf,fieldsOfStudy,authors,externalIds',
-          limit: 1000  // Get up to 1000 papers
-        }
-      });
+    const papersResponse = await httpClient.get(`${baseUrl}/author/${authorId}/papers`, {
+      headers: {
+        'x-api-key': apiKey
+      },
+      params: {
+        fields: 'paperId,title,abstract,venue,year,referenceCount,citationCount,influentialCitationCount,isOpenAccess,openAccessPdf,fieldsOfStudy,authors,externalIds',
+        limit: 1000  // Get up to 1000 papers
+      }
     });
     
     console.log(`Retrieved ${papersResponse.data.data.length} papers from Semantic Scholar`);
@@ -190,7 +150,7 @@ async function collect() {
           : error.response.data;
         console.error(`Response data: ${errorData}`);
       }
-    } else if (error.request) {
+    } else if (error.code === 'ERR_NETWORK' || error.code === 'ERR_TIMEOUT') {
       console.error('Network error: No response received from Semantic Scholar API');
       console.log('Please check your internet connection');
     } else {
@@ -268,11 +228,16 @@ function getMockData() {
       citationCount: mockPublications.reduce((sum, pub) => sum + pub.citations, 0),
       influentialCitationCount: mockPublications.reduce((sum, pub) => sum + pub.influentialCitations, 0)
     },
-    lastUpdated: new Date().toISOString()
+    lastUpdated: new Date().toISOString(),
+    provenance: PROVENANCE.MOCK
   };
 }
 
 module.exports = {
   collect,
-  name: 'semantic-scholar'
+  name: 'semantic-scholar',
+  pipeline: {
+    output: 'semantic-scholar.json',
+    enabled: () => Boolean(config.semanticScholarId)
+  }
 };
\ No newline at end of file
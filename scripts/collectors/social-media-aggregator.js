@@ -1,13 +1,13 @@
 // Load environment variables from .env file for local development
 require('dotenv').config();
 
-const fs = require('fs');
+const config = require('../config');
+const dataStore = require('../lib/data-store');
 const path = require('path');
-const { promisify } = require('util');
-const writeFileAsync = promisify(fs.writeFile);
-const axios = require('axios');
+const httpClient = require('../lib/http-client');
 const yaml = require('js-yaml');
 const { getGeminiClient, MODELS } = require('../helpers/gemini-client');
+const llmLedger = require('../lib/llm-ledger');
 
 // Check for API keys
 const hasLinkedInKey = process.env.LINKEDIN_ACCESS_TOKEN;
@@ -82,7 +82,7 @@ async function collectSocialMediaPosts() {
       ...(item.toread ? { toread: true } : {})
     })));
 
-    await writeFileAsync(outputPath, yamlContent);
+    dataStore.writeFileSync(outputPath, yamlContent);
     console.log(`Successfully saved ${processedNews.length} news items to ${outputPath}`);
 
     return processedNews;
@@ -115,7 +115,7 @@ async function collectLinkedInPosts() {
     
     try {
       // First verify profile access with current scopes
-      const profileResponse = await axios.get('https://api.linkedin.com/v2/people/~', {
+      const profileResponse = await httpClient.get('https://api.linkedin.com/v2/people/~', {
         headers: {
           'Authorization': `Bearer ${process.env.LINKEDIN_ACCESS_TOKEN}`,
           'X-Restli-Protocol-Version': '2.0.0'
@@ -165,7 +165,7 @@ async function collectLinkedInPosts() {
         try {
           console.log(`Trying ${endpoint.name}...`);
           
-          const postsResponse = await axios.get(endpoint.url, {
+          const postsResponse = await httpClient.get(endpoint.url, {
             headers: {
               'Authorization': `Bearer ${process.env.LINKEDIN_ACCESS_TOKEN}`,
               'X-Restli-Protocol-Version': '2.0.0'
@@ -236,12 +236,12 @@ async function collectLinkedInPosts() {
 async function collectBlueSkyPosts() {
   try {
     // BlueSky AT Protocol API
-    const handle = 'fabiogiglietto.bsky.social';
+    const handle = config.social.bluesky.handle;
     
     console.log('Collecting BlueSky posts...');
     
     // First, resolve the handle to get the DID
-    const resolveResponse = await axios.get(`https://bsky.social/xrpc/com.atproto.identity.resolveHandle`, {
+    const resolveResponse = await httpClient.get(`https://bsky.social/xrpc/com.atproto.identity.resolveHandle`, {
       params: { handle },
       timeout: 10000 // 10 second timeout
     });
@@ -250,7 +250,7 @@ async function collectBlueSkyPosts() {
     console.log(`Resolved BlueSky handle ${handle} to DID: ${did}`);
     
     // Get the user's timeline/posts
-    const postsResponse = await axios.get('https://bsky.social/xrpc/com.atproto.repo.listRecords', {
+    const postsResponse = await httpClient.get('https://bsky.social/xrpc/com.atproto.repo.listRecords', {
       params: {
         repo: did,
         collection: 'app.bsky.feed.post',
@@ -272,7 +272,7 @@ async function collectBlueSkyPosts() {
     }));
   } catch (error) {
     console.error('Error collecting BlueSky posts:', error.message);
-    if (error.code === 'ECONNABORTED') {
+    if (error.code === 'ERR_TIMEOUT') {
       console.log('BlueSky API request timed out');
     } else if (error.response?.status) {
       console.log(`BlueSky API returned status ${error.response.status}`);
@@ -286,13 +286,12 @@ async function collectBlueSkyPosts() {
  */
 async function collectMastodonPosts() {
   try {
-    const instance = 'aoir.social';
-    const username = 'fabiogiglietto';
+    const { instance, username } = config.social.mastodon;
     
     console.log('Collecting Mastodon posts...');
     
     // Get user ID first
-    const searchResponse = await axios.get(`https://${instance}/api/v1/accounts/lookup`, {
+    const searchResponse = await httpClient.get(`https://${instance}/api/v1/accounts/lookup`, {
       params: { acct: username },
       timeout: 10000 // 10 second timeout
     });
@@ -301,7 +300,7 @@ async function collectMastodonPosts() {
     console.log(`Found Mastodon user ID: ${userId}`);
     
     // Get user's statuses/posts
-    const postsResponse = await axios.get(`https://${instance}/api/v1/accounts/${userId}/statuses`, {
+    const postsResponse = await httpClient.get(`https://${instance}/api/v1/accounts/${userId}/statuses`, {
       params: {
         limit: 20,
         exclude_replies: true,
@@ -326,7 +325,7 @@ async function collectMastodonPosts() {
     }));
   } catch (error) {
     console.error('Error collecting Mastodon posts:', error.message);
-    if (error.code === 'ECONNABORTED') {
+    if (error.code === 'ERR_TIMEOUT') {
       console.log('Mastodon API request timed out');
     } else if (error.response?.status) {
       console.log(`Mastodon API returned status ${error.response.status}`);
@@ -369,7 +368,7 @@ async function deduplicateAndSummarize(posts) {
 
     const prompt = `You are helping to curate news updates for an academic researcher's website.
 
-Analyze these social media posts from Prof. Fabio Giglietto and:
+Analyze these social media posts from Prof. ${config.name} and:
 
 1. **FILTER**: Only include posts that are:
    - Research announcements or publications
@@ -388,7 +387,7 @@ Analyze these social media posts from Prof. Fabio Giglietto and:
    - Very short posts (< 20 meaningful words)
 
 3. **WRITING STYLE**: Create varied, engaging summaries that:
-   - AVOID starting every item with "Professor Giglietto" or "Fabio Giglietto"
+   - AVOID starting every item with "Professor ${config.familyName}" or "${config.name}"
    - Use varied sentence structures and openings
    - Focus on the news/event itself, not who announced it
    - Write in third person but vary the subject
@@ -430,16 +429,19 @@ Example varied openings:
 Focus on quality over quantity. Return only 3-5 most significant academic/professional updates.
 Respond with valid JSON only, no other text.`;
 
-    const result = await ai.models.generateContent({
-      model: MODELS.FLASH,
-      contents: prompt,
-      config: {
-        // Deduplicating and rewriting a short list of posts — bounded work,
-        // so cap thinking (billed as output) and the response length.
-        thinkingConfig: { thinkingLevel: 'low' },
-        maxOutputTokens: 2000,
-      },
-    });
+    const result = await llmLedger.track(
+      { provider: 'gemini', model: MODELS.FLASH, purpose: 'social-media-aggregator' },
+      () => ai.models.generateContent({
+        model: MODELS.FLASH,
+        contents: prompt,
+        config: {
+          // Deduplicating and rewriting a short list of posts — bounded work,
+          // so cap thinking (billed as output) and the response length.
+          thinkingConfig: { thinkingLevel: 'low' },
+          maxOutputTokens: 2000,
+        },
+      })
+    );
     const aiResponse = result.text || '';
     console.log('AI response received, length:', aiResponse?.length);
 
@@ -596,10 +598,10 @@ function constructLinkedInUrl(post) {
     if (activityId.includes('urn:li:share:')) {
       activityId = activityId.replace('urn:li:share:', '');
     }
-    return `https://linkedin.com/posts/fabiogiglietto_${activityId}`;
+    return config.buildLinkedInPostUrl(activityId);
   }
   // Fallback to profile URL
-  return 'https://linkedin.com/in/fabiogiglietto';
+  return config.buildLinkedInPostUrl();
 }
 
 function stripHtmlTags(html) {
@@ -608,12 +610,13 @@ function stripHtmlTags(html) {
 
 async function saveEmptyNews() {
   const outputPath = path.join(__dirname, '../../_data/news.yml');
-  await writeFileAsync(outputPath, '# No recent social media updates available\n');
+  dataStore.writeFileSync(outputPath, '# No recent social media updates available\n');
   console.log('Saved empty news data');
   return [];
 }
 
 module.exports = {
   collect: collectSocialMediaPosts,
-  name: 'social-media-aggregator'
+  name: 'social-media-aggregator',
+  pipeline: { outputs: ['_data/news.yml'] }
 };
\ No newline at end of file
@@ -6,8 +6,6 @@
  * view of social media presence and activity.
  */
 
-const axios = require('axios');
-
 async function collect() {
   console.log('Collecting Social Media data...');
   
@@ -179,5 +177,6 @@ async function collectLinkedInData() {
 
 module.exports = {
   collect,
-  name: 'social-media'
+  name: 'social-media',
+  pipeline: { output: 'social-media.json' }
 };
\ No newline at end of file
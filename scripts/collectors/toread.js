@@ -5,35 +5,14 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const config = require('../config');
+const httpClient = require('../lib/http-client');
+const schemas = require('../lib/schemas');
 
 class ToreadCollector {
   constructor() {
     this.baseDir = path.join(__dirname, '..', '..', 'public', 'data');
-    this.feedUrl = 'https://raw.githubusercontent.com/fabiogiglietto/toread/main/output/feed.json';
-  }
-
-  async fetchFromUrl(url) {
-    return new Promise((resolve, reject) => {
-      https.get(url, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            const jsonData = JSON.parse(data);
-            resolve(jsonData);
-          } catch (parseError) {
-            reject(new Error(`Error parsing JSON: ${parseError.message}`));
-          }
-        });
-      }).on('error', (err) => {
-        reject(new Error(`HTTPS request failed: ${err.message}`));
-      });
-    });
+    this.feedUrl = config.feeds.toread;
   }
 
   extractYear(dateString) {
@@ -62,37 +41,13 @@ class ToreadCollector {
   }
 
   /**
-   * Cheap structural check against the published feed contract
-   * (toread/schema/feed.schema.json is normative; this mirrors its
-   * load-bearing parts without pulling in a schema validator).
+   * Check the feed against its published contract
+   * (scripts/schemas/toread-feed.schema.json mirrors the load-bearing parts
+   * of toread/schema/feed.schema.json, which is normative).
    * Returns an array of problem descriptions; empty means OK.
    */
   validateFeedShape(feedData) {
-    const errors = [];
-    if (!feedData || typeof feedData !== 'object') {
-      errors.push('feed is not an object');
-      return errors;
-    }
-    if (feedData.version !== 'https://jsonfeed.org/version/1.1') {
-      errors.push(`unexpected feed version: ${feedData.version}`);
-    }
-    if (!Array.isArray(feedData.items)) {
-      errors.push('items is not an array');
-      return errors;
-    }
-    const badItems = feedData.items.filter(
-      (it) =>
-        !it ||
-        typeof it.id !== 'string' ||
-        !it.id.startsWith('bibtex:') ||
-        typeof it.title !== 'string'
-    );
-    if (badItems.length > 0) {
-      errors.push(
-        `${badItems.length} item(s) missing a string "bibtex:*" id or title`
-      );
-    }
-    return errors;
+    return schemas.validateData('toread-feed', feedData);
   }
 
   async collect() {
@@ -100,7 +55,7 @@ class ToreadCollector {
       console.log('Fetching toread papers from GitHub feed...');
 
       // Fetch the JSON feed from GitHub
-      const feedData = await this.fetchFromUrl(this.feedUrl);
+      const feedData = await httpClient.getJson(this.feedUrl);
 
       // Contract gate: on drift, return null so the previously collected
       // toread.json is kept (last-good) instead of publishing garbage.
@@ -161,7 +116,7 @@ class ToreadCollector {
         papers: papers,
         metadata: metadata,
         lastUpdated: new Date().toISOString(),
-        source: 'https://github.com/fabiogiglietto/toread'
+        source: config.feeds.toreadRepo || this.feedUrl
       };
 
       console.log(`Successfully processed ${papers.length} papers from toread feed`);
@@ -181,7 +136,7 @@ class ToreadCollector {
           error: error.message
         },
         lastUpdated: new Date().toISOString(),
-        source: 'https://github.com/fabiogiglietto/toread'
+        source: config.feeds.toreadRepo || this.feedUrl
       };
     }
   }
@@ -191,5 +146,10 @@ const collector = new ToreadCollector();
 
 module.exports = {
   collect: () => collector.collect(),
-  name: 'toread'
+  name: 'toread',
+  pipeline: {
+    output: 'toread.json',
+    mirrorToData: true,
+    enabled: () => Boolean(config.feeds.toread)
+  }
 };
\ No newline at end of file
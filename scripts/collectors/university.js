@@ -5,11 +5,12 @@
  * including teaching information, courses, and office hours
  */
 
-const axios = require('axios');
+const httpClient = require('../lib/http-client');
 const cheerio = require('cheerio');
-const fs = require('fs');
+const dataStore = require('../lib/data-store');
 const path = require('path');
 const config = require('../config');
+const { PROVENANCE } = require('../lib/provenance');
 
 async function collect() {
   console.log('Collecting University profile data...');
@@ -18,7 +19,7 @@ async function collect() {
   const profileUrl = config.universityProfileUrl;
   
   try {
-    const response = await axios.get(profileUrl);
+    const response = await httpClient.get(profileUrl);
     const $ = cheerio.load(response.data);
     
     // Extract basic profile info
@@ -30,7 +31,10 @@ async function collect() {
     
     // Save teaching data to a dedicated file for the teaching generator
     const teachingDataPath = path.join(__dirname, '../../public/data/teaching.json');
-    fs.writeFileSync(teachingDataPath, JSON.stringify(teaching, null, 2));
+    dataStore.writeFileSync(
+      teachingDataPath,
+      JSON.stringify({ ...teaching, provenance: PROVENANCE.LIVE }, null, 2)
+    );
     console.log(`Teaching data saved to ${teachingDataPath}`);
     
     return {
@@ -390,12 +394,12 @@ function getDefaultTutorials() {
     {
       title: "Introduction to R for Communication Research",
       description: "A beginner's guide to R programming for communication and media research",
-      url: config.urls.rForCommResearch
+      url: config.teachingResources.rForCommResearch
     },
     {
       title: "Social Media Data Analysis with Python",
       description: "Tutorial series on collecting and analyzing social media data with Python",
-      url: config.urls.socialMediaPython
+      url: config.teachingResources.socialMediaPython
     }
   ];
 }
@@ -430,7 +434,8 @@ function getMockData() {
       office_hours: config.officeHours
     },
     teaching: getMockTeachingData(),
-    lastUpdated: new Date().toISOString()
+    lastUpdated: new Date().toISOString(),
+    provenance: PROVENANCE.MOCK
   };
 }
 
@@ -494,5 +499,6 @@ function getMockTeachingData() {
 
 module.exports = {
   collect,
-  name: 'university'
+  name: 'university',
+  pipeline: { output: 'university.json', outputs: ['public/data/teaching.json'] }
 };
\ No newline at end of file
@@ -1,14 +1,13 @@
 // Load environment variables from .env file for local development
 require('dotenv').config();
 
-const fs = require('fs');
+const dataStore = require('../lib/data-store');
 const path = require('path');
-const { promisify } = require('util');
-const writeFileAsync = promisify(fs.writeFile);
-const axios = require('axios');
+const httpClient = require('../lib/http-client');
 const cheerio = require('cheerio');
 const config = require('../config');
 const { getGeminiClient, MODELS } = require('../helpers/gemini-client');
+const llmLedger = require('../lib/llm-ledger');
 
 // Check for API key in environment
 const hasGeminiApiKey = !!process.env.GEMINI_API_KEY;
@@ -158,11 +157,11 @@ async function collectWebSearchResults() {
         console.error('Please add the GEMINI_API_KEY secret.');
       } else {
         console.log('No API key found (GEMINI_API_KEY)');
-        console.log('Clearing web mentions data - section will be hidden without valid API key');
+        console.log('Keeping the last web mentions data - no search without a valid API key');
       }
 
-      // Save empty results when no API key is available - DO NOT use mock data
-      return await saveEmptyResults();
+      // Return null so the last good websearch.json stays in place - DO NOT use mock data
+      return null;
     }
 
     let allResults = [];
@@ -171,6 +170,7 @@ async function collectWebSearchResults() {
     const geminiAi = getGeminiClient();
     const cachedDiscovery = loadDiscoveryCache();
     if (cachedDiscovery) {
+      llmLedger.recordCacheHit('websearch.discovery');
       allResults = [...allResults, ...cachedDiscovery];
     }
 
@@ -225,11 +225,14 @@ Only include results with REAL, direct URLs to news sources.`;
 
         console.log(`Attempting web search with Gemini...`);
 
-        const response = await geminiAi.models.generateContent({
-          model: MODELS.FLASH,
-          contents: searchPrompt,
-          config: DISCOVERY_CALL_CONFIG,
-        });
+        const response = await llmLedger.track(
+          { provider: 'gemini', model: MODELS.FLASH, purpose: 'websearch.discovery' },
+          () => geminiAi.models.generateContent({
+            model: MODELS.FLASH,
+            contents: searchPrompt,
+            config: DISCOVERY_CALL_CONFIG,
+          })
+        );
         const text = response.text || '';
         // webSearchQueries is frequently absent from the response even when the
         // call was billed for searches, so log the grounding-chunk count too and
@@ -355,10 +358,10 @@ Only include results with REAL, direct URLs to news sources.`;
 
     console.log(`\nTotal combined results: ${allResults.length} (Gemini + Google News + Crossref)`);
 
-    // If we didn't get any REAL results, save empty results (hide section)
+    // If we didn't get any REAL results, keep the last good ones
     if (allResults.length === 0) {
-      console.log('No real search results found. Saving empty results to hide section.');
-      return await saveEmptyResults();
+      console.log('No real search results found. Keeping the last good results.');
+      return null;
     }
 
     // Remove duplicates using enhanced URL normalization and title matching
@@ -448,6 +451,7 @@ Only include results with REAL, direct URLs to news sources.`;
         let validation = getValidVerdict(validationCache, cacheKey);
         if (validation) {
           validationCacheHits++;
+          llmLedger.recordCacheHit('websearch.validation');
           console.log(`  Cached verdict (${validation.isRelevant ? 'relevant' : 'rejected'}) — no Gemini call`);
         } else {
           validation = await validateWebMention(validationAi, result);
@@ -556,6 +560,9 @@ Only include results with REAL, direct URLs to news sources.`;
         result.date = cached.date;
         result.dateConfidence = cached.confidence || 'medium';
         result.dateSource = 'cache (' + (cached.source || 'unknown') + ')';
+        if (cached.source === 'gemini-page-estimate') {
+          llmLedger.recordCacheHit('websearch.date');
+        }
         console.log(`  ${label}... - cached date: ${cached.date}`);
         continue;
       }
@@ -650,7 +657,7 @@ Only include results with REAL, direct URLs to news sources.`;
 
     // Write current results to JSON file
     const outputPath = path.join(__dirname, '../../public/data/websearch.json');
-    await writeFileAsync(outputPath, JSON.stringify(recentResults, null, 2));
+    dataStore.writeFileSync(outputPath, JSON.stringify(recentResults, null, 2));
 
     // Maintain historical log of all validated web mentions
     await updateHistoricalLog(recentResults);
@@ -659,8 +666,8 @@ Only include results with REAL, direct URLs to news sources.`;
     return recentResults;
   } catch (error) {
     console.error('Error collecting web search results:', error);
-    // Return empty results if there's an error - DO NOT use mock data
-    return await saveEmptyResults();
+    // Return null so the last good websearch.json stays in place - DO NOT use mock data
+    return null;
   }
 }
 
@@ -675,7 +682,7 @@ async function resolveRedirectUrl(url) {
 
   try {
     console.log(`Resolving redirect URL...`);
-    const response = await axios.head(url, {
+    const response = await httpClient.head(url, {
       maxRedirects: 0,
       validateStatus: status => status >= 200 && status < 400,
       timeout: 5000
@@ -771,7 +778,7 @@ function shouldSkipResult(url, title) {
   }
 
   // Skip generic profile page titles
-  if (titleLower === 'fabio giglietto' ||
+  if (titleLower === config.name.toLowerCase() ||
       titleLower.includes('professor of internet studies') ||
       titleLower.startsWith('home |')) {
     return true;
@@ -806,8 +813,8 @@ async function updateHistoricalLog(newResults) {
     // Load existing historical log
     let historicalLog = [];
     try {
-      if (fs.existsSync(logPath)) {
-        const existingData = fs.readFileSync(logPath, 'utf8');
+      if (dataStore.existsSync(logPath)) {
+        const existingData = dataStore.readFileSync(logPath, 'utf8');
         historicalLog = JSON.parse(existingData);
       }
     } catch (readError) {
@@ -841,7 +848,7 @@ async function updateHistoricalLog(newResults) {
       }
 
       // Save updated historical log
-      await writeFileAsync(logPath, JSON.stringify(historicalLog, null, 2));
+      dataStore.writeFileSync(logPath, JSON.stringify(historicalLog, null, 2));
       console.log(`Historical log updated: added ${newEntries.length} new entries, total: ${historicalLog.length}`);
     } else {
       console.log('Historical log: no new entries to add (all URLs already exist)');
@@ -918,7 +925,7 @@ async function createHistoricalSummary(historicalLog) {
         }))
     };
 
-    await writeFileAsync(summaryPath, JSON.stringify(summary, null, 2));
+    dataStore.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
     console.log(`Historical summary created: ${summary.totalEntries} total entries`);
 
   } catch (error) {
@@ -1003,7 +1010,7 @@ const SNIPPET_MAX_CHARS = 600;
 
 function loadSnippetCache() {
   try {
-    return JSON.parse(fs.readFileSync(SNIPPET_CACHE_PATH, 'utf8'));
+    return JSON.parse(dataStore.readFileSync(SNIPPET_CACHE_PATH, 'utf8'));
   } catch (e) {
     return {};
   }
@@ -1011,7 +1018,7 @@ function loadSnippetCache() {
 
 function saveSnippetCache(cache) {
   try {
-    fs.writeFileSync(SNIPPET_CACHE_PATH, JSON.stringify(cache, null, 2));
+    dataStore.writeFileSync(SNIPPET_CACHE_PATH, JSON.stringify(cache, null, 2));
   } catch (e) {
     console.log(`Failed to save snippet cache: ${e.message}`);
   }
@@ -1077,7 +1084,7 @@ async function fetchSnippet(url) {
     return null;
   }
   try {
-    const response = await axios.get(url, {
+    const response = await httpClient.get(url, {
       timeout: 8000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -1098,7 +1105,7 @@ async function fetchSnippet(url) {
  */
 async function extractDateFromHTTP(url) {
   try {
-    const response = await axios.get(url, {
+    const response = await httpClient.get(url, {
       timeout: 8000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -1212,8 +1219,8 @@ function parseToYMD(dateStr) {
 function loadDateCache() {
   const cachePath = path.join(__dirname, '../../public/data/websearch-date-cache.json');
   try {
-    if (fs.existsSync(cachePath)) {
-      return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    if (dataStore.existsSync(cachePath)) {
+      return JSON.parse(dataStore.readFileSync(cachePath, 'utf8'));
     }
   } catch (e) {
     console.log('Could not load date cache, starting fresh');
@@ -1227,7 +1234,7 @@ function loadDateCache() {
 function saveDateCache(cache) {
   const cachePath = path.join(__dirname, '../../public/data/websearch-date-cache.json');
   try {
-    fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+    dataStore.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
     console.log(`Date cache saved (${Object.keys(cache).length} entries)`);
   } catch (e) {
     console.log(`Failed to save date cache: ${e.message}`);
@@ -1289,7 +1296,7 @@ function loadDiscoveryCache() {
     return null;
   }
   try {
-    const raw = JSON.parse(fs.readFileSync(DISCOVERY_CACHE_PATH, 'utf8'));
+    const raw = JSON.parse(dataStore.readFileSync(DISCOVERY_CACHE_PATH, 'utf8'));
     const ageHours = discoveryCacheAgeHours(raw);
     if (ageHours === null) return null;
     console.log(`Grounded discovery cache is ${ageHours.toFixed(1)}h old (TTL ${DISCOVERY_TTL_HOURS}h) — reusing ${raw.results.length} results, no grounded search`);
@@ -1304,7 +1311,7 @@ function loadDiscoveryCache() {
  */
 function saveDiscoveryCache(results) {
   try {
-    fs.writeFileSync(DISCOVERY_CACHE_PATH, JSON.stringify({
+    dataStore.writeFileSync(DISCOVERY_CACHE_PATH, JSON.stringify({
       lastRunAt: new Date().toISOString(),
       ttlHours: DISCOVERY_TTL_HOURS,
       results,
@@ -1330,8 +1337,8 @@ const VALIDATION_CACHE_PATH = path.join(
  */
 function loadValidationCache() {
   try {
-    if (fs.existsSync(VALIDATION_CACHE_PATH)) {
-      return JSON.parse(fs.readFileSync(VALIDATION_CACHE_PATH, 'utf8'));
+    if (dataStore.existsSync(VALIDATION_CACHE_PATH)) {
+      return JSON.parse(dataStore.readFileSync(VALIDATION_CACHE_PATH, 'utf8'));
     }
   } catch (e) {
     console.log('Could not load validation cache, starting fresh');
@@ -1344,7 +1351,7 @@ function loadValidationCache() {
  */
 function saveValidationCache(cache) {
   try {
-    fs.writeFileSync(VALIDATION_CACHE_PATH, JSON.stringify(cache, null, 2));
+    dataStore.writeFileSync(VALIDATION_CACHE_PATH, JSON.stringify(cache, null, 2));
     console.log(`Validation cache saved (${Object.keys(cache).length} entries)`);
   } catch (e) {
     console.log(`Failed to save validation cache: ${e.message}`);
@@ -1400,11 +1407,14 @@ Examples of valid responses:
 2024-11-01
 unknown`;
 
-    const response = await ai.models.generateContent({
-      model: MODELS.FLASH,
-      contents: prompt,
-      config: DATE_CALL_CONFIG,
-    });
+    const response = await llmLedger.track(
+      { provider: 'gemini', model: MODELS.FLASH, purpose: 'websearch.date' },
+      () => ai.models.generateContent({
+        model: MODELS.FLASH,
+        contents: prompt,
+        config: DATE_CALL_CONFIG,
+      })
+    );
     const text = (response.text || '').trim();
 
     // Validate date format
@@ -1487,11 +1497,14 @@ Be very strict - if you cannot confirm ${config.name} is mentioned by name, set
 
 Respond with valid JSON only.`;
 
-    const response = await ai.models.generateContent({
-      model: MODELS.FLASH,
-      contents: prompt,
-      config: configOverride || VALIDATION_CALL_CONFIG,
-    });
+    const response = await llmLedger.track(
+      { provider: 'gemini', model: MODELS.FLASH, purpose: 'websearch.validation' },
+      () => ai.models.generateContent({
+        model: MODELS.FLASH,
+        contents: prompt,
+        config: configOverride || VALIDATION_CALL_CONFIG,
+      })
+    );
     const content = (response.text || '').trim();
 
     // Try to parse JSON response
@@ -1540,17 +1553,6 @@ Respond with valid JSON only.`;
   }
 }
 
-/**
- * Save empty results to hide the web mentions section
- */
-async function saveEmptyResults() {
-  const emptyData = [];
-  const outputPath = path.join(__dirname, '../../public/data/websearch.json');
-  await writeFileAsync(outputPath, JSON.stringify(emptyData, null, 2));
-  console.log(`Saved empty results to ${outputPath} - web mentions section will be hidden`);
-  return emptyData;
-}
-
 /**
  * Fetch Crossref Event Data to find DOI-based mentions of publications
  */
@@ -1558,14 +1560,14 @@ async function fetchCrossrefEventData() {
   console.log('\n=== Fetching Crossref Event Data ===');
 
   const pubsPath = path.join(__dirname, '../../public/data/aggregated-publications.json');
-  if (!fs.existsSync(pubsPath)) {
+  if (!dataStore.existsSync(pubsPath)) {
     console.log('No aggregated-publications.json found, skipping Crossref Event Data');
     return [];
   }
 
   let publications;
   try {
-    const parsed = JSON.parse(fs.readFileSync(pubsPath, 'utf8'));
+    const parsed = JSON.parse(dataStore.readFileSync(pubsPath, 'utf8'));
     publications = Array.isArray(parsed) ? parsed : parsed.publications || [];
   } catch (e) {
     console.log(`Failed to read aggregated publications: ${e.message}`);
@@ -1595,7 +1597,7 @@ async function fetchCrossrefEventData() {
     try {
       const apiUrl = `https://api.eventdata.crossref.org/v1/events?obj-id=${encodeURIComponent(doi)}&from-occurred-date=${fromDate}&rows=10&mailto=${config.email}`;
 
-      const response = await axios.get(apiUrl, { timeout: 10000 });
+      const response = await httpClient.get(apiUrl, { timeout: 10000 });
       const events = response.data?.message?.events || [];
 
       for (const event of events) {
@@ -1622,9 +1624,6 @@ async function fetchCrossrefEventData() {
           dateSource: 'crossref-api'
         });
       }
-
-      // Rate limiting: 500ms delay between requests
-      await new Promise(resolve => setTimeout(resolve, 500));
     } catch (error) {
       console.log(`Crossref Event Data error for DOI ${doi}: ${error.message}`);
     }
@@ -1769,7 +1768,7 @@ async function fetchGoogleNewsRSS() {
   for (const feed of feeds) {
     try {
       console.log(`Fetching Google News RSS (${feed.locale})...`);
-      const response = await axios.get(feed.url, {
+      const response = await httpClient.get(feed.url, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
         },
@@ -1874,7 +1873,7 @@ async function fetchGoogleNewsRSS() {
 async function resolveGoogleNewsUrl(googleNewsUrl) {
   try {
     // Follow the redirect to get the actual article URL
-    const response = await axios.get(googleNewsUrl, {
+    const response = await httpClient.get(googleNewsUrl, {
       maxRedirects: 5,
       timeout: 10000,
       headers: {
@@ -1896,7 +1895,7 @@ async function resolveGoogleNewsUrl(googleNewsUrl) {
   } catch (error) {
     // If redirect fails, try HEAD request
     try {
-      const headResponse = await axios.head(googleNewsUrl, {
+      const headResponse = await httpClient.head(googleNewsUrl, {
         maxRedirects: 0,
         validateStatus: status => status >= 200 && status < 400,
         timeout: 5000,
@@ -1952,6 +1951,14 @@ function decodeHtmlEntities(text) {
 module.exports = {
   collect: collectWebSearchResults,
   name: 'websearch',
+  // aggregated-publications.json supplies the DOIs for Crossref Event Data.
+  pipeline: {
+    output: 'websearch.json',
+    mirrorToData: true,
+    outputs: ['public/data/websearch-history.json', 'public/data/websearch-summary.json'],
+    dependsOn: ['publications-aggregator'],
+    allowStaleInputs: true
+  },
   _testing: {
     extractSnippetFromHtml,
     isAggregatorBoilerplate,
@@ -5,36 +5,9 @@
  * Documentation: https://developer.clarivate.com/apis/wos-starter
  */
 
-const axios = require('axios');
-
-/**
- * Sleep function for rate limiting/backoff
- */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-/**
- * Retry function with exponential backoff
- */
-async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 2000) {
-  let retries = 0;
-  while (retries < maxRetries) {
-    try {
-      return await fn();
-    } catch (error) {
-      retries++;
-      
-      // If it's not a rate limit error or we've exhausted retries, throw the error
-      if ((error.response?.status !== 429 && error.response?.status !== 503) || retries >= maxRetries) {
-        throw error;
-      }
-      
-      // Calculate backoff time with exponential increase 
-      const delay = initialDelay * Math.pow(2, retries - 1);
-      console.log(`Rate limit hit. Retrying in ${delay/1000} seconds... (Attempt ${retries} of ${maxRetries})`);
-      await sleep(delay);
-    }
-  }
-}
+const config = require('../config');
+const httpClient = require('../lib/http-client');
+const { PROVENANCE } = require('../lib/provenance');
 
 async function collect() {
   console.log('Collecting Web of Science data...');
@@ -59,23 +32,21 @@ async function collect() {
   console.log('Using Web of Science API key (configured)');
   
   try {
-    console.log('Attempting to connect to Web of Science Starter API with rate limit handling...');
+    console.log('Attempting to connect to Web of Science Starter API...');
     
-    // Use retry with backoff for the API call
-    const response = await retryWithBackoff(async () => {
-      return axios.get('https://api.clarivate.com/apis/wos-starter/v1/documents', {
-        params: {
-          q: 'AU=("Giglietto, Fabio")',
-          limit: 50, // Maximum records per request
-          page: 1,
-          detail: 'full' // Try to get all available details
-        },
-        headers: {
-          'X-ApiKey': apiKey,
-          'Accept': 'application/json'
-        }
-      });
-    }, 5, 3000); // 5 retries with 3 second initial delay
+    const response = await httpClient.get('https://api.clarivate.com/apis/wos-starter/v1/documents', {
+      params: {
+        q: config.wosQuery,
+        limit: 50, // Maximum records per request
+        page: 1,
+        detail: 'full' // Try to get all available details
+      },
+      headers: {
+        'X-ApiKey': apiKey,
+        'Accept': 'application/json'
+      },
+      retries: 5 // The Starter API rate-limits aggressively
+    });
     
     console.log('Query response status:', response.status);
     console.log('Response content type:', response.headers['content-type']);
@@ -264,11 +235,13 @@ function getMockData() {
       documentCount: 45,
       citationCount: 1620
     },
-    lastUpdated: new Date().toISOString()
+    lastUpdated: new Date().toISOString(),
+    provenance: PROVENANCE.MOCK
   };
 }
 
 module.exports = {
   collect,
-  name: 'wos'
+  name: 'wos',
+  pipeline: { output: 'wos.json' }
 };
\ No newline at end of file
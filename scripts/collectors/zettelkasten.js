@@ -12,11 +12,12 @@
  * the same key already used to match research-radio podcast episodes.
  */
 
-const https = require('https');
+const config = require('../config');
+const httpClient = require('../lib/http-client');
 
-const STATE_URL =
-  'https://raw.githubusercontent.com/fabiogiglietto/fg-zettelkasten/main/data/state.json';
-const ZK_SITE = 'https://fabiogiglietto.github.io/fg-zettelkasten/';
+const STATE_URL = config.feeds.zettelkastenState;
+const ZK_SITE = config.feeds.zettelkastenSite;
+const ZK_REPO = config.feeds.zettelkastenRepo || ZK_SITE;
 
 /**
  * Build a `bibtexKey -> note` lookup from a parsed state.json object.
@@ -50,32 +51,11 @@ class ZettelkastenCollector {
     this.stateUrl = STATE_URL;
   }
 
-  async fetchFromUrl(url) {
-    return new Promise((resolve, reject) => {
-      https
-        .get(url, (res) => {
-          let data = '';
-
-          res.on('data', (chunk) => {
-            data += chunk;
-          });
-
-          res.on('end', () => {
-            resolve(data);
-          });
-        })
-        .on('error', (err) => {
-          reject(new Error(`HTTPS request failed: ${err.message}`));
-        });
-    });
-  }
-
   async collect() {
     try {
       console.log('Fetching Zettelkasten notes index...');
 
-      const raw = await this.fetchFromUrl(this.stateUrl);
-      const stateData = JSON.parse(raw);
+      const stateData = await httpClient.getJson(this.stateUrl);
       const notesByBibtexKey = buildNotesIndex(stateData);
       const totalNotes = Object.keys(notesByBibtexKey).length;
 
@@ -86,7 +66,7 @@ class ZettelkastenCollector {
         totalNotes,
         siteUrl: ZK_SITE,
         lastUpdated: new Date().toISOString(),
-        source: 'https://github.com/fabiogiglietto/fg-zettelkasten'
+        source: ZK_REPO
       };
     } catch (error) {
       console.error('Error collecting Zettelkasten data:', error.message);
@@ -97,7 +77,7 @@ class ZettelkastenCollector {
         siteUrl: ZK_SITE,
         error: error.message,
         lastUpdated: new Date().toISOString(),
-        source: 'https://github.com/fabiogiglietto/fg-zettelkasten'
+        source: ZK_REPO
       };
     }
   }
@@ -108,5 +88,10 @@ const collector = new ZettelkastenCollector();
 module.exports = {
   collect: () => collector.collect(),
   name: 'zettelkasten',
+  pipeline: {
+    output: 'zettelkasten.json',
+    mirrorToData: true,
+    enabled: () => Boolean(STATE_URL && ZK_SITE)
+  },
   _testing: { buildNotesIndex }
 };
@@ -1,112 +1,154 @@
 /**
  * Centralized Configuration
  *
- * All hardcoded IDs, usernames, and constants used across collectors and generators.
- * This file serves as the single source of truth for personal identifiers.
+ * Who the pipeline collects data for. All identity data (names and their
+ * variants, author IDs, social handles, companion feed URLs) lives in
+ * profile.yml at the repository root, which is validated against
+ * scripts/schemas/profile.schema.json when this module loads. This module
+ * exposes it, plus the URL builders and name matching collectors share.
+ *
+ * To run the pipeline for someone else, edit profile.yml; collectors and
+ * generators must not hardcode identity data.
  */
 
 // Load environment variables
 require('dotenv').config();
 
-const config = {
-  // Personal Identifiers
-  name: 'Fabio Giglietto',
-  title: 'Full Professor of Internet Studies',
-  institution: 'University of Urbino Carlo Bo',
-  department: 'Department of Communication Sciences, Humanities and International Studies',
-  email: 'fabio.giglietto@uniurb.it',
-  phone: '+39 0722 305726',
-  office: 'Room 3.12, Via Saffi 15',
-  officeHours: 'Monday and Wednesday, 11:00-13:00 or by appointment',
-
-  // University Profile
-  universityProfileUrl: 'https://www.uniurb.it/persone/fabio-giglietto',
-
-  // Research
-  researchInterests: [
-    'Social Media Analysis',
-    'Computational Social Science',
-    'Digital Methods',
-    'Information Disorder'
-  ],
-  expertise: [
-    'disinformation research',
-    'social media analysis',
-    'computational social science',
-    'internet studies',
-    'coordinated online behavior',
-    'misinformation detection'
-  ],
-
-  // Academic Profile IDs
-  orcidId: process.env.ORCID_ID || '0000-0001-8019-1035',
-  scholarId: process.env.SCHOLAR_ID || 'FmenbcUAAAAJ',
-
-  // Social Media Handles
-  social: {
-    github: {
-      username: 'fabiogiglietto',
-      url: 'https://github.com/fabiogiglietto'
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateData } = require('./lib/schemas');
+
+const PROFILE_PATH = path.join(__dirname, '../profile.yml');
+
+/**
+ * Read and validate a profile file.
+ *
+ * @param {string} [filePath] - Defaults to profile.yml at the repository root
+ * @returns {Object} The parsed profile
+ * @throws {Error} When the file is missing, unparsable or violates the schema
+ */
+function loadProfile(filePath = PROFILE_PATH) {
+  let profile;
+  try {
+    profile = yaml.load(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read profile ${filePath}: ${error.message}`);
+  }
+  const errors = validateData('profile', profile);
+  if (errors.length > 0) {
+    throw new Error(`${filePath} is not a valid profile: ${errors.join('; ')}`);
+  }
+  return profile;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the configuration object from a validated profile.
+ *
+ * @param {Object} profile - loadProfile() result
+ * @returns {Object}
+ */
+function createConfig(profile) {
+  const { ids } = profile;
+  const initial = profile.givenName[0];
+  const variants = new Set([profile.name, ...profile.nameVariants].map(v => v.toLowerCase()));
+
+  return {
+    // Personal Identifiers
+    name: profile.name,
+    givenName: profile.givenName,
+    familyName: profile.familyName,
+    nameVariants: profile.nameVariants,
+    // "Family, I." as used in formatted citations
+    citationName: `${profile.familyName}, ${initial}.`,
+    title: profile.title,
+    institution: profile.institution,
+    department: profile.department || '',
+    email: profile.email,
+    phone: profile.phone || '',
+    office: profile.office || '',
+    officeHours: profile.officeHours || '',
+
+    // Web presence
+    siteUrl: profile.siteUrl.replace(/\/$/, ''),
+    universityProfileUrl: profile.universityProfileUrl || null,
+
+    // Research
+    researchInterests: profile.researchInterests,
+    expertise: profile.expertise,
+
+    // Academic Profile IDs (null when the profile has none for a source)
+    orcidId: process.env.ORCID_ID || ids.orcid,
+    scholarId: process.env.SCHOLAR_ID || ids.scholar || null,
+    scopusAuthorId: ids.scopus || null,
+    semanticScholarId: ids.semanticScholar || null,
+    wosQuery: ids.wosQuery || `AU=("${profile.familyName}, ${profile.givenName}")`,
+
+    // Social Media Handles
+    social: profile.social,
+
+    // Institutional Repository (ORA UNIURB / IRIS)
+    ora: profile.ora || null,
+
+    // Companion projects (toread, research-radio, fg-zettelkasten)
+    feeds: profile.feeds || {},
+
+    // Resources listed on the teaching page
+    teachingResources: profile.teachingResources || {},
+
+    /**
+     * Whether an author string names this researcher: one of the name
+     * variants, or the family name together with the given name or its bare
+     * initial, in any order ("Giglietto Fabio", "F. GIGLIETTO"). The family
+     * name alone is not enough, since other authors share it.
+     */
+    isOwnName: function (authorName) {
+      const name = String(authorName || '')
+        .trim()
+        .toLowerCase();
+      if (variants.has(name)) return true;
+      const family = this.familyName.toLowerCase();
+      if (!name.includes(family)) return false;
+      const rest = name.split(family).join(' ');
+      const given = escapeRegExp(this.givenName.toLowerCase());
+      const givenInitial = escapeRegExp(initial.toLowerCase());
+      return (
+        new RegExp(`\\b${given}\\b`).test(rest) ||
+        new RegExp(`\\b${givenInitial}\\.?(?=[\\s,;]|$)`).test(rest)
+      );
     },
-    bluesky: {
-      handle: 'fabiogiglietto.bsky.social',
-      url: 'https://bsky.app/profile/fabiogiglietto.bsky.social'
+
+    // URL builders
+    buildScholarUrl: function (publicationId) {
+      return `https://scholar.google.com/citations?user=${this.scholarId}&citation_for_view=${this.scholarId}:${publicationId}`;
     },
-    mastodon: {
-      username: 'fabiogiglietto',
-      instance: 'aoir.social',
-      url: 'https://aoir.social/@fabiogiglietto'
+
+    buildScholarProfileUrl: function () {
+      return `https://scholar.google.com/citations?user=${this.scholarId}&view_op=list_works&sortby=pubdate`;
     },
-    linkedin: {
-      username: 'fabiogiglietto',
-      url: 'https://www.linkedin.com/in/fabiogiglietto'
+
+    buildLinkedInPostUrl: function (activityId) {
+      if (activityId) {
+        return `https://linkedin.com/posts/${this.social.linkedin.username}_${activityId}`;
+      }
+      return this.social.linkedin.url;
     },
-    threads: {
-      username: 'fabiogiglietto',
-      url: 'https://www.threads.net/@fabiogiglietto'
-    }
-  },
-
-  // Institutional Repository (ORA UNIURB / IRIS)
-  ora: {
-    baseUrl: 'https://ora.uniurb.it',
-    oaiEndpoint: 'https://ora.uniurb.it/oai/request',
-    searchUrl: 'https://ora.uniurb.it/simple-search',
-    researcherProfileId: 'rp03290',
-    profileUrl: 'https://ora.uniurb.it/cris/rp/rp03290'
-  },
-
-  // External Resource URLs
-  urls: {
-    toreadFeed: 'https://raw.githubusercontent.com/fabiogiglietto/toread/main/output/feed.json',
-    toreadRepo: 'https://github.com/fabiogiglietto/toread',
-    rForCommResearch: 'https://github.com/fabiogiglietto/R-for-communication-research',
-    socialMediaPython: 'https://github.com/fabiogiglietto/social-media-python'
-  },
-
-  // URL builders
-  buildScholarUrl: function (publicationId) {
-    return `https://scholar.google.com/citations?user=${this.scholarId}&citation_for_view=${this.scholarId}:${publicationId}`;
-  },
-
-  buildScholarProfileUrl: function () {
-    return `https://scholar.google.com/citations?user=${this.scholarId}&view_op=list_works&sortby=pubdate`;
-  },
-
-  buildLinkedInPostUrl: function (activityId) {
-    if (activityId) {
-      return `https://linkedin.com/posts/${this.social.linkedin.username}_${activityId}`;
-    }
-    return this.social.linkedin.url;
-  },
 
-  buildBlueskyPostUrl: function (postId) {
-    return `https://bsky.app/profile/${this.social.bluesky.handle}/post/${postId}`;
-  },
+    buildBlueskyPostUrl: function (postId) {
+      return `https://bsky.app/profile/${this.social.bluesky.handle}/post/${postId}`;
+    },
 
-  buildMastodonPostUrl: function (postId) {
-    return `https://${this.social.mastodon.instance}/@${this.social.mastodon.username}/${postId}`;
-  }
-};
+    buildMastodonPostUrl: function (postId) {
+      return `https://${this.social.mastodon.instance}/@${this.social.mastodon.username}/${postId}`;
+    }
+  };
+}
+
+const config = createConfig(loadProfile());
 
 module.exports = config;
+module.exports._testing = { loadProfile, createConfig };
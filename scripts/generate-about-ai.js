@@ -13,6 +13,10 @@ require('dotenv').config();
 
 const fs = require('fs');
 const path = require('path');
+const { performance } = require('perf_hooks');
+const llmLedger = require('./lib/llm-ledger');
+const { writeStatus } = require('./lib/status-report');
+const { lastReviewOutcome } = require('./generators/bio-reviewer');
 
 // Check for API key in environment
 const hasApiKey = process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY.length > 0;
@@ -61,8 +65,23 @@ async function generateAIAboutMe() {
   }
 }
 
+/**
+ * Record this run of the generator and its reviewer on the status page.
+ */
+function reportStatus(success, durationMs) {
+  const result = success
+    ? { status: 'ok', durationMs }
+    : { status: 'failed', reason: 'no result', durationMs };
+  const results = new Map([['about-generator', result]]);
+  if (lastReviewOutcome()) results.set('bio-reviewer', lastReviewOutcome());
+  writeStatus(results, new Date().toISOString());
+}
+
 // Run the generator
+const startedAt = performance.now();
 generateAIAboutMe().then(success => {
+  llmLedger.writeReport('generate-about');
+  reportStatus(success, Math.round(performance.now() - startedAt));
   if (success) {
     console.log('AI About Me generation completed successfully');
   } else {
@@ -7,12 +7,14 @@
  * scripts/collectors/websearch.js, not from a per-search-billed grounding loop.
  */
 
-const fs = require('fs');
+const dataStore = require('../lib/data-store');
+const { acceptInput } = require('../lib/provenance');
 const path = require('path');
 const yaml = require('js-yaml');
 const sanitizeHtml = require('sanitize-html');
 const config = require('../config');
 const { getGeminiClient, MODELS } = require('../helpers/gemini-client');
+const llmLedger = require('../lib/llm-ledger');
 const { readBioSeed } = require('../helpers/bio-seed');
 const { reviewBio } = require('./bio-reviewer');
 
@@ -52,11 +54,14 @@ async function generateAboutMe() {
     // Load each data file if it exists
     for (const file of dataFiles) {
       const filePath = path.join(dataDir, file);
-      if (fs.existsSync(filePath)) {
+      if (dataStore.existsSync(filePath)) {
         try {
-          const fileContent = fs.readFileSync(filePath, 'utf8');
-          data[file.replace('.json', '')] = JSON.parse(fileContent);
-          loadedFiles.push(file);
+          const fileContent = dataStore.readFileSync(filePath, 'utf8');
+          const parsed = acceptInput(JSON.parse(fileContent), filePath);
+          if (parsed) {
+            data[file.replace('.json', '')] = parsed;
+            loadedFiles.push(file);
+          }
         } catch (err) {
           console.error(`Error reading ${file}:`, err.message);
         }
@@ -78,9 +83,9 @@ async function generateAboutMe() {
 
     // Load news.yml from _data directory (has social media posts with toread flags)
     const newsYamlPath = path.join(__dirname, '../../_data/news.yml');
-    if (fs.existsSync(newsYamlPath)) {
+    if (dataStore.existsSync(newsYamlPath)) {
       try {
-        const newsYaml = yaml.load(fs.readFileSync(newsYamlPath, 'utf8'));
+        const newsYaml = yaml.load(dataStore.readFileSync(newsYamlPath, 'utf8'));
         data.newsYaml = newsYaml;
         console.log('Successfully loaded news.yml');
       } catch (err) {
@@ -146,7 +151,7 @@ async function generateAboutMe() {
 
     // Save the sanitized content
     const includePath = path.join(__dirname, '../../_includes/generated-about.html');
-    fs.writeFileSync(includePath, sanitizedContent);
+    dataStore.writeFileSync(includePath, sanitizedContent);
 
     console.log('About Me section generated and sanitized successfully');
     return true;
@@ -237,7 +242,7 @@ async function generateFallbackContent() {
           allowedSchemes: ['http', 'https', 'mailto']
         });
 
-        fs.writeFileSync(includePath, sanitized);
+        dataStore.writeFileSync(includePath, sanitized);
         console.log('Fallback About Me content (from bio seed) saved successfully');
         return true;
       }
@@ -245,7 +250,7 @@ async function generateFallbackContent() {
 
     // Last-resort fallback from config when no bio seed is available
     const aboutMeContent = `<p>${config.name} is ${config.title} at ${config.institution}, ${config.department}. Research focuses on ${config.researchInterests.join(', ')}.</p>`;
-    fs.writeFileSync(includePath, aboutMeContent);
+    dataStore.writeFileSync(includePath, aboutMeContent);
 
     console.log('Fallback About Me content saved successfully');
     return true;
@@ -537,21 +542,24 @@ ${formattedData}
     console.log(`Calling Gemini API with ${MODELS.FLASH} (ungrounded)...`);
 
     try {
-      const response = await ai.models.generateContent({
-        model: MODELS.FLASH,
-        contents: extraInstruction ? `${prompt}\n\n${extraInstruction}` : prompt,
-        config: {
-          // Ungrounded: recency now comes from the validated mentions in
-          // websearch.json (collected once per discovery TTL), not from a
-          // second per-search-billed grounding loop.
-          temperature: 0.7,
-          // Thinking bills as output and counts against maxOutputTokens. Left
-          // unbounded it intermittently consumed the whole budget and the call
-          // returned finishReason=MAX_TOKENS, dropping the run to the fallback.
-          thinkingConfig: { thinkingLevel: 'low' },
-          maxOutputTokens: 8000,
-        },
-      });
+      const response = await llmLedger.track(
+        { provider: 'gemini', model: MODELS.FLASH, purpose: 'about-generator' },
+        () => ai.models.generateContent({
+          model: MODELS.FLASH,
+          contents: extraInstruction ? `${prompt}\n\n${extraInstruction}` : prompt,
+          config: {
+            // Ungrounded: recency now comes from the validated mentions in
+            // websearch.json (collected once per discovery TTL), not from a
+            // second per-search-billed grounding loop.
+            temperature: 0.7,
+            // Thinking bills as output and counts against maxOutputTokens. Left
+            // unbounded it intermittently consumed the whole budget and the call
+            // returned finishReason=MAX_TOKENS, dropping the run to the fallback.
+            thinkingConfig: { thinkingLevel: 'low' },
+            maxOutputTokens: 8000,
+          },
+        })
+      );
 
       let content = (response.text || '').trim();
 
@@ -607,6 +615,11 @@ ${formattedData}
     } catch (apiError) {
       console.error('Error calling Gemini API:', apiError.message);
 
+      // Over budget: the fallback model would be refused too.
+      if (apiError instanceof llmLedger.LlmBudgetError) {
+        return null;
+      }
+
       // Do not retry client-side rejections (bad request, quota, auth): the
       // second call would fail the same way and still be billed.
       const status = apiError.status || apiError.code;
@@ -618,15 +631,18 @@ ${formattedData}
       console.log(`Trying fallback model ${MODELS.FLASH_LATEST}...`);
       try {
         // Ungrounded, like the primary call above.
-        const response = await ai.models.generateContent({
-          model: MODELS.FLASH_LATEST,
-          contents: prompt,
-          config: {
-            temperature: 0.7,
-            thinkingConfig: { thinkingLevel: 'low' },
-            maxOutputTokens: 8000,
-          },
-        });
+        const response = await llmLedger.track(
+          { provider: 'gemini', model: MODELS.FLASH_LATEST, purpose: 'about-generator' },
+          () => ai.models.generateContent({
+            model: MODELS.FLASH_LATEST,
+            contents: prompt,
+            config: {
+              temperature: 0.7,
+              thinkingConfig: { thinkingLevel: 'low' },
+              maxOutputTokens: 8000,
+            },
+          })
+        );
 
         let content = (response.text || '').trim();
 
@@ -680,4 +696,18 @@ ${formattedData}
   }
 }
 
-module.exports = { generateAboutMe, _testing: { formatDataForPrompt, seedOverlapRatio, MAX_SEED_OVERLAP } };
\ No newline at end of file
+module.exports = {
+  generateAboutMe,
+  pipeline: {
+    name: 'about-generator',
+    run: generateAboutMe,
+    outputs: ['_includes/generated-about.html'],
+    dependsOn: [
+      'orcid', 'scholar', 'university', 'github', 'websearch',
+      'own-paper-claims', 'teaching-generator', 'social-media-aggregator'
+    ],
+    allowStaleInputs: true,
+    enabled: () => process.env.SKIP_ABOUT_GENERATION !== 'true'
+  },
+  _testing: { formatDataForPrompt, seedOverlapRatio, MAX_SEED_OVERLAP }
+};
\ No newline at end of file
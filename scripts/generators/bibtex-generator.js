@@ -2,12 +2,17 @@
  * BibTeX generator
  *
  * Converts aggregated publications data to BibTeX format
- * for citation management tools.
+ * for citation management tools, and to BibLaTeX format (ISO dates,
+ * `related` links between preprints and published versions) for Biber.
  */
 
-const fs = require('fs');
+const config = require('../config');
+const dataStore = require('../lib/data-store');
+const { acceptInput } = require('../lib/provenance');
 const path = require('path');
 const { generateBibtexKey } = require('../lib/bibtex-key');
+const { publicationType } = require('../lib/publication-types');
+const { parseName, formatNames } = require('../lib/bibtex-names');
 
 /**
  * Escape special LaTeX characters in a string
@@ -123,21 +128,17 @@ function formatAuthorsForBibtex(authorStr) {
 }
 
 /**
- * Map publication type to BibTeX entry type
+ * Map a publication type (see lib/publication-types.js) to BibTeX entry type
  */
 function getBibtexType(pubType) {
   const typeMap = {
     'journal-article': 'article',
-    'conference-proceeding': 'inproceedings',
-    'proceedings-article': 'inproceedings',
     'book': 'book',
-    'book-chapter': 'incollection',
-    'edited-book': 'book',
+    'chapter': 'incollection',
+    'proceedings-paper': 'inproceedings',
     'report': 'techreport',
-    'thesis': 'phdthesis',
-    'dissertation': 'phdthesis',
-    'working-paper': 'unpublished',
-    'preprint': 'unpublished'
+    'preprint': 'unpublished',
+    'thesis': 'phdthesis'
   };
 
   return typeMap[pubType] || 'misc';
@@ -176,59 +177,273 @@ function formatMonth(month) {
 }
 
 /**
- * Convert a publication to BibTeX format
+ * Note pointing a preprint to its published version, or a published work to
+ * its preprints (see lib/publication-versions.js)
  */
-function publicationToBibtex(pub, citationKey) {
-  const bibtexType = getBibtexType(pub.type || pub.crossref_type);
-  const fields = [];
+function versionNote(pub) {
+  const relations = pub.relations || {};
+  const published = (relations.publishedAs || [])[0];
+  if (published) {
+    const where = published.doi ? `https://doi.org/${published.doi}` : published.venue;
+    if (where) {
+      return `Published version: ${escapeLatex(where)}`;
+    }
+  }
 
-  // Author (required for most types)
-  if (pub.authors) {
-    fields.push(`  author = {${formatAuthorsForBibtex(pub.authors)}}`);
+  const preprints = (relations.preprints || []).filter(ref => ref.doi);
+  if (preprints.length > 0) {
+    return `Preprint: ${preprints.map(ref => escapeLatex(`https://doi.org/${ref.doi}`)).join('; ')}`;
   }
 
-  // Title (required)
-  fields.push(`  title = {${escapeLatex(pub.title)}}`);
+  return null;
+}
 
-  // Year (required)
-  if (pub.year) {
-    fields.push(`  year = {${pub.year}}`);
+/**
+ * Author names in their parts: Crossref's structured list when there is one
+ * and the authors were not corrected in publication-overrides.yml, otherwise
+ * parsed from the author string
+ */
+function entryAuthors(pub) {
+  if (pub.crossref_authors && pub.crossref_authors.length > 0 &&
+      !(pub.overrides || []).includes('authors')) {
+    return pub.crossref_authors;
   }
+  if (!pub.authors) return [];
+  return formatAuthorsForBibtex(pub.authors).split(' and ').map(parseName);
+}
 
-  // Month (optional)
-  const month = formatMonth(pub.month);
-  if (month) {
-    fields.push(`  month = ${month}`);
-  }
+/**
+ * Page range with a BibTeX en dash: "383-385" -> "383--385"
+ */
+function formatPages(pages) {
+  if (!pages) return null;
+  return String(pages).replace(/\s*[-\u2010-\u2015]+\s*/g, '--');
+}
+
+/**
+ * Language name babel and BibLaTeX know, from an ISO 639-1 code
+ */
+function languageName(code) {
+  const languages = {
+    en: 'english',
+    it: 'italian',
+    fr: 'french',
+    de: 'german',
+    es: 'spanish',
+    pt: 'portuguese',
+    nl: 'dutch'
+  };
+  return languages[String(code || '').toLowerCase().slice(0, 2)] || null;
+}
+
+/**
+ * Keywords: Crossref subjects, or else OpenAlex topics
+ */
+function entryKeywords(pub) {
+  const keywords = (pub.subjects && pub.subjects.length > 0) ? pub.subjects : (pub.topics || []);
+  return keywords.length > 0 ? escapeLatex(keywords.join(', ')) : null;
+}
+
+/**
+ * Abstract on one line, paragraphs joined
+ */
+function entryAbstract(pub) {
+  return pub.abstract ? escapeLatex(pub.abstract.replace(/\s+/g, ' ').trim()) : null;
+}
 
-  // Venue-specific fields
-  if (bibtexType === 'article' && pub.venue) {
-    fields.push(`  journal = {${escapeLatex(pub.venue)}}`);
-  } else if ((bibtexType === 'inproceedings' || bibtexType === 'incollection') && pub.venue) {
-    fields.push(`  booktitle = {${escapeLatex(pub.venue)}}`);
+/**
+ * Preprint server identifier: an arXiv ID, or one read from an SSRN or OSF
+ * preprint DOI
+ */
+function entryEprint(pub) {
+  if (pub.arxivId) {
+    return { eprint: pub.arxivId, eprinttype: 'arxiv' };
   }
 
-  // Publisher
-  if (pub.publisher) {
-    fields.push(`  publisher = {${escapeLatex(pub.publisher)}}`);
+  const patterns = [
+    [/^10\.48550\/arxiv\.(.+)$/i, 'arxiv'],
+    [/^10\.2139\/ssrn\.(\d+)$/i, 'ssrn'],
+    [/^10\.312(?:19|34|35)\/osf\.io\/(\w+)$/i, 'osf']
+  ];
+  for (const [pattern, eprinttype] of patterns) {
+    const match = pattern.exec(pub.doi || '');
+    if (match) {
+      return { eprint: match[1], eprinttype };
+    }
   }
 
-  // DOI
+  return null;
+}
+
+/**
+ * A `name = {value}` line, or null when there is no value
+ */
+function field(name, value) {
+  return value ? `  ${name} = {${value}}` : null;
+}
+
+/**
+ * URL of a work: its DOI, or the first source page
+ */
+function entryUrl(pub) {
   if (pub.doi) {
-    fields.push(`  doi = {${pub.doi}}`);
+    return `https://doi.org/${pub.doi}`;
+  }
+  if (pub.source_urls) {
+    return pub.source_urls.orcid || pub.source_urls.scholar || pub.source_urls.semanticScholar || null;
   }
+  return null;
+}
 
-  // URL (use DOI URL or other available URL)
-  if (pub.doi) {
-    fields.push(`  url = {https://doi.org/${pub.doi}}`);
-  } else if (pub.source_urls) {
-    const url = pub.source_urls.orcid || pub.source_urls.scholar || pub.source_urls.semanticScholar;
-    if (url) {
-      fields.push(`  url = {${url}}`);
+/**
+ * Convert a publication to BibTeX format
+ */
+function publicationToBibtex(pub, citationKey) {
+  const bibtexType = getBibtexType(publicationType(pub));
+  const eprint = entryEprint(pub);
+  const publisher = escapeLatex(pub.publisher);
+  const month = formatMonth(pub.month);
+
+  const fields = [
+    // Names with diacritics as LaTeX commands (see lib/bibtex-names.js)
+    field('author', formatNames(entryAuthors(pub), { latex: true })),
+    ['book', 'incollection', 'inproceedings'].includes(bibtexType)
+      ? field('editor', formatNames(pub.crossref_editors || [], { latex: true }))
+      : null,
+    `  title = {${escapeLatex(pub.title)}}`,
+    field('year', pub.year),
+    month ? `  month = ${month}` : null,
+
+    // Venue-specific fields
+    bibtexType === 'article' ? field('journal', escapeLatex(pub.venue)) : null,
+    ['inproceedings', 'incollection'].includes(bibtexType) ? field('booktitle', escapeLatex(pub.venue)) : null,
+    field('volume', escapeLatex(pub.volume)),
+    field('number', escapeLatex(pub.issue)),
+    field('pages', formatPages(pub.pages)),
+
+    // Reports are issued by an institution, theses by a school
+    field(bibtexType === 'techreport' ? 'institution' : bibtexType === 'phdthesis' ? 'school' : 'publisher', publisher),
+    bibtexType === 'article' ? field('issn', pub.issn) : field('isbn', pub.isbn),
+
+    field('doi', pub.doi),
+    field('url', entryUrl(pub)),
+    field('eprint', eprint && eprint.eprint),
+    field('eprinttype', eprint && eprint.eprinttype),
+    field('language', languageName(pub.language)),
+    field('keywords', entryKeywords(pub)),
+    field('abstract', entryAbstract(pub)),
+
+    // Preprint or published version of the same work
+    field('note', versionNote(pub))
+  ].filter(Boolean);
+
+  return `@${bibtexType}{${citationKey},\n${fields.join(',\n')}\n}`;
+}
+
+/**
+ * Map a publication type (see lib/publication-types.js) to BibLaTeX entry type
+ */
+function getBiblatexType(pubType) {
+  const typeMap = {
+    'journal-article': 'article',
+    'book': 'book',
+    'chapter': 'incollection',
+    'proceedings-paper': 'inproceedings',
+    'report': 'report',
+    'preprint': 'online',
+    'thesis': 'thesis',
+    'dataset': 'dataset',
+    'software': 'software'
+  };
+
+  return typeMap[pubType] || 'misc';
+}
+
+/**
+ * ISO 8601 date of a work, as precise as its month and day are known
+ * (publicationDate pads a missing month or day with 01)
+ */
+function entryDate(pub) {
+  if (!pub.year) return null;
+  const parts = [String(pub.year)];
+  if (pub.month) {
+    parts.push(String(pub.month).padStart(2, '0'));
+    if (pub.day) {
+      parts.push(String(pub.day).padStart(2, '0'));
     }
   }
+  return parts.join('-');
+}
 
-  return `@${bibtexType}{${citationKey},\n${fields.join(',\n')}\n}`;
+/**
+ * BibLaTeX `related` and `relatedtype` linking a preprint and its published
+ * version when both are in the file. The types are biblatex's own, which its
+ * standard styles and the styles built on them print with a localised
+ * string: a published work was "originally published as" its preprint
+ * (`origpubas`), a preprint was "reprinted as" the published work
+ * (`reprintas`). The note still says which version the related entry is
+ */
+function relatedEntries(pub, keysById) {
+  const relations = pub.relations || {};
+  const keysOf = refs => (refs || []).map(ref => keysById.get(ref.id)).filter(Boolean);
+
+  const published = keysOf(relations.publishedAs);
+  if (published.length > 0) {
+    return { related: published.join(','), relatedtype: 'reprintas' };
+  }
+
+  const preprints = keysOf(relations.preprints);
+  if (preprints.length > 0) {
+    return { related: preprints.join(','), relatedtype: 'origpubas' };
+  }
+
+  return null;
+}
+
+/**
+ * Convert a publication to BibLaTeX format (for Biber)
+ *
+ * @param {Object} pub
+ * @param {string} citationKey
+ * @param {Map} [keysById] - Citation keys of the other entries by registry ID,
+ *   for `related`
+ */
+function publicationToBiblatex(pub, citationKey, keysById = new Map()) {
+  const entryType = getBiblatexType(publicationType(pub));
+  const eprint = entryEprint(pub);
+  const related = relatedEntries(pub, keysById);
+  const publisher = escapeLatex(pub.publisher);
+  const subtypes = { report: 'techreport', thesis: 'phdthesis' };
+
+  const fields = [
+    // Biber reads UTF-8 names as they are
+    field('author', formatNames(entryAuthors(pub))),
+    ['book', 'incollection', 'inproceedings'].includes(entryType)
+      ? field('editor', formatNames(pub.crossref_editors || []))
+      : null,
+    `  title = {${escapeLatex(pub.title)}}`,
+    entryType === 'article' ? field('journaltitle', escapeLatex(pub.venue)) : null,
+    ['inproceedings', 'incollection'].includes(entryType) ? field('booktitle', escapeLatex(pub.venue)) : null,
+    field('date', entryDate(pub)),
+    field('volume', escapeLatex(pub.volume)),
+    field('number', escapeLatex(pub.issue)),
+    field('pages', formatPages(pub.pages)),
+    field('type', subtypes[entryType]),
+    field(subtypes[entryType] ? 'institution' : 'publisher', publisher),
+    entryType === 'article' ? field('issn', pub.issn) : field('isbn', pub.isbn),
+    field('doi', pub.doi),
+    field('url', entryUrl(pub)),
+    field('eprint', eprint && eprint.eprint),
+    field('eprinttype', eprint && eprint.eprinttype),
+    field('langid', languageName(pub.language)),
+    field('keywords', entryKeywords(pub)),
+    field('abstract', entryAbstract(pub)),
+    field('related', related && related.related),
+    field('relatedtype', related && related.relatedtype),
+    field('note', versionNote(pub))
+  ].filter(Boolean);
+
+  return `@${entryType}{${citationKey},\n${fields.join(',\n')}\n}`;
 }
 
 /**
@@ -240,12 +455,16 @@ async function generateBibtex() {
   try {
     const aggregatedDataPath = path.join(__dirname, '../../public/data/aggregated-publications.json');
 
-    if (!fs.existsSync(aggregatedDataPath)) {
+    if (!dataStore.existsSync(aggregatedDataPath)) {
       console.log('No aggregated publications data found. Skipping BibTeX generation.');
       return false;
     }
 
-    const aggregatedData = JSON.parse(fs.readFileSync(aggregatedDataPath, 'utf8'));
+    const aggregatedData = acceptInput(
+      JSON.parse(dataStore.readFileSync(aggregatedDataPath, 'utf8')),
+      aggregatedDataPath
+    );
+    if (!aggregatedData) return false;
     const publications = aggregatedData.publications || [];
 
     if (publications.length === 0) {
@@ -256,30 +475,38 @@ async function generateBibtex() {
     // Sort publications by year (newest first)
     publications.sort((a, b) => (b.year || 0) - (a.year || 0));
 
-    // Generate BibTeX entries
+    // Citation keys, shared by both files
     const usedKeys = new Set();
-    const bibtexEntries = publications
+    const entries = publications
       .filter(pub => pub.title && pub.year) // Only include publications with title and year
-      .map(pub => {
-        const key = generateCitationKey(pub, usedKeys);
-        return publicationToBibtex(pub, key);
-      });
+      .map(pub => ({ pub, key: generateCitationKey(pub, usedKeys) }));
+    const keysById = new Map(entries.filter(({ pub }) => pub.id).map(({ pub, key }) => [pub.id, key]));
+
+    const bibtexEntries = entries.map(({ pub, key }) => publicationToBibtex(pub, key));
+    const biblatexEntries = entries.map(({ pub, key }) => publicationToBiblatex(pub, key, keysById));
 
     // Create header comment
-    const header = `% BibTeX bibliography file
+    const header = (format, fileName) => `% ${format} bibliography file
+% Encoding: UTF-8
 % Generated automatically from aggregated publication data
 % Last updated: ${new Date().toISOString()}
-% Total entries: ${bibtexEntries.length}
+% Total entries: ${entries.length}
 %
-% Source: https://fabiogiglietto.github.io/public/data/publications.bib
+% Source: ${config.siteUrl}/public/data/${fileName}
 
 `;
 
-    // Write to file
+    // Write to files
     const outputPath = path.join(__dirname, '../../public/data/publications.bib');
-    fs.writeFileSync(outputPath, header + bibtexEntries.join('\n\n') + '\n', 'utf8');
-
-    console.log(`Generated BibTeX file with ${bibtexEntries.length} entries`);
+    dataStore.writeFileSync(outputPath, header('BibTeX', 'publications.bib') + bibtexEntries.join('\n\n') + '\n', 'utf8');
+    const biblatexPath = path.join(__dirname, '../../public/data/publications-biblatex.bib');
+    dataStore.writeFileSync(
+      biblatexPath,
+      header('BibLaTeX', 'publications-biblatex.bib') + biblatexEntries.join('\n\n') + '\n',
+      'utf8'
+    );
+
+    console.log(`Generated BibTeX and BibLaTeX files with ${entries.length} entries`);
     return true;
   } catch (error) {
     console.error('Error generating BibTeX data:', error);
@@ -292,4 +519,14 @@ if (require.main === module) {
   generateBibtex();
 }
 
-module.exports = { generateBibtex };
+module.exports = {
+  generateBibtex,
+  publicationToBibtex,
+  publicationToBiblatex,
+  pipeline: {
+    name: 'bibtex-generator',
+    run: generateBibtex,
+    outputs: ['public/data/publications.bib', 'public/data/publications-biblatex.bib'],
+    dependsOn: ['publications-aggregator']
+  }
+};
@@ -22,9 +22,11 @@
  * the output worse than not running at all.
  */
 
-const fs = require('fs');
+const dataStore = require('../lib/data-store');
 const path = require('path');
 const { getAnthropicClient, credentialSource, MODELS } = require('../helpers/anthropic-client');
+const llmLedger = require('../lib/llm-ledger');
+const { performance } = require('perf_hooks');
 
 // Thinking bills as output at ~6x the input rate on every Anthropic model, and
 // on Fable 5 it is always on — omitting `effort` silently defaults to 'high'.
@@ -128,6 +130,10 @@ function isUsableRevision(revised, original) {
   return ratio >= 0.5 && ratio <= 1.5;
 }
 
+// How the last reviewBio() call went, as a pipeline-style result for the
+// status page: failing open is invisible in the published bio.
+let lastOutcome = null;
+
 /**
  * Review a generated biography.
  * @param {String} html The generated biography HTML.
@@ -140,38 +146,48 @@ async function reviewBio(html, sources) {
   const client = getAnthropicClient();
   if (!client) {
     console.log(`Bio reviewer skipped: no Anthropic credentials (checked ANTHROPIC_API_KEY and the federation variables)`);
+    lastOutcome = { status: 'skipped', reason: 'disabled' };
     return null;
   }
 
+  const startedAt = performance.now();
+  const failOpen = (status, error) => {
+    lastOutcome = { status, error, durationMs: Math.round(performance.now() - startedAt) };
+    return null;
+  };
+
   try {
     console.log(`Bio reviewer: calling ${MODELS.REVIEWER} (effort: ${REVIEW_CALL_CONFIG.effort}, credentials: ${credentialSource()})`);
-    const response = await client.messages.create({
-      model: MODELS.REVIEWER,
-      max_tokens: REVIEW_CALL_CONFIG.maxTokens,
-      output_config: {
-        effort: REVIEW_CALL_CONFIG.effort,
-        format: { type: 'json_schema', schema: REVIEW_SCHEMA },
-      },
-      messages: [{ role: 'user', content: buildPrompt(html, sources) }],
-    });
+    const response = await llmLedger.track(
+      { provider: 'anthropic', model: MODELS.REVIEWER, purpose: 'bio-reviewer' },
+      () => client.messages.create({
+        model: MODELS.REVIEWER,
+        max_tokens: REVIEW_CALL_CONFIG.maxTokens,
+        output_config: {
+          effort: REVIEW_CALL_CONFIG.effort,
+          format: { type: 'json_schema', schema: REVIEW_SCHEMA },
+        },
+        messages: [{ role: 'user', content: buildPrompt(html, sources) }],
+      })
+    );
 
     // A policy decline is HTTP 200 with stop_reason 'refusal'; a cap hit is
     // 'max_tokens'. Either way the content is not a usable revision.
     if (response.stop_reason !== 'end_turn') {
       console.warn(`Bio reviewer failed: stop_reason=${response.stop_reason}${response.stop_details ? ` (${response.stop_details.category})` : ''} — publishing the original`);
-      return null;
+      return failOpen('degraded', `stop_reason=${response.stop_reason}`);
     }
 
     const textBlock = response.content.find(b => b.type === 'text');
     if (!textBlock) {
       console.warn('Bio reviewer failed: no text block in response — publishing the original');
-      return null;
+      return failOpen('degraded', 'no text block in response');
     }
 
     const parsed = JSON.parse(textBlock.text);
     if (!isUsableRevision(parsed.revised_html, html)) {
       console.warn('Bio reviewer failed: revision did not pass shape checks — publishing the original');
-      return null;
+      return failOpen('degraded', 'revision did not pass shape checks');
     }
 
     const flags = Array.isArray(parsed.flags) ? parsed.flags : [];
@@ -185,7 +201,7 @@ async function reviewBio(html, sources) {
     // Actions logs age out and the flags are the half a human needs to read.
     // public/data/ is committed by the workflow, so this persists for free.
     try {
-      fs.writeFileSync(REVIEW_OUTPUT_PATH, JSON.stringify({
+      dataStore.writeFileSync(REVIEW_OUTPUT_PATH, JSON.stringify({
         reviewedAt: new Date().toISOString(),
         model: MODELS.REVIEWER,
         effort: REVIEW_CALL_CONFIG.effort,
@@ -196,14 +212,29 @@ async function reviewBio(html, sources) {
       console.warn(`Could not write bio-review.json: ${writeError.message}`);
     }
 
-    return { html: parsed.revised_html.trim(), flags, summary: parsed.summary || '' };
+    const review = { html: parsed.revised_html.trim(), flags, summary: parsed.summary || '' };
+    lastOutcome = {
+      status: 'ok',
+      data: review,
+      durationMs: Math.round(performance.now() - startedAt),
+    };
+    return review;
   } catch (error) {
     console.warn(`Bio reviewer failed: ${error.message} — publishing the original`);
-    return null;
+    return failOpen('failed', error.message);
   }
 }
 
+/**
+ * Result of the last reviewBio() call in this process, or null if it never ran.
+ * @return {Object|null} { status, error|reason, durationMs, data }
+ */
+function lastReviewOutcome() {
+  return lastOutcome;
+}
+
 module.exports = {
   reviewBio,
+  lastReviewOutcome,
   _testing: { isUsableRevision, buildPrompt, REVIEW_CALL_CONFIG, REVIEW_SCHEMA },
 };
@@ -0,0 +1,122 @@
+/**
+ * Data & Software generator
+ *
+ * Builds _data/data-software.yml for the Data & Software page from two
+ * inputs: the research data deposits the publications aggregator sets aside
+ * (public/data/datasets.json, see lib/datasets.js), with the papers they
+ * replicate, and the GitHub repositories that can be cited, i.e. that have a
+ * CITATION.cff or a Zenodo DOI (public/data/github.json).
+ *
+ * GitHub often fails without a token, so a failed github node leaves its
+ * last file to be read instead; without either input the page lists what
+ * the other provides.
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+const dataStore = require('../lib/data-store');
+const { acceptInput } = require('../lib/provenance');
+
+const DATA_DIR = path.join(__dirname, '../../public/data');
+const OUTPUT_PATH = path.join(__dirname, '../../_data/data-software.yml');
+
+function readInput(file) {
+  const filePath = path.join(DATA_DIR, file);
+  if (!dataStore.existsSync(filePath)) {
+    console.log(`No ${file} found`);
+    return null;
+  }
+  return acceptInput(JSON.parse(dataStore.readFileSync(filePath, 'utf8')), filePath);
+}
+
+function doiUrl(doi) {
+  return doi ? `https://doi.org/${doi}` : null;
+}
+
+/**
+ * A deposit as the page shows it.
+ *
+ * @param {Object} deposit - Entry of datasets.json
+ * @returns {Object}
+ */
+function toDatasetEntry(deposit) {
+  return {
+    title: deposit.title,
+    authors: deposit.authors || null,
+    repository: deposit.repository || null,
+    year: deposit.year || null,
+    doi: deposit.doi || null,
+    url: deposit.url || doiUrl(deposit.doi),
+    files: deposit.files.map(file => file.title),
+    versions: deposit.versions.length,
+    replicates: deposit.replicates.map(paper => ({
+      title: paper.title,
+      url: doiUrl(paper.doi)
+    }))
+  };
+}
+
+/**
+ * A repository as the page shows it, or null when it cannot be cited.
+ *
+ * @param {Object} repo - Entry of github.json `repositories`
+ * @returns {Object|null}
+ */
+function toSoftwareEntry(repo) {
+  const citation = repo.citation || null;
+  const doi = repo.zenodo_doi || (citation && citation.doi) || null;
+  if (repo.fork || (!citation && !doi)) return null;
+  return {
+    name: repo.name,
+    title: (citation && citation.title) || repo.name,
+    description: repo.description || null,
+    url: repo.url,
+    language: repo.language || null,
+    stars: repo.stars || 0,
+    version: (citation && citation.version) || null,
+    released: (citation && citation.date_released) || null,
+    license: (citation && citation.license) || null,
+    doi,
+    doi_url: doiUrl(doi),
+    has_citation_file: Boolean(citation)
+  };
+}
+
+async function generateDataSoftware() {
+  console.log('Generating Data & Software page data...');
+
+  try {
+    const datasetsData = readInput('datasets.json');
+    const githubData = readInput('github.json');
+    if (!datasetsData && !githubData) return false;
+
+    const datasets = ((datasetsData && datasetsData.datasets) || []).map(toDatasetEntry);
+    const software = ((githubData && githubData.repositories) || [])
+      .map(toSoftwareEntry)
+      .filter(Boolean)
+      .sort((a, b) => b.stars - a.stars || a.name.localeCompare(b.name));
+
+    const yamlStr = yaml.dump({ datasets, software }, { quoteStyle: 'double', lineWidth: 120 });
+    dataStore.writeFileSync(OUTPUT_PATH, yamlStr, 'utf8');
+
+    console.log(
+      `Generated Data & Software data with ${datasets.length} datasets and ${software.length} software entries`
+    );
+    return true;
+  } catch (error) {
+    console.error('Error generating Data & Software data:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  generateDataSoftware,
+  pipeline: {
+    name: 'data-software-generator',
+    run: generateDataSoftware,
+    outputs: ['_data/data-software.yml'],
+    dependsOn: ['publications-aggregator', 'github'],
+    allowStaleInputs: true
+  },
+  _testing: { toDatasetEntry, toSoftwareEntry }
+};
@@ -12,11 +12,13 @@
  * `_academic` object) so downstream parsers can be reused unchanged.
  */
 
-const fs = require('fs');
+const dataStore = require('../lib/data-store');
+const { acceptInput } = require('../lib/provenance');
 const path = require('path');
 const { generateBibtexKey } = require('../lib/bibtex-key');
-const { resolveOaPdf } = require('../lib/unpaywall');
-const { findOraPdfByDoi } = require('../lib/ora-search');
+const { pdfUrl } = require('../lib/open-access');
+const { isRetracted } = require('../lib/editorial-notices');
+const { publicationType } = require('../lib/publication-types');
 const config = require('../config');
 
 // Venues excluded from the feed: short conference proceedings that are not
@@ -47,6 +49,26 @@ function parseAuthors(authorStr) {
     });
 }
 
+/**
+ * A work's preprints and published version (see lib/publication-versions.js),
+ * so downstream can tell two items are versions of one paper.
+ */
+function versionLinks(pub) {
+  const relations = pub.relations || {};
+  const toLink = (ref) => ({
+    doi: ref.doi || null,
+    publication_id: ref.id || null,
+  });
+  const published = (relations.publishedAs || [])[0];
+  return {
+    published_version: published ? toLink(published) : null,
+    preprints: (relations.preprints || []).map((ref) => ({
+      ...toLink(ref),
+      server: ref.server || null,
+    })),
+  };
+}
+
 async function generateOwnPublicationsFeed() {
   console.log('Generating own-publications feed...');
 
@@ -56,20 +78,29 @@ async function generateOwnPublicationsFeed() {
       '../../public/data/aggregated-publications.json'
     );
 
-    if (!fs.existsSync(aggregatedDataPath)) {
+    if (!dataStore.existsSync(aggregatedDataPath)) {
       console.log('No aggregated publications data found. Skipping own-publications feed.');
       return false;
     }
 
-    const aggregated = JSON.parse(fs.readFileSync(aggregatedDataPath, 'utf8'));
+    const aggregated = acceptInput(
+      JSON.parse(dataStore.readFileSync(aggregatedDataPath, 'utf8')),
+      aggregatedDataPath
+    );
+    if (!aggregated) return false;
     const allPublications = (aggregated.publications || []).filter(
       (p) => p.title && p.year
     );
-    const publications = allPublications.filter((p) => !isExcludedVenue(p.venue));
-    const excludedCount = allPublications.length - publications.length;
+    const listed = allPublications.filter((p) => !isExcludedVenue(p.venue));
+    const excludedCount = allPublications.length - listed.length;
     if (excludedCount > 0) {
       console.log(`Excluded ${excludedCount} short-proceedings publication(s) by venue`);
     }
+    // Retracted papers get no podcast episode or zettelkasten note
+    const publications = listed.filter((p) => !isRetracted(p));
+    if (publications.length < listed.length) {
+      console.log(`Excluded ${listed.length - publications.length} retracted publication(s)`);
+    }
 
     if (publications.length === 0) {
       console.log('No publications found. Skipping own-publications feed.');
@@ -78,11 +109,12 @@ async function generateOwnPublicationsFeed() {
 
     const items = publications.map((pub) => {
       const key = generateBibtexKey(pub);
-      // Direct open-access PDF URL resolved from the ORA landing page by the
-      // ORA collector. When ORA has nothing, an Unpaywall fallback runs below.
-      // Downstream (research-radio podcasts, fg-zettelkasten notes) requires
-      // this full text — a paper without it is skipped.
-      const oaPdfUrl = pub.oaPdfUrl || null;
+      // Direct open-access PDF URL: from the ORA landing page (ORA collector),
+      // or found by the aggregator's ORA search or Unpaywall lookup, which also
+      // count it in oa_status (see lib/open-access.js). Downstream
+      // (research-radio podcasts, fg-zettelkasten notes) requires this full
+      // text — a paper without it is skipped.
+      const oaPdfUrl = pdfUrl(pub);
       const fallbackUrl =
         (pub.source_urls && (pub.source_urls.orcid || pub.source_urls.scholar)) || null;
 
@@ -96,15 +128,25 @@ async function generateOwnPublicationsFeed() {
         _academic: {
           doi: pub.doi || null,
           bibtex_key: key,
-          type: pub.type || pub.crossref_type || null,
+          publication_id: pub.id || null,
+          type: publicationType(pub),
           venue: pub.venue || '',
           year: pub.year,
           publisher: pub.publisher || null,
           citation_count: (pub.metrics && pub.metrics.total_citations) || 0,
-          // open_access is true only when a directly-downloadable green-OA PDF
-          // was resolved (from ORA) — not merely when an ORA handle exists.
+          // open_access is true only when a directly-downloadable OA PDF was
+          // resolved — not merely when an ORA handle exists.
           open_access: Boolean(oaPdfUrl),
           open_access_pdf_url: oaPdfUrl,
+          // gold, hybrid, bronze, green or closed, with the source that said so
+          // (see lib/open-access.js)
+          oa_status: (pub.open_access && pub.open_access.status) || null,
+          oa_source: (pub.open_access && pub.open_access.source) || null,
+          // where content_text came from (see lib/abstracts.js)
+          abstract_source: pub.abstract_source || null,
+          ...versionLinks(pub),
+          // expression-of-concern or corrected (retracted works are left out)
+          notice_status: pub.notice_status || null,
         },
       };
     });
@@ -124,46 +166,6 @@ async function generateOwnPublicationsFeed() {
       console.log(`Dropped ${items.length - dedupedItems.length} duplicate publication(s)`);
     }
 
-    // ORA-search fallback: ORCID surfaces new papers on publication day, but
-    // ORA's OAI-PMH endpoint can lag days/weeks behind the actual deposit.
-    // Search ORA by DOI directly for items the OAI pass missed, so a freshly
-    // deposited PDF is picked up on the next pipeline run rather than waiting
-    // for OAI to catch up.
-    let oraSearchHits = 0;
-    for (const item of dedupedItems) {
-      const academic = item._academic;
-      if (academic.open_access_pdf_url || !academic.doi) continue;
-      const pdfUrl = await findOraPdfByDoi(academic.doi);
-      if (pdfUrl) {
-        academic.open_access_pdf_url = pdfUrl;
-        academic.open_access = true;
-        oraSearchHits += 1;
-      }
-      await new Promise((resolve) => setTimeout(resolve, 200));
-    }
-    if (oraSearchHits) {
-      console.log(`ORA search resolved ${oraSearchHits} additional OA PDF(s)`);
-    }
-
-    // Unpaywall fallback: for items neither ORA-OAI nor ORA-search resolved,
-    // ask Unpaywall (catches arXiv preprints and PDF-first OA journals with no
-    // ORA deposit).
-    let unpaywallHits = 0;
-    for (const item of dedupedItems) {
-      const academic = item._academic;
-      if (academic.open_access_pdf_url || !academic.doi) continue;
-      const pdfUrl = await resolveOaPdf(academic.doi, config.email);
-      if (pdfUrl) {
-        academic.open_access_pdf_url = pdfUrl;
-        academic.open_access = true;
-        unpaywallHits += 1;
-      }
-      await new Promise((resolve) => setTimeout(resolve, 100));
-    }
-    if (unpaywallHits) {
-      console.log(`Unpaywall resolved ${unpaywallHits} additional OA PDF(s)`);
-    }
-
     // Newest first.
     dedupedItems.sort((a, b) =>
       String(b.date_published).localeCompare(String(a.date_published))
@@ -171,10 +173,10 @@ async function generateOwnPublicationsFeed() {
 
     const feed = {
       version: 'https://jsonfeed.org/version/1.1',
-      title: 'Fabio Giglietto — own publications',
-      home_page_url: 'https://fabiogiglietto.github.io/publications',
+      title: `${config.name} — own publications`,
+      home_page_url: `${config.siteUrl}/publications`,
       description:
-        "Auto-generated feed of Fabio Giglietto's own publications, consumed " +
+        `Auto-generated feed of ${config.name}'s own publications, consumed ` +
         'downstream by research-radio and fg-zettelkasten.',
       _updated: new Date().toISOString(),
       items: dedupedItems,
@@ -184,7 +186,7 @@ async function generateOwnPublicationsFeed() {
       __dirname,
       '../../public/data/own-publications.json'
     );
-    fs.writeFileSync(outputPath, JSON.stringify(feed, null, 2), 'utf8');
+    dataStore.writeFileSync(outputPath, JSON.stringify(feed, null, 2), 'utf8');
 
     console.log(`Generated own-publications feed with ${dedupedItems.length} items`);
     return true;
@@ -199,4 +201,13 @@ if (require.main === module) {
   generateOwnPublicationsFeed();
 }
 
-module.exports = { generateOwnPublicationsFeed };
+module.exports = {
+  generateOwnPublicationsFeed,
+  versionLinks,
+  pipeline: {
+    name: 'own-publications-feed',
+    run: generateOwnPublicationsFeed,
+    outputs: ['public/data/own-publications.json'],
+    dependsOn: ['publications-aggregator']
+  }
+};
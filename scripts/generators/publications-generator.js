@@ -3,14 +3,22 @@
  * 
  * Converts aggregated publications data from multiple sources 
  * (ORCID, Google Scholar, Web of Science, Scopus) to Jekyll-compatible 
- * YAML format for the publications page.
+ * YAML format for the publications page. Preprints with a published version
+ * are listed under that version ("also available as preprint"), and works
+ * with a retraction, expression of concern, correction or erratum carry the
+ * notice. The outputs of each funded project in _data/projects.yml are
+ * listed in _data/project-outputs.json, and the open-access share of the
+ * page's works, by status and year, in _data/open-access.json.
  */
 
-const fs = require('fs');
+const dataStore = require('../lib/data-store');
+const { acceptInput } = require('../lib/provenance');
 const path = require('path');
 const yaml = require('js-yaml');
 const config = require('../config');
 const { generateBibtexKey } = require('../lib/bibtex-key');
+const { OA_STATUSES } = require('../lib/open-access');
+const { PUBLICATION_TYPES, publicationType, venueType } = require('../lib/publication-types');
 
 async function generatePublicationsData() {
   console.log('Generating publications data...');
@@ -23,10 +31,26 @@ async function generatePublicationsData() {
     // Check if aggregated data exists
     let publications = [];
     
-    if (fs.existsSync(aggregatedDataPath)) {
+    if (dataStore.existsSync(aggregatedDataPath)) {
       console.log('Using aggregated publications data from multiple sources');
-      const aggregatedData = JSON.parse(fs.readFileSync(aggregatedDataPath, 'utf8'));
+      const aggregatedData = acceptInput(
+        JSON.parse(dataStore.readFileSync(aggregatedDataPath, 'utf8')),
+        aggregatedDataPath
+      );
+      if (!aggregatedData) return false;
+
+      // Indicators for the page's metrics panel (see lib/bibliometrics.js)
+      if (aggregatedData.metrics && aggregatedData.metrics.by_source) {
+        const metricsPath = path.join(__dirname, '../../_data/publication-metrics.json');
+        dataStore.writeFileSync(metricsPath, JSON.stringify(aggregatedData.metrics, null, 2));
+      }
       
+      // A preprint whose published version is listed is shown as a link on
+      // that version rather than as a work of its own
+      const listedIds = new Set(
+        aggregatedData.publications.filter(pub => pub.year && pub.id).map(pub => pub.id)
+      );
+
       // Convert aggregated data to publications format and filter out those without a valid year
       publications = aggregatedData.publications
         .map(pub => {
@@ -34,8 +58,15 @@ async function generatePublicationsData() {
             console.log(`Skipping publication without year: "${pub.title}"`);
             return null;
           }
+          if (isListedAsPreprint(pub, listedIds)) {
+            console.log(`Listing preprint under its published version: "${pub.title}"`);
+            return null;
+          }
           
-          return {
+          // One of the shared taxonomy's types (see lib/publication-types.js)
+          const type = publicationType(pub);
+          const entry = {
+            id: pub.id || null, // Permanent ID from the publication registry
             title: pub.title,
             authors: pub.authors || formatAuthorsFromTitle(pub.title),
             venue: pub.venue || '',
@@ -50,24 +81,48 @@ async function generatePublicationsData() {
             citation_sources: {
               scholar: pub.citations.scholar,
               wos: pub.citations.wos,
-              scopus: pub.citations.scopus
+              scopus: pub.citations.scopus,
+              openalex: pub.citations.openalex ?? null
             },
-            type: determinePublicationType(pub.venue || ''),
+            type,
+            type_label: PUBLICATION_TYPES[type],
             urls: {
               doi: pub.doi ? `https://doi.org/${pub.doi}` : null,
               orcid: pub.source_urls.orcid,
               scholar: pub.source_urls.scholar,
               wos: pub.source_urls.wos,
-              scopus: pub.source_urls.scopus
+              scopus: pub.source_urls.scopus,
+              openalex: pub.source_urls.openalex || null
             }
           };
+          const preprints = preprintLinks(pub);
+          if (preprints.length > 0) entry.preprints = preprints;
+          const datasets = datasetLinks(pub);
+          if (datasets.length > 0) entry.datasets = datasets;
+          if (pub.projects && pub.projects.length > 0) {
+            entry.projects = pub.projects.map(project => project.title);
+          }
+          if (pub.notice_status) {
+            entry.notice_status = pub.notice_status;
+            entry.notices = noticeLinks(pub);
+          }
+          if (pub.open_access && pub.open_access.status) {
+            entry.oa_status = pub.open_access.status;
+            entry.oa_source = pub.open_access.source;
+            entry.oa_url = pub.open_access.url;
+          }
+          return entry;
         })
         .filter(pub => pub !== null);
     } 
     // Fall back to Google Scholar data if aggregated data doesn't exist
-    else if (fs.existsSync(scholarDataPath)) {
+    else if (dataStore.existsSync(scholarDataPath)) {
       console.log('Falling back to Google Scholar data');
-      const scholarData = JSON.parse(fs.readFileSync(scholarDataPath, 'utf8'));
+      const scholarData = acceptInput(
+        JSON.parse(dataStore.readFileSync(scholarDataPath, 'utf8')),
+        scholarDataPath
+      );
+      if (!scholarData) return false;
       
       // Convert to publications format and filter out those without a valid year
       publications = scholarData.publications
@@ -86,6 +141,7 @@ async function generatePublicationsData() {
           const authors = formatAuthorList(pub.authors || '');
           
           const year = parseInt(pub.year);
+          const type = venueType(pub.venue) || 'other';
           return {
             title: pub.title,
             authors: authors,
@@ -98,9 +154,11 @@ async function generatePublicationsData() {
             citation_sources: {
               scholar: parseInt(pub.citations) || 0,
               wos: null,
-              scopus: null
+              scopus: null,
+              openalex: null
             },
-            type: determinePublicationType(pub.venue || ''),
+            type,
+            type_label: PUBLICATION_TYPES[type],
             urls: {
               doi: doi ? `https://doi.org/${doi}` : null,
               scholar: config.buildScholarProfileUrl()
@@ -130,7 +188,15 @@ async function generatePublicationsData() {
     });
     
     const outputPath = path.join(__dirname, '../../_data/publications.yml');
-    fs.writeFileSync(outputPath, yamlStr, 'utf8');
+    dataStore.writeFileSync(outputPath, yamlStr, 'utf8');
+    
+    // Each funded project's outputs, for the projects page (see lib/project-funding.js)
+    const projectOutputsPath = path.join(__dirname, '../../_data/project-outputs.json');
+    dataStore.writeFileSync(projectOutputsPath, JSON.stringify(projectOutputs(publications), null, 2));
+    
+    // Open-access share for the page's chart (see lib/open-access.js)
+    const openAccessPath = path.join(__dirname, '../../_data/open-access.json');
+    dataStore.writeFileSync(openAccessPath, JSON.stringify(openAccessSummary(publications), null, 2));
     
     console.log(`Generated publications data with ${publications.length} entries`);
     return true;
@@ -140,13 +206,111 @@ async function generatePublicationsData() {
   }
 }
 
+/**
+ * Whether a work is a preprint whose published version is on the page (see
+ * lib/publication-versions.js)
+ */
+function isListedAsPreprint(pub, listedIds) {
+  const publishedAs = (pub.relations && pub.relations.publishedAs) || [];
+  return publishedAs.some(ref => ref.id && ref.id !== pub.id && listedIds.has(ref.id));
+}
+
+// Helper function to list a published work's preprints as page links
+function preprintLinks(pub) {
+  const preprints = (pub.relations && pub.relations.preprints) || [];
+  return preprints
+    .filter(ref => ref.doi)
+    .map(ref => ({
+      server: ref.server || 'Preprint',
+      url: `https://doi.org/${ref.doi}`
+    }));
+}
+
+// Helper function to list the data deposits that replicate a work (see lib/datasets.js)
+function datasetLinks(pub) {
+  const datasets = (pub.relations && pub.relations.datasets) || [];
+  return datasets
+    .filter(ref => ref.doi)
+    .map(ref => ({
+      repository: ref.repository || 'Dataset',
+      url: `https://doi.org/${ref.doi}`
+    }));
+}
+
+/**
+ * Group the page's publications by the projects that funded them, newest
+ * first: `{<project title>: [{id, title, year, venue, url}]}`
+ */
+function projectOutputs(publications) {
+  const outputs = {};
+  for (const pub of publications) {
+    for (const project of pub.projects || []) {
+      (outputs[project] = outputs[project] || []).push({
+        id: pub.id || null,
+        title: pub.title,
+        year: pub.year,
+        venue: pub.venue || '',
+        url: pub.urls.doi || pub.url || null
+      });
+    }
+  }
+  return outputs;
+}
+
+/**
+ * Count the page's publications by open-access status, overall and by year
+ * (oldest first); works without a status count as `unknown`, and the open
+ * share is taken over the classified works only.
+ */
+function openAccessSummary(publications) {
+  const counts = () => Object.fromEntries([...OA_STATUSES, 'unknown'].map(status => [status, 0]));
+  const byStatus = counts();
+  const byYear = new Map();
+  for (const pub of publications) {
+    const status = pub.oa_status || 'unknown';
+    byStatus[status]++;
+    if (!byYear.has(pub.year)) byYear.set(pub.year, { year: pub.year, total: 0, ...counts() });
+    const row = byYear.get(pub.year);
+    row.total++;
+    row[status]++;
+  }
+  const classified = publications.length - byStatus.unknown;
+  const open = classified - byStatus.closed;
+  return {
+    total: publications.length,
+    classified,
+    open,
+    open_share: classified > 0 ? Math.round((open / classified) * 1000) / 1000 : null,
+    by_status: byStatus,
+    by_year: [...byYear.values()].sort((a, b) => a.year - b.year)
+  };
+}
+
+// Labels the page shows for each kind of editorial notice
+const NOTICE_LABELS = {
+  retraction: 'Retraction',
+  'expression-of-concern': 'Expression of concern',
+  correction: 'Correction',
+  erratum: 'Erratum'
+};
+
+// Helper function to list a work's retractions, corrections and other
+// notices (see lib/editorial-notices.js)
+function noticeLinks(pub) {
+  return (pub.notices || []).map(notice => ({
+    label: NOTICE_LABELS[notice.kind] || notice.label || 'Notice',
+    date: notice.date || null,
+    url: notice.doi ? `https://doi.org/${notice.doi}` : null
+  }));
+}
+
 // Helper function to format author list to APA style
 function formatAuthorList(authorStr) {
   // Split authors string by commas
   const authors = authorStr.split(',').map(author => author.trim());
   
-  // Check if the first author is Fabio Giglietto
-  if (authors.length > 0 && (authors[0] === 'F Giglietto' || authors[0].startsWith('F '))) {
+  // Check if the first author is the profile's researcher
+  if (authors.length > 0 && config.isOwnName(authors[0])) {
     return authorStr; // Return the original author string for now
   }
   
@@ -171,26 +335,25 @@ function formatAuthorsFromTitle(title) {
   // It returns a default string, but in a real implementation this would
   // try to use more sophisticated methods to extract or infer author information
   
-  if (title.toLowerCase().includes("giglietto")) {
-    return "Giglietto, F., et al.";
+  if (title.toLowerCase().includes(config.familyName.toLowerCase())) {
+    return `${config.citationName}, et al.`;
   }
   
-  return "Giglietto, F.";
+  return config.citationName;
 }
 
-// Helper function to determine publication type based on venue
-function determinePublicationType(venue) {
-  const venueLC = venue.toLowerCase();
-  
-  if (venueLC.includes('journal') || venueLC.includes('review')) {
-    return 'journal';
-  } else if (venueLC.includes('conference') || venueLC.includes('proceedings')) {
-    return 'conference';
-  } else if (venueLC.includes('book') || venueLC.includes('chapter')) {
-    return 'book';
-  } else {
-    return 'article';
+module.exports = {
+  generatePublicationsData,
+  _testing: { projectOutputs, openAccessSummary },
+  pipeline: {
+    name: 'publications-generator',
+    run: generatePublicationsData,
+    outputs: [
+      '_data/publications.yml',
+      '_data/publication-metrics.json',
+      '_data/project-outputs.json',
+      '_data/open-access.json'
+    ],
+    dependsOn: ['publications-aggregator']
   }
-}
-
-module.exports = { generatePublicationsData };
\ No newline at end of file
+};
\ No newline at end of file
@@ -8,9 +8,11 @@
 // Load environment variables from .env file for local development
 require('dotenv').config();
 
-const fs = require('fs');
+const dataStore = require('../lib/data-store');
+const { acceptInput } = require('../lib/provenance');
 const path = require('path');
 const { getGeminiClient, MODELS } = require('../helpers/gemini-client');
+const llmLedger = require('../lib/llm-ledger');
 
 /**
  * Analyzes social media data and generates insights
@@ -24,13 +26,17 @@ async function generateSocialMediaInsights() {
     const socialMediaFile = path.join(dataDir, 'social-media.json');
     
     // Check if social media data exists
-    if (!fs.existsSync(socialMediaFile)) {
+    if (!dataStore.existsSync(socialMediaFile)) {
       console.error('Social media data file does not exist');
       return false;
     }
     
     // Read social media data
-    const socialMediaData = JSON.parse(fs.readFileSync(socialMediaFile, 'utf8'));
+    const socialMediaData = acceptInput(
+      JSON.parse(dataStore.readFileSync(socialMediaFile, 'utf8')),
+      socialMediaFile
+    );
+    if (!socialMediaData) return false;
     
     // Format the data for the Gemini prompt
     const formattedData = formatDataForPrompt(socialMediaData);
@@ -48,12 +54,12 @@ async function generateSocialMediaInsights() {
     
     // Save the generated insights
     const outputPath = path.join(dataDir, 'social-media-insights.json');
-    fs.writeFileSync(outputPath, JSON.stringify(insights, null, 2));
+    dataStore.writeFileSync(outputPath, JSON.stringify(insights, null, 2));
     
     // Generate HTML include file
     const includeContent = generateHtmlInclude(insights);
     const includePath = path.join(__dirname, '../../_includes/social-media-insights.html');
-    fs.writeFileSync(includePath, includeContent);
+    dataStore.writeFileSync(includePath, includeContent);
     
     console.log('Social media insights generated successfully');
     return true;
@@ -137,17 +143,20 @@ Format your response as a JSON object with the following structure:
 Respond with ONLY the JSON object, no markdown code blocks, no explanation.`;
 
     try {
-      const result = await ai.models.generateContent({
-        model: MODELS.FLASH,
-        contents: prompt,
-        config: {
-          // Summarising pre-computed engagement stats into fixed JSON fields:
-          // thinking tokens bill as output at 6x the input rate and buy
-          // nothing here.
-          thinkingConfig: { thinkingLevel: 'low' },
-          maxOutputTokens: 1500,
-        },
-      });
+      const result = await llmLedger.track(
+        { provider: 'gemini', model: MODELS.FLASH, purpose: 'social-media-insights' },
+        () => ai.models.generateContent({
+          model: MODELS.FLASH,
+          contents: prompt,
+          config: {
+            // Summarising pre-computed engagement stats into fixed JSON fields:
+            // thinking tokens bill as output at 6x the input rate and buy
+            // nothing here.
+            thinkingConfig: { thinkingLevel: 'low' },
+            maxOutputTokens: 1500,
+          },
+        })
+      );
       let text = (result.text || '').trim();
 
       // Remove markdown code blocks if present
@@ -306,4 +315,12 @@ function getFallbackInsights() {
   return JSON.stringify(fallbackInsights, null, 0);
 }
 
-module.exports = { generateSocialMediaInsights };
\ No newline at end of file
+module.exports = {
+  generateSocialMediaInsights,
+  pipeline: {
+    name: 'social-media-insights',
+    run: generateSocialMediaInsights,
+    outputs: ['public/data/social-media-insights.json', '_includes/social-media-insights.html'],
+    dependsOn: ['social-media']
+  }
+};
\ No newline at end of file
@@ -5,7 +5,8 @@
  * and saves it to the Jekyll _data directory
  */
 
-const fs = require('fs');
+const dataStore = require('../lib/data-store');
+const { acceptInput } = require('../lib/provenance');
 const path = require('path');
 const yaml = require('js-yaml');
 
@@ -24,17 +25,22 @@ async function generateTeachingData() {
     let teachingData;
     
     // First try to read from dedicated teaching.json
-    if (fs.existsSync(teachingPath)) {
+    if (dataStore.existsSync(teachingPath)) {
       console.log('Using dedicated teaching data file');
-      const data = JSON.parse(fs.readFileSync(teachingPath, 'utf8'));
+      const data = acceptInput(JSON.parse(dataStore.readFileSync(teachingPath, 'utf8')), teachingPath);
+      if (!data) return false;
       teachingData = formatTeachingData(data);
     }
     // Fall back to university.json if teaching.json doesn't exist
-    else if (fs.existsSync(universityPath)) {
+    else if (dataStore.existsSync(universityPath)) {
       console.log('Teaching data file not found, falling back to university data');
       
       // Read and parse the university data
-      const universityData = JSON.parse(fs.readFileSync(universityPath, 'utf8'));
+      const universityData = acceptInput(
+        JSON.parse(dataStore.readFileSync(universityPath, 'utf8')),
+        universityPath
+      );
+      if (!universityData) return false;
       
       // Check if teaching data exists in university data
       if (!universityData.teaching) {
@@ -66,11 +72,11 @@ ${yamlData}`;
     
     // Write to _data/teaching.yml
     const yamlOutputPath = path.join(__dirname, '../../_data/teaching.yml');
-    fs.writeFileSync(yamlOutputPath, yamlWithHeader);
+    dataStore.writeFileSync(yamlOutputPath, yamlWithHeader);
     
     // Also write to public/data/teaching.json for JavaScript loading
     const jsonOutputPath = path.join(__dirname, '../../public/data/teaching.json');
-    fs.writeFileSync(jsonOutputPath, JSON.stringify(teachingData, null, 2));
+    dataStore.writeFileSync(jsonOutputPath, JSON.stringify(teachingData, null, 2));
     
     console.log('Teaching data generated successfully (both YAML and JSON)');
     return true;
@@ -283,4 +289,13 @@ if (require.main === module) {
   })();
 }
 
-module.exports = { generateTeachingData };
\ No newline at end of file
+module.exports = {
+  generateTeachingData,
+  pipeline: {
+    name: 'teaching-generator',
+    run: generateTeachingData,
+    outputs: ['_data/teaching.yml', 'public/data/teaching.json'],
+    dependsOn: ['university'],
+    enabled: () => process.env.SKIP_TEACHING_GENERATION !== 'true'
+  }
+};
\ No newline at end of file
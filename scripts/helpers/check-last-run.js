@@ -66,6 +66,17 @@ function checkLastRun() {
     }
   }
   
+  // Per-source freshness recorded by collect-all.js
+  const summaryPath = path.join(dataDir, 'summary.json');
+  if (fs.existsSync(summaryPath)) {
+    try {
+      const summary = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+      reportSourceFreshness(summary.sources || {});
+    } catch {
+      console.log('\n⚠️  summary.json exists but could not be read');
+    }
+  }
+  
   // Check if Semantic Scholar data exists
   const s2Path = path.join(dataDir, 'semantic-scholar.json');
   if (fs.existsSync(s2Path)) {
@@ -98,8 +109,42 @@ function checkLastRun() {
   console.log('\n='.repeat(60) + '\n');
 }
 
+/**
+ * Print which sources are fresh and which are serving carried-over data.
+ * @param {Object} sources - `sources` map from summary.json
+ */
+function reportSourceFreshness(sources) {
+  const names = Object.keys(sources);
+  if (names.length === 0) {
+    console.log('\n📡 Source Freshness: not recorded yet (older summary.json)');
+    return;
+  }
+
+  console.log('\n📡 Source Freshness:\n');
+  names.forEach(name => {
+    const source = sources[name];
+    const lastSuccess = source.lastSuccess || 'never';
+    if (!source.stale) {
+      console.log(`✅ ${name.padEnd(25)} fresh (last success ${lastSuccess})`);
+    } else {
+      const failures = source.consecutiveFailures;
+      console.log(
+        `⚠️  ${name.padEnd(25)} stale, ${failures} failed run(s) in a row (last success ${lastSuccess})`
+      );
+      if (source.error) {
+        console.log(`   ${''.padEnd(25)} ${source.error}`);
+      }
+    }
+  });
+
+  const stale = names.filter(name => sources[name].stale);
+  if (stale.length > 0) {
+    console.log(`\n${stale.length} source(s) serving carried-over data: ${stale.join(', ')}`);
+  }
+}
+
 if (require.main === module) {
   checkLastRun();
 }
 
-module.exports = { checkLastRun };
\ No newline at end of file
+module.exports = { checkLastRun, reportSourceFreshness };
\ No newline at end of file
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * Publication Explainer
+ *
+ * Prints how the publications aggregator built a work from its sources: the
+ * record that created it, how every other record was matched to it (DOI,
+ * normalised DOI, exact or substring title, or a Dice score against its
+ * threshold, and any other entry the title matched as well), which fields
+ * each record set, and the duplicate entries merged into it with their own
+ * history. It reads the merge_history the aggregator stores on each entry in
+ * public/data/aggregated-publications.json, plus the work's identifiers from
+ * the publication registry.
+ *
+ * Usage: npm run explain -- <doi|title|pub-id>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  REGISTRY_PATH,
+  ID_PATTERN,
+  normalizeDoi,
+  normalizeTitle,
+  resolveRef
+} = require('../lib/publication-registry');
+
+const AGGREGATE_PATH = path.join(__dirname, '../../public/data/aggregated-publications.json');
+
+function readJson(filePath, fallback) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : fallback;
+}
+
+/** The query as a bare DOI, or null when it is not one. */
+function asDoi(query) {
+  const doi = query.replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:)/i, '');
+  return /^10\.\S+\/\S+$/.test(doi) ? doi : null;
+}
+
+/**
+ * Aggregated works a query names: by registry ID (aliases followed), by DOI,
+ * or by title (exact after normalisation, else every title containing it).
+ *
+ * @param {Object[]} publications - `publications` of the aggregate
+ * @param {Object} registry - The publication registry
+ * @param {string} query
+ * @returns {Object[]}
+ */
+function findWorks(publications, registry, query) {
+  const q = query.trim();
+  if (ID_PATTERN.test(q)) {
+    const id = resolveRef(registry, q) || q;
+    return publications.filter(pub => pub.id === id);
+  }
+  const doi = asDoi(q);
+  if (doi) {
+    return publications.filter(pub => pub.doi && normalizeDoi(pub.doi) === normalizeDoi(doi));
+  }
+  const title = normalizeTitle(q);
+  const exact = publications.filter(pub => normalizeTitle(pub.title) === title);
+  if (exact.length > 0) return exact;
+  return publications.filter(pub => normalizeTitle(pub.title).includes(title));
+}
+
+function describeMatch(event) {
+  switch (event.method) {
+    case 'new':
+      return 'created the entry';
+    case 'doi':
+      return 'matched by DOI';
+    case 'normalized-doi':
+      return 'matched by normalised DOI';
+    case 'title-exact':
+      return 'matched by exact title';
+    case 'title-substring':
+      return 'matched by title substring';
+    case 'title-dice':
+      return `matched by title, Dice ${event.score} >= ${event.threshold}`;
+    case 'registry':
+      return 'merged: the registry knows it as the same work';
+    case 'override':
+      return 'merged by publication-overrides.yml';
+    default:
+      return event.method;
+  }
+}
+
+/**
+ * Lines describing a merge_history, nested histories indented further.
+ *
+ * @param {Object[]} history
+ * @param {string} [indent]
+ * @returns {string[]}
+ */
+function formatHistory(history, indent = '  ') {
+  const lines = [];
+  for (const event of history) {
+    const id =
+      event.sourceId !== null && event.sourceId !== undefined ? ` [${event.sourceId}]` : '';
+    lines.push(`${indent}${event.source.padEnd(16)} ${describeMatch(event)}${id}`);
+    if (event.sourceTitle) lines.push(`${indent}${''.padEnd(16)} "${event.sourceTitle}"`);
+    if (event.ambiguousWith) {
+      const others = event.ambiguousWith.map(title => `"${title}"`).join(', ');
+      lines.push(`${indent}${''.padEnd(16)} ambiguous: matched ${others} equally well`);
+    }
+    const fields = event.fields.length > 0 ? event.fields.join(', ') : 'nothing new';
+    lines.push(`${indent}${''.padEnd(16)} set: ${fields}`);
+    if (event.history && event.history.length > 0) {
+      lines.push(...formatHistory(event.history, `${indent}    `));
+    }
+  }
+  return lines;
+}
+
+/**
+ * Explanation of every work a query names.
+ *
+ * @param {Object[]} publications - `publications` of the aggregate
+ * @param {Object} registry - The publication registry
+ * @param {string} query - DOI, title or registry ID
+ * @returns {string[]|null} Lines to print; null when no work matches
+ */
+function explain(publications, registry, query) {
+  const works = findWorks(publications, registry, query);
+  if (works.length === 0) {
+    // A hidden work is still registered under its ID and identifiers.
+    const doi = asDoi(query.trim());
+    const id = resolveRef(registry, doi ? `doi:${doi}` : query.trim());
+    if (!id) return null;
+    return [`${query} is registered as ${id} but is hidden or no longer listed by any source`];
+  }
+
+  const lines = [];
+  for (const pub of works) {
+    lines.push(`${pub.id || '(no ID)'}  "${pub.title}"`);
+    lines.push(`  DOI: ${pub.doi || '-'}   year: ${pub.year || '-'}   venue: ${pub.venue || '-'}`);
+    lines.push(
+      pub.abstract_source
+        ? `  Abstract: from ${pub.abstract_source} (${pub.abstract_language || 'language unknown'})`
+        : '  Abstract: none'
+    );
+    if (pub.overrides) {
+      lines.push(`  Corrected by publication-overrides.yml: ${pub.overrides.join(', ')}`);
+    }
+
+    const work = registry.works[pub.id];
+    if (work) {
+      lines.push(`  Registered ${work.firstSeen}, identifiers: ${work.keys.join(', ')}`);
+      const aliases = Object.keys(registry.aliases).filter(
+        alias => registry.aliases[alias] === pub.id
+      );
+      if (aliases.length > 0) lines.push(`  Merged IDs: ${aliases.join(', ')}`);
+    }
+
+    const relations = pub.relations || {};
+    for (const ref of relations.publishedAs || []) {
+      lines.push(`  Preprint of ${ref.id || ref.doi} (linked by ${ref.via})`);
+    }
+    for (const ref of relations.preprints || []) {
+      lines.push(
+        `  Preprint: ${ref.id || ref.doi} on ${ref.server || 'an unknown server'} (linked by ${ref.via})`
+      );
+    }
+    if (relations.versions) {
+      lines.push(`  DOI versions: ${relations.versions.map(version => version.doi).join(' -> ')}`);
+    }
+    for (const notice of pub.notices || []) {
+      const details = [notice.date, notice.source && `from ${notice.source}`].filter(Boolean);
+      lines.push(
+        `  Notice: ${notice.kind} ${notice.doi || '(no DOI)'}` +
+          (details.length > 0 ? ` (${details.join(', ')})` : '')
+      );
+    }
+
+    lines.push('  Merge history:');
+    lines.push(
+      ...(pub.merge_history
+        ? formatHistory(pub.merge_history, '    ')
+        : ['    not recorded (aggregate predates merge history)'])
+    );
+    lines.push('');
+  }
+  return lines;
+}
+
+function main() {
+  const query = process.argv.slice(2).join(' ').trim();
+  if (!query) {
+    console.error('Usage: npm run explain -- <doi|title|pub-id>');
+    process.exit(2);
+  }
+
+  const aggregate = readJson(AGGREGATE_PATH, null);
+  if (!aggregate) {
+    console.error(
+      `${path.relative(process.cwd(), AGGREGATE_PATH)} not found: run npm run collect first`
+    );
+    process.exit(1);
+  }
+  const registry = readJson(REGISTRY_PATH, { works: {}, aliases: {} });
+
+  const lines = explain(aggregate.publications || [], registry, query);
+  if (!lines) {
+    console.error(`No aggregated publication matches "${query}"`);
+    process.exit(1);
+  }
+  console.log(lines.join('\n'));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { findWorks, formatHistory, explain };
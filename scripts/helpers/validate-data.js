@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Data Validator
+ *
+ * Checks every committed data file that has a schema (see
+ * scripts/lib/schemas.js) and exits non-zero if any of them violates it.
+ *
+ * Usage: npm run validate-data
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SCHEMAS, SCHEMA_PATTERNS, REPO_ROOT, validateContent } = require('../lib/schemas');
+
+/**
+ * Validate the data files on disk.
+ *
+ * @returns {Object[]} One `{file, schema, status, errors}` entry per
+ *   registered file; status is 'ok', 'invalid' or 'missing'
+ */
+function validateDataFiles() {
+  const datedFiles = SCHEMA_PATTERNS.flatMap(({ dir, pattern, schema }) => {
+    const dirPath = path.join(REPO_ROOT, dir);
+    if (!fs.existsSync(dirPath)) return [];
+    return fs
+      .readdirSync(dirPath)
+      .filter(name => pattern.test(name))
+      .sort()
+      .map(name => [`${dir}/${name}`, schema]);
+  });
+
+  return [...Object.entries(SCHEMAS), ...datedFiles].map(([file, schema]) => {
+    const filePath = path.join(REPO_ROOT, file);
+    if (!fs.existsSync(filePath)) {
+      return { file, schema, status: 'missing', errors: [] };
+    }
+    const { errors } = validateContent(filePath, fs.readFileSync(filePath, 'utf8'));
+    return { file, schema, status: errors.length > 0 ? 'invalid' : 'ok', errors };
+  });
+}
+
+function main() {
+  const results = validateDataFiles();
+  for (const { file, status, errors } of results) {
+    if (status === 'ok') {
+      console.log(`✅ ${file}`);
+    } else if (status === 'missing') {
+      console.log(`➖ ${file} (not present)`);
+    } else {
+      console.log(`❌ ${file}`);
+      errors.forEach(error => console.log(`   ${error}`));
+    }
+  }
+
+  const invalid = results.filter(result => result.status === 'invalid');
+  if (invalid.length > 0) {
+    console.error(`\n${invalid.length} file(s) violate their schema`);
+    process.exit(1);
+  }
+  const checked = results.filter(result => result.status === 'ok').length;
+  console.log(`\nAll ${checked} data files conform`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { validateDataFiles };
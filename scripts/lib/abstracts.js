@@ -0,0 +1,165 @@
+/**
+ * Abstracts of aggregated works, from every source that has one.
+ *
+ * The aggregator collects each source's abstract on the work as
+ * `abstract_candidates` (`{<source>: text}`):
+ *
+ *   crossref         the publisher's deposit, in JATS XML (`<jats:p>` …)
+ *   semanticScholar  plain text
+ *   openalex         rebuilt from OpenAlex's inverted index (word -> positions)
+ *   ora              Dublin Core description; the collector keeps the English
+ *                    one when a record has an Italian one as well
+ *
+ * fillAbstracts() cleans them and keeps the first in ABSTRACT_SOURCES order,
+ * passing over one that is not in English when another source has an
+ * English one. The work gets `abstract`, `abstract_source` and
+ * `abstract_language`, and the candidates are dropped.
+ */
+
+/** Sources in the order their abstracts are preferred. */
+const ABSTRACT_SOURCES = ['crossref', 'semanticScholar', 'openalex', 'ora'];
+
+/** Common words that tell an English text from an Italian one. */
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'this', 'with', 'for', 'are', 'on'],
+  it: ['il', 'la', 'di', 'che', 'e', 'per', 'del', 'della', 'un', 'una', 'sono', 'nel', 'le', 'gli']
+};
+
+/** Shorter texts are placeholders ("n/a", "Abstract"), not abstracts. */
+const MIN_ABSTRACT_LENGTH = 40;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code =
+        name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Plain text of an abstract: JATS or HTML markup removed, paragraphs kept
+ * as blank-line breaks, entities decoded and an "Abstract" heading dropped.
+ *
+ * @param {string} text
+ * @returns {string|null} Null when nothing of substance is left
+ */
+function cleanAbstract(text) {
+  if (!text) return null;
+  const plain = decodeEntities(
+    String(text)
+      .replace(/<(?:jats:)?title>\s*abstract\s*<\/(?:jats:)?title>/gi, '')
+      .replace(/<(?:jats:)?title>([\s\S]*?)<\/(?:jats:)?title>/gi, '$1: ')
+      .replace(/<\/(?:jats:)?(?:p|sec)>/gi, '\n\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n')
+    .replace(/^abstract\s*[:.]?\s+/i, '');
+  return plain.length >= MIN_ABSTRACT_LENGTH ? plain : null;
+}
+
+/**
+ * Text of an OpenAlex `abstract_inverted_index`.
+ *
+ * @param {Object} index - `{word: [position, ...]}`
+ * @returns {string|null}
+ */
+function invertedIndexToText(index) {
+  if (!index || typeof index !== 'object') return null;
+  const words = [];
+  for (const [word, positions] of Object.entries(index)) {
+    for (const position of positions) words[position] = word;
+  }
+  const text = words.filter(word => word !== undefined).join(' ');
+  return text || null;
+}
+
+/**
+ * Language of a text, English or Italian, by their common words.
+ *
+ * @param {string} text
+ * @returns {string|null} `en`, `it` or null when neither is clear
+ */
+function guessLanguage(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .split(/[^a-zà-ù]+/);
+  const score = language => words.filter(word => STOPWORDS[language].includes(word)).length;
+  const en = score('en');
+  const it = score('it');
+  if (en === it) return null;
+  return en > it ? 'en' : 'it';
+}
+
+/**
+ * Add a source's abstract to a work's candidates, unless that source already
+ * gave one.
+ *
+ * @param {Object} pub - Aggregated work
+ * @param {string} source - One of ABSTRACT_SOURCES
+ * @param {string} text
+ */
+function addCandidate(pub, source, text) {
+  if (!text) return;
+  pub.abstract_candidates = pub.abstract_candidates || {};
+  if (!pub.abstract_candidates[source]) pub.abstract_candidates[source] = text;
+}
+
+/**
+ * The abstract to keep from a work's candidates.
+ *
+ * @param {Object} candidates - `{<source>: text}`
+ * @returns {Object|null} `{text, source, language}`
+ */
+function chooseAbstract(candidates) {
+  const cleaned = ABSTRACT_SOURCES.map(source => {
+    const text = cleanAbstract(candidates && candidates[source]);
+    return text && { text, source, language: guessLanguage(text) };
+  }).filter(Boolean);
+  return cleaned.find(candidate => candidate.language !== 'it') || cleaned[0] || null;
+}
+
+/**
+ * Give the aggregated works their abstracts.
+ *
+ * @param {Object[]} publications - Updated in place: `abstract_candidates`
+ *   is read and removed, `abstract`, `abstract_source` and
+ *   `abstract_language` set
+ * @returns {Object} `{bySource, missing}`: works per source of their
+ *   abstract, and the works left without one
+ */
+function fillAbstracts(publications) {
+  const bySource = Object.fromEntries(ABSTRACT_SOURCES.map(source => [source, 0]));
+  const missing = [];
+  for (const pub of publications) {
+    const chosen = chooseAbstract(pub.abstract_candidates);
+    delete pub.abstract_candidates;
+    if (chosen) {
+      pub.abstract = chosen.text;
+      pub.abstract_source = chosen.source;
+      pub.abstract_language = chosen.language;
+      bySource[chosen.source]++;
+    } else {
+      delete pub.abstract;
+      missing.push(pub);
+    }
+  }
+  return { bySource, missing };
+}
+
+module.exports = {
+  ABSTRACT_SOURCES,
+  cleanAbstract,
+  invertedIndexToText,
+  guessLanguage,
+  addCandidate,
+  chooseAbstract,
+  fillAbstracts
+};
@@ -0,0 +1,229 @@
+/**
+ * Bibliometric indicators for the publication list.
+ *
+ * The aggregator stores these in the `metrics` of aggregated-publications.json
+ * and the publications page shows them. Indicators are computed on the best
+ * count of each work (the highest across sources, as on the page) and again
+ * on each citing source's own counts, since Scholar, Web of Science, Scopus,
+ * Semantic Scholar and OpenAlex index different citing literature and are
+ * usually quoted separately:
+ *
+ *   h-index       largest h such that h works have at least h citations each
+ *   g-index       largest g such that the g most cited works have at least
+ *                 g² citations together
+ *   i10-index     works with at least 10 citations
+ *   m-quotient    h-index divided by career years
+ *   citations per year of career
+ *
+ * Career years run from the year of the earliest dated publication to the
+ * current year, both included. The `recent` indicators only count works
+ * published in the last 5 and 10 years: per-work counts carry no date for
+ * each citation, so "citations received since" is not available.
+ *
+ * Authorship shares count the works whose first (or last) listed author is
+ * the profile's researcher (see config.isOwnName()) among the works with an
+ * author list; a single-authored work is both.
+ */
+
+const config = require('../config');
+const { CITATION_SOURCES } = require('./citation-history');
+
+const RECENT_WINDOWS = [5, 10];
+
+/**
+ * Calculate h-index from an array of citation counts
+ */
+function calculateHIndex(citations) {
+  // Sort citations in descending order
+  const sortedCitations = [...citations].sort((a, b) => b - a);
+
+  // Find the largest index i where sortedCitations[i] >= i+1
+  let hIndex = 0;
+  for (let i = 0; i < sortedCitations.length; i++) {
+    if (sortedCitations[i] >= i + 1) {
+      hIndex = i + 1;
+    } else {
+      break;
+    }
+  }
+
+  return hIndex;
+}
+
+/**
+ * Calculate g-index from an array of citation counts. g never exceeds the
+ * number of works.
+ */
+function calculateGIndex(citations) {
+  const sortedCitations = [...citations].sort((a, b) => b - a);
+  let gIndex = 0;
+  let sum = 0;
+  for (let i = 0; i < sortedCitations.length; i++) {
+    sum += sortedCitations[i];
+    if (sum >= (i + 1) * (i + 1)) gIndex = i + 1;
+  }
+  return gIndex;
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Indicators for a set of per-work citation counts.
+ *
+ * @param {number[]} counts - One count per work
+ * @param {number|null} years - Years the counts were gathered over
+ * @returns {Object} `publications`, `total_citations`, `h_index`, `g_index`,
+ *   `i10_index`, `m_quotient` and `citations_per_year` (null without years)
+ */
+function indicators(counts, years) {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  const hIndex = calculateHIndex(counts);
+  return {
+    publications: counts.length,
+    total_citations: total,
+    h_index: hIndex,
+    g_index: calculateGIndex(counts),
+    i10_index: counts.filter(count => count >= 10).length,
+    m_quotient: years ? round(hIndex / years, 2) : null,
+    citations_per_year: years ? round(total / years, 1) : null
+  };
+}
+
+/** What ends a truncated author list: "...", "…", "et al." or "others". */
+const TRUNCATION = /^(?:\.\.\.|…|et al\.?|others)$/i;
+
+/**
+ * Names in an author string: "Last, First; Last, First", or "F Last, F Last"
+ * as Scholar lists them. A comma-only string whose parts are not all full
+ * names is a single "Last, First" author. A list Scholar cut short ends in
+ * "..." (or "…", "et al."), which is dropped and reported as `truncated`.
+ *
+ * @param {string|Array} authors
+ * @returns {Object} `{names, truncated}`
+ */
+function authorList(authors) {
+  let parts;
+  if (Array.isArray(authors)) {
+    parts = authors.map(author => (typeof author === 'string' ? author : author && author.name));
+  } else if (typeof authors !== 'string' || !authors.trim()) {
+    return { names: [], truncated: false };
+  } else {
+    parts = authors
+      .split(authors.includes(';') ? ';' : ',')
+      .map(name => name.trim())
+      .filter(Boolean);
+  }
+
+  let truncated = false;
+  while (parts.length > 0 && TRUNCATION.test(String(parts[parts.length - 1]).trim())) {
+    parts.pop();
+    truncated = true;
+  }
+  if (typeof authors === 'string' && !authors.includes(';')) {
+    const fullNames = parts.length > 1 && parts.every(part => part.includes(' '));
+    if (!fullNames) parts = truncated ? [parts.join(', ')] : [authors.trim()];
+  }
+  return { names: parts.filter(Boolean), truncated };
+}
+
+/**
+ * Names in an author string (see authorList()).
+ *
+ * @param {string|Array} authors
+ * @returns {string[]}
+ */
+function authorNames(authors) {
+  return authorList(authors).names;
+}
+
+/**
+ * Works first- and last-authored by the profile's researcher.
+ *
+ * @param {Object[]} publications - Aggregated entries
+ * @returns {Object} `with_authors`, `first_author`, `last_author` and the
+ *   two shares of `with_authors` (null when no work lists its authors)
+ */
+function authorship(publications) {
+  let withAuthors = 0;
+  let first = 0;
+  let last = 0;
+  for (const pub of publications) {
+    const { names, truncated } = authorList(pub.authors);
+    if (names.length === 0) continue;
+    withAuthors++;
+    if (config.isOwnName(names[0])) first++;
+    // The last author of a truncated list is not known
+    if (!truncated && config.isOwnName(names[names.length - 1])) last++;
+  }
+  return {
+    with_authors: withAuthors,
+    first_author: first,
+    last_author: last,
+    first_author_share: withAuthors ? round(first / withAuthors, 3) : null,
+    last_author_share: withAuthors ? round(last / withAuthors, 3) : null
+  };
+}
+
+/** A work's count from one source, or its best count for `best`. */
+function countFor(pub, source) {
+  if (source === 'best') return (pub.metrics && pub.metrics.total_citations) || 0;
+  const count = pub.citations && pub.citations[source];
+  return Number.isInteger(count) ? count : null;
+}
+
+function indicatorsBySource(publications, years) {
+  const bySource = {};
+  for (const source of ['best', ...CITATION_SOURCES]) {
+    const counts = publications.map(pub => countFor(pub, source)).filter(count => count !== null);
+    bySource[source] = indicators(counts, years);
+  }
+  return bySource;
+}
+
+/**
+ * Bibliometric indicators for the aggregated publications.
+ *
+ * @param {Object[]} publications - Aggregated entries with `metrics.total_citations`
+ * @param {string} [now] - ISO timestamp of this run
+ * @returns {Object} `career`, `g_index`, `m_quotient`, `citations_per_year`,
+ *   `authorship`, `by_source` (`best` and each citing source) and `recent`
+ *   (`last_5_years`, `last_10_years`: `since` and the indicators per source)
+ */
+function computeBibliometrics(publications, now = new Date().toISOString()) {
+  const currentYear = Number(now.slice(0, 4));
+  const years = publications.map(pub => Number(pub.year)).filter(year => year > 0);
+  const firstYear = years.length > 0 ? Math.min(...years) : null;
+  const careerYears = firstYear ? currentYear - firstYear + 1 : null;
+
+  const bySource = indicatorsBySource(publications, careerYears);
+  const recent = {};
+  for (const span of RECENT_WINDOWS) {
+    const since = currentYear - span + 1;
+    const inWindow = publications.filter(pub => Number(pub.year) >= since);
+    recent[`last_${span}_years`] = {
+      since,
+      by_source: indicatorsBySource(inWindow, careerYears ? Math.min(span, careerYears) : null)
+    };
+  }
+
+  return {
+    career: { first_year: firstYear, years: careerYears },
+    g_index: bySource.best.g_index,
+    m_quotient: bySource.best.m_quotient,
+    citations_per_year: bySource.best.citations_per_year,
+    authorship: authorship(publications),
+    by_source: bySource,
+    recent
+  };
+}
+
+module.exports = {
+  calculateHIndex,
+  calculateGIndex,
+  authorNames,
+  authorship,
+  computeBibliometrics
+};
@@ -0,0 +1,203 @@
+/**
+ * Personal and corporate names in BibTeX and BibLaTeX entries.
+ *
+ * BibTeX splits each name of an `author` or `editor` field into von, Last,
+ * Jr and First parts by their case and commas, so names are written as
+ * `von Last, Jr, First`, with
+ *
+ *   particles     lower-case "de", "van der" … kept in front of the family
+ *                 name, where BibTeX files them as the von part; Crossref
+ *                 sometimes leaves them at the end of the given name
+ *   corporate     "World Health Organization" wrapped in braces, so it is
+ *                 not split into a first and a last name
+ *   diacritics    as LaTeX accent commands in braces (`{\'E}mile`) in the
+ *                 .bib file, since classic BibTeX sorts and abbreviates by
+ *                 byte and would cut a UTF-8 letter in half; the BibLaTeX
+ *                 file, read by Biber, keeps them in UTF-8
+ *
+ * Names come from Crossref's structured author list (`{given, family,
+ * suffix, name}`) when there is one, or are parsed from the aggregated
+ * author string.
+ */
+
+/** Lower-case particles that belong to the family name. */
+const PARTICLES = [
+  'da',
+  'das',
+  'de',
+  'dei',
+  'del',
+  'della',
+  'delle',
+  'den',
+  'der',
+  'di',
+  'do',
+  'dos',
+  'du',
+  'la',
+  'le',
+  'ten',
+  'ter',
+  'van',
+  'von',
+  'zu'
+];
+
+/** Words that make a name an organisation's. */
+const CORPORATE_NAME =
+  /\b(?:organi[sz]ation|institute|universit(?:y|à|a)|committee|consortium|group|team|network|association|council|centre|center|agency|foundation|collaboration|laboratory|society|commission|observatory|ministry)\b/i;
+
+const SUFFIX = /^(?:jr|sr|ii|iii|iv)\.?$/i;
+
+/** Combining mark -> LaTeX accent command. */
+const ACCENTS = {
+  '\u0300': '`',
+  '\u0301': "'",
+  '\u0302': '^',
+  '\u0303': '~',
+  '\u0304': '=',
+  '\u0306': 'u',
+  '\u0307': '.',
+  '\u0308': '"',
+  '\u030a': 'r',
+  '\u030b': 'H',
+  '\u030c': 'v',
+  '\u0327': 'c',
+  '\u0328': 'k'
+};
+
+/** Letters without a decomposition. */
+const LETTERS = {
+  ß: '\\ss',
+  æ: '\\ae',
+  Æ: '\\AE',
+  ø: '\\o',
+  Ø: '\\O',
+  ł: '\\l',
+  Ł: '\\L',
+  œ: '\\oe',
+  Œ: '\\OE'
+};
+
+function escapeSpecials(text) {
+  return String(text).replace(/([&%$#_])/g, '\\$1');
+}
+
+/**
+ * Diacritics as LaTeX accent commands: `Émile` -> `{\'E}mile`.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function latexAccents(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/([A-Za-z])([\u0300-\u036f]+)/g, (match, letter, marks) => {
+      let accented = letter;
+      for (const mark of marks) {
+        const command = ACCENTS[mark];
+        if (!command) return match;
+        accented = /[a-z]/i.test(command)
+          ? `\\${command}{${accented}}`
+          : `\\${command}${accented.length > 1 ? `{${accented}}` : accented}`;
+      }
+      return `{${accented}}`;
+    })
+    .normalize('NFC')
+    .replace(/[ßæÆøØłŁœŒ]/g, letter => `{${LETTERS[letter]}}`);
+}
+
+/** Whether a name is an organisation's. */
+function isCorporateName(text) {
+  return CORPORATE_NAME.test(String(text || ''));
+}
+
+/**
+ * Parts of a name written as `Last, First`, `Last, Jr, First` or
+ * `First von Last`.
+ *
+ * @param {string} text
+ * @returns {Object} `{family, given, suffix}`, `{literal}` for an
+ *   organisation, or `{others: true}` for the "..." that ends a truncated
+ *   author list
+ */
+function parseName(text) {
+  const name = String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (/^(?:\.\.\.|…|et al\.?|others)$/i.test(name)) return { others: true };
+  if (isCorporateName(name)) return { literal: name };
+
+  const parts = name.split(',').map(part => part.trim());
+  if (parts.length === 2) return { family: parts[0], given: parts[1] };
+  if (parts.length >= 3) {
+    return { family: parts[0], suffix: parts[1], given: parts.slice(2).join(' ') };
+  }
+
+  const words = name.split(' ');
+  let suffix = null;
+  if (words.length > 2 && SUFFIX.test(words[words.length - 1])) suffix = words.pop();
+  if (words.length === 1) return { family: words[0], suffix };
+  const particle = words.findIndex(
+    (word, i) => i > 0 && i < words.length - 1 && PARTICLES.includes(word)
+  );
+  const split = particle > 0 ? particle : words.length - 1;
+  return { family: words.slice(split).join(' '), given: words.slice(0, split).join(' '), suffix };
+}
+
+/**
+ * A name as BibTeX reads it.
+ *
+ * @param {Object} name - See parseName(); Crossref's `name` (an
+ *   organisation) counts as `literal`
+ * @param {Object} [options]
+ * @param {boolean} [options.latex] - Diacritics as LaTeX commands
+ * @returns {string}
+ */
+function formatName(name, { latex = false } = {}) {
+  if (name.others) return 'others';
+  const encode = text => (latex ? latexAccents(escapeSpecials(text)) : escapeSpecials(text));
+  const literal = name.literal || name.name || (!name.family && name.given);
+  if (literal) return `{${encode(literal)}}`;
+
+  const givenWords = String(name.given || '')
+    .split(/\s+/)
+    .filter(Boolean);
+  const moved = [];
+  while (givenWords.length > 1 && PARTICLES.includes(givenWords[givenWords.length - 1])) {
+    moved.unshift(givenWords.pop());
+  }
+  const familyWords = [...moved, ...String(name.family).trim().split(/\s+/)];
+  const von = [];
+  while (familyWords.length > 1 && PARTICLES.includes(familyWords[0])) {
+    von.push(familyWords.shift());
+  }
+  // A lower-case word inside the family name ("Vargas y Llosa") would be
+  // taken for a particle
+  let last = familyWords.join(' ');
+  if (familyWords.some(word => /^[a-z]/.test(word))) last = `{${last}}`;
+  const family = [...von, last].join(' ');
+
+  return [family, name.suffix, givenWords.join(' ')].filter(Boolean).map(encode).join(', ');
+}
+
+/**
+ * The names of an `author` or `editor` field.
+ *
+ * @param {Object[]} names
+ * @param {Object} [options] - See formatName()
+ * @returns {string}
+ */
+function formatNames(names, options) {
+  return names.map(name => formatName(name, options)).join(' and ');
+}
+
+module.exports = {
+  PARTICLES,
+  latexAccents,
+  isCorporateName,
+  parseName,
+  formatName,
+  formatNames
+};
@@ -0,0 +1,386 @@
+/**
+ * Run-to-run change report.
+ *
+ * collect-all.js reads the tracked data files before the pipeline runs and
+ * again after it, and writes what changed between the two to
+ * public/data/changes/<date>.json, with a Markdown rendering next to it
+ * (<date>.md) that the daily workflow uses as its commit message body.
+ *
+ * A section whose file did not exist before the run is reported as `null`
+ * rather than listing every record as new. A second run on the same day
+ * replaces that day's report, which then covers the changes since the
+ * earlier run.
+ */
+
+const path = require('path');
+const dataStore = require('./data-store');
+
+/** Report section -> data file under public/data. */
+const TRACKED_FILES = {
+  publications: 'aggregated-publications.json',
+  mentions: 'websearch.json',
+  toread: 'toread.json',
+  episodes: 'research-radio.json',
+  teaching: 'teaching.json',
+  university: 'university.json'
+};
+
+// Lines listed per section in the Markdown summary
+const MARKDOWN_LIST_LIMIT = 20;
+
+/**
+ * Parse the tracked data files as they currently read through the data store.
+ *
+ * @param {string} dataDir - Directory holding the files (public/data)
+ * @returns {Object} Section -> parsed content, or null when missing or unreadable
+ */
+function readTrackedFiles(dataDir) {
+  const state = {};
+  for (const [section, file] of Object.entries(TRACKED_FILES)) {
+    const filePath = path.join(dataDir, file);
+    try {
+      state[section] = dataStore.existsSync(filePath)
+        ? JSON.parse(dataStore.readFileSync(filePath, 'utf8'))
+        : null;
+    } catch {
+      state[section] = null;
+    }
+  }
+  return state;
+}
+
+function publicationKey(pub) {
+  if (pub.doi) return `doi:${pub.doi.toLowerCase().replace(/_v\d+$/, '')}`;
+  const title = (pub.title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ');
+  return `title:${title.trim()}`;
+}
+
+function indexBy(records, keyOf) {
+  const index = new Map();
+  for (const record of records || []) {
+    const key = keyOf(record);
+    if (key && !index.has(key)) index.set(key, record);
+  }
+  return index;
+}
+
+/** Records whose key is in `after` but not in `before`. */
+function addedRecords(before, after) {
+  return [...after].filter(([key]) => !before.has(key)).map(([, record]) => record);
+}
+
+function delta(before, after) {
+  return { before, after, delta: after - before };
+}
+
+function describePublication(pub) {
+  return { title: pub.title, year: pub.year || null, doi: pub.doi || null };
+}
+
+function comparePublications(before, after) {
+  const beforeIndex = indexBy(before.publications, publicationKey);
+  const afterIndex = indexBy(after.publications, publicationKey);
+
+  const bySource = {};
+  const totals = { before: 0, after: 0 };
+  const citationChanges = [];
+
+  for (const [key, pub] of afterIndex) {
+    const previous = beforeIndex.get(key);
+    if (!previous) continue;
+    const sources = {};
+    const citations = pub.citations || {};
+    const previousCitations = previous.citations || {};
+    for (const source of new Set([...Object.keys(citations), ...Object.keys(previousCitations)])) {
+      const now = citations[source] || 0;
+      const then = previousCitations[source] || 0;
+      if (now !== then) sources[source] = now - then;
+    }
+    const total = delta(
+      (previous.metrics && previous.metrics.total_citations) || 0,
+      (pub.metrics && pub.metrics.total_citations) || 0
+    );
+    if (total.delta !== 0 || Object.keys(sources).length > 0) {
+      citationChanges.push({ ...describePublication(pub), ...total, bySource: sources });
+    }
+  }
+
+  const sumBySource = (index, side) => {
+    for (const pub of index.values()) {
+      for (const [source, count] of Object.entries(pub.citations || {})) {
+        bySource[source] = bySource[source] || { before: 0, after: 0 };
+        bySource[source][side] += count || 0;
+      }
+      totals[side] += (pub.metrics && pub.metrics.total_citations) || 0;
+    }
+  };
+  sumBySource(beforeIndex, 'before');
+  sumBySource(afterIndex, 'after');
+
+  citationChanges.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  return {
+    added: addedRecords(beforeIndex, afterIndex).map(describePublication),
+    removed: addedRecords(afterIndex, beforeIndex).map(describePublication),
+    citations: {
+      total: delta(totals.before, totals.after),
+      bySource: Object.fromEntries(
+        Object.entries(bySource)
+          .map(([source, counts]) => [source, delta(counts.before, counts.after)])
+          .filter(([, counts]) => counts.delta !== 0)
+      ),
+      changed: citationChanges
+    }
+  };
+}
+
+function compareMentions(before, after) {
+  // websearch.json only keeps mentions that passed validation; older files
+  // may carry unconfirmed ones.
+  const validated = mentions =>
+    indexBy(
+      (Array.isArray(mentions) ? mentions : []).filter(
+        mention => !mention.personMatch || mention.personMatch === 'confirmed'
+      ),
+      mention => mention.url
+    );
+  return {
+    added: addedRecords(validated(before), validated(after)).map(mention => ({
+      title: mention.title,
+      url: mention.url,
+      source: mention.source || null,
+      date: mention.date || null
+    }))
+  };
+}
+
+function compareToread(before, after) {
+  return {
+    added: addedRecords(
+      indexBy(before.papers, paper => paper.id),
+      indexBy(after.papers, paper => paper.id)
+    ).map(paper => ({ id: paper.id, title: paper.title, doi: paper.doi || null }))
+  };
+}
+
+function compareEpisodes(before, after) {
+  return {
+    added: addedRecords(
+      indexBy(before.episodes, episode => episode.id),
+      indexBy(after.episodes, episode => episode.id)
+    ).map(episode => ({
+      id: episode.id,
+      title: episode.title,
+      pubDate: episode.pubDate || null,
+      own: Boolean(episode.own)
+    }))
+  };
+}
+
+function courseKey(course) {
+  return `${course.code || course.title}|${course.academic_year || ''}`;
+}
+
+function describeCourse(course) {
+  return {
+    title: course.english_title || course.title,
+    code: course.code || null,
+    academicYear: course.academic_year || null
+  };
+}
+
+function compareCourses(before, after) {
+  const beforeIndex = indexBy(before, courseKey);
+  const afterIndex = indexBy(after, courseKey);
+  return {
+    coursesAdded: addedRecords(beforeIndex, afterIndex).map(describeCourse),
+    coursesRemoved: addedRecords(afterIndex, beforeIndex).map(describeCourse)
+  };
+}
+
+/** Names of the top-level fields that differ, ignoring `ignore`. */
+function changedFields(before, after, ignore) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(field => !ignore.includes(field))
+    .filter(field => JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field]))
+    .sort();
+}
+
+function compareTeaching(before, after) {
+  return {
+    ...compareCourses(before.courses, after.courses),
+    fieldsChanged: changedFields(before, after, ['courses', 'lastUpdated'])
+  };
+}
+
+function compareUniversity(before, after) {
+  return {
+    ...compareCourses((before.teaching || {}).courses, (after.teaching || {}).courses),
+    fieldsChanged: [
+      ...changedFields(before.profile, after.profile, []).map(field => `profile.${field}`),
+      ...changedFields(before.teaching, after.teaching, ['courses']).map(
+        field => `teaching.${field}`
+      )
+    ]
+  };
+}
+
+const COMPARATORS = {
+  publications: comparePublications,
+  mentions: compareMentions,
+  toread: compareToread,
+  episodes: compareEpisodes,
+  teaching: compareTeaching,
+  university: compareUniversity
+};
+
+function sectionHasChanges(section) {
+  if (!section) return false;
+  return Object.values(section).some(value => {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return sectionHasChanges(value);
+    return false;
+  });
+}
+
+/**
+ * Compare the tracked files before and after a run.
+ *
+ * @param {Object} before - readTrackedFiles() result from before the run
+ * @param {Object} after - readTrackedFiles() result from after the run
+ * @param {string} now - ISO timestamp of the run
+ * @returns {Object} The report: `date`, `generatedAt`, `hasChanges` and one
+ *   entry per section (null when the section has no previous data to compare)
+ */
+function buildChangeReport(before, after, now) {
+  const report = { date: now.slice(0, 10), generatedAt: now, hasChanges: false };
+  for (const [section, compare] of Object.entries(COMPARATORS)) {
+    report[section] =
+      before[section] && after[section] ? compare(before[section], after[section]) : null;
+    if (sectionHasChanges(report[section])) report.hasChanges = true;
+  }
+  return report;
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+function listLines(items, format) {
+  const lines = items.slice(0, MARKDOWN_LIST_LIMIT).map(item => `- ${format(item)}`);
+  if (items.length > MARKDOWN_LIST_LIMIT) {
+    lines.push(`- …and ${items.length - MARKDOWN_LIST_LIMIT} more`);
+  }
+  return lines;
+}
+
+function publicationLine(pub) {
+  return `${pub.title}${pub.year ? ` (${pub.year})` : ''}${pub.doi ? ` — ${pub.doi}` : ''}`;
+}
+
+function courseLine(course) {
+  return [course.title, course.code, course.academicYear].filter(Boolean).join(', ');
+}
+
+function coursesMarkdown(section) {
+  const lines = [];
+  if (section.coursesAdded.length > 0) {
+    lines.push('Courses added:', ...listLines(section.coursesAdded, courseLine));
+  }
+  if (section.coursesRemoved.length > 0) {
+    lines.push('Courses removed:', ...listLines(section.coursesRemoved, courseLine));
+  }
+  if (section.fieldsChanged.length > 0) {
+    lines.push(`Fields changed: ${section.fieldsChanged.join(', ')}`);
+  }
+  return lines;
+}
+
+/**
+ * Render a change report as Markdown. Only sections with changes appear.
+ *
+ * @param {Object} report - buildChangeReport() result
+ * @returns {string}
+ */
+function formatChangeReport(report) {
+  const blocks = [`# Data changes ${report.date}`];
+  if (!report.hasChanges) {
+    blocks.push(
+      'No changes to publications, citations, mentions, reading list, podcast or teaching data.'
+    );
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  const { publications, mentions, toread, episodes, teaching, university } = report;
+  if (sectionHasChanges(publications)) {
+    const lines = ['## Publications'];
+    if (publications.added.length > 0) {
+      lines.push(
+        `New (${publications.added.length}):`,
+        ...listLines(publications.added, publicationLine)
+      );
+    }
+    if (publications.removed.length > 0) {
+      lines.push(
+        `Removed (${publications.removed.length}):`,
+        ...listLines(publications.removed, publicationLine)
+      );
+    }
+    const { total, bySource, changed } = publications.citations;
+    if (changed.length > 0 || total.delta !== 0) {
+      const sources = Object.entries(bySource).map(
+        ([source, counts]) => `${source} ${signed(counts.delta)}`
+      );
+      lines.push(
+        `Citations: ${total.after} (${signed(total.delta)})${sources.length > 0 ? `; by source: ${sources.join(', ')}` : ''}`,
+        ...listLines(changed, pub => `${pub.title}: ${pub.after} (${signed(pub.delta)})`)
+      );
+    }
+    blocks.push(lines.join('\n'));
+  }
+  if (sectionHasChanges(mentions)) {
+    blocks.push(
+      [
+        `## Web mentions (${mentions.added.length} new)`,
+        ...listLines(
+          mentions.added,
+          mention =>
+            `[${mention.title}](${mention.url})${mention.source ? ` — ${mention.source}` : ''}`
+        )
+      ].join('\n')
+    );
+  }
+  if (sectionHasChanges(toread)) {
+    blocks.push(
+      [
+        `## #toread (${toread.added.length} new)`,
+        ...listLines(toread.added, paper => paper.title)
+      ].join('\n')
+    );
+  }
+  if (sectionHasChanges(episodes)) {
+    blocks.push(
+      [
+        `## Podcast episodes (${episodes.added.length} new)`,
+        ...listLines(
+          episodes.added,
+          episode => `${episode.title}${episode.own ? ' (own paper)' : ''}`
+        )
+      ].join('\n')
+    );
+  }
+  if (sectionHasChanges(teaching)) {
+    blocks.push(['## Teaching', ...coursesMarkdown(teaching)].join('\n'));
+  }
+  if (sectionHasChanges(university)) {
+    blocks.push(['## University profile', ...coursesMarkdown(university)].join('\n'));
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
+
+module.exports = {
+  TRACKED_FILES,
+  readTrackedFiles,
+  buildChangeReport,
+  formatChangeReport
+};
@@ -0,0 +1,210 @@
+/**
+ * Citation history: citation counts per work and per source over time.
+ *
+ * The aggregate only holds today's counts. After every run the aggregator
+ * adds them to public/data/citation-history.json, keyed by the work's
+ * registry ID (see publication-registry.js) and by citing source (scholar,
+ * wos, scopus, semanticScholar, openalex). A series stores a point only when its count
+ * changes, so it reads as a step function: the count on any date is that of
+ * the last point on or before it, up to the series' `checked` date. Past
+ * points are never rewritten; a second run on the same day replaces that
+ * day's point. Each point is dated by when its source collected the count
+ * (the source file's `lastUpdated`), not by the aggregator run, since the
+ * aggregator also runs on files carried over from earlier runs; a count
+ * collected before the series' `checked` date is not added.
+ *
+ * The file also carries what the site charts next to the series, recomputed
+ * on every run: citations gained per calendar year and the current citation
+ * velocity (citations per year over the last VELOCITY_WINDOW_DAYS days).
+ *
+ * Works that leave the aggregate keep their history. When the registry
+ * merges two works, the history of the merged-away ID moves to the kept one
+ * for the sources the kept one has no series for.
+ */
+
+const path = require('path');
+const dataStore = require('./data-store');
+const { resolveRef } = require('./publication-registry');
+
+const HISTORY_PATH = path.join(__dirname, '../../public/data/citation-history.json');
+
+/** Sources with citation counts, as keys of an aggregated entry's `citations`. */
+const CITATION_SOURCES = ['scholar', 'wos', 'scopus', 'semanticScholar', 'openalex'];
+
+const VELOCITY_WINDOW_DAYS = 365;
+
+/** Shorter histories are not extrapolated to a yearly velocity. */
+const VELOCITY_MIN_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the history, or start an empty one when there is none yet.
+ *
+ * @param {string} [filePath]
+ * @returns {Object} `{lastUpdated, works}`; `works` maps registry IDs to
+ *   `{title, sources, yearly, velocity}`
+ * @throws {Error} When the file exists but cannot be parsed: starting over
+ *   would lose the recorded history when it is saved
+ */
+function loadCitationHistory(filePath = HISTORY_PATH) {
+  if (!dataStore.existsSync(filePath)) return { lastUpdated: null, works: {} };
+
+  let history;
+  try {
+    history = JSON.parse(dataStore.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${path.basename(filePath)}: ${error.message}`);
+  }
+  return { lastUpdated: null, works: {}, ...history };
+}
+
+/**
+ * Write the history.
+ *
+ * @param {Object} history
+ * @param {string} [now] - ISO timestamp of this run
+ * @param {string} [filePath]
+ */
+function saveCitationHistory(history, now = new Date().toISOString(), filePath = HISTORY_PATH) {
+  const content = { ...history, lastUpdated: now };
+  dataStore.writeFileSync(filePath, JSON.stringify(content, null, 2));
+}
+
+/**
+ * Add a count to a series.
+ *
+ * @param {Object} series - `{checked, points}`, updated in place
+ * @param {number} count
+ * @param {string} date - YYYY-MM-DD the count was collected on; counts older
+ *   than the series' `checked` date are ignored
+ */
+function addPoint(series, count, date) {
+  const { points } = series;
+  if (series.checked > date) return;
+  if (points.length > 0 && points[points.length - 1].date === date) points.pop();
+  if (points.length === 0 || points[points.length - 1].count !== count) {
+    points.push({ date, count });
+  }
+  series.checked = date;
+}
+
+/** Count of a series on a date: its last point on or before it, else null. */
+function countOn(points, date) {
+  let count = null;
+  for (const point of points) {
+    if (point.date > date) break;
+    count = point.count;
+  }
+  return count;
+}
+
+/**
+ * Citations gained in each calendar year of a series. The year the series
+ * starts in counts from its first point, since earlier gains are unknown.
+ *
+ * @param {Object[]} points - `{date, count}`, oldest first
+ * @returns {Object} Year -> citations gained
+ */
+function yearlyCitations(points) {
+  const yearly = {};
+  if (points.length === 0) return yearly;
+  const first = Number(points[0].date.slice(0, 4));
+  const last = Number(points[points.length - 1].date.slice(0, 4));
+  for (let year = first; year <= last; year++) {
+    const start = year === first ? points[0].count : countOn(points, `${year - 1}-12-31`);
+    yearly[year] = countOn(points, `${year}-12-31`) - start;
+  }
+  return yearly;
+}
+
+/**
+ * Citations per year over the last VELOCITY_WINDOW_DAYS days up to the date
+ * the series was last checked, extrapolated when the series is younger than
+ * that.
+ *
+ * @param {Object} series - `{checked, points}`
+ * @returns {number|null} Rounded to one decimal; null for series younger
+ *   than VELOCITY_MIN_DAYS
+ */
+function citationVelocity(series) {
+  const { checked, points } = series;
+  if (points.length === 0) return null;
+  const end = Date.parse(checked);
+  const windowStart = new Date(end - VELOCITY_WINDOW_DAYS * DAY_MS).toISOString().slice(0, 10);
+  const startDate = points[0].date > windowStart ? points[0].date : windowStart;
+  const days = (end - Date.parse(startDate)) / DAY_MS;
+  if (days < VELOCITY_MIN_DAYS) return null;
+  const gained = countOn(points, checked) - countOn(points, startDate);
+  return Math.round((gained / days) * VELOCITY_WINDOW_DAYS * 10) / 10;
+}
+
+/** Move the history of merged-away IDs to the IDs they were merged into. */
+function followMerges(history, registry) {
+  for (const id of Object.keys(history.works)) {
+    const target = resolveRef(registry, id);
+    if (!target || target === id) continue;
+    const merged = history.works[id];
+    const kept = history.works[target] || { title: merged.title, sources: {} };
+    for (const [source, series] of Object.entries(merged.sources)) {
+      if (!kept.sources[source]) kept.sources[source] = series;
+    }
+    history.works[target] = kept;
+    delete history.works[id];
+  }
+}
+
+/**
+ * Add this run's citation counts to the history and recompute the derived
+ * metrics.
+ *
+ * @param {Object} history - loadCitationHistory() result, updated in place
+ * @param {Object[]} publications - Aggregated entries with `id` and `citations`
+ * @param {Object} registry - The publication registry
+ * @param {string} now - ISO timestamp of this run
+ * @param {Object} [collectedAt] - Source -> ISO timestamp its counts were
+ *   collected at (the source file's `lastUpdated`); sources without one are
+ *   dated `now`
+ * @returns {Object} The history
+ */
+function recordCitations(history, publications, registry, now, collectedAt = {}) {
+  const dates = Object.fromEntries(
+    CITATION_SOURCES.map(source => [source, (collectedAt[source] || now).slice(0, 10)])
+  );
+  followMerges(history, registry);
+
+  for (const pub of publications) {
+    if (!pub.id) continue;
+    const work = history.works[pub.id] || { sources: {} };
+    work.title = pub.title;
+    for (const source of CITATION_SOURCES) {
+      const count = pub.citations && pub.citations[source];
+      if (!Number.isInteger(count)) continue;
+      const series = work.sources[source] || { checked: dates[source], points: [] };
+      addPoint(series, count, dates[source]);
+      work.sources[source] = series;
+    }
+    if (Object.keys(work.sources).length > 0) history.works[pub.id] = work;
+  }
+
+  for (const work of Object.values(history.works)) {
+    work.yearly = {};
+    work.velocity = {};
+    for (const [source, series] of Object.entries(work.sources)) {
+      work.yearly[source] = yearlyCitations(series.points);
+      work.velocity[source] = citationVelocity(series);
+    }
+  }
+  return history;
+}
+
+module.exports = {
+  HISTORY_PATH,
+  CITATION_SOURCES,
+  VELOCITY_WINDOW_DAYS,
+  loadCitationHistory,
+  saveCitationHistory,
+  yearlyCitations,
+  citationVelocity,
+  recordCitations
+};
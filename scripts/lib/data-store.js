@@ -0,0 +1,137 @@
+/**
+ * Data store — the single read/write path for pipeline data files.
+ *
+ * Collectors and generators read and write files under public/data, _data and
+ * _includes through this module instead of `fs` directly. It mirrors the three
+ * `fs` calls they use, so call sites read the same as before.
+ *
+ * In dry-run mode (`npm run collect -- --dry-run`) writes are staged in memory
+ * rather than hitting the disk, and reads see staged content first. Downstream
+ * nodes therefore still compute from this run's upstream output, and the
+ * staged set can be diffed against the files on disk at the end of the run.
+ *
+ * Writes to files with a data contract (see schemas.js) are validated first:
+ * content that violates the schema throws a SchemaViolationError and is
+ * neither written nor staged, so the last good file stays in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const schemas = require('./schemas');
+
+let dryRun = false;
+const staged = new Map(); // absolute path -> string content
+const written = new Set(); // absolute paths written during this run
+const observed = new Set(); // absolute paths already reported to the observer
+
+// Record/replay hooks (see http-replay.js). `inputs` replaces the pre-run
+// state of data files; `observer` sees the pre-run state and every write.
+let inputs = null; // Map absolute path -> content, or null when absent
+let observer = null; // { onInput(filePath, content|null), onOutput(filePath, content) }
+
+function setDryRun(enabled) {
+  dryRun = Boolean(enabled);
+  staged.clear();
+}
+
+function isDryRun() {
+  return dryRun;
+}
+
+/**
+ * Serve the pre-run state of data files from a snapshot instead of the disk.
+ * Files this run writes are read back normally.
+ *
+ * @param {Map<string, string|null>|null} snapshot - Absolute path to content
+ *   (null for a file that did not exist); null to turn off
+ */
+function setInputSnapshot(snapshot) {
+  inputs = snapshot;
+  written.clear();
+}
+
+/**
+ * Watch data-file traffic: `onInput` is called once per file with its pre-run
+ * content (null when absent), `onOutput` on every write.
+ *
+ * @param {Object|null} hooks - { onInput, onOutput }, or null to stop
+ */
+function setObserver(hooks) {
+  observer = hooks;
+  written.clear();
+  observed.clear();
+}
+
+/**
+ * Pre-run content of a file that has not been written this run, or
+ * undefined when the disk copy should be used.
+ */
+function preRunContent(key) {
+  if (written.has(key)) return undefined;
+  if (inputs && inputs.has(key)) return inputs.get(key);
+  if (observer && !observed.has(key)) {
+    observed.add(key);
+    const content = fs.existsSync(key) ? fs.readFileSync(key, 'utf8') : null;
+    observer.onInput(key, content);
+  }
+  return undefined;
+}
+
+function existsSync(filePath) {
+  const key = path.resolve(filePath);
+  if (staged.has(key)) return true;
+  const snapshot = preRunContent(key);
+  if (snapshot !== undefined) return snapshot !== null;
+  return fs.existsSync(filePath);
+}
+
+/**
+ * Read a data file as text. Staged (dry-run) content wins over the disk copy.
+ * The encoding argument is accepted for call-site compatibility with `fs`.
+ */
+function readFileSync(filePath, _encoding = 'utf8') {
+  const key = path.resolve(filePath);
+  if (staged.has(key)) return staged.get(key);
+  const snapshot = preRunContent(key);
+  if (snapshot === null) {
+    const error = new Error(`ENOENT: no such file or directory, open '${filePath}'`);
+    error.code = 'ENOENT';
+    throw error;
+  }
+  if (snapshot !== undefined) return snapshot;
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+function writeFileSync(filePath, content, _encoding = 'utf8') {
+  const key = path.resolve(filePath);
+  schemas.assertValid(key, String(content));
+  // Capture the pre-run state before this run replaces it
+  preRunContent(key);
+  written.add(key);
+  if (observer) observer.onOutput(key, String(content));
+
+  if (dryRun) {
+    staged.set(key, String(content));
+    return;
+  }
+  fs.writeFileSync(filePath, content, 'utf8');
+}
+
+/**
+ * Writes staged during a dry run, as [absolute path, content] pairs in the
+ * order they were first made.
+ */
+function stagedWrites() {
+  return [...staged.entries()];
+}
+
+module.exports = {
+  existsSync,
+  readFileSync,
+  writeFileSync,
+  setDryRun,
+  isDryRun,
+  stagedWrites,
+  setInputSnapshot,
+  setObserver
+};
@@ -0,0 +1,215 @@
+/**
+ * Research data deposits: the datasets, scripts and data files ORCID lists
+ * as works.
+ *
+ * The aggregator keeps them off the publication list (see isDataArtifact()
+ * in the aggregator) and hands them here instead. Entries are grouped by the
+ * deposit they belong to, since repositories register a DOI for every file
+ * and every version of a deposit:
+ *
+ *   Harvard Dataverse  10.7910/dvn/XNOARV/MEYZEF is a file of 10.7910/dvn/XNOARV
+ *   Figshare           10.6084/m9.figshare.809555.v3 is a version of …809555
+ *
+ * A deposit is linked to the paper it replicates when a paper's Crossref
+ * `relation` metadata lists it as a supplement (is-supplemented-by), or when
+ * its title is "Replication Data for: <title>" and the title matches one
+ * aggregated work. The link is recorded on both: the deposit's `replicates`
+ * and the paper's `relations.datasets`.
+ *
+ * The deposits are written to public/data/datasets.json, which the Data &
+ * Software page is generated from.
+ */
+
+const path = require('path');
+const dataStore = require('./data-store');
+const { normalizeDoi } = require('./publication-registry');
+const { createTitleIndex } = require('./title-matcher');
+
+const DATASETS_PATH = path.join(__dirname, '../../public/data/datasets.json');
+
+/** Data repositories by DOI prefix, with the pattern of a deposit's own DOI. */
+const DATA_REPOSITORIES = [
+  { name: 'Harvard Dataverse', prefix: '10.7910/dvn/', deposit: /^10\.7910\/dvn\/[^/]+/ },
+  { name: 'Figshare', prefix: '10.6084/m9.figshare.', deposit: /^10\.6084\/m9\.figshare\.\d+/ },
+  { name: 'Zenodo', prefix: '10.5281/zenodo.', deposit: /^10\.5281\/zenodo\.\d+/ }
+];
+
+/** Crossref relation types by which a paper lists its data. */
+const SUPPLEMENT_RELATIONS = ['is-supplemented-by'];
+
+const REPLICATION_TITLE = /^replication (?:data|code|files|materials?)(?: and code)? for\s*:\s*/i;
+
+function repositoryOf(doi) {
+  const lower = String(doi || '').toLowerCase();
+  return DATA_REPOSITORIES.find(repository => lower.startsWith(repository.prefix)) || null;
+}
+
+/**
+ * Name of the data repository a DOI was registered by.
+ *
+ * @param {string} doi
+ * @returns {string|null}
+ */
+function dataRepository(doi) {
+  const repository = repositoryOf(doi);
+  return repository ? repository.name : null;
+}
+
+/**
+ * DOI of the deposit a file or version DOI belongs to, lower-cased. Other
+ * DOIs are only normalised.
+ *
+ * @param {string} doi
+ * @returns {string|null}
+ */
+function depositDoi(doi) {
+  if (!doi) return null;
+  const repository = repositoryOf(doi);
+  const match = repository && repository.deposit.exec(doi.toLowerCase());
+  return match ? match[0] : normalizeDoi(doi);
+}
+
+/** Version number of a Figshare `.vN` DOI, or null. */
+function depositVersion(doi) {
+  const match = /\.v(\d+)$/i.exec(doi || '');
+  return match ? Number(match[1]) : null;
+}
+
+/** The paper a "Replication Data for: <title>" deposit names, or null. */
+function replicatedTitle(title) {
+  const rest = String(title || '').replace(REPLICATION_TITLE, '');
+  return rest !== title && rest.trim() ? rest.trim() : null;
+}
+
+function fileRef(pub) {
+  return { id: pub.id || null, doi: pub.doi || null, title: pub.title };
+}
+
+/**
+ * Build one deposit from the entries that belong to it. The deposit's own
+ * entry names it; without one, its latest version or first file does.
+ */
+function toDeposit(doi, entries) {
+  const own = entries.find(pub => pub.doi && pub.doi.toLowerCase() === doi);
+  const byVersion = entries
+    .filter(pub => depositVersion(pub.doi) !== null)
+    .sort((a, b) => depositVersion(a.doi) - depositVersion(b.doi));
+  const main = own || byVersion[byVersion.length - 1] || entries[0];
+  const years = entries.map(pub => Number(pub.year)).filter(Boolean);
+
+  return {
+    id: main.id || null,
+    doi,
+    title: main.title,
+    authors: main.authors || null,
+    repository: dataRepository(doi) || main.venue || null,
+    year: years.length > 0 ? Math.min(...years) : null,
+    url: doi ? `https://doi.org/${doi}` : (main.source_urls && main.source_urls.orcid) || null,
+    versions: byVersion.map(pub => ({ version: depositVersion(pub.doi), ...fileRef(pub) })),
+    files: entries
+      .filter(pub => pub !== own && depositVersion(pub.doi) === null)
+      .map(fileRef)
+      .sort((a, b) => String(a.title).localeCompare(String(b.title))),
+    replicates: []
+  };
+}
+
+/**
+ * Group data artifacts by deposit.
+ *
+ * @param {Object[]} artifacts - Aggregated entries identified as data
+ * @returns {Object[]} Deposits, newest first: `{id, doi, title, authors,
+ *   repository, year, url, versions, files, replicates}`
+ */
+function groupDeposits(artifacts) {
+  const groups = new Map();
+  for (const pub of artifacts) {
+    const key = pub.doi ? depositDoi(pub.doi) : `id:${pub.id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(pub);
+  }
+  return [...groups.entries()]
+    .map(([key, entries]) => toDeposit(key.startsWith('id:') ? null : key, entries))
+    .sort((a, b) => (b.year || 0) - (a.year || 0) || a.title.localeCompare(b.title));
+}
+
+function addLink(deposit, paper, via) {
+  if (deposit.replicates.some(ref => ref.id === paper.id)) return false;
+  deposit.replicates.push({ id: paper.id, doi: paper.doi || null, title: paper.title, via });
+  const datasets = (paper.relations && paper.relations.datasets) || [];
+  paper.relations = {
+    ...paper.relations,
+    datasets: [
+      ...datasets,
+      {
+        id: deposit.id,
+        doi: deposit.doi,
+        title: deposit.title,
+        repository: deposit.repository,
+        via
+      }
+    ]
+  };
+  return true;
+}
+
+/**
+ * Link deposits to the papers they replicate.
+ *
+ * @param {Object[]} deposits - groupDeposits() result, updated in place
+ * @param {Object[]} publications - Aggregated works; `relations.datasets` is
+ *   set on those linked, `crossref_relations` is read
+ * @returns {number} Links found
+ */
+function linkReplications(deposits, publications) {
+  const byDoi = new Map(
+    deposits.filter(deposit => deposit.doi).map(deposit => [deposit.doi, deposit])
+  );
+  let links = 0;
+
+  for (const paper of publications) {
+    for (const relation of paper.crossref_relations || []) {
+      if (!SUPPLEMENT_RELATIONS.includes(relation.type)) continue;
+      const deposit = byDoi.get(depositDoi(relation.doi));
+      if (deposit && addLink(deposit, paper, 'crossref')) links++;
+    }
+  }
+
+  const titleIndex = createTitleIndex();
+  publications.forEach((pub, i) => titleIndex.add(String(i), pub));
+  for (const deposit of deposits) {
+    const title = replicatedTitle(deposit.title);
+    const best = title && titleIndex.findBest(title);
+    if (!best || best.ambiguousWith.length > 0) continue;
+    if (addLink(deposit, best.publication, 'title')) links++;
+  }
+
+  return links;
+}
+
+/**
+ * Write the deposits.
+ *
+ * @param {Object[]} deposits
+ * @param {Object} [meta] - `{lastUpdated, provenance}`
+ * @param {string} [filePath]
+ */
+function saveDatasets(deposits, meta = {}, filePath = DATASETS_PATH) {
+  const content = {
+    datasets: deposits,
+    lastUpdated: meta.lastUpdated || new Date().toISOString(),
+    ...(meta.provenance ? { provenance: meta.provenance } : {})
+  };
+  dataStore.writeFileSync(filePath, JSON.stringify(content, null, 2));
+}
+
+module.exports = {
+  DATASETS_PATH,
+  DATA_REPOSITORIES,
+  dataRepository,
+  depositDoi,
+  replicatedTitle,
+  groupDeposits,
+  linkReplications,
+  saveDatasets
+};
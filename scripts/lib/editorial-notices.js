@@ -0,0 +1,132 @@
+/**
+ * Editorial notices on aggregated works: retractions, expressions of
+ * concern, corrections and errata.
+ *
+ * Crossref lists the notices issued on a work under `updated-by`, with those
+ * it takes from the Retraction Watch database marked `source:
+ * retraction-watch`, and a notice's own record points at the work it updates
+ * under `update-to`. The Crossref collector keeps both; the aggregator stores
+ * them as `crossref_updated_by` and `crossref_update_to` and calls
+ * applyNotices(), which labels each work:
+ *
+ *   notices         `[{kind, type, doi, date, label, source}]`, oldest first;
+ *                   `doi` is the notice's, `type` Crossref's update type
+ *   notice_status   retracted, expression-of-concern or corrected: the
+ *                   gravest of its notices
+ *
+ * Other update types (addenda, new versions, clarifications) are not notices.
+ * Retracted works stay on the publications page with their notice shown and
+ * are left out of the own-publications feed.
+ */
+
+const { normalizeDoi } = require('./publication-registry');
+
+/** Crossref update type -> notice kind. */
+const NOTICE_KINDS = {
+  retraction: 'retraction',
+  withdrawal: 'retraction',
+  removal: 'retraction',
+  partial_retraction: 'correction',
+  expression_of_concern: 'expression-of-concern',
+  correction: 'correction',
+  corrigendum: 'correction',
+  erratum: 'erratum'
+};
+
+/** Notice kind -> the status it gives a work, gravest first. */
+const STATUSES = [
+  ['retraction', 'retracted'],
+  ['expression-of-concern', 'expression-of-concern'],
+  ['correction', 'corrected'],
+  ['erratum', 'corrected']
+];
+
+/**
+ * Kind of notice a Crossref update type is.
+ *
+ * @param {string} type - e.g. `retraction`, `expression_of_concern`
+ * @returns {string|null} Null for updates that are not notices
+ */
+function noticeKind(type) {
+  const key = String(type || '').toLowerCase();
+  return NOTICE_KINDS[key.replace(/-/g, '_')] || null;
+}
+
+/**
+ * Status of a work with these notices.
+ *
+ * @param {Object[]} notices
+ * @returns {string|null}
+ */
+function noticeStatus(notices) {
+  const status = STATUSES.find(([kind]) => notices.some(notice => notice.kind === kind));
+  return status ? status[1] : null;
+}
+
+function addNotice(pub, update, noticeDoi) {
+  const kind = noticeKind(update.type);
+  if (!kind) return;
+  const notices = pub.notices || [];
+  const doi = noticeDoi || null;
+  if (notices.some(notice => notice.kind === kind && sameDoi(notice.doi, doi))) return;
+  pub.notices = [
+    ...notices,
+    {
+      kind,
+      type: update.type,
+      doi,
+      date: update.date || null,
+      label: update.label || null,
+      source: update.source || null
+    }
+  ];
+}
+
+function sameDoi(a, b) {
+  return a && b ? normalizeDoi(a) === normalizeDoi(b) : a === b;
+}
+
+/**
+ * Label the aggregated works that have notices.
+ *
+ * @param {Object[]} publications - Aggregated works, updated in place;
+ *   `crossref_updated_by` and `crossref_update_to` (`[{type, doi, date,
+ *   label, source}]`) are read
+ * @returns {Object[]} The works labelled
+ */
+function applyNotices(publications) {
+  const byDoi = new Map(
+    publications.filter(pub => pub.doi).map(pub => [normalizeDoi(pub.doi), pub])
+  );
+
+  for (const pub of publications) {
+    for (const update of pub.crossref_updated_by || []) {
+      addNotice(pub, update, update.doi);
+    }
+    // A notice in the list labels the work it updates
+    for (const update of pub.crossref_update_to || []) {
+      const target = byDoi.get(normalizeDoi(update.doi));
+      if (target && target !== pub) addNotice(target, update, pub.doi);
+    }
+  }
+
+  const labelled = publications.filter(pub => pub.notices && pub.notices.length > 0);
+  for (const pub of labelled) {
+    pub.notices.sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+    pub.notice_status = noticeStatus(pub.notices);
+  }
+  return labelled;
+}
+
+/** Whether a work has been retracted. */
+function isRetracted(pub) {
+  return pub.notice_status === 'retracted';
+}
+
+module.exports = {
+  NOTICE_KINDS,
+  noticeKind,
+  noticeStatus,
+  applyNotices,
+  isRetracted
+};
@@ -0,0 +1,277 @@
+/**
+ * Shared HTTP client for collectors and generators.
+ *
+ * Every outbound request goes through here so that they all get:
+ *  - a timeout (30s unless the caller passes `timeout`);
+ *  - retries with exponential backoff on network errors, 408, 429 and 5xx,
+ *    honouring `Retry-After`. Other 4xx responses are never retried;
+ *  - per-host concurrency and request spacing (HOST_POLICIES), shared by all
+ *    pipeline nodes running at the same time. A `Retry-After` from a host
+ *    holds back every queued request to that host, not just the retried one;
+ *  - a User-Agent that identifies the site and carries a mailto, which puts
+ *    Crossref requests in its polite pool. Scrapers that need a browser
+ *    User-Agent pass their own header;
+ *  - one error type, HttpError.
+ *
+ * `get`, `head` and `post` take axios options plus `retries`, and resolve to
+ * the axios response. `getJson` and `getText` resolve to the body.
+ */
+
+const axios = require('axios');
+const { performance } = require('perf_hooks');
+const config = require('../config');
+const httpReplay = require('./http-replay');
+
+const { redactUrl } = httpReplay;
+
+const USER_AGENT = `${config.name.replace(/\W/g, '')}AcademicWebsite/1.0 (+${config.siteUrl}; mailto:${config.email})`;
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+// A Retry-After longer than this fails the request instead of stalling the run.
+const MAX_RETRY_AFTER_MS = 60000;
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ERR_SOCKET_CONNECTION_TIMEOUT'
+]);
+
+/**
+ * Concurrency and minimum spacing between request starts, per host.
+ * Hosts not listed get DEFAULT_POLICY.
+ */
+const HOST_POLICIES = {
+  // Polite pool allows ~50 req/s; stay well below it.
+  'api.crossref.org': { concurrency: 5, minIntervalMs: 100 },
+  'api.eventdata.crossref.org': { concurrency: 2, minIntervalMs: 500 },
+  // 1 request per second, keyed or not.
+  'api.semanticscholar.org': { concurrency: 1, minIntervalMs: 1000 },
+  // Unofficial scraping: slow and one at a time to avoid the robot check.
+  'scholar.google.com': { concurrency: 1, minIntervalMs: 1500 },
+  'api.elsevier.com': { concurrency: 2, minIntervalMs: 200 },
+  'api.clarivate.com': { concurrency: 1, minIntervalMs: 500 },
+  'pub.orcid.org': { concurrency: 2, minIntervalMs: 100 },
+  'api.unpaywall.org': { concurrency: 2, minIntervalMs: 100 },
+  // Polite pool allows 10 req/s.
+  'api.openalex.org': { concurrency: 2, minIntervalMs: 100 },
+  // The university repository is shared by the ORA collector and the feed.
+  'ora.uniurb.it': { concurrency: 1, minIntervalMs: 500 }
+};
+const DEFAULT_POLICY = { concurrency: 4, minIntervalMs: 0 };
+
+// Indirection so tests can skip real waits.
+const timers = {
+  sleep: ms => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+function wait(ms) {
+  // Replayed responses need no pacing.
+  if (ms <= 0 || httpReplay.isReplaying()) return Promise.resolve();
+  return timers.sleep(ms);
+}
+
+/**
+ * Error for a request that failed after its retries.
+ *
+ * `code` is ERR_HTTP_STATUS (the server answered with an error status; see
+ * `status` and `response`), ERR_TIMEOUT, ERR_NETWORK (see `cause`) or
+ * ERR_BAD_RESPONSE (getJson got a body that is not JSON).
+ * `url` has credentials in the query string redacted.
+ */
+class HttpError extends Error {
+  constructor(message, { code, url, host, status = null, response = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'HttpError';
+    this.code = code;
+    this.url = url;
+    this.host = host;
+    this.status = status;
+    this.response = response;
+    this.attempts = 1;
+    this.retryAfterMs = null;
+  }
+}
+
+/** Spaces request starts and caps concurrent requests for one host. */
+class HostLimiter {
+  constructor({ concurrency, minIntervalMs }) {
+    this.concurrency = concurrency;
+    this.minIntervalMs = minIntervalMs;
+    this.active = 0;
+    this.queue = [];
+    this.nextStart = 0;
+  }
+
+  async acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+    } else {
+      // release() hands its slot straight to the first waiter.
+      await new Promise(resolve => this.queue.push(resolve));
+    }
+    const now = performance.now();
+    const start = Math.max(now, this.nextStart);
+    this.nextStart = start + this.minIntervalMs;
+    await wait(start - now);
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) next();
+    else this.active--;
+  }
+
+  /** Hold back every request to this host for `ms`. */
+  pause(ms) {
+    this.nextStart = Math.max(this.nextStart, performance.now() + ms);
+  }
+}
+
+const limiters = new Map();
+
+function limiterFor(host) {
+  if (!limiters.has(host)) {
+    limiters.set(host, new HostLimiter(HOST_POLICIES[host] || DEFAULT_POLICY));
+  }
+  return limiters.get(host);
+}
+
+/**
+ * Parse a Retry-After header into milliseconds.
+ *
+ * @param {string|undefined} value - Delay in seconds or an HTTP date
+ * @param {string} [serverDate] - The response's Date header; HTTP dates are
+ *   measured against it so a skewed local clock does not matter
+ * @returns {number|null}
+ */
+function parseRetryAfter(value, serverDate) {
+  if (value === undefined || value === null || value === '') return null;
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed) * 1000;
+  const at = Date.parse(trimmed);
+  if (Number.isNaN(at)) return null;
+  const now = serverDate ? Date.parse(serverDate) : Date.now();
+  return Math.max(0, at - (Number.isNaN(now) ? Date.now() : now));
+}
+
+/** Delay before retry number `attempt` (1-based), without Retry-After. */
+function backoffDelay(attempt, baseMs = BASE_RETRY_DELAY_MS) {
+  return baseMs * 2 ** (attempt - 1);
+}
+
+function toHttpError(error, url, host) {
+  const redacted = redactUrl(url);
+  if (error.response && error.response.status) {
+    const { status, statusText, headers = {}, data } = error.response;
+    const httpError = new HttpError(`HTTP ${status} from ${host}`, {
+      code: 'ERR_HTTP_STATUS',
+      url: redacted,
+      host,
+      status,
+      response: { status, statusText, headers, data },
+      cause: error
+    });
+    httpError.retryAfterMs = parseRetryAfter(headers['retry-after'], headers.date);
+    return httpError;
+  }
+  const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+  return new HttpError(timedOut ? `Timed out requesting ${host}` : `${error.message} (${host})`, {
+    code: timedOut ? 'ERR_TIMEOUT' : 'ERR_NETWORK',
+    url: redacted,
+    host,
+    cause: error
+  });
+}
+
+function isRetryable(httpError) {
+  if (httpError.status) return RETRYABLE_STATUSES.has(httpError.status);
+  const cause = httpError.cause || {};
+  return RETRYABLE_CODES.has(cause.code);
+}
+
+function send(method, url, data, options) {
+  if (method === 'post') return axios.post(url, data, options);
+  return axios[method](url, options);
+}
+
+async function request(method, url, data, options = {}) {
+  const { retries = DEFAULT_RETRIES, ...axiosOptions } = options;
+  axiosOptions.timeout = axiosOptions.timeout || DEFAULT_TIMEOUT_MS;
+  axiosOptions.headers = { 'User-Agent': USER_AGENT, ...axiosOptions.headers };
+
+  const host = new URL(url).hostname;
+  const limiter = limiterFor(host);
+
+  for (let attempt = 1; ; attempt++) {
+    await limiter.acquire();
+    let failure;
+    try {
+      return await send(method, url, data, axiosOptions);
+    } catch (error) {
+      failure = toHttpError(error, url, host);
+      failure.attempts = attempt;
+    } finally {
+      limiter.release();
+    }
+
+    if (attempt > retries || !isRetryable(failure)) throw failure;
+    const delay = failure.retryAfterMs ?? backoffDelay(attempt);
+    if (delay > MAX_RETRY_AFTER_MS) throw failure;
+    if (failure.retryAfterMs !== null) limiter.pause(delay);
+    console.log(
+      `[http] ${failure.message}; retrying in ${delay}ms (attempt ${attempt + 1} of ${retries + 1})`
+    );
+    await wait(delay);
+  }
+}
+
+function get(url, options) {
+  return request('get', url, undefined, options);
+}
+
+function head(url, options) {
+  return request('head', url, undefined, options);
+}
+
+function post(url, data, options) {
+  return request('post', url, data, options);
+}
+
+/** GET a JSON document and resolve to the parsed body. */
+async function getJson(url, options = {}) {
+  const response = await get(url, { ...options, responseType: 'text' });
+  try {
+    return typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+  } catch (error) {
+    const host = new URL(url).hostname;
+    throw new HttpError(`Invalid JSON from ${host}: ${error.message}`, {
+      code: 'ERR_BAD_RESPONSE',
+      url: redactUrl(url),
+      host,
+      status: response.status,
+      cause: error
+    });
+  }
+}
+
+/** GET a document and resolve to the body as a string. */
+async function getText(url, options = {}) {
+  const response = await get(url, { ...options, responseType: 'text' });
+  return response.data;
+}
+
+module.exports = {
+  get,
+  head,
+  post,
+  getJson,
+  getText,
+  HttpError,
+  USER_AGENT,
+  _testing: { timers, limiters, HostLimiter, parseRetryAfter, backoffDelay }
+};
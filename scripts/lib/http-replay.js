@@ -0,0 +1,596 @@
+/**
+ * HTTP record/replay for offline pipeline runs.
+ *
+ * `npm run collect -- --record fixtures/<date>` runs the pipeline normally and
+ * saves every outbound HTTP response; `--replay fixtures/<date>` runs it again
+ * with no network, serving those responses instead. The layer sits under all
+ * HTTP clients the collectors use: `http(s).request`/`get` (axios goes
+ * through them too) and the global `fetch` (the Gemini and Anthropic SDKs).
+ *
+ * To make a replay reproduce the recorded run byte-for-byte, a recording also
+ * captures:
+ *  - the pre-run state of every data file the run read (via data-store.js),
+ *    which replay serves instead of the current files on disk;
+ *  - the files the run wrote; a replay reports any it did not reproduce;
+ *  - the names (never the values) of the credential variables that were set,
+ *    so collectors take the same code paths on replay;
+ *  - the clock: both modes freeze `Date` at the recording's start time.
+ *
+ * Fixture layout:
+ *   manifest.json           recordedAt, credential names, missing inputs
+ *   http/<host>/<hash>.json responses per request, in the order received
+ *   inputs/<path>           data files as they were before the run
+ *   outputs/<path>          data files as the run left them
+ *
+ * Requests are keyed by method, URL and a hash of the body. Credentials in
+ * query parameters are redacted from keys and fixtures, and request headers
+ * are never stored. A request made several times replays its responses in
+ * order, repeating the last one.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const zlib = require('zlib');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const dataStore = require('./data-store');
+
+const REPO_ROOT = path.join(__dirname, '../..');
+const SECRET_PARAM = /key|token|secret|password|signature/i;
+const CREDENTIAL_ENV = /(_KEY|_TOKEN|_SECRET)$/;
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+let session = null;
+const originals = {};
+const RealDate = Date;
+
+// ---------------------------------------------------------------------------
+// Request keys and fixture entries
+
+function redactUrl(url) {
+  const parsed = new URL(url);
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (SECRET_PARAM.test(name)) parsed.searchParams.set(name, 'REDACTED');
+  }
+  return parsed.href;
+}
+
+function requestKey(method, url, body) {
+  const base = `${method.toUpperCase()} ${redactUrl(url)}`;
+  if (!body || body.length === 0) return base;
+  return `${base} ${crypto.createHash('sha256').update(body).digest('hex').slice(0, 16)}`;
+}
+
+function fixturePath(dir, key, url) {
+  const host = new URL(url).host.replace(/[^\w.-]/g, '_');
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+  return path.join(dir, 'http', host, `${hash}.json`);
+}
+
+/** Store text bodies readably and anything else as base64. */
+function encodeBody(buffer) {
+  const text = buffer.toString('utf8');
+  if (Buffer.from(text, 'utf8').equals(buffer)) return { body: text, encoding: 'utf8' };
+  return { body: buffer.toString('base64'), encoding: 'base64' };
+}
+
+function decodeBody(entry) {
+  return Buffer.from(entry.body || '', entry.encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+/**
+ * Undo transfer compression so fixtures hold the payload itself. The header
+ * goes too, so clients do not try to decompress it again on replay.
+ */
+function decompress(buffer, headers) {
+  const encoding = (headers['content-encoding'] || '').toLowerCase();
+  try {
+    if (encoding === 'gzip' || encoding === 'x-gzip') buffer = zlib.gunzipSync(buffer);
+    else if (encoding === 'deflate') buffer = zlib.inflateSync(buffer);
+    else if (encoding === 'br') buffer = zlib.brotliDecompressSync(buffer);
+    else return buffer;
+  } catch {
+    return buffer;
+  }
+  delete headers['content-encoding'];
+  return buffer;
+}
+
+function responseEntry(status, statusText, headers, buffer) {
+  const cleaned = { ...headers };
+  delete cleaned['content-length'];
+  delete cleaned['transfer-encoding'];
+  return { status, statusText: statusText || '', headers: cleaned, ...encodeBody(buffer) };
+}
+
+function errorEntry(error) {
+  return { error: { code: error.code || null, message: error.message } };
+}
+
+function entryError(entry) {
+  const error = new Error(entry.error.message);
+  if (entry.error.code) error.code = entry.error.code;
+  return error;
+}
+
+function missError(key) {
+  const error = new Error(`No recorded response for ${key}`);
+  error.code = 'ERR_REPLAY_MISS';
+  return error;
+}
+
+// ---------------------------------------------------------------------------
+// Session bookkeeping
+
+function saveEntry(key, url, entry) {
+  const file = fixturePath(session.dir, key, url);
+  const record = session.records.get(file) || { request: key, responses: [] };
+  record.responses.push(entry);
+  session.records.set(file, record);
+  session.requestCount++;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(record, null, 2));
+}
+
+function nextEntry(key, url) {
+  const file = fixturePath(session.dir, key, url);
+  if (!session.records.has(file)) {
+    session.records.set(
+      file,
+      fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null
+    );
+  }
+  const record = session.records.get(file);
+  if (!record || record.responses.length === 0) return null;
+  const index = session.served.get(file) || 0;
+  session.served.set(file, index + 1);
+  session.requestCount++;
+  return record.responses[Math.min(index, record.responses.length - 1)];
+}
+
+// ---------------------------------------------------------------------------
+// http(s).request / http(s).get
+
+/**
+ * Stand-in for http.ClientRequest. It buffers the request body and, on
+ * `end()`, either replays a response or performs the real request and
+ * records it.
+ */
+class InterceptedRequest extends EventEmitter {
+  constructor(protocol, args, callback) {
+    super();
+    this.protocol = protocol;
+    this.args = args;
+    this.chunks = [];
+    this.extraHeaders = {};
+    this.timeoutMs = 0;
+    this.destroyed = false;
+    this.finished = false;
+    this.real = null;
+    if (callback) this.once('response', callback);
+  }
+
+  get method() {
+    const options = this.args.find(arg => arg && typeof arg === 'object' && !(arg instanceof URL));
+    return ((options && options.method) || 'GET').toUpperCase();
+  }
+
+  get url() {
+    const [first, second] = this.args;
+    if (typeof first === 'string' || first instanceof URL) return new URL(String(first)).href;
+    const options = first || second || {};
+    const protocol = options.protocol || this.protocol;
+    const host = options.hostname || (options.host || 'localhost').replace(/:\d+$/, '');
+    const port = options.port ? `:${options.port}` : '';
+    return new URL(`${protocol}//${host}${port}${options.path || '/'}`).href;
+  }
+
+  setHeader(name, value) {
+    this.extraHeaders[name] = value;
+  }
+
+  getHeader(name) {
+    return this.extraHeaders[name];
+  }
+
+  removeHeader(name) {
+    delete this.extraHeaders[name];
+  }
+
+  setTimeout(ms, callback) {
+    this.timeoutMs = ms;
+    if (callback) this.once('timeout', callback);
+    return this;
+  }
+
+  setNoDelay() {}
+
+  setSocketKeepAlive() {}
+
+  write(chunk, encoding, callback) {
+    if (typeof encoding === 'function') {
+      callback = encoding;
+      encoding = undefined;
+    }
+    if (chunk) this.chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+    if (callback) process.nextTick(callback);
+    return true;
+  }
+
+  end(chunk, encoding, callback) {
+    if (typeof chunk === 'function') {
+      callback = chunk;
+      chunk = null;
+    } else if (typeof encoding === 'function') {
+      callback = encoding;
+      encoding = undefined;
+    }
+    if (chunk) this.write(chunk, encoding);
+    if (this.finished) return this;
+    this.finished = true;
+    if (callback) this.once('finish', callback);
+    process.nextTick(() => {
+      this.emit('finish');
+      if (this.destroyed) return;
+      if (session.mode === 'replay') replayHttp(this);
+      else recordHttp(this);
+    });
+    return this;
+  }
+
+  abort() {
+    this.destroy();
+  }
+
+  destroy(error) {
+    if (this.destroyed) return this;
+    this.destroyed = true;
+    if (this.real) this.real.destroy();
+    process.nextTick(() => {
+      if (error) this.emit('error', error);
+      this.emit('close');
+    });
+    return this;
+  }
+}
+
+function toIncomingMessage(entry, req) {
+  const body = decodeBody(entry);
+  const res = new PassThrough();
+  res.statusCode = entry.status;
+  res.statusMessage = entry.statusText;
+  res.headers = { ...entry.headers, 'content-length': String(body.length) };
+  res.rawHeaders = Object.entries(res.headers).flat();
+  res.httpVersion = '1.1';
+  res.req = req;
+  res.end(body);
+  return res;
+}
+
+function replayHttp(req) {
+  const key = requestKey(req.method, req.url, Buffer.concat(req.chunks));
+  const entry = nextEntry(key, req.url);
+  if (!entry) {
+    req.emit('error', missError(key));
+  } else if (entry.timeout && req.listenerCount('timeout') > 0) {
+    req.emit('timeout');
+  } else if (entry.error || entry.timeout) {
+    req.emit(
+      'error',
+      entry.error ? entryError(entry) : Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' })
+    );
+  } else {
+    req.emit('response', toIncomingMessage(entry, req));
+  }
+}
+
+function recordHttp(req) {
+  const url = req.url;
+  const body = Buffer.concat(req.chunks);
+  const key = requestKey(req.method, url, body);
+  const original = originals[req.protocol].request;
+
+  const real = original(...req.args);
+  req.real = real;
+  for (const [name, value] of Object.entries(req.extraHeaders)) real.setHeader(name, value);
+
+  real.on('response', res => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('error', error => {
+      saveEntry(key, url, errorEntry(error));
+      if (!req.destroyed) req.emit('error', error);
+    });
+    res.on('end', () => {
+      const headers = { ...res.headers };
+      const buffer = decompress(Buffer.concat(chunks), headers);
+      const entry = responseEntry(res.statusCode, res.statusMessage, headers, buffer);
+      saveEntry(key, url, entry);
+      if (!req.destroyed) req.emit('response', toIncomingMessage(entry, req));
+    });
+  });
+  real.on('error', error => {
+    if (req.destroyed) return;
+    saveEntry(key, url, errorEntry(error));
+    req.emit('error', error);
+  });
+  if (req.timeoutMs) {
+    real.setTimeout(req.timeoutMs, () => {
+      saveEntry(key, url, { timeout: true });
+      if (req.listenerCount('timeout') > 0) req.emit('timeout');
+      else req.destroy(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }));
+    });
+  }
+  real.end(body.length > 0 ? body : undefined);
+}
+
+function interceptRequest(protocol, args) {
+  const list = [...args];
+  const callback = typeof list[list.length - 1] === 'function' ? list.pop() : null;
+  return new InterceptedRequest(protocol, list, callback);
+}
+
+// ---------------------------------------------------------------------------
+// fetch
+
+function fetchFailure(cause) {
+  return new TypeError('fetch failed', { cause });
+}
+
+function toFetchResponse(entry) {
+  const body = NULL_BODY_STATUSES.has(entry.status) ? null : decodeBody(entry);
+  return new Response(body, {
+    status: entry.status,
+    statusText: entry.statusText,
+    headers: entry.headers
+  });
+}
+
+async function interceptFetch(input, init) {
+  const request = new Request(input, init);
+  const body = request.body ? Buffer.from(await request.arrayBuffer()) : Buffer.alloc(0);
+  const key = requestKey(request.method, request.url, body);
+
+  if (session.mode === 'replay') {
+    const entry = nextEntry(key, request.url);
+    if (!entry) throw fetchFailure(missError(key));
+    if (entry.error) throw fetchFailure(entryError(entry));
+    return toFetchResponse(entry);
+  }
+
+  let response;
+  try {
+    response = await originals.fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: body.length > 0 ? body : undefined,
+      redirect: request.redirect,
+      signal: request.signal
+    });
+  } catch (error) {
+    saveEntry(key, request.url, errorEntry(error.cause || error));
+    throw error;
+  }
+  const headers = Object.fromEntries(response.headers);
+  // fetch has already decompressed the body
+  delete headers['content-encoding'];
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const entry = responseEntry(response.status, response.statusText, headers, buffer);
+  saveEntry(key, request.url, entry);
+  return toFetchResponse(entry);
+}
+
+// ---------------------------------------------------------------------------
+// Clock
+
+function freezeClock(iso) {
+  const fixed = new RealDate(iso).getTime();
+  function FrozenDate(...args) {
+    if (!new.target) return new RealDate(fixed).toString();
+    return args.length === 0 ? new RealDate(fixed) : new RealDate(...args);
+  }
+  FrozenDate.prototype = RealDate.prototype;
+  FrozenDate.now = () => fixed;
+  FrozenDate.parse = RealDate.parse;
+  FrozenDate.UTC = RealDate.UTC;
+  global.Date = FrozenDate;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+
+function install(mode, dir, recordedAt, root) {
+  if (session) throw new Error(`HTTP ${session.mode} is already active`);
+  session = {
+    mode,
+    dir: path.resolve(dir),
+    root: path.resolve(root),
+    records: new Map(),
+    served: new Map(),
+    requestCount: 0,
+    inputs: new Map(),
+    outputs: new Map()
+  };
+
+  for (const [mod, protocol] of [
+    [http, 'http:'],
+    [https, 'https:']
+  ]) {
+    originals[protocol] = { request: mod.request, get: mod.get };
+    mod.request = (...args) => interceptRequest(protocol, args);
+    mod.get = (...args) => interceptRequest(protocol, args).end();
+  }
+  originals.fetch = global.fetch;
+  global.fetch = interceptFetch;
+  freezeClock(recordedAt);
+
+  // Data files are captured relative to the repository; anything outside it
+  // is not part of the run's state.
+  const relative = filePath => {
+    const relPath = path.relative(session.root, filePath);
+    return relPath.startsWith('..') || path.isAbsolute(relPath) ? null : relPath;
+  };
+  dataStore.setObserver({
+    onInput: (filePath, content) => {
+      const relPath = relative(filePath);
+      if (relPath) session.inputs.set(relPath, content);
+    },
+    onOutput: (filePath, content) => {
+      const relPath = relative(filePath);
+      if (relPath) session.outputs.set(relPath, content);
+    }
+  });
+}
+
+/**
+ * Start recording HTTP traffic and data-file state into `dir`.
+ *
+ * @param {string} dir - Fixture directory (created if missing)
+ * @param {Object} [options]
+ * @param {string} [options.root] - Directory data files are captured
+ *   relative to (the repository; overridden in tests)
+ */
+function startRecording(dir, { root = REPO_ROOT } = {}) {
+  const recordedAt = new RealDate().toISOString();
+  install('record', dir, recordedAt, root);
+  session.recordedAt = recordedAt;
+  fs.mkdirSync(session.dir, { recursive: true });
+}
+
+/**
+ * Set a placeholder for each credential that was present when `dir` was
+ * recorded. Credentials only gate code paths (requests are served from the
+ * fixtures), but some collectors check them when they are loaded, so the
+ * caller may need to do this before requiring them.
+ *
+ * @param {string} dir - Fixture directory written by a recording
+ */
+function applyReplayCredentials(dir) {
+  const manifest = readManifest(dir);
+  for (const name of manifest.credentials || []) {
+    if (!process.env[name]) process.env[name] = 'replay';
+  }
+}
+
+function readManifest(dir) {
+  const manifestPath = path.join(dir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No recording found at ${dir} (missing manifest.json)`);
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Replay a recording from `dir` with the network unavailable.
+ *
+ * @param {string} dir - Fixture directory written by a recording
+ * @param {Object} [options]
+ * @param {string} [options.root] - Directory the recorded data files are
+ *   relative to
+ */
+function startReplay(dir, { root = REPO_ROOT } = {}) {
+  const manifest = readManifest(dir);
+  install('replay', dir, manifest.recordedAt, root);
+  session.recordedAt = manifest.recordedAt;
+  session.expectedOutputs = new Map(readTree(path.join(session.dir, 'outputs')));
+
+  applyReplayCredentials(dir);
+  const snapshot = new Map();
+  for (const [relPath, content] of readTree(path.join(session.dir, 'inputs'))) {
+    snapshot.set(path.join(session.root, relPath), content);
+  }
+  for (const relPath of manifest.missingInputs || []) {
+    snapshot.set(path.join(session.root, relPath), null);
+  }
+  dataStore.setInputSnapshot(snapshot);
+}
+
+/**
+ * Read a fixture tree back as [repo-relative path, content] pairs.
+ */
+function readTree(root) {
+  if (!fs.existsSync(root)) return [];
+  return fs
+    .readdirSync(root, { recursive: true, withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => {
+      const file = path.join(entry.parentPath || entry.path, entry.name);
+      return [path.relative(root, file), fs.readFileSync(file, 'utf8')];
+    });
+}
+
+function writeTree(root, files) {
+  for (const [relPath, content] of files) {
+    const file = path.join(root, relPath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+}
+
+/**
+ * End the session: restore the real clients and clock and, when recording,
+ * write the manifest and the captured data files.
+ *
+ * @returns {Object|null} Summary of the session: `mode`, `dir`, `requests`
+ *   (recorded or served) and, for a replay, `mismatched` — recorded outputs
+ *   this run did not reproduce exactly
+ */
+function stop() {
+  if (!session) return null;
+  const { mode, dir } = session;
+
+  if (mode === 'record') {
+    const present = [...session.inputs].filter(([, content]) => content !== null);
+    const missing = [...session.inputs].filter(([, content]) => content === null);
+    writeTree(path.join(dir, 'inputs'), present);
+    writeTree(path.join(dir, 'outputs'), session.outputs);
+    const manifest = {
+      recordedAt: session.recordedAt,
+      requests: session.requestCount,
+      credentials: Object.keys(process.env)
+        .filter(name => CREDENTIAL_ENV.test(name))
+        .sort(),
+      missingInputs: missing.map(([relPath]) => relPath).sort()
+    };
+    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  }
+
+  for (const [mod, protocol] of [
+    [http, 'http:'],
+    [https, 'https:']
+  ]) {
+    mod.request = originals[protocol].request;
+    mod.get = originals[protocol].get;
+  }
+  global.fetch = originals.fetch;
+  global.Date = RealDate;
+  dataStore.setObserver(null);
+  dataStore.setInputSnapshot(null);
+
+  const summary = { mode, dir, requests: session.requestCount };
+  if (mode === 'replay') {
+    summary.mismatched = [...session.expectedOutputs]
+      .filter(([relPath, content]) => session.outputs.get(relPath) !== content)
+      .map(([relPath]) => relPath);
+  }
+  session = null;
+  return summary;
+}
+
+/** Whether responses are currently being served from fixtures. */
+function isReplaying() {
+  return Boolean(session) && session.mode === 'replay';
+}
+
+module.exports = {
+  startRecording,
+  startReplay,
+  applyReplayCredentials,
+  stop,
+  isReplaying,
+  redactUrl,
+  _testing: { requestKey, redactUrl, decompress }
+};
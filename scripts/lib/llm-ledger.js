@@ -0,0 +1,327 @@
+/**
+ * LLM usage ledger and per-run budget.
+ *
+ * Every Gemini and Anthropic call goes through `track()`, which records the
+ * model, input/output/thinking tokens, prompt-cache use, latency and an
+ * estimated cost. Call sites that answer from their own cache instead of
+ * calling the model record that with `recordCacheHit()`, so the report shows
+ * how many calls the caches saved.
+ *
+ * LLM_BUDGET_USD caps the estimated spend of one run (one `npm run collect`
+ * or `npm run generate-about` process); unset or empty means no cap. Once the
+ * recorded spend reaches the cap, `track()` throws an LlmBudgetError instead
+ * of calling the model. Every call site already catches LLM errors and falls
+ * back to its non-LLM path (unvalidated inclusion, basic deduplication, the
+ * bio seed, static insights), so the run degrades rather than fails. The cap
+ * is checked before each call, so the call that crosses it still completes.
+ *
+ * Costs are estimates from PRICES, not invoices: check them against the
+ * providers' price lists when a model changes.
+ *
+ * `writeReport()` appends the run to public/data/llm-usage.json, which keeps
+ * the last RUN_HISTORY runs.
+ */
+
+const path = require('path');
+const { performance } = require('perf_hooks');
+const dataStore = require('./data-store');
+const { MODELS: GEMINI_MODELS } = require('../helpers/gemini-client');
+const { MODELS: ANTHROPIC_MODELS } = require('../helpers/anthropic-client');
+
+const REPORT_PATH = path.join(__dirname, '../../public/data/llm-usage.json');
+const RUN_HISTORY = 30;
+
+/**
+ * Estimated USD per million tokens, per model. Thinking tokens bill as output.
+ * `searchQuery` is the price of one grounded Google Search query.
+ */
+const GEMINI_FLASH_PRICES = { input: 0.5, cachedInput: 0.05, output: 3.0, searchQuery: 0.014 };
+const PRICES = {
+  [GEMINI_MODELS.FLASH]: GEMINI_FLASH_PRICES,
+  [GEMINI_MODELS.FLASH_LATEST]: GEMINI_FLASH_PRICES,
+  [ANTHROPIC_MODELS.REVIEWER]: { input: 3.0, cachedInput: 0.3, cacheWrite: 3.75, output: 15.0 }
+};
+
+/** Thrown by track() instead of calling the model once the run's budget is spent. */
+class LlmBudgetError extends Error {
+  constructor(purpose, spentUsd, budgetUsd) {
+    super(
+      `LLM budget exhausted ($${spentUsd.toFixed(4)} of $${budgetUsd.toFixed(2)}): ${purpose} skipped`
+    );
+    this.name = 'LlmBudgetError';
+    this.code = 'ERR_LLM_BUDGET';
+    this.purpose = purpose;
+  }
+}
+
+let startedAt = null;
+let calls = [];
+let cacheHits = {}; // purpose -> count
+let exhaustedLogged = false;
+let invalidBudgetLogged = false;
+
+/**
+ * The run's budget in USD from LLM_BUDGET_USD, or null for no cap. A value
+ * that is not a non-negative number disables LLM calls rather than lifting
+ * the cap.
+ */
+function budgetUsd() {
+  const raw = (process.env.LLM_BUDGET_USD || '').trim();
+  if (raw === '') return null;
+  const budget = Number(raw);
+  if (!Number.isFinite(budget) || budget < 0) {
+    if (!invalidBudgetLogged) console.warn(`Invalid LLM_BUDGET_USD "${raw}"; treating it as 0`);
+    invalidBudgetLogged = true;
+    return 0;
+  }
+  return budget;
+}
+
+function spentUsd() {
+  return calls.reduce((sum, call) => sum + (call.costUsd || 0), 0);
+}
+
+/** Token counts from a @google/genai or @anthropic-ai/sdk response. */
+function readUsage(provider, response) {
+  if (provider === 'anthropic') {
+    const usage = (response && response.usage) || {};
+    return {
+      inputTokens: usage.input_tokens || 0,
+      // The Messages API counts thinking as output and does not break it out.
+      outputTokens: usage.output_tokens || 0,
+      thinkingTokens: null,
+      cachedInputTokens: usage.cache_read_input_tokens || 0,
+      cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+      searchQueries: 0
+    };
+  }
+  const usage = (response && response.usageMetadata) || {};
+  const grounding = (response && response.candidates?.[0]?.groundingMetadata) || {};
+  const cached = usage.cachedContentTokenCount || 0;
+  return {
+    // promptTokenCount includes the cached part; keep the two disjoint.
+    inputTokens: Math.max(0, (usage.promptTokenCount || 0) - cached),
+    outputTokens: usage.candidatesTokenCount || 0,
+    thinkingTokens: usage.thoughtsTokenCount || 0,
+    cachedInputTokens: cached,
+    cacheWriteTokens: 0,
+    // Often missing even when searches were billed, so this is a lower bound.
+    searchQueries: (grounding.webSearchQueries || []).length
+  };
+}
+
+function roundUsd(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+/** Estimated cost of one call in USD, or null for a model without prices. */
+function estimateCost(model, usage) {
+  const prices = PRICES[model];
+  if (!prices) return null;
+  const perToken = rate => (rate || 0) / 1e6;
+  return roundUsd(
+    usage.inputTokens * perToken(prices.input) +
+      usage.cachedInputTokens * perToken(prices.cachedInput) +
+      usage.cacheWriteTokens * perToken(prices.cacheWrite || prices.input) +
+      (usage.outputTokens + (usage.thinkingTokens || 0)) * perToken(prices.output) +
+      usage.searchQueries * (prices.searchQuery || 0)
+  );
+}
+
+function record(entry) {
+  if (!startedAt) startedAt = new Date().toISOString();
+  calls.push(entry);
+}
+
+/**
+ * Make one LLM call through the ledger.
+ *
+ * @param {Object} meta
+ * @param {'gemini'|'anthropic'} meta.provider
+ * @param {string} meta.model - Model id, also used to look up PRICES
+ * @param {string} meta.purpose - What the call is for, e.g. 'websearch.validation'
+ * @param {Function} call - Makes the API call and resolves to the SDK response
+ * @returns {Promise<Object>} The SDK response
+ * @throws {LlmBudgetError} When the run's budget is already spent (the model is not called)
+ */
+async function track({ provider, model, purpose }, call) {
+  const budget = budgetUsd();
+  const spent = spentUsd();
+  if (budget !== null && spent >= budget) {
+    record({ purpose, provider, model, status: 'skipped' });
+    const error = new LlmBudgetError(purpose, spent, budget);
+    if (!exhaustedLogged) {
+      console.warn(`${error.message}; further LLM calls in this run use their fallbacks`);
+      exhaustedLogged = true;
+    }
+    throw error;
+  }
+
+  const start = performance.now();
+  try {
+    const response = await call();
+    const usage = readUsage(provider, response);
+    const costUsd = estimateCost(model, usage);
+    record({
+      purpose,
+      provider,
+      model,
+      status: 'ok',
+      ...usage,
+      promptCacheHit: usage.cachedInputTokens > 0,
+      latencyMs: Math.round(performance.now() - start),
+      costUsd
+    });
+    return response;
+  } catch (error) {
+    // A failed call may still have been billed, but the SDKs do not report
+    // usage for it; it is recorded without a cost.
+    record({
+      purpose,
+      provider,
+      model,
+      status: 'error',
+      latencyMs: Math.round(performance.now() - start),
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Record that a call site answered from its own cache instead of calling the model.
+ *
+ * @param {string} purpose - Same purpose the call site passes to track()
+ */
+function recordCacheHit(purpose) {
+  if (!startedAt) startedAt = new Date().toISOString();
+  cacheHits[purpose] = (cacheHits[purpose] || 0) + 1;
+}
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    errors: 0,
+    skipped: 0,
+    cacheHits: 0,
+    promptCacheHits: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    thinkingTokens: 0,
+    cachedInputTokens: 0,
+    searchQueries: 0,
+    latencyMs: 0,
+    costUsd: 0
+  };
+}
+
+function addCall(totals, call) {
+  if (call.status === 'skipped') {
+    totals.skipped++;
+    return;
+  }
+  totals.calls++;
+  if (call.status === 'error') totals.errors++;
+  if (call.promptCacheHit) totals.promptCacheHits++;
+  for (const field of [
+    'inputTokens',
+    'outputTokens',
+    'thinkingTokens',
+    'cachedInputTokens',
+    'searchQueries',
+    'latencyMs',
+    'costUsd'
+  ]) {
+    totals[field] += call[field] || 0;
+  }
+}
+
+function roundCost(totals) {
+  return { ...totals, costUsd: roundUsd(totals.costUsd) };
+}
+
+/**
+ * Usage recorded so far in this run.
+ *
+ * @returns {Object} `totals` and `byPurpose` (calls, errors, skipped, cache
+ *   hits, token counts, latency and cost), the budget and whether it was hit
+ */
+function summary() {
+  const totals = emptyTotals();
+  const byPurpose = {};
+  const forPurpose = purpose => (byPurpose[purpose] = byPurpose[purpose] || emptyTotals());
+  for (const call of calls) {
+    addCall(totals, call);
+    addCall(forPurpose(call.purpose), call);
+  }
+  for (const [purpose, hits] of Object.entries(cacheHits)) {
+    totals.cacheHits += hits;
+    forPurpose(purpose).cacheHits += hits;
+  }
+  return {
+    budgetUsd: budgetUsd(),
+    budgetExhausted: totals.skipped > 0,
+    totals: roundCost(totals),
+    byPurpose: Object.fromEntries(
+      Object.entries(byPurpose).map(([purpose, counts]) => [purpose, roundCost(counts)])
+    )
+  };
+}
+
+/**
+ * Append this run's usage to public/data/llm-usage.json and log the totals.
+ * Does nothing when the run made no LLM calls and had no cache hits.
+ *
+ * @param {string} command - Which entry point ran, e.g. 'collect'
+ */
+function writeReport(command) {
+  if (!startedAt) return;
+  const { budgetUsd: budget, budgetExhausted, totals, byPurpose } = summary();
+
+  let runs = [];
+  try {
+    if (dataStore.existsSync(REPORT_PATH)) {
+      runs = JSON.parse(dataStore.readFileSync(REPORT_PATH, 'utf8')).runs || [];
+    }
+  } catch (error) {
+    console.warn(
+      `Could not read ${path.basename(REPORT_PATH)}, starting a new one: ${error.message}`
+    );
+  }
+  runs.push({
+    command,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    budgetUsd: budget,
+    budgetExhausted,
+    totals,
+    byPurpose,
+    calls
+  });
+  dataStore.writeFileSync(REPORT_PATH, JSON.stringify({ runs: runs.slice(-RUN_HISTORY) }, null, 2));
+
+  console.log(
+    `LLM usage: ${totals.calls} calls (${totals.errors} failed, ${totals.skipped} skipped over budget), ` +
+      `${totals.cacheHits} cache hits, ${totals.inputTokens} input + ${totals.cachedInputTokens} cached, ` +
+      `${totals.outputTokens} output + ${totals.thinkingTokens} thinking tokens, ` +
+      `~$${totals.costUsd.toFixed(4)}${budget === null ? '' : ` of $${budget.toFixed(2)} budget`}`
+  );
+}
+
+function reset() {
+  startedAt = null;
+  calls = [];
+  cacheHits = {};
+  exhaustedLogged = false;
+  invalidBudgetLogged = false;
+}
+
+module.exports = {
+  PRICES,
+  LlmBudgetError,
+  track,
+  recordCacheHit,
+  summary,
+  writeReport,
+  _testing: { reset, readUsage, estimateCost, REPORT_PATH }
+};
@@ -0,0 +1,342 @@
+/**
+ * Open-access status of aggregated works and the EU deposit report.
+ *
+ * Each work is classified with the Unpaywall categories, best first:
+ *
+ *   gold    published open in an open-access journal (diamond counts as gold)
+ *   hybrid  published open in a subscription journal
+ *   bronze  free to read at the publisher without an open licence
+ *   green   free to read only from a repository or preprint server
+ *   closed  no free copy
+ *
+ * from the evidence its sources give: OpenAlex's `oa_status` (which comes
+ * from Unpaywall), a PDF in the institutional repository ORA (from its OAI
+ * feed, or from a search by DOI for deposits the feed has not caught up
+ * with), a PDF Unpaywall knows of, an arXiv ID and a linked preprint (see
+ * lib/publication-versions.js). resolvePdfs() runs the ORA search and the
+ * Unpaywall lookup before the works are classified. A work takes the
+ * best status any source gives; works no source says anything about are
+ * left unclassified. The result is stored on the work as `open_access`:
+ *
+ *   status      the category, or null
+ *   source      the source of that status
+ *   url         where the open copy is
+ *   evidence    `[{source, status, url}]`, every source's view
+ *   deposit     `{source, url}`: the work itself (not a preprint) in a
+ *               repository, or null. An Unpaywall PDF does not count, as
+ *               it may be a preprint's
+ *
+ * EU-funded works must be deposited in a repository: at publication under
+ * Horizon Europe, after an embargo under Horizon 2020. depositReport() lists
+ * the EU-funded works without a deposit, those past their embargo as
+ * `missing` and the others as `pending`; the aggregator writes it to
+ * public/data/oa-compliance.json.
+ */
+
+const path = require('path');
+const dataStore = require('./data-store');
+const { findOraPdfByDoi } = require('./ora-search');
+const { resolveOaPdf } = require('./unpaywall');
+
+const COMPLIANCE_PATH = path.join(__dirname, '../../public/data/oa-compliance.json');
+
+/** Open-access categories, best first. */
+const OA_STATUSES = ['gold', 'hybrid', 'bronze', 'green', 'closed'];
+
+/** OpenAlex statuses outside the Unpaywall categories. */
+const STATUS_ALIASES = { diamond: 'gold' };
+
+/**
+ * Months after publication by which an EU-funded work must be in a
+ * repository. Horizon 2020 allowed 6 months, 12 for the social sciences and
+ * humanities, which is where these works are published.
+ */
+const EMBARGO_MONTHS = {
+  'horizon-europe': 0,
+  'horizon-2020': 12
+};
+
+/** First day of each programme: earlier works cannot have been funded by it. */
+const PROGRAMME_START = {
+  'horizon-2020': '2014-01-01',
+  'horizon-europe': '2021-01-01'
+};
+
+/**
+ * Crossref funder registry DOIs of the programmes. The European Commission's
+ * and the ERC's own DOIs are not among them: they also fund service contracts
+ * and earlier programmes, so only a funder name naming a programme counts.
+ */
+const PROGRAMME_FUNDER_DOIS = {
+  '10.13039/100010661': 'horizon-2020',
+  '10.13039/100018693': 'horizon-europe'
+};
+
+const HORIZON_2020 = /horizon 2020|\bh2020\b/i;
+const HORIZON_EUROPE = /horizon europe/i;
+
+function normalizeStatus(status) {
+  const key = String(status || '').toLowerCase();
+  const normalized = STATUS_ALIASES[key] || key;
+  return OA_STATUSES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * What each source says about a work's open-access status.
+ *
+ * @param {Object} pub - Aggregated work
+ * @returns {Object[]} `[{source, status, url}]`
+ */
+function oaEvidence(pub) {
+  const evidence = [];
+  const openalexStatus = normalizeStatus(pub.oaStatus);
+  if (openalexStatus) {
+    evidence.push({ source: 'openalex', status: openalexStatus, url: pub.oaUrl || null });
+  }
+  if (pub.oaPdfUrl) {
+    evidence.push({ source: 'ora', status: 'green', url: pub.oaPdfUrl });
+  }
+  if (pub.oraSearchPdfUrl) {
+    evidence.push({ source: 'ora-search', status: 'green', url: pub.oraSearchPdfUrl });
+  }
+  if (pub.unpaywallPdf) {
+    evidence.push({
+      source: 'unpaywall',
+      status: normalizeStatus(pub.unpaywallPdf.status) || 'green',
+      url: pub.unpaywallPdf.url
+    });
+  }
+  if (pub.arxivId) {
+    evidence.push({
+      source: 'arxiv',
+      status: 'green',
+      url: `https://arxiv.org/abs/${pub.arxivId}`
+    });
+  }
+  const preprint = ((pub.relations && pub.relations.preprints) || []).find(ref => ref.doi);
+  if (preprint) {
+    evidence.push({ source: 'preprint', status: 'green', url: `https://doi.org/${preprint.doi}` });
+  }
+  return evidence;
+}
+
+/**
+ * The work itself in a repository: a PDF in ORA, or a repository copy
+ * OpenAlex knows of.
+ *
+ * @param {Object} pub - Aggregated work
+ * @returns {Object|null} `{source, url}`
+ */
+function repositoryDeposit(pub) {
+  if (pub.oaPdfUrl) return { source: 'ora', url: pub.oaPdfUrl };
+  if (pub.oraSearchPdfUrl) return { source: 'ora-search', url: pub.oraSearchPdfUrl };
+  if (pub.oaRepositoryFulltext) {
+    return {
+      source: 'openalex',
+      url: normalizeStatus(pub.oaStatus) === 'green' ? pub.oaUrl || null : null
+    };
+  }
+  return null;
+}
+
+/**
+ * A directly downloadable PDF of the work: from ORA's OAI feed, from the ORA
+ * search or from Unpaywall (see resolvePdfs()).
+ *
+ * @param {Object} pub - Aggregated work
+ * @returns {string|null}
+ */
+function pdfUrl(pub) {
+  return pub.oaPdfUrl || pub.oraSearchPdfUrl || (pub.unpaywallPdf && pub.unpaywallPdf.url) || null;
+}
+
+/**
+ * Classify a work.
+ *
+ * @param {Object} pub - Aggregated work
+ * @returns {Object} `{status, source, url, evidence, deposit}`
+ */
+function classifyOpenAccess(pub) {
+  const evidence = oaEvidence(pub);
+  const best = evidence.reduce(
+    (top, item) =>
+      !top || OA_STATUSES.indexOf(item.status) < OA_STATUSES.indexOf(top.status) ? item : top,
+    null
+  );
+  return {
+    status: best ? best.status : null,
+    source: best ? best.source : null,
+    url: best && best.status !== 'closed' ? best.url : null,
+    evidence,
+    deposit: repositoryDeposit(pub)
+  };
+}
+
+/**
+ * Look up a PDF for the works with a DOI and no PDF from ORA's OAI feed:
+ * first in ORA by DOI, then in Unpaywall.
+ *
+ * @param {Object[]} publications - Updated in place: `oraSearchPdfUrl` or
+ *   `unpaywallPdf` (`{url, status}`) is set when a PDF is found
+ * @param {string} email - Sent to Unpaywall to identify the caller
+ * @returns {Promise<Object>} PDFs found, `{oraSearch, unpaywall}`
+ */
+async function resolvePdfs(publications, email) {
+  const found = { oraSearch: 0, unpaywall: 0 };
+  for (const pub of publications) {
+    if (pub.oaPdfUrl || !pub.doi) continue;
+    const oraPdfUrl = await findOraPdfByDoi(pub.doi);
+    if (oraPdfUrl) {
+      pub.oraSearchPdfUrl = oraPdfUrl;
+      found.oraSearch++;
+      continue;
+    }
+    const unpaywallPdf = await resolveOaPdf(pub.doi, email);
+    if (unpaywallPdf) {
+      pub.unpaywallPdf = unpaywallPdf;
+      found.unpaywall++;
+    }
+  }
+  return found;
+}
+
+/**
+ * Classify the aggregated works.
+ *
+ * @param {Object[]} publications - Updated in place: `open_access` is set
+ * @returns {Object} Works per status, `unknown` for those unclassified
+ */
+function classifyAll(publications) {
+  const counts = Object.fromEntries([...OA_STATUSES, 'unknown'].map(status => [status, 0]));
+  for (const pub of publications) {
+    pub.open_access = classifyOpenAccess(pub);
+    counts[pub.open_access.status || 'unknown']++;
+  }
+  return counts;
+}
+
+/** Programme a funder's name names, or null when it names none. */
+function programmeOf(name) {
+  if (HORIZON_2020.test(name || '')) return 'horizon-2020';
+  if (HORIZON_EUROPE.test(name || '')) return 'horizon-europe';
+  return null;
+}
+
+/** Programme named by the linked projects, then by the Crossref funders. */
+function namedProgramme(pub, projects) {
+  for (const link of pub.projects || []) {
+    const project = projects.find(candidate => candidate.title === link.title);
+    const programme = project && programmeOf(project.funder);
+    if (programme) return programme;
+  }
+  for (const funder of pub.funding || []) {
+    const doi = String(funder.doi || '').toLowerCase();
+    const programme = PROGRAMME_FUNDER_DOIS[doi] || programmeOf(funder.name);
+    if (programme) return programme;
+  }
+  return null;
+}
+
+/**
+ * The EU programme that funded a work. The projects it is linked to are
+ * checked first, since publishers' funder metadata is not always right
+ * (Horizon Europe grants credited to Horizon 2020); then its Crossref
+ * funders, by funder registry DOI or name. Only Horizon 2020 and Horizon
+ * Europe count: a plain "European Commission" or ERC funder is left
+ * unclassified, and so is a work published before the programme started.
+ *
+ * @param {Object} pub - Aggregated work (`funding`, `projects`, dates)
+ * @param {Object[]} [projects] - Entries of _data/projects.yml
+ * @returns {string|null} `horizon-europe`, `horizon-2020` or null
+ */
+function euProgramme(pub, projects = []) {
+  const programme = namedProgramme(pub, projects);
+  const published = publishedOn(pub);
+  if (programme && published && published < PROGRAMME_START[programme]) return null;
+  return programme;
+}
+
+/** Publication date of a work, or the first day of its year. */
+function publishedOn(pub) {
+  if (pub.publicationDate && /^\d{4}-\d{2}-\d{2}/.test(pub.publicationDate)) {
+    return pub.publicationDate.slice(0, 10);
+  }
+  return pub.year ? `${pub.year}-01-01` : null;
+}
+
+function addMonths(date, months) {
+  const due = new Date(`${date}T00:00:00Z`);
+  due.setUTCMonth(due.getUTCMonth() + months);
+  return due.toISOString().slice(0, 10);
+}
+
+/**
+ * EU-funded works without a repository deposit.
+ *
+ * @param {Object[]} publications - Classified works (see classifyAll())
+ * @param {Object[]} [projects] - Entries of _data/projects.yml
+ * @param {string} [now] - ISO date the embargoes are checked against
+ * @returns {Object} `{eu_funded, deposited, missing, pending}`; the lists hold
+ *   `{id, title, doi, published, programme, due, status, grants}`
+ */
+function depositReport(publications, projects = [], now = new Date().toISOString()) {
+  const today = now.slice(0, 10);
+  const report = { eu_funded: 0, deposited: 0, missing: [], pending: [] };
+
+  for (const pub of publications) {
+    const programme = euProgramme(pub, projects);
+    if (!programme) continue;
+    report.eu_funded++;
+    if (pub.open_access && pub.open_access.deposit) {
+      report.deposited++;
+      continue;
+    }
+    const published = publishedOn(pub);
+    const due = published ? addMonths(published, EMBARGO_MONTHS[programme]) : null;
+    const entry = {
+      id: pub.id || null,
+      title: pub.title,
+      doi: pub.doi || null,
+      published,
+      programme,
+      due,
+      status: (pub.open_access && pub.open_access.status) || null,
+      grants: (pub.projects || []).map(project => project.grant_id || project.title)
+    };
+    (due && due > today ? report.pending : report.missing).push(entry);
+  }
+
+  const byDue = (a, b) => String(a.due || '').localeCompare(String(b.due || ''));
+  report.missing.sort(byDue);
+  report.pending.sort(byDue);
+  return report;
+}
+
+/**
+ * Write the classification counts and the deposit report.
+ *
+ * @param {Object} report - `{by_status, ...depositReport()}`
+ * @param {Object} [meta] - `{lastUpdated, provenance}`
+ * @param {string} [filePath]
+ */
+function saveCompliance(report, meta = {}, filePath = COMPLIANCE_PATH) {
+  const content = {
+    ...report,
+    lastUpdated: meta.lastUpdated || new Date().toISOString(),
+    ...(meta.provenance ? { provenance: meta.provenance } : {})
+  };
+  dataStore.writeFileSync(filePath, JSON.stringify(content, null, 2));
+}
+
+module.exports = {
+  COMPLIANCE_PATH,
+  OA_STATUSES,
+  EMBARGO_MONTHS,
+  classifyOpenAccess,
+  pdfUrl,
+  resolvePdfs,
+  classifyAll,
+  euProgramme,
+  depositReport,
+  saveCompliance
+};
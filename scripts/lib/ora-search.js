@@ -1,11 +1,11 @@
 /**
  * ORA UNIURB - resolve a direct open-access PDF URL by DOI search.
  *
- * Fallback for own-publications when ORA's OAI-PMH endpoint hasn't yet
- * indexed a newly-deposited record. ORCID surfaces an author's paper on
- * publication day, but ORA's OAI publication of the metadata can lag by
- * days/weeks even when the PDF is already deposited and browseable on the
- * author's ORA page.
+ * Fallback for the publications aggregator (see lib/open-access.js) when
+ * ORA's OAI-PMH endpoint hasn't yet indexed a newly-deposited record. ORCID
+ * surfaces an author's paper on publication day, but ORA's OAI publication
+ * of the metadata can lag by days/weeks even when the PDF is already
+ * deposited and browseable on the author's ORA page.
  *
  * Two-step lookup against the public site (no auth, OAI-PMH bypassed):
  *   1. /simple-search?query=<DOI>  -> returns the matching /handle/<id> URL
@@ -14,39 +14,16 @@
  * Returns null when nothing matches. Never throws.
  */
 
-const https = require('https');
+const httpClient = require('./http-client');
 
 const ORA_BASE = 'https://ora.uniurb.it';
 const UA = 'Mozilla/5.0';
 const TIMEOUT_MS = 20000;
 
-class HttpError extends Error {
-  constructor(status) {
-    super(`HTTP ${status}`);
-    this.status = status;
-  }
-}
-
 function fetchText(url) {
-  return new Promise((resolve, reject) => {
-    const req = https.get(url, { headers: { 'User-Agent': UA, 'Accept': 'text/html' } }, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        res.resume();
-        const next = new URL(res.headers.location, url).toString();
-        fetchText(next).then(resolve, reject);
-        return;
-      }
-      if (res.statusCode !== 200) {
-        res.resume();
-        reject(new HttpError(res.statusCode));
-        return;
-      }
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => resolve(data));
-    });
-    req.on('error', reject);
-    req.setTimeout(TIMEOUT_MS, () => req.destroy(new Error('timeout')));
+  return httpClient.getText(url, {
+    headers: { 'User-Agent': UA, 'Accept': 'text/html' },
+    timeout: TIMEOUT_MS
   });
 }
 
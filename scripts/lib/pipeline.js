@@ -0,0 +1,305 @@
+/**
+ * Pipeline scheduler.
+ *
+ * Every collector and generator describes itself as a pipeline node through a
+ * `pipeline` descriptor on its module exports. collect-all.js registers the
+ * modules; this file turns them into a dependency graph and runs it.
+ *
+ * Node descriptor fields (all optional except where noted):
+ *  - name              Node name (defaults to the module's `name`).
+ *  - run               Async function producing the node's result (defaults
+ *                      to the module's `collect`).
+ *  - dependsOn         Names of nodes whose output this node reads.
+ *  - output            File under public/data that the scheduler writes from
+ *                      the returned data. Nodes without one write their own
+ *                      files (generators) and report success with a truthy
+ *                      return value.
+ *  - mirrorToData      Also write `output` to Jekyll's _data/ directory.
+ *  - outputs           Repo-relative files the node writes itself.
+ *  - allowStaleInputs  Run even when a dependency failed, reading whatever
+ *                      that dependency left on disk from a previous run.
+ *  - enabled           Function returning false to skip the node this run.
+ *  - isDegraded        Function telling whether a returned result is a
+ *                      degraded collection (defaults to hasErrorMarker).
+ *
+ * A node starts as soon as all of its dependencies have settled, so nodes
+ * without a path between them run concurrently. When a dependency did not
+ * succeed in this run its file is not fresh, and the node is skipped unless
+ * it declares `allowStaleInputs`.
+ *
+ * A node fails when it throws or returns nothing, and is degraded when it
+ * returns a fallback result flagged with an error, or mock data outside
+ * mock mode (see provenance.js). Either way its `output` is not written, so
+ * the last good file stays in place. Object results without a `provenance`
+ * marker are stamped `live` before they are written.
+ *
+ * A node whose own files must only change along with its `output` returns
+ * the writes for them under the SIDE_WRITES key of its result: functions the
+ * scheduler calls once `output` is written, and not at all when the result
+ * is not.
+ *
+ * A run can be limited to part of the graph (see selectNodes). Nodes left out
+ * of the selection are not run, and their dependents read the files they left
+ * on disk as if they had just been written.
+ */
+
+const path = require('path');
+const { performance } = require('perf_hooks');
+const dataStore = require('./data-store');
+const { PROVENANCE, isMockAllowed } = require('./provenance');
+
+const DATA_DIR = path.join(__dirname, '../../public/data');
+const JEKYLL_DATA_DIR = path.join(__dirname, '../../_data');
+
+/** Result key of a node's deferred writes; a symbol, so it is not serialized. */
+const SIDE_WRITES = Symbol('sideWrites');
+
+/**
+ * Default degraded-result check. Collectors that catch their own errors
+ * return an empty structure carrying the message in `error` (or
+ * `metadata.error`) instead of null.
+ *
+ * @param {*} data - Result returned by a node
+ * @returns {string|null} The error message when the result is degraded
+ */
+function hasErrorMarker(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+  const error = data.error || (data.metadata && data.metadata.error);
+  if (!error) return null;
+  return typeof error === 'string' ? error : error.message || 'error reported';
+}
+
+/**
+ * Build a node from a registered module.
+ *
+ * @param {Object} mod - Collector or generator module exporting `pipeline`
+ * @returns {Object} Normalised node
+ */
+function toNode(mod) {
+  const descriptor = mod.pipeline || {};
+  const node = {
+    name: descriptor.name || mod.name,
+    run: descriptor.run || mod.collect,
+    dependsOn: descriptor.dependsOn || [],
+    output: descriptor.output || null,
+    mirrorToData: Boolean(descriptor.mirrorToData),
+    outputs: descriptor.outputs || [],
+    allowStaleInputs: Boolean(descriptor.allowStaleInputs),
+    enabled: descriptor.enabled || null,
+    isDegraded: descriptor.isDegraded || hasErrorMarker
+  };
+
+  if (!node.name) {
+    throw new Error('Pipeline node is missing a name');
+  }
+  if (typeof node.run !== 'function') {
+    throw new Error(`Pipeline node "${node.name}" has no run function`);
+  }
+  return node;
+}
+
+/**
+ * Validate the node set and return it in a dependency-respecting order.
+ * Throws on duplicate names, unknown dependencies and cycles.
+ *
+ * @param {Object[]} nodes - Normalised nodes
+ * @returns {Object[]} Nodes in topological order (registration order kept
+ *   among independent nodes)
+ */
+function buildGraph(nodes) {
+  const byName = new Map();
+  for (const node of nodes) {
+    if (byName.has(node.name)) {
+      throw new Error(`Duplicate pipeline node: "${node.name}"`);
+    }
+    byName.set(node.name, node);
+  }
+
+  for (const node of nodes) {
+    for (const dep of node.dependsOn) {
+      if (!byName.has(dep)) {
+        throw new Error(`Pipeline node "${node.name}" depends on unknown node "${dep}"`);
+      }
+    }
+  }
+
+  const order = [];
+  const state = new Map(); // name -> 'visiting' | 'done'
+
+  const visit = (node, trail) => {
+    const current = state.get(node.name);
+    if (current === 'done') return;
+    if (current === 'visiting') {
+      const cycle = [...trail.slice(trail.indexOf(node.name)), node.name];
+      throw new Error(`Pipeline dependency cycle: ${cycle.join(' -> ')}`);
+    }
+    state.set(node.name, 'visiting');
+    for (const dep of node.dependsOn) {
+      visit(byName.get(dep), [...trail, node.name]);
+    }
+    state.set(node.name, 'done');
+    order.push(node);
+  };
+
+  nodes.forEach(node => visit(node, []));
+  return order;
+}
+
+/**
+ * Work out which nodes a partial run should execute.
+ *
+ * `only` limits the run to the listed nodes, `from` to a node and everything
+ * that depends on it (directly or transitively), and `skip` removes nodes
+ * from whatever is left. With no options every node is selected.
+ *
+ * @param {Object[]} nodes - Normalised nodes
+ * @param {Object} [selection]
+ * @param {string[]} [selection.only] - Node names to run
+ * @param {string[]} [selection.skip] - Node names not to run
+ * @param {string} [selection.from] - Node to rerun along with its dependents
+ * @returns {Set<string>} Names of the selected nodes
+ */
+function selectNodes(nodes, selection = {}) {
+  const { only = [], skip = [], from = null } = selection;
+  const known = new Set(nodes.map(n => n.name));
+  const unknown = [...only, ...skip, ...(from ? [from] : [])].filter(name => !known.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown pipeline node(s): ${unknown.join(', ')}`);
+  }
+
+  let selected = only.length > 0 ? new Set(only) : new Set(known);
+
+  if (from) {
+    const downstream = new Set([from]);
+    // Nodes come in topological order, so one pass reaches every dependent.
+    for (const node of buildGraph(nodes)) {
+      if (node.dependsOn.some(dep => downstream.has(dep))) downstream.add(node.name);
+    }
+    selected = new Set([...selected].filter(name => downstream.has(name)));
+  }
+
+  skip.forEach(name => selected.delete(name));
+  return selected;
+}
+
+/**
+ * Write a collector's returned data to public/data (and _data/ if mirrored).
+ */
+function writeNodeOutput(node, data, dirs) {
+  const json = JSON.stringify(data, null, 2);
+  dataStore.writeFileSync(path.join(dirs.dataDir, node.output), json);
+  if (node.mirrorToData) {
+    dataStore.writeFileSync(path.join(dirs.jekyllDataDir, node.output), json);
+  }
+}
+
+/**
+ * Run a set of registered modules as a dependency graph.
+ *
+ * @param {Object[]} modules - Collector/generator modules to schedule
+ * @param {Object} [options]
+ * @param {string} [options.dataDir] - Override for public/data (tests)
+ * @param {string} [options.jekyllDataDir] - Override for _data (tests)
+ * @param {Set<string>} [options.selected] - Nodes to run (see selectNodes);
+ *   defaults to all
+ * @returns {Promise<Map<string, Object>>} Per-node result: `status`
+ *   ('ok' | 'failed' | 'degraded' | 'skipped'), `data`, `provenance`,
+ *   `error`/`reason`, `durationMs`
+ */
+async function runPipeline(modules, options = {}) {
+  const dirs = {
+    dataDir: options.dataDir || DATA_DIR,
+    jekyllDataDir: options.jekyllDataDir || JEKYLL_DATA_DIR
+  };
+  const nodes = buildGraph(modules.map(toNode));
+  const results = new Map();
+  const settled = new Map();
+
+  const execute = async node => {
+    await Promise.all(node.dependsOn.map(dep => settled.get(dep)));
+
+    if (options.selected && !options.selected.has(node.name)) {
+      return { status: 'skipped', reason: 'not selected' };
+    }
+
+    if (node.enabled && !node.enabled()) {
+      console.log(`[pipeline] ${node.name}: disabled for this run`);
+      return { status: 'skipped', reason: 'disabled' };
+    }
+
+    const staleDeps = node.dependsOn.filter(dep => {
+      const result = results.get(dep);
+      return result.status !== 'ok' && result.reason !== 'not selected';
+    });
+    if (staleDeps.length > 0) {
+      if (!node.allowStaleInputs) {
+        console.log(`[pipeline] ${node.name}: skipped, inputs not fresh (${staleDeps.join(', ')})`);
+        return { status: 'skipped', reason: `stale inputs: ${staleDeps.join(', ')}` };
+      }
+      console.log(
+        `[pipeline] ${node.name}: running on carried-over data from ${staleDeps.join(', ')}`
+      );
+    }
+
+    console.log(`[pipeline] ${node.name}: started`);
+    const startedAt = performance.now();
+    try {
+      const data = await node.run();
+      const durationMs = Math.round(performance.now() - startedAt);
+
+      if (data === null || data === undefined || data === false) {
+        console.log(`[pipeline] ${node.name}: no result (${durationMs}ms)`);
+        return { status: 'failed', reason: 'no result', durationMs };
+      }
+      const degraded = node.isDegraded(data);
+      if (degraded) {
+        console.log(`[pipeline] ${node.name}: degraded, keeping previous data (${degraded})`);
+        return { status: 'degraded', error: degraded, durationMs };
+      }
+
+      const isRecord = typeof data === 'object' && !Array.isArray(data);
+      if (isRecord && !data.provenance) data.provenance = PROVENANCE.LIVE;
+      const provenance = isRecord ? data.provenance : undefined;
+      if (provenance === PROVENANCE.MOCK && !isMockAllowed()) {
+        console.log(`[pipeline] ${node.name}: returned mock data, keeping previous data`);
+        return { status: 'degraded', error: 'mock data refused', provenance, durationMs };
+      }
+
+      if (node.output) {
+        writeNodeOutput(node, data, dirs);
+      }
+      for (const write of (isRecord && data[SIDE_WRITES]) || []) write();
+      console.log(`[pipeline] ${node.name}: done (${durationMs}ms)`);
+      return { status: 'ok', data, provenance, durationMs };
+    } catch (error) {
+      const durationMs = Math.round(performance.now() - startedAt);
+      console.error(`[pipeline] ${node.name}: failed:`, error.message);
+      return { status: 'failed', error: error.message, durationMs };
+    }
+  };
+
+  // Nodes are in topological order, so every dependency's promise exists
+  // before a dependent node looks it up.
+  for (const node of nodes) {
+    settled.set(
+      node.name,
+      execute(node).then(result => {
+        results.set(node.name, result);
+      })
+    );
+  }
+
+  await Promise.all(settled.values());
+  return results;
+}
+
+module.exports = {
+  runPipeline,
+  buildGraph,
+  selectNodes,
+  toNode,
+  hasErrorMarker,
+  SIDE_WRITES,
+  DATA_DIR,
+  JEKYLL_DATA_DIR
+};
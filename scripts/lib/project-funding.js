@@ -0,0 +1,140 @@
+/**
+ * Funding acknowledgments: links between publications and the projects in
+ * _data/projects.yml that funded them.
+ *
+ * The Crossref collector keeps each work's funders with their award numbers
+ * (`[{name, doi, awards}]`), which the aggregator stores as `funding`. A
+ * publication is an output of a project when
+ *
+ *   award   one of its award numbers contains the project's `grant_id`
+ *           ("Grant Agreement No. 101070093" names grant 101070093), or
+ *   funder  the project has no `grant_id`, the name of one of its funders is
+ *           part of the project's `funder`, and it was published between
+ *           the project's start and OUTPUT_YEARS_AFTER_END years after its
+ *           end
+ *
+ * The links are stored on the publication as `projects` (`[{title,
+ * grant_id, via}]`); the publications generator lists each project's
+ * outputs for the projects page.
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+const dataStore = require('./data-store');
+
+const PROJECTS_PATH = path.join(__dirname, '../../_data/projects.yml');
+
+/** Outputs of a project keep appearing for a while after it ends. */
+const OUTPUT_YEARS_AFTER_END = 3;
+
+/** Shorter grant IDs would match unrelated award numbers. */
+const MIN_GRANT_ID_LENGTH = 4;
+
+/** Lower-case a text and fold accents. */
+function fold(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/** Letters and digits only: `FISR2020IP_00327e` -> `fisr2020ip00327e`. */
+function compact(text) {
+  return fold(text).replace(/[^a-z0-9]/g, '');
+}
+
+/** Words separated by single spaces. */
+function words(text) {
+  return fold(text)
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read the project list.
+ *
+ * @param {string} [filePath]
+ * @returns {Object[]} Projects; empty when the file is missing or invalid
+ */
+function loadProjects(filePath = PROJECTS_PATH) {
+  try {
+    if (!dataStore.existsSync(filePath)) return [];
+    const projects = yaml.load(dataStore.readFileSync(filePath, 'utf8'));
+    return Array.isArray(projects) ? projects : [];
+  } catch (error) {
+    console.warn(`Could not read the project list: ${error.message}`);
+    return [];
+  }
+}
+
+function endYear(project) {
+  const year = parseInt(String(project.end || ''), 10);
+  return Number.isNaN(year) ? null : year;
+}
+
+function matchesAward(project, funding) {
+  const grantId = compact(project.grant_id);
+  if (grantId.length < MIN_GRANT_ID_LENGTH) return false;
+  return funding.some(funder => funder.awards.some(award => compact(award).includes(grantId)));
+}
+
+function matchesFunder(project, funding, year) {
+  if (project.grant_id || !project.funder || !year) return false;
+  const end = endYear(project);
+  if ((project.start && year < project.start) || (end && year > end + OUTPUT_YEARS_AFTER_END)) {
+    return false;
+  }
+  const projectFunder = ` ${words(project.funder)} `;
+  return funding.some(funder => funder.name && projectFunder.includes(` ${words(funder.name)} `));
+}
+
+/**
+ * How a publication with this funding is linked to a project, if it is.
+ *
+ * @param {Object} project - Entry of projects.yml
+ * @param {Object[]} funding - `[{name, doi, awards}]`
+ * @param {number} [year] - Publication year
+ * @returns {string|null} `award`, `funder` or null
+ */
+function projectMatch(project, funding, year) {
+  if (matchesAward(project, funding)) return 'award';
+  if (matchesFunder(project, funding, Number(year) || null)) return 'funder';
+  return null;
+}
+
+/**
+ * Link publications to the projects that funded them.
+ *
+ * @param {Object[]} publications - Aggregated works, updated in place;
+ *   `funding` is read and `projects` set on those linked
+ * @param {Object[]} projects - loadProjects() result
+ * @returns {number} Links found
+ */
+function linkProjects(publications, projects) {
+  let links = 0;
+  for (const pub of publications) {
+    const funding = pub.funding || [];
+    if (funding.length === 0) continue;
+    const linked = projects
+      .map(project => ({ project, via: projectMatch(project, funding, pub.year) }))
+      .filter(({ via }) => via)
+      .map(({ project, via }) => ({
+        title: project.title,
+        grant_id: project.grant_id || null,
+        via
+      }));
+    if (linked.length > 0) {
+      pub.projects = linked;
+      links += linked.length;
+    }
+  }
+  return links;
+}
+
+module.exports = {
+  PROJECTS_PATH,
+  OUTPUT_YEARS_AFTER_END,
+  loadProjects,
+  projectMatch,
+  linkProjects
+};
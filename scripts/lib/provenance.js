@@ -0,0 +1,52 @@
+/**
+ * Data provenance.
+ *
+ * Every collector output carries a `provenance` marker:
+ *  - live    fetched from the source in this run
+ *  - mock    placeholder records from a collector's getMockData() fallback
+ *  - cached  served from a collector's own cache without contacting the source
+ *
+ * Mock data exists so the site can be built locally without API keys. It must
+ * never reach the aggregate, BibTeX or feeds of a real run, so the scheduler,
+ * the aggregator and the generators refuse it unless mock mode is switched on
+ * (`npm run collect -- --mock`).
+ */
+
+const path = require('path');
+
+const PROVENANCE = Object.freeze({
+  LIVE: 'live',
+  MOCK: 'mock',
+  CACHED: 'cached'
+});
+
+let mockAllowed = false;
+
+function setMockAllowed(enabled) {
+  mockAllowed = Boolean(enabled);
+}
+
+function isMockAllowed() {
+  return mockAllowed;
+}
+
+function isMock(data) {
+  return Boolean(data) && data.provenance === PROVENANCE.MOCK;
+}
+
+/**
+ * Gate a data file read by the aggregator or a generator.
+ *
+ * @param {*} data - Parsed file contents
+ * @param {string} label - File path or name for the log message
+ * @returns {*} The data, or null when it is mock data outside mock mode
+ */
+function acceptInput(data, label) {
+  if (isMock(data) && !mockAllowed) {
+    console.warn(`Ignoring mock data in ${path.basename(label)} (run with --mock to use it)`);
+    return null;
+  }
+  return data;
+}
+
+module.exports = { PROVENANCE, setMockAllowed, isMockAllowed, isMock, acceptInput };
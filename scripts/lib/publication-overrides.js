@@ -0,0 +1,129 @@
+/**
+ * Manual publication overrides.
+ *
+ * _data/publication-overrides.yml holds hand-made corrections that the
+ * publications aggregator applies on every run, so they reach
+ * publications.yml, publications.bib and own-publications.json alike:
+ *
+ *   merge:    groups of works to treat as one; the first is kept
+ *   split:    groups of identifiers that name different works, which the
+ *             aggregator must not match to each other (and the registry
+ *             must not keep merged)
+ *   works:    per-work corrections: title, year, venue, authors, type, and
+ *             hide (true drops the work; false keeps one the aggregator's
+ *             data-artifact rule would drop)
+ *
+ * Works are referenced by their registry ID (`pub-1a2b3c4d`, shown in
+ * publications.yml) or by an identifier: `doi:<doi>` or `<source>:<id>` for
+ * orcid, scholar, wos, scopus, semanticScholar, openalex and ora. Splits take
+ * identifiers only, since the works they separate share an ID until then.
+ *
+ * The file is checked against scripts/schemas/publication-overrides.schema.json;
+ * a file that does not conform fails the aggregator rather than being
+ * ignored.
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+const dataStore = require('./data-store');
+const { validateData } = require('./schemas');
+const { normalizeDoi } = require('./publication-registry');
+
+const OVERRIDES_PATH = path.join(__dirname, '../../_data/publication-overrides.yml');
+
+/** Fields a `works` entry may correct. */
+const CORRECTABLE_FIELDS = ['title', 'year', 'venue', 'authors', 'type'];
+
+/** `doi:` references compare in the registry's normalised form. */
+function normalizeRef(ref) {
+  const trimmed = String(ref).trim();
+  return trimmed.startsWith('doi:') ? `doi:${normalizeDoi(trimmed.slice(4).trim())}` : trimmed;
+}
+
+/**
+ * Overrides object for parsed (and already validated) file contents.
+ *
+ * @param {Object} [data] - `{merge, split, works}`, each optional
+ * @returns {Object} `merge` and `split` (normalised reference groups),
+ *   `works` (Map of reference -> correction) and `keepsApart`
+ */
+function createOverrides(data = {}) {
+  const merge = (data.merge || []).map(group => group.map(normalizeRef));
+  const split = (data.split || []).map(group => group.map(normalizeRef));
+  const works = new Map(
+    Object.entries(data.works || {}).map(([ref, correction]) => [normalizeRef(ref), correction])
+  );
+
+  /**
+   * Whether a split declares two sets of identifiers to be different works:
+   * each set holds a different member of the same split group.
+   *
+   * @param {string[]} keysA - Identifiers of one work (see identityKeys)
+   * @param {string[]} keysB - Identifiers of the other
+   * @returns {boolean}
+   */
+  function keepsApart(keysA, keysB) {
+    return split.some(group => {
+      const a = group.findIndex(key => keysA.includes(key));
+      const b = group.findIndex(key => keysB.includes(key));
+      return a !== -1 && b !== -1 && a !== b;
+    });
+  }
+
+  return { merge, split, works, keepsApart };
+}
+
+/**
+ * Read and validate the overrides file. A missing or empty file means no
+ * overrides.
+ *
+ * @param {string} [filePath]
+ * @returns {Object} createOverrides() result
+ * @throws {Error} When the file cannot be parsed or violates its schema
+ */
+function loadOverrides(filePath = OVERRIDES_PATH) {
+  if (!dataStore.existsSync(filePath)) return createOverrides();
+
+  let data;
+  try {
+    data = yaml.load(dataStore.readFileSync(filePath, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Cannot read ${path.basename(filePath)}: ${error.message}`);
+  }
+  const errors = validateData('publication-overrides', data);
+  if (errors.length > 0) {
+    throw new Error(`${path.basename(filePath)} is not valid: ${errors.join('; ')}`);
+  }
+  return createOverrides(data);
+}
+
+/**
+ * Apply a `works` correction to an aggregated entry.
+ *
+ * A corrected year that disagrees with the entry's publication date clears
+ * the date, which would otherwise still sort the work under the old year.
+ *
+ * @param {Object} pub - Aggregated entry, updated in place
+ * @param {Object} correction - The work's entry in `works`
+ * @returns {string[]} The fields that were corrected
+ */
+function applyCorrection(pub, correction) {
+  const corrected = CORRECTABLE_FIELDS.filter(field => correction[field] !== undefined);
+  for (const field of corrected) {
+    pub[field] = correction[field];
+  }
+  if (corrected.includes('year') && !String(pub.publicationDate || '').startsWith(pub.year)) {
+    pub.month = null;
+    pub.day = null;
+    pub.publicationDate = null;
+  }
+  return corrected;
+}
+
+module.exports = {
+  OVERRIDES_PATH,
+  CORRECTABLE_FIELDS,
+  createOverrides,
+  loadOverrides,
+  applyCorrection
+};
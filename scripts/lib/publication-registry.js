@@ -0,0 +1,301 @@
+/**
+ * Publication registry: permanent IDs for aggregated works.
+ *
+ * The aggregator rebuilds the publication list from its sources on every
+ * run. The registry (public/data/publication-registry.json) gives each work
+ * an ID of the form `pub-1a2b3c4d` and remembers the identifiers it has been
+ * seen under: its DOI, its ID in each source (`orcid:<put-code>`,
+ * `scholar:<id>`, `wos:`, `scopus:`, `semanticScholar:`, `openalex:`,
+ * `ora:<handle>`) and its normalised title. A later run that finds any of
+ * those identifiers reuses the ID, so the ID survives title edits, new
+ * sources and changed DOIs.
+ *
+ * The registry also remembers merges. When one aggregated entry carries the
+ * identifiers of two registered works, the younger work is folded into the
+ * older one and its ID kept as an alias; from then on entries under either
+ * set of identifiers get the same ID, and the aggregator merges them even if
+ * its matching would no longer pair them. Splits in
+ * _data/publication-overrides.yml (see publication-overrides.js) undo a
+ * remembered merge.
+ *
+ * IDs are never reused or deleted: a work that drops out of every source
+ * keeps its entry, so it gets its old ID back if it reappears.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const dataStore = require('./data-store');
+
+const REGISTRY_PATH = path.join(__dirname, '../../public/data/publication-registry.json');
+const ID_PATTERN = /^pub-[0-9a-f]{8}$/;
+
+/**
+ * Normalise a DOI for duplicate detection: lower-case and strip a trailing
+ * version suffix (e.g. the `_v1` / `_v2` that OSF/preprint servers append to
+ * successive versions of the same deposit).
+ *
+ * @param {string} doi - Raw DOI
+ * @returns {string} Normalised DOI key
+ */
+function normalizeDoi(doi) {
+  return doi.toLowerCase().replace(/_v\d+$/, '');
+}
+
+function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Identifiers of an aggregated entry (or of a source record shaped like one).
+ *
+ * @param {Object} pub - Entry with `doi`, `title` and `source_ids`
+ * @returns {{strong: string[], title: string|null}} `strong` holds the DOI
+ *   and source-ID keys, each naming exactly one work; `title` is only used
+ *   when none of them is registered
+ */
+function identityKeys(pub) {
+  const strong = [];
+  if (pub.doi) strong.push(`doi:${normalizeDoi(pub.doi)}`);
+  for (const [source, id] of Object.entries(pub.source_ids || {})) {
+    if (id !== null && id !== undefined && id !== '') strong.push(`${source}:${id}`);
+  }
+  const title = normalizeTitle(pub.title);
+  return { strong, title: title ? `title:${title}` : null };
+}
+
+/**
+ * Read the registry, or start an empty one when there is none yet.
+ *
+ * @param {string} [filePath]
+ * @returns {Object} `{lastUpdated, works, aliases}`; `works` maps each ID to
+ *   `{keys, firstSeen, lastSeen}`, `aliases` maps merged-away IDs to the ID
+ *   they were merged into
+ * @throws {Error} When the file exists but cannot be parsed: starting over
+ *   would give every work a new ID when the registry is saved
+ */
+function loadRegistry(filePath = REGISTRY_PATH) {
+  if (!dataStore.existsSync(filePath)) return { lastUpdated: null, works: {}, aliases: {} };
+
+  let registry;
+  try {
+    registry = JSON.parse(dataStore.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${path.basename(filePath)}: ${error.message}`);
+  }
+  return { lastUpdated: null, works: {}, aliases: {}, ...registry };
+}
+
+/**
+ * Write the registry.
+ *
+ * @param {Object} registry
+ * @param {string} [now] - ISO timestamp of this run
+ * @param {string} [filePath]
+ */
+function saveRegistry(registry, now = new Date().toISOString(), filePath = REGISTRY_PATH) {
+  const content = { ...registry, lastUpdated: now };
+  dataStore.writeFileSync(filePath, JSON.stringify(content, null, 2));
+}
+
+/** Follow aliases to the ID a work is registered under today. */
+function canonicalId(registry, id) {
+  const seen = new Set();
+  while (registry.aliases[id] && !seen.has(id)) {
+    seen.add(id);
+    id = registry.aliases[id];
+  }
+  return id;
+}
+
+/** Strong key -> ID and title key -> IDs, over the registered works. */
+function buildIndex(registry) {
+  const strong = new Map();
+  const titles = new Map();
+  for (const [id, work] of Object.entries(registry.works)) {
+    for (const key of work.keys) {
+      if (key.startsWith('title:')) {
+        titles.set(key, [...(titles.get(key) || []), id]);
+      } else {
+        strong.set(key, id);
+      }
+    }
+  }
+  return { strong, titles };
+}
+
+/**
+ * The registered ID a reference names: a `pub-` ID (aliases are followed) or
+ * an identifier such as `doi:10.1234/abc` or `scholar:AbCdEf`.
+ *
+ * @param {Object} registry
+ * @param {string} ref
+ * @returns {string|null} null when nothing is registered under the reference
+ */
+function resolveRef(registry, ref) {
+  if (ID_PATTERN.test(ref)) {
+    const id = canonicalId(registry, ref);
+    return registry.works[id] ? id : null;
+  }
+  const key = ref.startsWith('doi:') ? `doi:${normalizeDoi(ref.slice(4))}` : ref;
+  for (const [id, work] of Object.entries(registry.works)) {
+    if (work.keys.includes(key)) return id;
+  }
+  return null;
+}
+
+function newId(registry, seed) {
+  for (let attempt = 0; ; attempt++) {
+    const hash = crypto
+      .createHash('sha1')
+      .update(attempt === 0 ? seed : `${seed}#${attempt}`)
+      .digest('hex');
+    const id = `pub-${hash.slice(0, 8)}`;
+    if (!registry.works[id] && !registry.aliases[id]) return id;
+  }
+}
+
+/**
+ * Fold one registered work into another: its identifiers move over and its
+ * ID becomes an alias, so both resolve to `keepId` from now on.
+ *
+ * @param {Object} registry
+ * @param {string} keepId
+ * @param {string} otherId
+ */
+function mergeWorks(registry, keepId, otherId) {
+  keepId = canonicalId(registry, keepId);
+  otherId = canonicalId(registry, otherId);
+  if (keepId === otherId || !registry.works[keepId] || !registry.works[otherId]) return;
+
+  const keep = registry.works[keepId];
+  const other = registry.works[otherId];
+  keep.keys = [...new Set([...keep.keys, ...other.keys])];
+  if (other.firstSeen && (!keep.firstSeen || other.firstSeen < keep.firstSeen)) {
+    keep.firstSeen = other.firstSeen;
+  }
+  delete registry.works[otherId];
+  registry.aliases[otherId] = keepId;
+  for (const [alias, target] of Object.entries(registry.aliases)) {
+    if (target === otherId) registry.aliases[alias] = keepId;
+  }
+}
+
+/**
+ * Drop from each registered work the identifiers a split separates from the
+ * rest of it. Of the split's members the work holds, it keeps the first; the
+ * others are left to be registered again as works of their own.
+ *
+ * @param {Object} registry
+ * @param {string[][]} splits - Groups of identifiers naming different works
+ */
+function applySplits(registry, splits) {
+  for (const group of splits) {
+    for (const work of Object.values(registry.works)) {
+      const held = group.filter(key => work.keys.includes(key));
+      if (held.length > 1) {
+        work.keys = work.keys.filter(key => !held.slice(1).includes(key));
+      }
+    }
+  }
+}
+
+/** Sort order for IDs: first seen first, then first registered first. */
+function olderFirst(registry) {
+  const order = Object.keys(registry.works);
+  return (a, b) =>
+    String(registry.works[a].firstSeen).localeCompare(String(registry.works[b].firstSeen)) ||
+    order.indexOf(a) - order.indexOf(b);
+}
+
+/**
+ * Give every aggregated entry its registered ID, registering new works and
+ * recording this run's merges.
+ *
+ * @param {Object} registry - Updated in place
+ * @param {Object[]} publications - Aggregated entries, in a stable order
+ * @param {Object} [options]
+ * @param {Function} [options.keepsApart] - `(keysA, keysB) => boolean`; true
+ *   when a split says the two sets of identifiers belong to different works
+ * @param {string} [options.now] - ISO timestamp of this run
+ * @returns {string[]} One ID per entry; entries the registry knows to be the
+ *   same work get the same ID
+ */
+function assignIds(registry, publications, options = {}) {
+  const { keepsApart = () => false, now = new Date().toISOString() } = options;
+  const index = buildIndex(registry);
+  const assigned = new Set();
+
+  return publications.map(pub => {
+    const { strong, title } = identityKeys(pub);
+    const compatible = id => !keepsApart(registry.works[id].keys, strong);
+
+    let candidates = [
+      ...new Set(strong.filter(key => index.strong.has(key)).map(key => index.strong.get(key)))
+    ].filter(compatible);
+
+    // A title alone is trusted only when it names a single work that no other
+    // entry of this run has claimed and no DOI disagrees: distinct papers can
+    // share a title ("Introduction").
+    if (candidates.length === 0 && title && index.titles.has(title)) {
+      const hasDoi = id => registry.works[id].keys.some(key => key.startsWith('doi:'));
+      const byTitle = index.titles
+        .get(title)
+        .filter(id => compatible(id) && !assigned.has(id) && !(pub.doi && hasDoi(id)));
+      if (byTitle.length === 1) candidates = byTitle;
+    }
+
+    let id;
+    if (candidates.length === 0) {
+      id = newId(registry, strong[0] || title || JSON.stringify(pub));
+      registry.works[id] = { keys: [], firstSeen: now, lastSeen: now };
+    } else {
+      [id, ...candidates] = candidates.sort(olderFirst(registry));
+      for (const other of candidates) {
+        console.log(`Publication registry: merging ${other} into ${id}`);
+        mergeWorks(registry, id, other);
+        for (const [key, owner] of index.strong) {
+          if (owner === other) index.strong.set(key, id);
+        }
+        for (const [key, ids] of index.titles) {
+          index.titles.set(key, [...new Set(ids.map(owner => (owner === other ? id : owner)))]);
+        }
+      }
+    }
+
+    const work = registry.works[id];
+    for (const key of strong) {
+      // An identifier claimed by a work a split separated from this entry
+      // moves to this entry's work.
+      const owner = index.strong.get(key);
+      if (owner && owner !== id && registry.works[owner]) {
+        registry.works[owner].keys = registry.works[owner].keys.filter(k => k !== key);
+      }
+      index.strong.set(key, id);
+    }
+    if (title && !(index.titles.get(title) || []).includes(id)) {
+      index.titles.set(title, [...(index.titles.get(title) || []), id]);
+    }
+    work.keys = [...new Set([...work.keys, ...strong, ...(title ? [title] : [])])];
+    work.lastSeen = now;
+    assigned.add(id);
+    return id;
+  });
+}
+
+module.exports = {
+  REGISTRY_PATH,
+  ID_PATTERN,
+  normalizeDoi,
+  normalizeTitle,
+  identityKeys,
+  loadRegistry,
+  saveRegistry,
+  resolveRef,
+  mergeWorks,
+  applySplits,
+  assignIds
+};
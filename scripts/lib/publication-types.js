@@ -0,0 +1,185 @@
+/**
+ * The publication type taxonomy shared by the publications page, the BibTeX
+ * file and the own-publications feed.
+ *
+ * Every source types works its own way: ORCID and Crossref each have a work
+ * type vocabulary, the ORA collector maps Dublin Core types to a few of its
+ * own, OpenAlex has another, and Google Scholar has none, leaving only the
+ * venue's name to go by. classifyType() maps each to one of PUBLICATION_TYPES
+ * and takes the first source, in this order, that says something more
+ * specific than "other":
+ *
+ *   override  a `type` in publication-overrides.yml
+ *   crossref  the type the publisher registered with the DOI
+ *   orcid     the type in the author's ORCID record
+ *   ora       the institutional repository's type
+ *   openalex  OpenAlex's type
+ *   venue     a guess from the venue's name ("Journal of …", "Proceedings …")
+ *
+ * The aggregator stores the result on each work as `publication_type` and
+ * `publication_type_source`.
+ */
+
+/** Canonical types with the labels the publications page shows. */
+const PUBLICATION_TYPES = {
+  'journal-article': 'Journal article',
+  book: 'Book',
+  chapter: 'Book chapter',
+  'proceedings-paper': 'Proceedings paper',
+  report: 'Report',
+  preprint: 'Preprint',
+  thesis: 'Thesis',
+  dataset: 'Dataset',
+  software: 'Software',
+  other: 'Other'
+};
+
+/** ORCID work types. */
+const ORCID_TYPES = {
+  'journal-article': 'journal-article',
+  'book-review': 'journal-article',
+  book: 'book',
+  'edited-book': 'book',
+  'book-chapter': 'chapter',
+  'encyclopedia-entry': 'chapter',
+  'dictionary-entry': 'chapter',
+  'conference-paper': 'proceedings-paper',
+  'conference-abstract': 'proceedings-paper',
+  report: 'report',
+  'working-paper': 'report',
+  preprint: 'preprint',
+  'dissertation-thesis': 'thesis',
+  'supervised-student-publication': 'thesis',
+  'data-set': 'dataset',
+  software: 'software'
+};
+
+/** Crossref work types. */
+const CROSSREF_TYPES = {
+  'journal-article': 'journal-article',
+  book: 'book',
+  monograph: 'book',
+  'edited-book': 'book',
+  'reference-book': 'book',
+  'book-chapter': 'chapter',
+  'book-section': 'chapter',
+  'book-part': 'chapter',
+  'reference-entry': 'chapter',
+  'proceedings-article': 'proceedings-paper',
+  'posted-content': 'preprint',
+  report: 'report',
+  'report-component': 'report',
+  dissertation: 'thesis',
+  dataset: 'dataset',
+  database: 'dataset'
+};
+
+/** Types of the ORA collector (see extractDublinCore() in collectors/ora.js). */
+const ORA_TYPES = {
+  article: 'journal-article',
+  chapter: 'chapter',
+  book: 'book',
+  conference: 'proceedings-paper',
+  thesis: 'thesis'
+};
+
+/** OpenAlex work types. */
+const OPENALEX_TYPES = {
+  article: 'journal-article',
+  review: 'journal-article',
+  book: 'book',
+  'book-chapter': 'chapter',
+  preprint: 'preprint',
+  report: 'report',
+  dissertation: 'thesis',
+  dataset: 'dataset',
+  software: 'software'
+};
+
+/**
+ * Canonical type of a venue's name, or null when the name says nothing.
+ *
+ * @param {string} venue
+ * @returns {string|null}
+ */
+function venueType(venue) {
+  const name = String(venue || '').toLowerCase();
+  if (/journal|review|quarterly|rivista/.test(name)) return 'journal-article';
+  if (/conference|congress|proceedings|symposium|workshop/.test(name)) return 'proceedings-paper';
+  if (/book|chapter/.test(name)) return 'chapter';
+  if (/arxiv|ssrn|preprint/.test(name)) return 'preprint';
+  return null;
+}
+
+/**
+ * A type written in publication-overrides.yml: a canonical type, or an
+ * ORCID or Crossref one.
+ *
+ * @param {string} type
+ * @returns {string|null}
+ */
+function normalizeType(type) {
+  const key = String(type || '').toLowerCase();
+  if (PUBLICATION_TYPES[key]) return key;
+  return ORCID_TYPES[key] || CROSSREF_TYPES[key] || null;
+}
+
+/**
+ * Canonical type of a work and the source it was taken from.
+ *
+ * @param {Object} pub - Aggregated work: `type` (ORCID's, or the override's
+ *   when `overrides` lists it), `crossref_type`, `oraType`, `openalexType`,
+ *   `venue`
+ * @returns {Object} `{type, source}`
+ */
+function classifyType(pub) {
+  const overridden = (pub.overrides || []).includes('type');
+  const candidates = [
+    ['override', overridden ? normalizeType(pub.type) : null],
+    ['crossref', CROSSREF_TYPES[pub.crossref_type]],
+    ['orcid', overridden ? null : ORCID_TYPES[pub.type]],
+    ['ora', ORA_TYPES[pub.oraType]],
+    ['openalex', OPENALEX_TYPES[pub.openalexType]],
+    ['venue', venueType(pub.venue)]
+  ];
+  const found = candidates.find(([, type]) => type);
+  return found ? { type: found[1], source: found[0] } : { type: 'other', source: null };
+}
+
+/**
+ * Canonical type of a work: the aggregator's, or classified now for entries
+ * written before it stored one.
+ *
+ * @param {Object} pub
+ * @returns {string}
+ */
+function publicationType(pub) {
+  return pub.publication_type || classifyType(pub).type;
+}
+
+/**
+ * Set the canonical type of the aggregated works.
+ *
+ * @param {Object[]} publications - Updated in place: `publication_type` and
+ *   `publication_type_source` are set
+ * @returns {Object} Works per type
+ */
+function classifyAll(publications) {
+  const counts = {};
+  for (const pub of publications) {
+    const { type, source } = classifyType(pub);
+    pub.publication_type = type;
+    pub.publication_type_source = source;
+    counts[type] = (counts[type] || 0) + 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  PUBLICATION_TYPES,
+  venueType,
+  normalizeType,
+  classifyType,
+  publicationType,
+  classifyAll
+};
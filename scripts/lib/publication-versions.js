@@ -0,0 +1,221 @@
+/**
+ * Version relations between aggregated works.
+ *
+ * A preprint and the article it became have their own DOIs and citation
+ * counts, so the aggregator keeps them as separate works and links them
+ * instead of merging them. Each link is recorded on both works, under
+ * `relations`:
+ *
+ *   preprints    on a published work: its preprints
+ *   publishedAs  on a preprint: the work it was published as
+ *   versions     on a work whose deposit has successive DOI versions (`_v1`,
+ *                `_v2`, merged by mergeDuplicateDois()): the DOIs, oldest
+ *                first
+ *
+ * Links come from Crossref `relation` metadata (is-preprint-of,
+ * has-preprint), from the arXiv ID Semantic Scholar reports for a published
+ * work, and from the title: a preprint whose title matches one published
+ * work of the same year or later (exactly, by Dice score, or by containing
+ * its whole title, as SSRN titles with an added translation do). A preprint
+ * is a work with a preprint server DOI (PREPRINT_SERVERS) or one ORCID or
+ * Crossref types as such. A link's `via` says where it came from; a linked
+ * work that is not in the list is recorded with its DOI only.
+ */
+
+const { normalizeDoi } = require('./publication-registry');
+const { createTitleIndex, titleTokens } = require('./title-matcher');
+
+/**
+ * DOI prefixes of preprint servers. Built from pairs so the prefixes stay
+ * strings: as number keys, `10.48550` would become `10.4855`.
+ */
+const PREPRINT_SERVERS = Object.fromEntries([
+  ['10.31235', 'SocArXiv'],
+  ['10.31219', 'OSF Preprints'],
+  ['10.31234', 'PsyArXiv'],
+  ['10.48550', 'arXiv'],
+  ['10.2139', 'SSRN'],
+  ['10.20944', 'Preprints.org'],
+  ['10.21203', 'Research Square']
+]);
+
+/** Crossref relation types that link a preprint and its published version. */
+const PREPRINT_RELATIONS = ['is-preprint-of', 'has-preprint'];
+
+/**
+ * Preprint server of a DOI.
+ *
+ * @param {string} doi
+ * @returns {string|null} Server name, or null for other DOIs
+ */
+function preprintServer(doi) {
+  if (!doi) return null;
+  return PREPRINT_SERVERS[String(doi).toLowerCase().split('/')[0]] || null;
+}
+
+/** Whether an aggregated entry is a preprint. */
+function isPreprint(pub) {
+  return (
+    Boolean(preprintServer(pub.doi)) ||
+    pub.type === 'preprint' ||
+    pub.crossref_type === 'posted-content'
+  );
+}
+
+/**
+ * Whether two DOIs are a preprint server DOI and a DOI of another kind: a
+ * preprint and, possibly, its published version.
+ */
+function isPreprintPair(doiA, doiB) {
+  if (!doiA || !doiB) return false;
+  return Boolean(preprintServer(doiA)) !== Boolean(preprintServer(doiB));
+}
+
+/** Version number of a `_vN` DOI, or null. */
+function doiVersion(doi) {
+  const match = /_v(\d+)$/i.exec(doi || '');
+  return match ? Number(match[1]) : null;
+}
+
+/** The DOI arXiv registers for a paper: `2101.00001v2` -> `10.48550/arXiv.2101.00001`. */
+function arxivDoi(arxivId) {
+  return `10.48550/arXiv.${String(arxivId).replace(/v\d+$/, '')}`;
+}
+
+function doiVersionsOf(pub) {
+  const versions = (pub.relations && pub.relations.versions) || [];
+  return versions.length > 0 ? versions : [{ version: doiVersion(pub.doi), doi: pub.doi }];
+}
+
+/**
+ * Record the DOI versions of two entries mergeDuplicateDois() joins on the
+ * kept one, when their DOIs are versions of one deposit.
+ *
+ * @param {Object} kept - Entry that is kept, updated in place
+ * @param {Object} duplicate - Entry merged into it
+ */
+function addDoiVersions(kept, duplicate) {
+  if (!kept.doi || !duplicate.doi || normalizeDoi(kept.doi) !== normalizeDoi(duplicate.doi)) {
+    return;
+  }
+  const byDoi = new Map();
+  for (const entry of [...doiVersionsOf(kept), ...doiVersionsOf(duplicate)]) {
+    if (entry.version !== null) byDoi.set(entry.doi.toLowerCase(), entry);
+  }
+  if (byDoi.size < 2) return;
+  kept.relations = {
+    ...kept.relations,
+    versions: [...byDoi.values()].sort((a, b) => a.version - b.version)
+  };
+}
+
+function preprintRef(pub, via) {
+  return {
+    id: pub.id || null,
+    doi: pub.doi || null,
+    title: pub.title || null,
+    server: preprintServer(pub.doi),
+    via
+  };
+}
+
+function publishedRef(pub, via) {
+  return {
+    id: pub.id || null,
+    doi: pub.doi || null,
+    title: pub.title || null,
+    venue: pub.venue || null,
+    via
+  };
+}
+
+/** Add a link unless the work already has it; true when added. */
+function addRelation(pub, field, ref) {
+  const existing = (pub.relations && pub.relations[field]) || [];
+  const same = other =>
+    (ref.id && other.id === ref.id) ||
+    (ref.doi && other.doi && normalizeDoi(other.doi) === normalizeDoi(ref.doi));
+  if (existing.some(same)) return false;
+  pub.relations = { ...pub.relations, [field]: [...existing, ref] };
+  return true;
+}
+
+function link(preprint, published, via) {
+  if (preprint === published) return false;
+  const added = addRelation(published, 'preprints', preprintRef(preprint, via));
+  return addRelation(preprint, 'publishedAs', publishedRef(published, via)) || added;
+}
+
+/**
+ * The published work a preprint's title names: the best title match among
+ * works published the same year or later, unless another matches as well.
+ * A substring match only counts when the preprint's title contains the
+ * published one, not the other way round ("<title> - sintesi in italiano").
+ */
+function matchByTitle(titleIndex, preprint) {
+  const year = Number(preprint.year) || 0;
+  const best = titleIndex.findBest(preprint.title, pub => !pub.year || Number(pub.year) >= year);
+  if (!best || best.ambiguousWith.length > 0) return null;
+  if (
+    best.match.method === 'title-substring' &&
+    titleTokens(best.publication.title).length > titleTokens(preprint.title).length
+  ) {
+    return null;
+  }
+  return best.publication;
+}
+
+/**
+ * Link the preprints among the aggregated works to their published versions.
+ *
+ * @param {Object[]} publications - Aggregated works with their `id`, updated
+ *   in place; `crossref_relations` (`[{type, doi}]`) and `arxivId` are read
+ * @returns {number} Preprint links found
+ */
+function linkVersions(publications) {
+  const byDoi = new Map(
+    publications.filter(pub => pub.doi).map(pub => [normalizeDoi(pub.doi), pub])
+  );
+  // A linked work that is not in the list
+  const external = doi => ({ doi });
+  let links = 0;
+  const linkOnce = (preprint, published, via) => {
+    if (link(preprint, published, via)) links++;
+  };
+
+  for (const pub of publications) {
+    for (const relation of pub.crossref_relations || []) {
+      if (!PREPRINT_RELATIONS.includes(relation.type)) continue;
+      const other = byDoi.get(normalizeDoi(relation.doi)) || external(relation.doi);
+      if (relation.type === 'is-preprint-of') linkOnce(pub, other, 'crossref');
+      else linkOnce(other, pub, 'crossref');
+    }
+  }
+
+  for (const pub of publications) {
+    if (!pub.arxivId || isPreprint(pub)) continue;
+    const doi = arxivDoi(pub.arxivId);
+    linkOnce(byDoi.get(normalizeDoi(doi)) || external(doi), pub, 'arxiv');
+  }
+
+  const titleIndex = createTitleIndex();
+  publications.filter(pub => !isPreprint(pub)).forEach((pub, i) => titleIndex.add(String(i), pub));
+  for (const pub of publications) {
+    if (!isPreprint(pub) || (pub.relations && pub.relations.publishedAs)) continue;
+    const published = matchByTitle(titleIndex, pub);
+    if (published) linkOnce(pub, published, 'title');
+  }
+
+  return links;
+}
+
+module.exports = {
+  PREPRINT_SERVERS,
+  preprintServer,
+  isPreprint,
+  isPreprintPair,
+  doiVersion,
+  arxivDoi,
+  addDoiVersions,
+  linkVersions
+};
@@ -0,0 +1,93 @@
+/**
+ * Run summary and staleness tracking.
+ *
+ * summary.json records, for every pipeline node, when it was last attempted,
+ * when it last succeeded and how many runs in a row it has failed. A node
+ * that fails or returns degraded data keeps its previous file, so its record
+ * is marked `stale`: the file on disk is carried over from `lastSuccess`
+ * rather than produced by this run.
+ *
+ * Records also carry the `provenance` of the node's last result, and the
+ * summary lists the sources that returned mock data in this run.
+ */
+
+const { PROVENANCE } = require('./provenance');
+
+/**
+ * Update one node's record with this run's result.
+ *
+ * @param {Object|undefined} previous - The node's record from the last summary
+ * @param {Object} result - Pipeline result for the node
+ * @param {string} now - ISO timestamp of this run
+ * @returns {Object} Updated record
+ */
+function updateSourceRecord(previous, result, now) {
+  const record = {
+    status: 'unknown',
+    lastAttempt: null,
+    lastSuccess: null,
+    consecutiveFailures: 0,
+    stale: false,
+    ...previous
+  };
+
+  // Nodes this run did not attempt keep their record as it was.
+  if (result.reason === 'not selected' || result.reason === 'disabled') {
+    return record;
+  }
+
+  const updated = { ...record, status: result.status, lastAttempt: now };
+  delete updated.error;
+  if (result.provenance) updated.provenance = result.provenance;
+
+  if (result.status === 'ok') {
+    return { ...updated, lastSuccess: now, consecutiveFailures: 0, stale: false };
+  }
+
+  updated.consecutiveFailures = record.consecutiveFailures + 1;
+  updated.stale = true;
+  const error = result.error || result.reason;
+  if (error) updated.error = error;
+  return updated;
+}
+
+/**
+ * Build the contents of summary.json.
+ *
+ * @param {Map<string, Object>} results - Pipeline results by node name
+ * @param {Object} [previousSummary] - Last run's summary.json, if any
+ * @param {string} [now] - ISO timestamp of this run
+ * @param {boolean} [mockMode] - Whether mock data was accepted this run
+ * @returns {Object} Summary with a `sources` record per node, the sources
+ *   that returned mock data, and the legacy `collections` map (true when the
+ *   node's file is fresh)
+ */
+function buildSummary(
+  results,
+  previousSummary = {},
+  now = new Date().toISOString(),
+  mockMode = false
+) {
+  const previousSources = previousSummary.sources || {};
+  const sources = {};
+  const collections = {};
+
+  for (const [name, result] of results) {
+    sources[name] = updateSourceRecord(previousSources[name], result, now);
+    collections[name] = sources[name].status === 'ok' && !sources[name].stale;
+  }
+
+  const mocked = [...results]
+    .filter(([, result]) => result.provenance === PROVENANCE.MOCK)
+    .map(([name]) => name);
+
+  return {
+    lastUpdated: now,
+    mockMode,
+    mocked,
+    collections,
+    sources
+  };
+}
+
+module.exports = { buildSummary, updateSourceRecord };
@@ -0,0 +1,179 @@
+/**
+ * Data contracts for the files the pipeline writes.
+ *
+ * Every file under public/data and _data that the site, the generators or a
+ * downstream project (research-radio, fg-zettelkasten) reads has a JSON Schema
+ * in scripts/schemas/. data-store.js validates content against it before each
+ * write and refuses to write content that does not conform, so a collector
+ * that starts producing the wrong shape leaves the last good file in place
+ * and fails its pipeline node instead. `npm run validate-data` checks the
+ * committed files.
+ *
+ * Schemas pin what readers rely on: required fields and their types. Extra
+ * fields are allowed, so collectors can add data without a schema change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+
+const REPO_ROOT = path.join(__dirname, '../..');
+const SCHEMA_DIR = path.join(__dirname, '../schemas');
+
+/** Repo-relative data file -> schema name in scripts/schemas/. */
+const SCHEMAS = {
+  'public/data/aggregated-publications.json': 'aggregated-publications',
+  'public/data/bio-review.json': 'bio-review',
+  'public/data/citation-history.json': 'citation-history',
+  'public/data/crossref.json': 'crossref',
+  'public/data/datasets.json': 'datasets',
+  'public/data/github.json': 'github',
+  'public/data/llm-usage.json': 'llm-usage',
+  'public/data/news.json': 'news',
+  'public/data/oa-compliance.json': 'oa-compliance',
+  'public/data/ora.json': 'ora',
+  'public/data/openalex.json': 'openalex',
+  'public/data/orcid.json': 'orcid',
+  'public/data/own-paper-claims.json': 'own-paper-claims',
+  'public/data/own-publications.json': 'own-publications',
+  'public/data/publication-registry.json': 'publication-registry',
+  'public/data/research-radio.json': 'research-radio',
+  'public/data/scholar.json': 'scholar',
+  'public/data/scopus.json': 'scopus',
+  'public/data/semantic-scholar.json': 'semantic-scholar',
+  'public/data/social-media-insights.json': 'social-media-insights',
+  'public/data/social-media.json': 'social-media',
+  'public/data/status.json': 'status',
+  'public/data/summary.json': 'summary',
+  'public/data/teaching.json': 'teaching',
+  'public/data/toread.json': 'toread',
+  'public/data/university.json': 'university',
+  'public/data/websearch.json': 'websearch',
+  'public/data/websearch-date-cache.json': 'websearch-date-cache',
+  'public/data/websearch-discovery-cache.json': 'websearch-discovery-cache',
+  'public/data/websearch-history.json': 'websearch-history',
+  'public/data/websearch-snippet-cache.json': 'websearch-snippet-cache',
+  'public/data/websearch-summary.json': 'websearch-summary',
+  'public/data/websearch-validation-cache.json': 'websearch-validation-cache',
+  'public/data/wos.json': 'wos',
+  'public/data/zettelkasten.json': 'zettelkasten',
+  '_data/data-software.yml': 'data-software',
+  '_data/news.yml': 'news-posts',
+  '_data/open-access.json': 'open-access',
+  '_data/project-outputs.json': 'project-outputs',
+  '_data/projects.yml': 'projects',
+  '_data/publication-metrics.json': 'publication-metrics',
+  '_data/publication-overrides.yml': 'publication-overrides',
+  '_data/publications.yml': 'publications-list',
+  '_data/research-radio.json': 'research-radio',
+  '_data/status.json': 'status',
+  '_data/teaching.yml': 'teaching',
+  '_data/toread.json': 'toread',
+  '_data/websearch.json': 'websearch',
+  '_data/zettelkasten.json': 'zettelkasten'
+};
+
+/** Dated files: every file in `dir` whose name matches `pattern` uses `schema`. */
+const SCHEMA_PATTERNS = [
+  { dir: 'public/data/changes', pattern: /^\d{4}-\d{2}-\d{2}\.json$/, schema: 'change-report' }
+];
+
+/** Thrown by data-store.js when content does not match the file's schema. */
+class SchemaViolationError extends Error {
+  constructor(file, errors) {
+    const shown = errors.slice(0, 3).join('; ');
+    const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+    super(`${file} violates its schema: ${shown}${more}`);
+    this.name = 'SchemaViolationError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validators = new Map();
+
+function validatorFor(schemaName) {
+  if (!validators.has(schemaName)) {
+    const schemaPath = path.join(SCHEMA_DIR, `${schemaName}.schema.json`);
+    validators.set(schemaName, ajv.compile(JSON.parse(fs.readFileSync(schemaPath, 'utf8'))));
+  }
+  return validators.get(schemaName);
+}
+
+/**
+ * Schema name for a data file, or null when the file has no contract.
+ *
+ * @param {string} filePath - Absolute or cwd-relative path
+ * @param {string} [root] - Repository root the SCHEMAS keys are relative to
+ */
+function schemaNameFor(filePath, root = REPO_ROOT) {
+  const relPath = path.relative(root, path.resolve(filePath)).split(path.sep).join('/');
+  if (SCHEMAS[relPath]) return SCHEMAS[relPath];
+  const dated = SCHEMA_PATTERNS.find(
+    ({ dir, pattern }) =>
+      path.posix.dirname(relPath) === dir && pattern.test(path.posix.basename(relPath))
+  );
+  return dated ? dated.schema : null;
+}
+
+/**
+ * Check parsed data against a named schema. Collectors use this for inputs
+ * that have a published contract, such as the toread feed.
+ *
+ * @param {string} schemaName - File name in scripts/schemas/ without `.schema.json`
+ * @param {*} data
+ * @returns {string[]} Problems found; empty when the data conforms
+ */
+function validateData(schemaName, data) {
+  const validate = validatorFor(schemaName);
+  if (validate(data)) return [];
+  return validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+function parse(filePath, content) {
+  return /\.ya?ml$/.test(filePath) ? yaml.load(content) : JSON.parse(content);
+}
+
+/**
+ * Check file content against the file's schema.
+ *
+ * @param {string} filePath - Path of the file the content is for
+ * @param {string} content - Serialized JSON or YAML
+ * @returns {{schema: string|null, errors: string[]}} `errors` is empty when
+ *   the content conforms or the file has no schema
+ */
+function validateContent(filePath, content) {
+  const schema = schemaNameFor(filePath);
+  if (!schema) return { schema: null, errors: [] };
+
+  let data;
+  try {
+    data = parse(filePath, content);
+  } catch (error) {
+    return { schema, errors: [`cannot be parsed: ${error.message}`] };
+  }
+  return { schema, errors: validateData(schema, data) };
+}
+
+/**
+ * Throw a SchemaViolationError unless `content` conforms to the file's schema.
+ */
+function assertValid(filePath, content) {
+  const { errors } = validateContent(filePath, content);
+  if (errors.length > 0) {
+    throw new SchemaViolationError(path.relative(REPO_ROOT, path.resolve(filePath)), errors);
+  }
+}
+
+module.exports = {
+  SCHEMAS,
+  SCHEMA_PATTERNS,
+  REPO_ROOT,
+  SchemaViolationError,
+  schemaNameFor,
+  validateData,
+  validateContent,
+  assertValid
+};
@@ -0,0 +1,140 @@
+/**
+ * Pipeline status page data.
+ *
+ * status.json records, for every collector and generator, its latest status
+ * and error, when it last succeeded, how long its last run took, how many
+ * records it last produced, the provenance (live or mock) of its data and a
+ * day-by-day history of the last HISTORY_DAYS days. The file is written to
+ * public/data for scripts and to _data for the /status page.
+ *
+ * Both entry points update it: collect-all.js with the pipeline's results
+ * and generate-about-ai.js with the weekly bio generator and its reviewer.
+ * Nodes a run does not attempt keep their previous record, so neither
+ * overwrites the other's entries.
+ */
+
+const path = require('path');
+const dataStore = require('./data-store');
+const { updateSourceRecord } = require('./run-summary');
+
+const STATUS_PATHS = [
+  path.join(__dirname, '../../public/data/status.json'),
+  path.join(__dirname, '../../_data/status.json')
+];
+const HISTORY_DAYS = 30;
+
+/**
+ * Number of records in a node's result: the length of an array result, or of
+ * the longest array at the top level of an object result.
+ *
+ * @param {*} data - The node's result
+ * @returns {number|null} null when the result holds no list
+ */
+function countRecords(data) {
+  if (Array.isArray(data)) return data.length;
+  if (!data || typeof data !== 'object') return null;
+  const lengths = Object.values(data)
+    .filter(Array.isArray)
+    .map(list => list.length);
+  return lengths.length > 0 ? Math.max(...lengths) : null;
+}
+
+/**
+ * Add a run to a node's daily history and drop days older than HISTORY_DAYS.
+ *
+ * @param {Object[]} history - `{date, runs, failures}` per day, oldest first
+ * @param {string} status - The run's pipeline status
+ * @param {string} now - ISO timestamp of the run
+ * @returns {Object[]}
+ */
+function addToHistory(history, status, now) {
+  const date = now.slice(0, 10);
+  const days = history.filter(day => day.date !== date);
+  const today = history.find(day => day.date === date) || { date, runs: 0, failures: 0 };
+  days.push({
+    ...today,
+    runs: today.runs + 1,
+    failures: today.failures + (status === 'ok' ? 0 : 1)
+  });
+
+  const oldest = new Date(now);
+  oldest.setUTCDate(oldest.getUTCDate() - (HISTORY_DAYS - 1));
+  const cutoff = oldest.toISOString().slice(0, 10);
+  return days.filter(day => day.date >= cutoff).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Update one node's status record with this run's result.
+ *
+ * @param {Object|undefined} previous - The node's record from the last status.json
+ * @param {Object} result - Pipeline result for the node
+ * @param {string} now - ISO timestamp of this run
+ * @returns {Object} Updated record
+ */
+function updateNodeStatus(previous = {}, result, now) {
+  const { name, durationMs, records, history = [], ...source } = previous;
+  const record = updateSourceRecord(source, result, now);
+  if (result.reason === 'not selected' || result.reason === 'disabled') {
+    return { name, ...record, durationMs, records, history };
+  }
+  return {
+    name,
+    ...record,
+    durationMs: result.durationMs ?? null,
+    records: result.status === 'ok' ? countRecords(result.data) : (records ?? null),
+    history: addToHistory(history, result.status, now)
+  };
+}
+
+/**
+ * Build the contents of status.json.
+ *
+ * @param {Map<string, Object>} results - Pipeline results by node name
+ * @param {Object} [previousStatus] - The last status.json, if any
+ * @param {string} [now] - ISO timestamp of this run
+ * @returns {Object} `lastUpdated` and `nodes`, one record per node ever
+ *   seen: stale nodes first, then by name
+ */
+function buildStatus(results, previousStatus = {}, now = new Date().toISOString()) {
+  const nodes = new Map((previousStatus.nodes || []).map(node => [node.name, node]));
+  for (const [name, result] of results) {
+    const notRun = result.reason === 'not selected' || result.reason === 'disabled';
+    // A node that has never run (e.g. disabled for lack of an ID) is not listed.
+    if (notRun && !nodes.has(name)) continue;
+    nodes.set(name, updateNodeStatus({ ...nodes.get(name), name }, result, now));
+  }
+  return {
+    lastUpdated: now,
+    nodes: [...nodes.values()].sort(
+      (a, b) => Number(b.stale) - Number(a.stale) || a.name.localeCompare(b.name)
+    )
+  };
+}
+
+/**
+ * Merge this run's results into status.json and its _data copy.
+ *
+ * @param {Map<string, Object>} results - Pipeline results by node name
+ * @param {string} now - ISO timestamp of this run
+ */
+function writeStatus(results, now) {
+  let previous = {};
+  try {
+    if (dataStore.existsSync(STATUS_PATHS[0])) {
+      previous = JSON.parse(dataStore.readFileSync(STATUS_PATHS[0], 'utf8'));
+    }
+  } catch (error) {
+    console.warn(`Could not read status.json, starting a new one: ${error.message}`);
+  }
+  const content = JSON.stringify(buildStatus(results, previous, now), null, 2);
+  for (const filePath of STATUS_PATHS) {
+    dataStore.writeFileSync(filePath, content);
+  }
+}
+
+module.exports = {
+  HISTORY_DAYS,
+  countRecords,
+  buildStatus,
+  writeStatus
+};
@@ -0,0 +1,163 @@
+/**
+ * Line diff for dry-run previews.
+ *
+ * A plain Myers diff over lines, with the common prefix and suffix trimmed
+ * first so typical data-file updates (a few records changed) stay cheap. Very
+ * large rewrites are not worth diffing line by line: past `maxEdits` the diff
+ * gives up and callers report the file as rewritten.
+ */
+
+/**
+ * Compute the shortest edit script between two line arrays.
+ *
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @param {number} [maxEdits=2000] - Give up beyond this many inserted/deleted lines
+ * @returns {Array<{op: ' '|'-'|'+', line: string}>|null} Edit script, or null
+ *   when the edit distance exceeds `maxEdits`
+ */
+function diffLines(a, b, maxEdits = 2000) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middle = myers(a.slice(start, endA), b.slice(start, endB), maxEdits);
+  if (!middle) return null;
+
+  return [
+    ...a.slice(0, start).map(line => ({ op: ' ', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ op: ' ', line }))
+  ];
+}
+
+function myers(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = -1;
+  for (let d = 0; d <= max && found < 0; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = d;
+        break;
+      }
+    }
+  }
+  if (found < 0) return null;
+
+  // Walk the trace backwards to recover the edit script.
+  const script = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d > 0; d--) {
+    const prev = trace[d];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && prev[offset + k - 1] < prev[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = prev[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      script.push({ op: ' ', line: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      script.push({ op: '+', line: b[--y] });
+    } else {
+      script.push({ op: '-', line: a[--x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    script.push({ op: ' ', line: a[--x] });
+    y--;
+  }
+  return script.reverse();
+}
+
+/**
+ * Format the difference between two texts as unified-style hunks.
+ *
+ * @param {string} oldText - Current file content
+ * @param {string} newText - Proposed file content
+ * @param {Object} [options]
+ * @param {number} [options.context=2] - Unchanged lines shown around changes
+ * @param {number} [options.maxLines=60] - Truncate the output after this many lines
+ * @returns {string} Diff text ('' when the texts are identical)
+ */
+function formatDiff(oldText, newText, options = {}) {
+  const { context = 2, maxLines = 60 } = options;
+  if (oldText === newText) return '';
+
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+  const script = diffLines(oldLines, newLines);
+  if (!script) {
+    return `(rewritten: ${oldLines.length} -> ${newLines.length} lines)`;
+  }
+
+  // Group changes into hunks that share context.
+  const changed = [];
+  script.forEach((entry, i) => {
+    if (entry.op !== ' ') changed.push(i);
+  });
+  const hunks = [];
+  for (const i of changed) {
+    const from = Math.max(0, i - context);
+    const to = Math.min(script.length - 1, i + context);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to + 1) {
+      last.to = to;
+    } else {
+      hunks.push({ from, to });
+    }
+  }
+
+  // Line numbers for hunk headers.
+  const oldNo = [];
+  const newNo = [];
+  let o = 1;
+  let n = 1;
+  for (const entry of script) {
+    oldNo.push(o);
+    newNo.push(n);
+    if (entry.op !== '+') o++;
+    if (entry.op !== '-') n++;
+  }
+
+  const out = [];
+  for (const hunk of hunks) {
+    const slice = script.slice(hunk.from, hunk.to + 1);
+    const oldCount = slice.filter(e => e.op !== '+').length;
+    const newCount = slice.filter(e => e.op !== '-').length;
+    out.push(`@@ -${oldNo[hunk.from]},${oldCount} +${newNo[hunk.from]},${newCount} @@`);
+    slice.forEach(e => out.push(`${e.op}${e.line}`));
+  }
+
+  if (out.length > maxLines) {
+    const hidden = out.length - maxLines;
+    return [...out.slice(0, maxLines), `... (${hidden} more diff lines)`].join('\n');
+  }
+  return out.join('\n');
+}
+
+module.exports = { diffLines, formatDiff };
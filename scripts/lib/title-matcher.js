@@ -0,0 +1,186 @@
+/**
+ * Title matching for the publications aggregator.
+ *
+ * Sources without a shared DOI are joined to aggregated entries by title.
+ * compareTitles() decides whether two titles name the same paper and how
+ * (exact, one contained in the other, or a Dice coefficient over character
+ * bigrams at or above a threshold). createTitleIndex() avoids comparing every
+ * incoming record with every entry: entries are indexed by the content words
+ * of their titles, and only entries sharing a word with the record are
+ * compared. Titles that share no content word are not exact matches, are
+ * substring matches only when one is a fragment of a single word of the
+ * other, and stay far below the Dice thresholds; titles made only of stop
+ * words are compared with every entry.
+ *
+ * The index returns the best match rather than the first one found, so the
+ * result does not depend on the order sources were merged in. When two
+ * entries match equally well the match is reported as ambiguous and the
+ * entry added first is used.
+ */
+
+const stringSimilarity = require('string-similarity');
+
+// Words too common in titles to narrow the candidates (English and Italian).
+const STOP_WORDS = new Set(
+  (
+    'the and for with from into onto about over under between are was were its how what why ' +
+    'who when does not this that della delle degli dello dei del gli nel nella nelle negli per ' +
+    'con una uno tra fra sul sulla alla alle agli che'
+  ).split(' ')
+);
+
+// Preference between match methods; the Dice score breaks ties within one.
+const METHOD_RANK = { 'title-exact': 3, 'title-substring': 2, 'title-dice': 1 };
+
+/**
+ * Lower-case a title and drop punctuation. Accents are folded first, since
+ * sources disagree on composed (`à`) and decomposed (`a` + U+0300) forms.
+ */
+function normalize(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Content words of a title: normalised words of three or more letters that are not stop words. */
+function titleTokens(title) {
+  return [...new Set(normalize(title).split(' '))].filter(
+    word => word.length >= 3 && !STOP_WORDS.has(word)
+  );
+}
+
+/**
+ * Compare two titles and say how they match, if they do.
+ * Uses Dice coefficient via string-similarity library for robust matching
+ *
+ * @param {string} title1 - First title to compare
+ * @param {string} title2 - Second title to compare
+ * @param {number} threshold - Similarity threshold (default 0.8)
+ * @returns {Object|null} `{method: 'title-exact'}`, `{method: 'title-substring'}`
+ *   or `{method: 'title-dice', score, threshold}`; null when the titles differ
+ */
+function compareTitles(title1, title2, threshold = 0.8) {
+  const t1 = normalize(title1);
+  const t2 = normalize(title2);
+
+  // Handle edge cases
+  if (!t1 || !t2) return null;
+  if (t1 === t2) return { method: 'title-exact' };
+
+  // Check if one is a substring of the other (common with subtitles)
+  if (t1.includes(t2) || t2.includes(t1)) {
+    return { method: 'title-substring' };
+  }
+
+  // Use Dice coefficient for string similarity (more robust than Levenshtein for titles)
+  const similarity = stringSimilarity.compareTwoStrings(t1, t2);
+
+  // Use higher threshold for short titles to avoid false positives
+  const minLength = Math.min(t1.length, t2.length);
+  const adjustedThreshold = minLength < 30 ? 0.85 : threshold;
+
+  if (similarity < adjustedThreshold) return null;
+  return {
+    method: 'title-dice',
+    score: Math.round(similarity * 1000) / 1000,
+    threshold: adjustedThreshold
+  };
+}
+
+/**
+ * How well a match ranks: its method first, then the Dice score of the two
+ * titles (computed for exact and substring matches too, to order them).
+ */
+function matchRank(match, title1, title2) {
+  const score =
+    match.score !== undefined
+      ? match.score
+      : stringSimilarity.compareTwoStrings(normalize(title1), normalize(title2));
+  return [METHOD_RANK[match.method], score];
+}
+
+function compareRanks(a, b) {
+  return b[0] - a[0] || b[1] - a[1];
+}
+
+/**
+ * Index of aggregated entries by title.
+ *
+ * @param {Map<string, Object>} [entries] - Map key -> entry with a `title`
+ * @returns {{add: Function, findBest: Function}}
+ */
+function createTitleIndex(entries = new Map()) {
+  const byToken = new Map(); // word -> Set of positions
+  const indexed = []; // position -> {key, publication}
+  const untokenized = new Set(); // positions of titles without content words
+
+  function add(key, publication) {
+    const position = indexed.length;
+    indexed.push({ key, publication });
+    const tokens = titleTokens(publication.title);
+    if (tokens.length === 0) untokenized.add(position);
+    for (const token of tokens) {
+      if (!byToken.has(token)) byToken.set(token, new Set());
+      byToken.get(token).add(position);
+    }
+  }
+
+  function candidates(title) {
+    const tokens = titleTokens(title);
+    if (tokens.length === 0) return indexed.map((_, position) => position);
+    const positions = new Set(untokenized);
+    for (const token of tokens) {
+      for (const position of byToken.get(token) || []) positions.add(position);
+    }
+    return [...positions].sort((a, b) => a - b);
+  }
+
+  /**
+   * The entry whose title best matches `title`.
+   *
+   * @param {string} title
+   * @param {Function} [accept] - `(publication) => boolean`; entries it
+   *   rejects are not considered
+   * @returns {Object|null} `{key, publication, match, ambiguousWith}`, where
+   *   `ambiguousWith` lists the other entries that match exactly as well
+   *   (empty when the match is unambiguous); null when nothing matches
+   */
+  function findBest(title, accept = () => true) {
+    const ranked = [];
+    for (const position of candidates(title)) {
+      const { key, publication } = indexed[position];
+      const match = compareTitles(publication.title, title);
+      if (!match || !accept(publication)) continue;
+      ranked.push({ key, publication, match, rank: matchRank(match, publication.title, title) });
+    }
+    if (ranked.length === 0) return null;
+
+    // Stable sort: among equal ranks the entry added first comes first.
+    ranked.sort((a, b) => compareRanks(a.rank, b.rank));
+    const [best, ...rest] = ranked;
+    const ties = rest.filter(other => compareRanks(best.rank, other.rank) === 0);
+    return {
+      key: best.key,
+      publication: best.publication,
+      match: best.match,
+      ambiguousWith: ties.map(other => other.publication)
+    };
+  }
+
+  for (const [key, publication] of entries) add(key, publication);
+  return { add, findBest };
+}
+
+module.exports = {
+  compareTitles,
+  titleTokens,
+  createTitleIndex,
+  _testing: {
+    matchRank,
+    compareRanks
+  }
+};
@@ -0,0 +1,114 @@
+/**
+ * Tests for the abstract cascade (scripts/lib/abstracts.js) and the abstracts
+ * the OpenAlex and ORA collectors read.
+ */
+
+const {
+  cleanAbstract,
+  invertedIndexToText,
+  guessLanguage,
+  chooseAbstract,
+  fillAbstracts
+} = require('../scripts/lib/abstracts');
+const ora = require('../scripts/collectors/ora');
+const openalex = require('../scripts/collectors/openalex');
+
+const { extractDublinCore } = ora._testing;
+const { mapWork } = openalex._testing;
+
+const ENGLISH =
+  'This article argues for a change of perspective on the spread of problematic information.';
+const ITALIAN =
+  'Il presente contributo indaga l’uso dei social media da parte delle amministrazioni pubbliche.';
+
+describe('cleanAbstract', () => {
+  test('strips JATS markup and keeps the paragraphs', () => {
+    const jats =
+      '<jats:title>Abstract</jats:title><jats:p>Alarmed by the &#8216;fake news&#8217; buzzword,\n  researchers have started to unpack the concept.</jats:p>' +
+      '<jats:sec><jats:title>Methods</jats:title><jats:p>We analyse <jats:italic>Facebook</jats:italic> data &amp; news.</jats:p></jats:sec>';
+    expect(cleanAbstract(jats)).toBe(
+      'Alarmed by the ‘fake news’ buzzword, researchers have started to unpack the concept.\n\n' +
+        'Methods: We analyse Facebook data & news.'
+    );
+  });
+
+  test('drops a heading and placeholders', () => {
+    expect(cleanAbstract(`Abstract: ${ENGLISH}`)).toBe(ENGLISH);
+    expect(cleanAbstract('<p>n/a</p>')).toBeNull();
+    expect(cleanAbstract(null)).toBeNull();
+  });
+});
+
+describe('invertedIndexToText', () => {
+  test('puts the words back in their positions', () => {
+    expect(invertedIndexToText({ the: [0, 3], spread: [1], of: [2], news: [4] })).toBe(
+      'the spread of the news'
+    );
+    expect(invertedIndexToText(null)).toBeNull();
+  });
+
+  test('is read by the OpenAlex collector', () => {
+    const work = {
+      id: 'https://openalex.org/W1',
+      title: 'T',
+      abstract_inverted_index: { Hi: [0] }
+    };
+    expect(mapWork(work).abstract).toBe('Hi');
+  });
+});
+
+describe('guessLanguage', () => {
+  test('tells English from Italian', () => {
+    expect(guessLanguage(ENGLISH)).toBe('en');
+    expect(guessLanguage(ITALIAN)).toBe('it');
+    expect(guessLanguage('Twitter')).toBeNull();
+  });
+});
+
+describe('chooseAbstract', () => {
+  test('follows the source order, passing over an Italian abstract', () => {
+    expect(
+      chooseAbstract({ ora: ENGLISH, crossref: `<jats:p>${ENGLISH} Again.</jats:p>` })
+    ).toEqual({ text: `${ENGLISH} Again.`, source: 'crossref', language: 'en' });
+    expect(chooseAbstract({ crossref: ITALIAN, openalex: ENGLISH })).toMatchObject({
+      source: 'openalex',
+      language: 'en'
+    });
+    expect(chooseAbstract({ ora: ITALIAN })).toMatchObject({ source: 'ora', language: 'it' });
+    expect(chooseAbstract(undefined)).toBeNull();
+  });
+});
+
+describe('fillAbstracts', () => {
+  test('sets the abstract with its source and lists the works without one', () => {
+    const withOne = { title: 'A', abstract_candidates: { semanticScholar: ENGLISH } };
+    const without = { title: 'B' };
+    const report = fillAbstracts([withOne, without]);
+    expect(withOne).toEqual({
+      title: 'A',
+      abstract: ENGLISH,
+      abstract_source: 'semanticScholar',
+      abstract_language: 'en'
+    });
+    expect(report).toEqual({
+      bySource: { crossref: 0, semanticScholar: 1, openalex: 0, ora: 0 },
+      missing: [without]
+    });
+  });
+});
+
+describe('ORA abstracts', () => {
+  test('keep the English description of a record that has an Italian one', () => {
+    const record = dc => ({
+      header: { identifier: 'oai:ora.uniurb.it:11576/1', datestamp: '2024-01-01' },
+      metadata: { dc: { title: 'T', ...dc } }
+    });
+    expect(extractDublinCore(record({ description: [ITALIAN, ENGLISH] })).abstract).toBe(ENGLISH);
+    const marked = [
+      { _: ITALIAN, $: { 'xml:lang': 'it' } },
+      { _: ENGLISH, $: { 'xml:lang': 'en' } }
+    ];
+    expect(extractDublinCore(record({ description: marked })).abstract).toBe(ENGLISH);
+    expect(extractDublinCore(record({ description: ITALIAN })).abstract).toBe(ITALIAN);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for the bibliometric indicators (scripts/lib/bibliometrics.js).
+ */
+
+const config = require('../scripts/config');
+const {
+  calculateGIndex,
+  authorNames,
+  authorship,
+  computeBibliometrics
+} = require('../scripts/lib/bibliometrics');
+const { validateData } = require('../scripts/lib/schemas');
+
+const OWN = `${config.familyName}, ${config.givenName}`;
+const NOW = '2026-06-01T06:00:00.000Z';
+
+function pub(year, citations, authors = OWN) {
+  const counts = { scholar: null, wos: null, scopus: null, semanticScholar: null, ...citations };
+  const best = Math.max(0, ...Object.values(counts).filter(count => count !== null));
+  return { year, authors, citations: counts, metrics: { total_citations: best } };
+}
+
+describe('calculateGIndex', () => {
+  test('is the largest g whose top g works have g² citations', () => {
+    expect(calculateGIndex([])).toBe(0);
+    expect(calculateGIndex([10, 5, 3, 1])).toBe(4);
+    expect(calculateGIndex([4, 0, 0])).toBe(2);
+    expect(calculateGIndex([100])).toBe(1);
+  });
+});
+
+describe('authorNames', () => {
+  test('splits semicolon lists, Scholar lists and single authors', () => {
+    expect(authorNames('Rossi, Luca; Marino, Giada')).toEqual(['Rossi, Luca', 'Marino, Giada']);
+    expect(authorNames('F Rossi, L Marino, G Bianchi')).toEqual([
+      'F Rossi',
+      'L Marino',
+      'G Bianchi'
+    ]);
+    expect(authorNames('Rossi, Luca')).toEqual(['Rossi, Luca']);
+    expect(authorNames([{ name: 'Luca Rossi' }])).toEqual(['Luca Rossi']);
+    expect(authorNames(null)).toEqual([]);
+  });
+
+  test('drops the ellipsis that ends a truncated Scholar list', () => {
+    expect(authorNames('B Paroni, G Marino, F Giglietto, T Choucair, …, ...')).toEqual([
+      'B Paroni',
+      'G Marino',
+      'F Giglietto',
+      'T Choucair'
+    ]);
+    expect(authorNames('Rossi, Luca; Marino, Giada; et al.')).toEqual([
+      'Rossi, Luca',
+      'Marino, Giada'
+    ]);
+  });
+});
+
+describe('authorship', () => {
+  test('counts first- and last-authored works among those with authors', () => {
+    const result = authorship([
+      pub(2020, {}, `${OWN}; Rossi, Luca`),
+      pub(2020, {}, `Rossi, Luca; ${OWN}`),
+      pub(2020, {}, OWN),
+      pub(2020, {}, 'Rossi, Luca; Marino, Giada; Bianchi, Anna'),
+      pub(2020, {}, null)
+    ]);
+    expect(result).toEqual({
+      with_authors: 4,
+      first_author: 2,
+      last_author: 2,
+      first_author_share: 0.5,
+      last_author_share: 0.5
+    });
+  });
+
+  test('does not take a truncated Scholar list for a single author or count its last author', () => {
+    const result = authorship([
+      pub(2020, {}, 'B Paroni, G Marino, F Giglietto, T Choucair, KOC Farfan, S Svegaard, ...'),
+      pub(2020, {}, 'F Giglietto, G Marino, …')
+    ]);
+    expect(result).toMatchObject({ with_authors: 2, first_author: 1, last_author: 0 });
+  });
+});
+
+describe('computeBibliometrics', () => {
+  const publications = [
+    pub(2017, { scholar: 30, scopus: 20 }),
+    pub(2020, { scholar: 12, wos: 9 }),
+    pub(2023, { scholar: 4, scopus: 5 }),
+    pub(2025, { scholar: 1 })
+  ];
+
+  test('computes career indicators on the best counts', () => {
+    const metrics = computeBibliometrics(publications, NOW);
+    expect(metrics.career).toEqual({ first_year: 2017, years: 10 });
+    expect(metrics.by_source.best).toEqual({
+      publications: 4,
+      total_citations: 48,
+      h_index: 3,
+      g_index: 4,
+      i10_index: 2,
+      m_quotient: 0.3,
+      citations_per_year: 4.8
+    });
+    expect(metrics.g_index).toBe(4);
+    expect(metrics.m_quotient).toBe(0.3);
+  });
+
+  test('computes each source on its own counts', () => {
+    const { by_source } = computeBibliometrics(publications, NOW);
+    expect(by_source.scopus).toMatchObject({ publications: 2, total_citations: 25, h_index: 2 });
+    expect(by_source.wos).toMatchObject({ publications: 1, total_citations: 9, i10_index: 0 });
+    expect(by_source.semanticScholar).toMatchObject({ publications: 0, h_index: 0 });
+  });
+
+  test('restricts the recent indicators to works published in the window', () => {
+    const { recent } = computeBibliometrics(publications, NOW);
+    expect(recent.last_5_years.since).toBe(2022);
+    expect(recent.last_5_years.by_source.best).toMatchObject({
+      publications: 2,
+      total_citations: 6,
+      citations_per_year: 1.2
+    });
+    expect(recent.last_10_years.by_source.best.publications).toBe(4);
+  });
+
+  test('fits the aggregated-publications schema', () => {
+    const metrics = {
+      total_publications: 4,
+      total_citations: 48,
+      ...computeBibliometrics(publications, NOW)
+    };
+    expect(
+      validateData('aggregated-publications', { publications: [], metrics, lastUpdated: NOW })
+    ).toEqual([]);
+    expect(validateData('publication-metrics', { h_index: 3, ...metrics })).toEqual([]);
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * Tests for the BibTeX and BibLaTeX exports (scripts/generators/bibtex-generator.js),
+ * the name handling they share (scripts/lib/bibtex-names.js) and the
+ * structured names the Crossref collector keeps for them.
+ */
+
+const {
+  latexAccents,
+  isCorporateName,
+  parseName,
+  formatName,
+  formatNames
+} = require('../scripts/lib/bibtex-names');
+const {
+  publicationToBibtex,
+  publicationToBiblatex
+} = require('../scripts/generators/bibtex-generator');
+const crossref = require('../scripts/collectors/crossref');
+
+const { extractNames } = crossref._testing;
+
+const ARTICLE = {
+  id: 'pub-article',
+  title: 'Second Screen and Participation: A Content Analysis on a Full Season Dataset of Tweets',
+  authors: 'Giglietto, Fabio; Selva, Donatella',
+  crossref_authors: [
+    { family: 'Giglietto', given: 'Fabio', suffix: null, name: null },
+    { family: 'Selva', given: 'Donatella', suffix: null, name: null }
+  ],
+  year: 2014,
+  month: 4,
+  venue: 'Journal of Communication',
+  volume: '64',
+  issue: '2',
+  pages: '260-277',
+  issn: '0021-9916',
+  publisher: 'Oxford University Press (OUP)',
+  doi: '10.1111/jcom.12085',
+  crossref_type: 'journal-article',
+  language: 'en',
+  subjects: ['Communication', 'Linguistics and Language'],
+  abstract: 'The practice of using a second screen.\n\nWhen the secondary device is used…',
+  relations: { preprints: [{ id: 'pub-preprint', doi: '10.2139/ssrn.2345240' }] }
+};
+
+const PREPRINT = {
+  id: 'pub-preprint',
+  title: 'Second Screen and Participation',
+  authors: 'Giglietto, Fabio; Selva, Donatella',
+  year: 2013,
+  doi: '10.2139/ssrn.2345240',
+  crossref_type: 'posted-content',
+  relations: { publishedAs: [{ id: 'pub-article', doi: '10.1111/jcom.12085' }] }
+};
+
+describe('latexAccents', () => {
+  test('writes diacritics as braced accent commands', () => {
+    expect(latexAccents('Émile Durkheim')).toBe("{\\'E}mile Durkheim");
+    expect(latexAccents('Damásio, Çelik, Nuñez')).toBe("Dam{\\'a}sio, {\\c{C}}elik, Nu{\\~n}ez");
+    expect(latexAccents('Skogerbø, Łukasz')).toBe('Skogerb{\\o}, {\\L}ukasz');
+  });
+
+  test('leaves plain text alone', () => {
+    expect(latexAccents('Giglietto')).toBe('Giglietto');
+  });
+});
+
+describe('parseName', () => {
+  test('reads Last, First and First Last', () => {
+    expect(parseName('Giglietto, Fabio')).toEqual({ family: 'Giglietto', given: 'Fabio' });
+    expect(parseName('Fabio Giglietto')).toMatchObject({ family: 'Giglietto', given: 'Fabio' });
+  });
+
+  test('keeps particles with the family name', () => {
+    expect(parseName('Jan de Vries')).toMatchObject({ family: 'de Vries', given: 'Jan' });
+    expect(parseName('Ludwig van der Berg')).toMatchObject({
+      family: 'van der Berg',
+      given: 'Ludwig'
+    });
+  });
+
+  test('reads suffixes', () => {
+    expect(parseName('King, Jr., Martin Luther')).toEqual({
+      family: 'King',
+      suffix: 'Jr.',
+      given: 'Martin Luther'
+    });
+    expect(parseName('Martin Luther King Jr.')).toEqual({
+      family: 'King',
+      given: 'Martin Luther',
+      suffix: 'Jr.'
+    });
+  });
+
+  test('recognises organisations and truncated lists', () => {
+    expect(isCorporateName('European Digital Media Observatory')).toBe(true);
+    expect(isCorporateName('Giglietto, Fabio')).toBe(false);
+    expect(parseName('World Health Organization')).toEqual({
+      literal: 'World Health Organization'
+    });
+    expect(parseName('...')).toEqual({ others: true });
+  });
+});
+
+describe('formatName', () => {
+  test('writes von Last, Jr, First', () => {
+    expect(formatName({ family: 'de Vries', given: 'Jan' })).toBe('de Vries, Jan');
+    expect(formatName({ family: 'King', given: 'Martin Luther', suffix: 'Jr.' })).toBe(
+      'King, Jr., Martin Luther'
+    );
+  });
+
+  test('moves a particle Crossref left in the given name', () => {
+    expect(formatName({ family: 'Beethoven', given: 'Ludwig van' })).toBe('van Beethoven, Ludwig');
+  });
+
+  test('braces a family name with a lower-case word that is not a particle', () => {
+    expect(formatName({ family: 'Vargas y Llosa', given: 'Mario' })).toBe(
+      '{Vargas y Llosa}, Mario'
+    );
+  });
+
+  test('braces organisations', () => {
+    expect(formatName({ name: 'Data & Society' })).toBe('{Data \\& Society}');
+    expect(formatName({ literal: 'World Health Organization' })).toBe(
+      '{World Health Organization}'
+    );
+  });
+
+  test('writes diacritics as LaTeX only when asked', () => {
+    const name = { family: 'Damásio', given: 'Manuel José' };
+    expect(formatName(name)).toBe('Damásio, Manuel José');
+    expect(formatName(name, { latex: true })).toBe("Dam{\\'a}sio, Manuel Jos{\\'e}");
+  });
+
+  test('joins names with and, ending a truncated list with others', () => {
+    const names = ['Enli, G', 'Larsson, A', '...'].map(parseName);
+    expect(formatNames(names)).toBe('Enli, G and Larsson, A and others');
+  });
+});
+
+describe('publicationToBibtex', () => {
+  const bibtex = publicationToBibtex(ARTICLE, 'giglietto2014');
+
+  test('writes the bibliographic details', () => {
+    expect(bibtex).toMatch(/^@article\{giglietto2014,/);
+    expect(bibtex).toContain('author = {Giglietto, Fabio and Selva, Donatella}');
+    expect(bibtex).toContain('journal = {Journal of Communication}');
+    expect(bibtex).toContain('month = apr');
+    expect(bibtex).toContain('volume = {64}');
+    expect(bibtex).toContain('number = {2}');
+    expect(bibtex).toContain('pages = {260--277}');
+    expect(bibtex).toContain('issn = {0021-9916}');
+    expect(bibtex).toContain('language = {english}');
+    expect(bibtex).toContain('keywords = {Communication, Linguistics and Language}');
+    expect(bibtex).toContain(
+      'abstract = {The practice of using a second screen. When the secondary device is used…}'
+    );
+    expect(bibtex).toContain('note = {Preprint: https://doi.org/10.2139/ssrn.2345240}');
+  });
+
+  test('prefers the author string when the authors were overridden', () => {
+    const corrected = publicationToBibtex(
+      { ...ARTICLE, authors: 'Giglietto, F.; Selva, D.', overrides: ['authors'] },
+      'key'
+    );
+    expect(corrected).toContain('author = {Giglietto, F. and Selva, D.}');
+  });
+
+  test('gives chapters their editors and ISBN', () => {
+    const chapter = publicationToBibtex(
+      {
+        title: 'Coordinated inauthentic behavior',
+        crossref_authors: [{ family: 'Giglietto', given: 'Fabio' }],
+        crossref_editors: [
+          { family: 'Tumber', given: 'Howard' },
+          { family: 'Waisbord', given: 'Silvio' }
+        ],
+        year: 2023,
+        venue: 'Research Handbook on Visual Politics',
+        isbn: '9781800374256',
+        issn: '0000-0000',
+        crossref_type: 'book-chapter'
+      },
+      'key'
+    );
+    expect(chapter).toMatch(/^@incollection\{key,/);
+    expect(chapter).toContain('editor = {Tumber, Howard and Waisbord, Silvio}');
+    expect(chapter).toContain('isbn = {9781800374256}');
+    expect(chapter).not.toContain('issn');
+  });
+
+  test('writes names with diacritics as LaTeX', () => {
+    const entry = publicationToBibtex(
+      { ...ARTICLE, crossref_authors: [{ family: 'Damásio', given: 'Manuel José' }] },
+      'key'
+    );
+    expect(entry).toContain("author = {Dam{\\'a}sio, Manuel Jos{\\'e}}");
+  });
+
+  test('identifies preprints on their server', () => {
+    const entry = publicationToBibtex(PREPRINT, 'key');
+    expect(entry).toMatch(/^@unpublished\{key,/);
+    expect(entry).toContain('eprint = {2345240}');
+    expect(entry).toContain('eprinttype = {ssrn}');
+    expect(publicationToBibtex({ ...ARTICLE, arxivId: '2101.00001' }, 'key')).toContain(
+      'eprinttype = {arxiv}'
+    );
+  });
+});
+
+describe('publicationToBiblatex', () => {
+  const keysById = new Map([
+    ['pub-article', 'giglietto2014'],
+    ['pub-preprint', 'giglietto2013']
+  ]);
+
+  test('writes dates, journaltitle and UTF-8 names', () => {
+    const entry = publicationToBiblatex(
+      { ...ARTICLE, crossref_authors: [{ family: 'Damásio', given: 'Manuel José' }] },
+      'giglietto2014',
+      keysById
+    );
+    expect(entry).toMatch(/^@article\{giglietto2014,/);
+    expect(entry).toContain('author = {Damásio, Manuel José}');
+    expect(entry).toContain('journaltitle = {Journal of Communication}');
+    expect(entry).toContain('date = {2014-04}');
+    expect(entry).toContain('langid = {english}');
+    expect(entry).not.toContain('year =');
+  });
+
+  test('links a preprint and its published version with related and a note', () => {
+    const article = publicationToBiblatex(ARTICLE, 'giglietto2014', keysById);
+    expect(article).toContain('related = {giglietto2013}');
+    expect(article).toContain('relatedtype = {origpubas}');
+    expect(article).toContain('note = {Preprint: https://doi.org/10.2139/ssrn.2345240}');
+
+    const preprint = publicationToBiblatex(PREPRINT, 'giglietto2013', keysById);
+    expect(preprint).toMatch(/^@online\{giglietto2013,/);
+    expect(preprint).toContain('related = {giglietto2014}');
+    expect(preprint).toContain('relatedtype = {reprintas}');
+    expect(preprint).toContain('note = {Published version: https://doi.org/10.1111/jcom.12085}');
+    expect(preprint).toContain('eprinttype = {ssrn}');
+  });
+
+  test('keeps only the note when the linked version is not in the file', () => {
+    const article = publicationToBiblatex(ARTICLE, 'giglietto2014');
+    expect(article).not.toContain('related');
+    expect(article).toContain('note = {Preprint: https://doi.org/10.2139/ssrn.2345240}');
+  });
+
+  test('gives reports and theses their subtype', () => {
+    const thesis = publicationToBiblatex(
+      {
+        title: 'A thesis',
+        year: 2005,
+        publisher: 'Università di Urbino',
+        type: 'dissertation-thesis'
+      },
+      'key'
+    );
+    expect(thesis).toMatch(/^@thesis\{key,/);
+    expect(thesis).toContain('type = {phdthesis}');
+    expect(thesis).toContain('institution = {Università di Urbino}');
+  });
+});
+
+describe('extractNames', () => {
+  test('keeps name parts and organisations', () => {
+    expect(
+      extractNames([
+        { given: 'Fabio', family: 'Giglietto', sequence: 'first' },
+        { name: 'European Digital Media Observatory', sequence: 'additional' },
+        { given: 'Martin Luther', family: 'King', suffix: 'Jr.' },
+        {}
+      ])
+    ).toEqual([
+      { family: 'Giglietto', given: 'Fabio', suffix: null, name: null },
+      { family: null, given: null, suffix: null, name: 'European Digital Media Observatory' },
+      { family: 'King', given: 'Martin Luther', suffix: 'Jr.', name: null }
+    ]);
+    expect(extractNames(undefined)).toEqual([]);
+  });
+});
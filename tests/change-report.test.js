@@ -0,0 +1,192 @@
+/**
+ * Tests for the run-to-run change report (scripts/lib/change-report.js).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  readTrackedFiles,
+  buildChangeReport,
+  formatChangeReport
+} = require('../scripts/lib/change-report');
+const { validateContent, REPO_ROOT } = require('../scripts/lib/schemas');
+
+const NOW = '2026-03-02T06:00:00.000Z';
+
+function publication(title, doi, citations) {
+  const total = Math.max(0, ...Object.values(citations).map(count => count || 0));
+  return { title, doi, year: 2024, citations, metrics: { total_citations: total } };
+}
+
+function state(overrides = {}) {
+  return {
+    publications: {
+      publications: [
+        publication('Second screen', '10.1/ss', { scholar: 100, wos: 80 }),
+        publication('Coordinated behavior', '10.1/cb', { scholar: 50, wos: null }),
+        publication('Old preprint', null, { scholar: 2 })
+      ]
+    },
+    mentions: [{ title: 'Interview', url: 'https://news.example/a', personMatch: 'confirmed' }],
+    toread: { papers: [{ id: 'bibtex:Smith2025-ab', title: 'Paper A' }] },
+    episodes: { episodes: [{ id: 'bibtex:Smith2025-ab', title: 'Paper A', own: false }] },
+    teaching: {
+      courses: [
+        { title: 'SOCIOLOGIA', english_title: 'Sociology', code: 'SOC', academic_year: '2025' }
+      ],
+      office_hours: 'Monday',
+      lastUpdated: '2026-03-01'
+    },
+    university: {
+      profile: { name: 'Fabio Giglietto', office: 'Room 1' },
+      teaching: { courses: [] }
+    },
+    ...overrides
+  };
+}
+
+describe('buildChangeReport', () => {
+  test('reports nothing when the data did not change', () => {
+    const report = buildChangeReport(state(), state(), NOW);
+    expect(report.hasChanges).toBe(false);
+    expect(report.date).toBe('2026-03-02');
+    expect(report.publications.citations.changed).toEqual([]);
+  });
+
+  test('lists new and removed publications', () => {
+    const after = state();
+    after.publications.publications.splice(2, 1);
+    after.publications.publications.push(publication('New paper', '10.1/NEW', { scholar: 0 }));
+    const report = buildChangeReport(state(), after, NOW);
+    expect(report.publications.added).toEqual([
+      { title: 'New paper', year: 2024, doi: '10.1/NEW' }
+    ]);
+    expect(report.publications.removed).toEqual([{ title: 'Old preprint', year: 2024, doi: null }]);
+    expect(report.hasChanges).toBe(true);
+  });
+
+  test('computes citation deltas per publication and per source', () => {
+    const after = state();
+    after.publications.publications[0] = publication('Second screen', '10.1/SS', {
+      scholar: 104,
+      wos: 81
+    });
+    after.publications.publications[1] = publication('Coordinated behavior', '10.1/cb', {
+      scholar: 50,
+      wos: 3
+    });
+    const { citations } = buildChangeReport(state(), after, NOW).publications;
+
+    expect(citations.changed).toEqual([
+      expect.objectContaining({
+        title: 'Second screen',
+        before: 100,
+        after: 104,
+        delta: 4,
+        bySource: { scholar: 4, wos: 1 }
+      }),
+      expect.objectContaining({ title: 'Coordinated behavior', delta: 0, bySource: { wos: 3 } })
+    ]);
+    expect(citations.bySource).toEqual({
+      scholar: { before: 152, after: 156, delta: 4 },
+      wos: { before: 80, after: 84, delta: 4 }
+    });
+    expect(citations.total).toEqual({ before: 152, after: 156, delta: 4 });
+  });
+
+  test('lists new validated mentions, reading list papers and episodes', () => {
+    const after = state({
+      mentions: [
+        ...state().mentions,
+        { title: 'Podcast', url: 'https://radio.example/b', personMatch: 'confirmed' },
+        { title: 'Namesake', url: 'https://other.example/c', personMatch: 'different_person' }
+      ],
+      toread: { papers: [...state().toread.papers, { id: 'bibtex:Doe2026-cd', title: 'Paper B' }] },
+      episodes: {
+        episodes: [...state().episodes.episodes, { id: 'bibtex:Own2026', title: 'Mine', own: true }]
+      }
+    });
+    const report = buildChangeReport(state(), after, NOW);
+    expect(report.mentions.added.map(mention => mention.url)).toEqual(['https://radio.example/b']);
+    expect(report.toread.added).toEqual([{ id: 'bibtex:Doe2026-cd', title: 'Paper B', doi: null }]);
+    expect(report.episodes.added).toEqual([
+      { id: 'bibtex:Own2026', title: 'Mine', pubDate: null, own: true }
+    ]);
+  });
+
+  test('reports course and field changes in teaching and university data', () => {
+    const after = state();
+    after.teaching.courses = [{ title: 'RETI', code: 'NET', academic_year: '2026' }];
+    after.teaching.office_hours = 'Tuesday';
+    after.teaching.lastUpdated = '2026-03-02';
+    after.university.profile.office = 'Room 2';
+    const report = buildChangeReport(state(), after, NOW);
+
+    expect(report.teaching).toEqual({
+      coursesAdded: [{ title: 'RETI', code: 'NET', academicYear: '2026' }],
+      coursesRemoved: [{ title: 'Sociology', code: 'SOC', academicYear: '2025' }],
+      fieldsChanged: ['office_hours']
+    });
+    expect(report.university.fieldsChanged).toEqual(['profile.office']);
+  });
+
+  test('leaves out sections with no previous data', () => {
+    const report = buildChangeReport(state({ toread: null }), state(), NOW);
+    expect(report.toread).toBeNull();
+    expect(report.hasChanges).toBe(false);
+  });
+
+  test('produces reports that match their schema', () => {
+    const after = state();
+    after.publications.publications.push(publication('New paper', '10.1/new', { scholar: 1 }));
+    const report = buildChangeReport(state({ university: null }), after, NOW);
+    const file = path.join(REPO_ROOT, 'public/data/changes/2026-03-02.json');
+    expect(validateContent(file, JSON.stringify(report)).errors).toEqual([]);
+  });
+});
+
+describe('formatChangeReport', () => {
+  test('says so when nothing changed', () => {
+    expect(formatChangeReport(buildChangeReport(state(), state(), NOW))).toMatch(
+      /^# Data changes 2026-03-02\n\nNo changes/
+    );
+  });
+
+  test('renders only the sections that changed', () => {
+    const after = state();
+    after.publications.publications[0].citations.scholar = 110;
+    after.publications.publications[0].metrics.total_citations = 110;
+    after.toread.papers.push({ id: 'bibtex:Doe2026-cd', title: 'Paper B' });
+    const markdown = formatChangeReport(buildChangeReport(state(), after, NOW));
+
+    expect(markdown).toContain('## Publications');
+    expect(markdown).toContain('Citations: 162 (+10); by source: scholar +10');
+    expect(markdown).toContain('- Second screen: 110 (+10)');
+    expect(markdown).toContain('## #toread (1 new)\n- Paper B');
+    expect(markdown).not.toContain('## Teaching');
+  });
+
+  test('truncates long lists', () => {
+    const after = state();
+    for (let i = 0; i < 25; i++) after.toread.papers.push({ id: `bibtex:P${i}`, title: `P${i}` });
+    const markdown = formatChangeReport(buildChangeReport(state(), after, NOW));
+    expect(markdown).toContain('- …and 5 more');
+  });
+});
+
+describe('readTrackedFiles', () => {
+  test('parses the files that exist and reports the rest as null', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'change-report-test-'));
+    try {
+      fs.writeFileSync(path.join(tmpDir, 'toread.json'), '{"papers":[]}');
+      fs.writeFileSync(path.join(tmpDir, 'websearch.json'), 'not json');
+      const tracked = readTrackedFiles(tmpDir);
+      expect(tracked.toread).toEqual({ papers: [] });
+      expect(tracked.mentions).toBeNull();
+      expect(tracked.publications).toBeNull();
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
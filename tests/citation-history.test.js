@@ -0,0 +1,190 @@
+/**
+ * Tests for the per-work citation history (scripts/lib/citation-history.js).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadCitationHistory,
+  recordCitations,
+  yearlyCitations,
+  citationVelocity
+} = require('../scripts/lib/citation-history');
+const { validateContent } = require('../scripts/lib/schemas');
+
+const REGISTRY = {
+  works: { 'pub-0000000a': { keys: [] }, 'pub-0000000b': { keys: [] } },
+  aliases: { 'pub-0000000c': 'pub-0000000a' }
+};
+
+function pub(id, citations) {
+  return {
+    id,
+    title: `Paper ${id}`,
+    citations: { scholar: null, wos: null, scopus: null, semanticScholar: null, ...citations }
+  };
+}
+
+function record(history, publications, now) {
+  return recordCitations(history, publications, REGISTRY, now);
+}
+
+function emptyHistory() {
+  return { lastUpdated: null, works: {} };
+}
+
+describe('recordCitations', () => {
+  test('stores a point per source only when the count changes', () => {
+    const history = emptyHistory();
+    record(history, [pub('pub-0000000a', { scholar: 10, wos: 4 })], '2026-01-01T06:00:00Z');
+    record(history, [pub('pub-0000000a', { scholar: 10, wos: 5 })], '2026-01-02T06:00:00Z');
+    record(history, [pub('pub-0000000a', { scholar: 12, wos: 5 })], '2026-01-03T06:00:00Z');
+
+    const { sources } = history.works['pub-0000000a'];
+    expect(sources.scholar).toEqual({
+      checked: '2026-01-03',
+      points: [
+        { date: '2026-01-01', count: 10 },
+        { date: '2026-01-03', count: 12 }
+      ]
+    });
+    expect(sources.wos.points.map(point => point.count)).toEqual([4, 5]);
+    expect(sources).not.toHaveProperty('scopus');
+  });
+
+  test('replaces the point of a second run on the same day', () => {
+    const history = emptyHistory();
+    record(history, [pub('pub-0000000a', { scholar: 10 })], '2026-01-01T06:00:00Z');
+    record(history, [pub('pub-0000000a', { scholar: 11 })], '2026-01-02T06:00:00Z');
+    record(history, [pub('pub-0000000a', { scholar: 10 })], '2026-01-02T18:00:00Z');
+    expect(history.works['pub-0000000a'].sources.scholar.points).toEqual([
+      { date: '2026-01-01', count: 10 }
+    ]);
+  });
+
+  test('dates each source by when it collected its counts', () => {
+    const history = emptyHistory();
+    const counts = (scholar, wos) => [pub('pub-0000000a', { scholar, wos })];
+    recordCitations(history, counts(10, 4), REGISTRY, '2026-01-01T06:00:00Z', {
+      scholar: '2026-01-01T05:00:00Z',
+      wos: '2026-01-01T05:00:00Z'
+    });
+    // Scholar was blocked on the next two runs and left its 1 January file
+    recordCitations(history, counts(10, 5), REGISTRY, '2026-01-20T06:00:00Z', {
+      scholar: '2026-01-01T05:00:00Z',
+      wos: '2026-01-20T05:00:00Z'
+    });
+    recordCitations(history, counts(9, 5), REGISTRY, '2026-02-01T06:00:00Z', {
+      scholar: '2025-12-15T05:00:00Z',
+      wos: '2026-02-01T05:00:00Z'
+    });
+
+    const { sources } = history.works['pub-0000000a'];
+    expect(sources.scholar).toEqual({
+      checked: '2026-01-01',
+      points: [{ date: '2026-01-01', count: 10 }]
+    });
+    expect(sources.wos).toEqual({
+      checked: '2026-02-01',
+      points: [
+        { date: '2026-01-01', count: 4 },
+        { date: '2026-01-20', count: 5 }
+      ]
+    });
+  });
+
+  test('keeps the history of works no longer listed', () => {
+    const history = emptyHistory();
+    record(history, [pub('pub-0000000b', { scopus: 3 })], '2026-01-01T06:00:00Z');
+    record(history, [], '2026-01-02T06:00:00Z');
+    expect(history.works['pub-0000000b'].sources.scopus.checked).toBe('2026-01-01');
+  });
+
+  test("moves a merged-away ID's history to the ID it was merged into", () => {
+    const series = (date, count) => ({ checked: date, points: [{ date, count }] });
+    const history = {
+      lastUpdated: null,
+      works: {
+        'pub-0000000a': { title: 'Article', sources: { scholar: series('2025-12-01', 7) } },
+        'pub-0000000c': {
+          title: 'Preprint',
+          sources: { scholar: series('2025-12-01', 2), wos: series('2025-12-01', 1) }
+        }
+      }
+    };
+    record(history, [pub('pub-0000000a', { scholar: 9, wos: 1 })], '2026-01-01T06:00:00Z');
+    expect(Object.keys(history.works)).toEqual(['pub-0000000a']);
+    expect(history.works['pub-0000000a'].sources.scholar.points.map(point => point.count)).toEqual([
+      7, 9
+    ]);
+    expect(history.works['pub-0000000a'].sources.wos).toEqual({
+      checked: '2026-01-01',
+      points: [{ date: '2025-12-01', count: 1 }]
+    });
+  });
+
+  test('produces content that conforms to the schema', () => {
+    const history = emptyHistory();
+    record(
+      history,
+      [pub('pub-0000000a', { scholar: 10, semanticScholar: 2 })],
+      '2026-01-01T06:00:00Z'
+    );
+    history.lastUpdated = '2026-01-01T06:00:00Z';
+    const { errors } = validateContent(
+      'public/data/citation-history.json',
+      JSON.stringify(history)
+    );
+    expect(errors).toEqual([]);
+  });
+});
+
+describe('derived metrics', () => {
+  const points = [
+    { date: '2024-06-01', count: 10 },
+    { date: '2024-11-01', count: 14 },
+    { date: '2025-03-01', count: 20 },
+    { date: '2026-02-01', count: 26 }
+  ];
+
+  test('yearly citations count from the first point, then from each year end', () => {
+    expect(yearlyCitations(points)).toEqual({ 2024: 4, 2025: 6, 2026: 6 });
+    expect(yearlyCitations([])).toEqual({});
+  });
+
+  test('velocity is the gain over the last year up to the last check', () => {
+    expect(citationVelocity({ checked: '2026-03-01', points })).toBe(6);
+  });
+
+  test('velocity is extrapolated for young series and null below a month', () => {
+    const young = [
+      { date: '2026-01-01', count: 5 },
+      { date: '2026-02-01', count: 8 }
+    ];
+    expect(citationVelocity({ checked: '2026-03-02', points: young })).toBe(18.3);
+    expect(citationVelocity({ checked: '2026-01-20', points: young })).toBeNull();
+  });
+});
+
+describe('loadCitationHistory', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'citation-history-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('starts an empty history when there is none yet', () => {
+    expect(loadCitationHistory(path.join(tmpDir, 'missing.json'))).toEqual(emptyHistory());
+  });
+
+  test('throws on a file it cannot parse instead of starting over', () => {
+    const file = path.join(tmpDir, 'citation-history.json');
+    fs.writeFileSync(file, '{"works": {');
+    expect(() => loadCitationHistory(file)).toThrow(/Cannot read citation-history.json/);
+  });
+});
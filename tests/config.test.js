@@ -0,0 +1,99 @@
+/**
+ * Tests for the profile-driven configuration (scripts/config.js).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../scripts/config');
+
+const { loadProfile, createConfig } = config._testing;
+
+const PROFILE_PATH = path.join(__dirname, '../profile.yml');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/** Write the repository profile with `changes` applied and return its path. */
+function writeProfile(changes) {
+  const profile = { ...yaml.load(fs.readFileSync(PROFILE_PATH, 'utf8')), ...changes };
+  const filePath = path.join(tmpDir, 'profile.yml');
+  fs.writeFileSync(filePath, yaml.dump(profile));
+  return filePath;
+}
+
+describe('loadProfile', () => {
+  test('accepts the repository profile', () => {
+    expect(loadProfile().familyName).toBe(config.familyName);
+  });
+
+  test('rejects a profile missing required identity', () => {
+    const filePath = writeProfile({ familyName: undefined });
+    expect(() => loadProfile(filePath)).toThrow(/must have required property 'familyName'/);
+  });
+
+  test('rejects misspelt keys', () => {
+    const filePath = writeProfile({ nameVariant: ['F Giglietto'] });
+    expect(() => loadProfile(filePath)).toThrow(/must NOT have additional properties/);
+  });
+
+  test('reports a missing file', () => {
+    expect(() => loadProfile(path.join(tmpDir, 'none.yml'))).toThrow(/Cannot read profile/);
+  });
+});
+
+describe('createConfig', () => {
+  const profile = {
+    name: 'Ada Lovelace',
+    givenName: 'Ada',
+    familyName: 'Lovelace',
+    nameVariants: ['A. A. Lovelace', 'Countess of Lovelace'],
+    title: 'Analyst',
+    institution: 'Analytical Society',
+    email: 'ada@example.org',
+    siteUrl: 'https://ada.example.org/',
+    researchInterests: [],
+    expertise: [],
+    ids: { orcid: '0000-0000-0000-000X' },
+    social: {}
+  };
+
+  test('derives the Web of Science query and citation name from the name', () => {
+    const adaConfig = createConfig(profile);
+    expect(adaConfig.wosQuery).toBe('AU=("Lovelace, Ada")');
+    expect(adaConfig.citationName).toBe('Lovelace, A.');
+    expect(adaConfig.siteUrl).toBe('https://ada.example.org');
+  });
+
+  test('leaves identifiers the profile does not have unset', () => {
+    const adaConfig = createConfig(profile);
+    expect(adaConfig.scopusAuthorId).toBeNull();
+    expect(adaConfig.semanticScholarId).toBeNull();
+    expect(adaConfig.feeds).toEqual({});
+  });
+
+  test('matches name variants, aliases and name forms', () => {
+    const adaConfig = createConfig(profile);
+    expect(adaConfig.isOwnName('Countess of Lovelace')).toBe(true);
+    expect(adaConfig.isOwnName('Lovelace, A.')).toBe(true);
+    expect(adaConfig.isOwnName('ADA LOVELACE')).toBe(true);
+    expect(adaConfig.isOwnName('Lovelace, B.')).toBe(false);
+    expect(adaConfig.isOwnName('Lovelace')).toBe(false);
+  });
+});
+
+describe('repository profile', () => {
+  test('matches the ways bibliographic sources write the name', () => {
+    expect(config.isOwnName('Giglietto Fabio')).toBe(true);
+    expect(config.isOwnName('F. GIGLIETTO')).toBe(true);
+    expect(config.isOwnName('N. Giglietto')).toBe(false);
+  });
+});
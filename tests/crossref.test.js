@@ -0,0 +1,73 @@
+/**
+ * Tests for the Crossref collector's handling of failed lookups
+ * (scripts/collectors/crossref.js).
+ */
+
+jest.mock('../scripts/lib/http-client', () => ({ get: jest.fn() }));
+
+const path = require('path');
+const httpClient = require('../scripts/lib/http-client');
+const dataStore = require('../scripts/lib/data-store');
+const crossref = require('../scripts/collectors/crossref');
+
+const AGGREGATED = path.resolve(__dirname, '../public/data/aggregated-publications.json');
+const DOIS = ['10.1/a', '10.1/b', '10.1/c'];
+
+function work(doi) {
+  return { data: { message: { DOI: doi, title: [`Work ${doi}`], type: 'journal-article' } } };
+}
+
+beforeEach(() => {
+  dataStore.setInputSnapshot(
+    new Map([[AGGREGATED, JSON.stringify({ publications: DOIS.map(doi => ({ doi })) })]])
+  );
+  dataStore.setDryRun(true);
+  httpClient.get.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  dataStore.setDryRun(false);
+  dataStore.setInputSnapshot(null);
+  jest.restoreAllMocks();
+});
+
+describe('collect', () => {
+  test('writes crossref.json when most lookups succeed', async () => {
+    httpClient.get
+      .mockResolvedValueOnce(work('10.1/a'))
+      .mockResolvedValueOnce(work('10.1/b'))
+      .mockRejectedValueOnce(new Error('timeout'));
+
+    const result = await crossref.collect();
+    expect(result.error).toBeUndefined();
+    expect(result.metadata).toMatchObject({ successful_requests: 2, failed_requests: 1 });
+    expect(dataStore.stagedWrites().map(([file]) => file)).toEqual([crossref.OUTPUT_PATH]);
+    expect(crossref.lastCollectionOutcome()).toMatchObject({ status: 'ok' });
+  });
+
+  test('keeps the previous crossref.json when most lookups fail', async () => {
+    httpClient.get
+      .mockResolvedValueOnce(work('10.1/a'))
+      .mockRejectedValue(new Error('getaddrinfo ENOTFOUND api.crossref.org'));
+
+    const result = await crossref.collect();
+    expect(result.error).toBe('2 of 3 Crossref lookups failed');
+    expect(dataStore.stagedWrites()).toEqual([]);
+    expect(crossref.lastCollectionOutcome()).toMatchObject({
+      status: 'degraded',
+      error: '2 of 3 Crossref lookups failed'
+    });
+  });
+
+  test('does not count DOIs Crossref does not know as failures', async () => {
+    httpClient.get
+      .mockResolvedValueOnce(work('10.1/a'))
+      .mockRejectedValue(Object.assign(new Error('Not Found'), { response: { status: 404 } }));
+
+    const result = await crossref.collect();
+    expect(result.error).toBeUndefined();
+    expect(result.metadata).toMatchObject({ failed_requests: 0, not_found: 2 });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the data store (scripts/lib/data-store.js) and the dry-run diff
+ * (scripts/lib/text-diff.js).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dataStore = require('../scripts/lib/data-store');
+const { diffLines, formatDiff } = require('../scripts/lib/text-diff');
+
+describe('data store', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-store-test-'));
+  });
+
+  afterEach(() => {
+    dataStore.setDryRun(false);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('writes through to disk outside dry-run mode', () => {
+    const file = path.join(tmpDir, 'orcid.json');
+    dataStore.writeFileSync(file, '{}');
+    expect(fs.readFileSync(file, 'utf8')).toBe('{}');
+    expect(dataStore.stagedWrites()).toEqual([]);
+  });
+
+  test('stages writes in dry-run mode and serves them to later reads', () => {
+    const file = path.join(tmpDir, 'aggregated-publications.json');
+    dataStore.setDryRun(true);
+    dataStore.writeFileSync(file, '{"publications":[]}');
+
+    expect(fs.existsSync(file)).toBe(false);
+    expect(dataStore.existsSync(file)).toBe(true);
+    expect(dataStore.readFileSync(file, 'utf8')).toBe('{"publications":[]}');
+    expect(dataStore.stagedWrites()).toEqual([[file, '{"publications":[]}']]);
+  });
+
+  test('falls back to the disk copy for files not written this run', () => {
+    const file = path.join(tmpDir, 'scholar.json');
+    fs.writeFileSync(file, 'on disk');
+    dataStore.setDryRun(true);
+    expect(dataStore.readFileSync(file, 'utf8')).toBe('on disk');
+  });
+});
+
+describe('text diff', () => {
+  test('produces an edit script that rebuilds both sides', () => {
+    const a = ['a', 'b', 'c', 'd', 'e'];
+    const b = ['a', 'x', 'c', 'e', 'f'];
+    const script = diffLines(a, b);
+    expect(script.filter(e => e.op !== '+').map(e => e.line)).toEqual(a);
+    expect(script.filter(e => e.op !== '-').map(e => e.line)).toEqual(b);
+    expect(script.filter(e => e.op !== ' ')).toHaveLength(4);
+  });
+
+  test('gives up past the edit limit', () => {
+    expect(diffLines(['a', 'b', 'c'], ['x', 'y', 'z'], 2)).toBeNull();
+  });
+
+  test('formats hunks with context and line numbers', () => {
+    const oldText = ['1', '2', '3', '4', '5', '6', '7', '8'].join('\n');
+    const newText = ['1', '2', '3', '4', 'five', '6', '7', '8'].join('\n');
+    expect(formatDiff(oldText, newText)).toBe(
+      ['@@ -3,5 +3,5 @@', ' 3', ' 4', '-5', '+five', ' 6', ' 7'].join('\n')
+    );
+  });
+
+  test('returns an empty string for identical texts', () => {
+    expect(formatDiff('same', 'same')).toBe('');
+  });
+
+  test('truncates long diffs', () => {
+    const oldText = Array.from({ length: 100 }, (_, i) => `old ${i}`).join('\n');
+    const newText = Array.from({ length: 100 }, (_, i) => `new ${i}`).join('\n');
+    const lines = formatDiff(oldText, newText, { maxLines: 10 }).split('\n');
+    expect(lines).toHaveLength(11);
+    expect(lines[10]).toMatch(/more diff lines/);
+  });
+});
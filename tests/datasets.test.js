@@ -0,0 +1,196 @@
+/**
+ * Tests for research data deposits (scripts/lib/datasets.js), the citation
+ * metadata of GitHub repositories (scripts/collectors/github.js) and the
+ * Data & Software page data (scripts/generators/data-software-generator.js).
+ */
+
+const {
+  dataRepository,
+  depositDoi,
+  replicatedTitle,
+  groupDeposits,
+  linkReplications
+} = require('../scripts/lib/datasets');
+const { validateData } = require('../scripts/lib/schemas');
+const github = require('../scripts/collectors/github');
+const dataSoftware = require('../scripts/generators/data-software-generator');
+
+const { parseCitationCff, findZenodoDoi } = github._testing;
+const { toDatasetEntry, toSoftwareEntry } = dataSoftware._testing;
+
+function artifact(id, doi, title, fields = {}) {
+  return { id, doi, title, year: 2019, type: 'data-set', authors: null, ...fields };
+}
+
+const MPMPAS = 'Multi-Party Media Partisanship Attention Score';
+
+describe('deposit DOIs', () => {
+  test('name the repository and the deposit of a file or version', () => {
+    expect(dataRepository('10.7910/DVN/XNOARV/MEYZEF')).toBe('Harvard Dataverse');
+    expect(dataRepository('10.6084/M9.FIGSHARE.809555.V3')).toBe('Figshare');
+    expect(dataRepository('10.1111/jcom.12085')).toBeNull();
+    expect(depositDoi('10.7910/DVN/XNOARV/MEYZEF')).toBe('10.7910/dvn/xnoarv');
+    expect(depositDoi('10.6084/M9.FIGSHARE.809555.V3')).toBe('10.6084/m9.figshare.809555');
+    expect(depositDoi('10.5281/zenodo.16269197')).toBe('10.5281/zenodo.16269197');
+  });
+
+  test('read the paper a replication deposit names', () => {
+    expect(replicatedTitle(`Replication Data for: ${MPMPAS}`)).toBe(MPMPAS);
+    expect(replicatedTitle('Replication code for:  A study')).toBe('A study');
+    expect(replicatedTitle('Media Partisanship Attention in 2018 Italian Election')).toBeNull();
+  });
+});
+
+describe('groupDeposits', () => {
+  test('groups Dataverse files and Figshare versions under their deposit', () => {
+    const deposits = groupDeposits([
+      artifact('pub-1', '10.7910/dvn/xnoarv/meyzef', '0_load_rt_data.R'),
+      artifact('pub-2', '10.7910/dvn/xnoarv', `Replication Data for: ${MPMPAS}`),
+      artifact('pub-3', '10.7910/dvn/xnoarv/cx7khg', 'itanes_data.tab'),
+      artifact('pub-4', '10.6084/M9.FIGSHARE.809555.V1', 'new fileset', { year: 2013 }),
+      artifact('pub-5', '10.6084/m9.figshare.809555.v4', 'Twitter and Political Talk Shows', {
+        year: 2016
+      })
+    ]);
+    expect(deposits).toHaveLength(2);
+    expect(deposits[0]).toMatchObject({
+      id: 'pub-2',
+      doi: '10.7910/dvn/xnoarv',
+      repository: 'Harvard Dataverse',
+      files: [
+        { id: 'pub-1', doi: '10.7910/dvn/xnoarv/meyzef', title: '0_load_rt_data.R' },
+        { id: 'pub-3', doi: '10.7910/dvn/xnoarv/cx7khg', title: 'itanes_data.tab' }
+      ],
+      versions: []
+    });
+    // Without an entry of its own, the latest version names the deposit
+    expect(deposits[1]).toMatchObject({
+      id: 'pub-5',
+      title: 'Twitter and Political Talk Shows',
+      year: 2013,
+      url: 'https://doi.org/10.6084/m9.figshare.809555'
+    });
+    expect(deposits[1].versions.map(version => version.version)).toEqual([1, 4]);
+    expect(validateData('datasets', { datasets: deposits, lastUpdated: 'now' })).toEqual([]);
+  });
+});
+
+describe('linkReplications', () => {
+  test('links a deposit by its replication title and by Crossref relations', () => {
+    const deposits = groupDeposits([
+      artifact('pub-1', '10.7910/dvn/xnoarv', `Replication Data for: ${MPMPAS}`),
+      artifact('pub-2', '10.6084/m9.figshare.3385456.v1', '#JeNeSuisPaCharlie', { year: 2016 })
+    ]);
+    const paper = { id: 'pub-9', doi: '10.3270/93030', title: `${MPMPAS}.` };
+    const other = {
+      id: 'pub-8',
+      doi: '10.1/charlie',
+      title: 'Je suis Charlie',
+      crossref_relations: [{ type: 'is-supplemented-by', doi: '10.6084/M9.FIGSHARE.3385456' }]
+    };
+    expect(linkReplications(deposits, [paper, other])).toBe(2);
+    expect(deposits[0].replicates).toEqual([
+      { id: 'pub-9', doi: '10.3270/93030', title: `${MPMPAS}.`, via: 'title' }
+    ]);
+    expect(paper.relations.datasets).toEqual([
+      {
+        id: 'pub-1',
+        doi: '10.7910/dvn/xnoarv',
+        title: `Replication Data for: ${MPMPAS}`,
+        repository: 'Harvard Dataverse',
+        via: 'title'
+      }
+    ]);
+    expect(other.relations.datasets[0]).toMatchObject({ id: 'pub-2', via: 'crossref' });
+  });
+
+  test('leaves a deposit unlinked when its title matches two papers', () => {
+    const deposits = groupDeposits([
+      artifact('pub-1', '10.7910/dvn/abc', 'Replication Data for: Introduction')
+    ]);
+    const papers = [
+      { id: 'pub-2', title: 'Introduction' },
+      { id: 'pub-3', title: 'Introduction' }
+    ];
+    expect(linkReplications(deposits, papers)).toBe(0);
+    expect(papers[0].relations).toBeUndefined();
+  });
+});
+
+describe('GitHub citation metadata', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads the fields of a CITATION.cff file', () => {
+    const citation = parseCitationCff(
+      [
+        'cff-version: 1.2.0',
+        'title: CooRnet',
+        'version: 1.5',
+        'date-released: 2021-03-01',
+        'license: MIT',
+        'identifiers:',
+        '  - type: doi',
+        '    value: 10.5281/zenodo.3908225',
+        '  - type: url',
+        '    value: https://coornet.org'
+      ].join('\n')
+    );
+    expect(citation).toEqual({
+      title: 'CooRnet',
+      version: '1.5',
+      doi: '10.5281/zenodo.3908225',
+      date_released: '2021-03-01',
+      license: 'MIT',
+      identifiers: ['10.5281/zenodo.3908225']
+    });
+    expect(parseCitationCff('title: [unclosed')).toBeNull();
+  });
+
+  test('treats a malformed identifiers entry as no identifiers', () => {
+    const citation = parseCitationCff(
+      ['title: CooRnet', 'identifiers: 10.5281/zenodo.3908225'].join('\n')
+    );
+    expect(citation).toMatchObject({ title: 'CooRnet', doi: null, identifiers: [] });
+  });
+
+  test('finds a Zenodo DOI in a README badge', () => {
+    const readme =
+      '[![DOI](https://zenodo.org/badge/DOI/10.5281/ZENODO.3908225.svg)](https://doi.org/10.5281/zenodo.3908225)';
+    expect(findZenodoDoi(readme)).toBe('10.5281/zenodo.3908225');
+    expect(findZenodoDoi('# No badge here')).toBeNull();
+  });
+});
+
+describe('Data & Software page data', () => {
+  test('lists only own repositories that can be cited', () => {
+    const repo = { name: 'CooRnet', url: 'https://github.com/x/CooRnet', stars: 10, fork: false };
+    expect(toSoftwareEntry({ ...repo, citation: null, zenodo_doi: null })).toBeNull();
+    expect(toSoftwareEntry({ ...repo, fork: true, zenodo_doi: '10.5281/zenodo.1' })).toBeNull();
+    expect(toSoftwareEntry({ ...repo, zenodo_doi: '10.5281/zenodo.1' })).toMatchObject({
+      title: 'CooRnet',
+      doi_url: 'https://doi.org/10.5281/zenodo.1',
+      has_citation_file: false
+    });
+  });
+
+  test('shows a deposit with its files and the papers it replicates', () => {
+    const [deposit] = groupDeposits([
+      artifact('pub-1', '10.7910/dvn/xnoarv', `Replication Data for: ${MPMPAS}`),
+      artifact('pub-2', '10.7910/dvn/xnoarv/p6kayj', '5_sna.R')
+    ]);
+    linkReplications([deposit], [{ id: 'pub-9', doi: '10.3270/93030', title: MPMPAS }]);
+    const entry = toDatasetEntry(deposit);
+    expect(entry).toMatchObject({
+      files: ['5_sna.R'],
+      versions: 0,
+      replicates: [{ title: MPMPAS, url: 'https://doi.org/10.3270/93030' }]
+    });
+    expect(validateData('data-software', { datasets: [entry], software: [] })).toEqual([]);
+  });
+});
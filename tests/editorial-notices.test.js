@@ -0,0 +1,125 @@
+/**
+ * Tests for retraction and correction notices (scripts/lib/editorial-notices.js)
+ * and the Crossref updates they are read from (scripts/collectors/crossref.js).
+ */
+
+const {
+  noticeKind,
+  noticeStatus,
+  applyNotices,
+  isRetracted
+} = require('../scripts/lib/editorial-notices');
+const crossref = require('../scripts/collectors/crossref');
+
+const { extractUpdates } = crossref._testing;
+
+function work(id, doi, fields = {}) {
+  return { id, doi, title: `Work ${id}`, year: 2020, ...fields };
+}
+
+describe('extractUpdates', () => {
+  test('flattens Crossref updated-by entries, including Retraction Watch ones', () => {
+    expect(
+      extractUpdates([
+        {
+          updated: { 'date-parts': [[2023, 5, 2]] },
+          DOI: '10.1/retraction',
+          type: 'retraction',
+          label: 'Retraction',
+          source: 'retraction-watch',
+          'record-id': 45012
+        },
+        { DOI: '10.1/corr', type: 'Expression-of-Concern' },
+        { type: 'correction' }
+      ])
+    ).toEqual([
+      {
+        type: 'retraction',
+        doi: '10.1/retraction',
+        date: '2023-05-02',
+        label: 'Retraction',
+        source: 'retraction-watch',
+        record_id: '45012'
+      },
+      {
+        type: 'expression_of_concern',
+        doi: '10.1/corr',
+        date: null,
+        label: null,
+        source: null,
+        record_id: null
+      }
+    ]);
+    expect(extractUpdates(undefined)).toEqual([]);
+  });
+});
+
+describe('notice kinds', () => {
+  test('map Crossref update types and ignore other updates', () => {
+    expect(noticeKind('withdrawal')).toBe('retraction');
+    expect(noticeKind('expression-of-concern')).toBe('expression-of-concern');
+    expect(noticeKind('corrigendum')).toBe('correction');
+    expect(noticeKind('erratum')).toBe('erratum');
+    expect(noticeKind('new_version')).toBeNull();
+  });
+
+  test('give a work the status of its gravest notice', () => {
+    expect(noticeStatus([{ kind: 'erratum' }, { kind: 'retraction' }])).toBe('retracted');
+    expect(noticeStatus([{ kind: 'erratum' }, { kind: 'expression-of-concern' }])).toBe(
+      'expression-of-concern'
+    );
+    expect(noticeStatus([{ kind: 'correction' }])).toBe('corrected');
+    expect(noticeStatus([])).toBeNull();
+  });
+});
+
+describe('applyNotices', () => {
+  test('labels works from their own updated-by entries', () => {
+    const paper = work('pub-1', '10.1/paper', {
+      crossref_updated_by: [
+        { type: 'retraction', doi: '10.1/retraction', date: '2023-05-02', source: 'publisher' },
+        { type: 'correction', doi: '10.1/corr', date: '2021-01-10', source: 'publisher' },
+        { type: 'new_version', doi: '10.1/v2', date: '2022-01-01' }
+      ]
+    });
+    expect(applyNotices([paper, work('pub-2', '10.1/other')])).toEqual([paper]);
+    expect(paper.notices.map(notice => [notice.kind, notice.doi])).toEqual([
+      ['correction', '10.1/corr'],
+      ['retraction', '10.1/retraction']
+    ]);
+    expect(paper.notice_status).toBe('retracted');
+    expect(isRetracted(paper)).toBe(true);
+  });
+
+  test('labels a listed work from a notice that updates it', () => {
+    const paper = work('pub-1', '10.1/PAPER');
+    const erratum = work('pub-2', '10.1/erratum', {
+      crossref_update_to: [{ type: 'erratum', doi: '10.1/paper', date: '2020-06-01' }]
+    });
+    applyNotices([paper, erratum]);
+    expect(paper.notices).toEqual([
+      {
+        kind: 'erratum',
+        type: 'erratum',
+        doi: '10.1/erratum',
+        date: '2020-06-01',
+        label: null,
+        source: null
+      }
+    ]);
+    expect(paper.notice_status).toBe('corrected');
+    expect(erratum.notices).toBeUndefined();
+  });
+
+  test('records a notice both sides report once', () => {
+    const paper = work('pub-1', '10.1/paper', {
+      crossref_updated_by: [{ type: 'erratum', doi: '10.1/erratum' }]
+    });
+    const erratum = work('pub-2', '10.1/erratum', {
+      crossref_update_to: [{ type: 'erratum', doi: '10.1/paper' }]
+    });
+    applyNotices([paper, erratum]);
+    applyNotices([paper, erratum]);
+    expect(paper.notices).toHaveLength(1);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for `npm run explain` (scripts/helpers/explain-publication.js).
+ */
+
+const { explain, findWorks } = require('../scripts/helpers/explain-publication');
+
+const REGISTRY = {
+  works: {
+    'pub-0000000a': {
+      keys: ['doi:10.1/clsb', 'wos:W1', 'scholar:S9', 'title:coordinated link sharing behavior'],
+      firstSeen: '2026-03-01T06:00:00.000Z',
+      lastSeen: '2026-03-02T06:00:00.000Z'
+    },
+    'pub-0000000c': {
+      keys: ['doi:10.1/hidden'],
+      firstSeen: '2026-03-01T06:00:00.000Z',
+      lastSeen: '2026-03-02T06:00:00.000Z'
+    }
+  },
+  aliases: { 'pub-0000000b': 'pub-0000000a' }
+};
+
+const PUBLICATIONS = [
+  {
+    id: 'pub-0000000a',
+    title: 'Coordinated Link Sharing Behavior',
+    doi: '10.1/CLSB',
+    year: 2020,
+    relations: {
+      preprints: [
+        { id: 'pub-0000000e', doi: '10.31235/osf.io/abcd', server: 'SocArXiv', via: 'title' }
+      ]
+    },
+    notices: [
+      {
+        kind: 'correction',
+        type: 'correction',
+        doi: '10.1/clsb-corr',
+        date: '2021-02-01',
+        source: 'publisher'
+      }
+    ],
+    merge_history: [
+      { source: 'wos', method: 'new', sourceId: 'W1', fields: ['title', 'doi'] },
+      {
+        source: 'scholar',
+        method: 'title-dice',
+        score: 0.873,
+        threshold: 0.8,
+        sourceId: 'S9',
+        sourceTitle: 'Coordinated link-sharing behaviour',
+        ambiguousWith: ['Coordinated link sharing behaviour'],
+        fields: ['citations.scholar']
+      }
+    ]
+  },
+  { id: 'pub-0000000d', title: 'Another paper', doi: null }
+];
+
+describe('findWorks', () => {
+  test('finds a work by DOI, doi.org URL, ID, merged ID or title', () => {
+    for (const query of [
+      '10.1/clsb',
+      'https://doi.org/10.1/clsb',
+      'pub-0000000a',
+      'pub-0000000b',
+      'coordinated link sharing behavior',
+      'link sharing'
+    ]) {
+      expect(findWorks(PUBLICATIONS, REGISTRY, query).map(pub => pub.id)).toEqual(['pub-0000000a']);
+    }
+  });
+});
+
+describe('explain', () => {
+  test('prints the matches, their scores and the fields they set', () => {
+    const output = explain(PUBLICATIONS, REGISTRY, '10.1/clsb').join('\n');
+    expect(output).toContain('pub-0000000a  "Coordinated Link Sharing Behavior"');
+    expect(output).toContain('Merged IDs: pub-0000000b');
+    expect(output).toMatch(/wos\s+created the entry \[W1\]/);
+    expect(output).toMatch(/scholar\s+matched by title, Dice 0.873 >= 0.8 \[S9\]/);
+    expect(output).toContain('"Coordinated link-sharing behaviour"');
+    expect(output).toContain(
+      'ambiguous: matched "Coordinated link sharing behaviour" equally well'
+    );
+    expect(output).toContain('set: citations.scholar');
+    expect(output).toContain('Preprint: pub-0000000e on SocArXiv (linked by title)');
+    expect(output).toContain('Notice: correction 10.1/clsb-corr (2021-02-01, from publisher)');
+  });
+
+  test('says when a registered work is not in the aggregate', () => {
+    expect(explain(PUBLICATIONS, REGISTRY, 'doi:10.1/hidden')).toEqual([
+      'doi:10.1/hidden is registered as pub-0000000c but is hidden or no longer listed by any source'
+    ]);
+    expect(explain(PUBLICATIONS, REGISTRY, 'no such paper')).toBeNull();
+  });
+});
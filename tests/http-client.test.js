@@ -0,0 +1,179 @@
+/**
+ * Tests for the shared HTTP client (scripts/lib/http-client.js).
+ *
+ * Requests go to a local server whose responses are scripted per path; the
+ * client's sleeps are stubbed so retry delays are recorded, not waited for.
+ */
+
+const http = require('http');
+const httpClient = require('../scripts/lib/http-client');
+
+const { HttpError } = httpClient;
+const { timers, limiters, HostLimiter, parseRetryAfter, backoffDelay } = httpClient._testing;
+
+let server;
+let baseUrl;
+let routes;
+let requests;
+let delays;
+
+beforeAll(
+  () =>
+    new Promise(resolve => {
+      server = http.createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        const script = routes[req.url.split('?')[0]] || [{ status: 404, body: 'not found' }];
+        // Serve the scripted responses in order, repeating the last one.
+        const step = script.length > 1 ? script.shift() : script[0];
+        if (step.hang) return;
+        res.writeHead(step.status, { 'content-type': 'application/json', ...step.headers });
+        res.end(step.body === undefined ? '{"ok":true}' : step.body);
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    })
+);
+
+afterAll(() => {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  routes = {};
+  requests = [];
+  delays = [];
+  jest.spyOn(timers, 'sleep').mockImplementation(ms => {
+    delays.push(ms);
+    return Promise.resolve();
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  limiters.clear();
+});
+
+describe('requests', () => {
+  test('resolves to the parsed body with getJson', async () => {
+    routes['/works'] = [{ status: 200, body: '{"message":{"DOI":"10.1/x"}}' }];
+    await expect(httpClient.getJson(`${baseUrl}/works`)).resolves.toEqual({
+      message: { DOI: '10.1/x' }
+    });
+  });
+
+  test('sends an identifying User-Agent with a mailto', async () => {
+    routes['/ua'] = [{ status: 200 }];
+    await httpClient.get(`${baseUrl}/ua`);
+    expect(requests[0].headers['user-agent']).toMatch(/mailto:\S+@\S+/);
+  });
+
+  test('lets scrapers override the User-Agent', async () => {
+    routes['/ua'] = [{ status: 200 }];
+    await httpClient.get(`${baseUrl}/ua`, { headers: { 'User-Agent': 'Mozilla/5.0' } });
+    expect(requests[0].headers['user-agent']).toBe('Mozilla/5.0');
+  });
+
+  test('rejects a body that is not JSON', async () => {
+    routes['/html'] = [{ status: 200, body: '<html>robot check</html>' }];
+    await expect(httpClient.getJson(`${baseUrl}/html`)).rejects.toMatchObject({
+      code: 'ERR_BAD_RESPONSE'
+    });
+  });
+});
+
+describe('retries', () => {
+  test('retries server errors with exponential backoff', async () => {
+    routes['/flaky'] = [{ status: 503 }, { status: 502 }, { status: 200, body: '{"n":3}' }];
+    await expect(httpClient.getJson(`${baseUrl}/flaky`)).resolves.toEqual({ n: 3 });
+    expect(requests).toHaveLength(3);
+    expect(delays).toEqual([backoffDelay(1), backoffDelay(2)]);
+  });
+
+  test('waits as long as Retry-After asks', async () => {
+    routes['/limited'] = [{ status: 429, headers: { 'retry-after': '7' } }, { status: 200 }];
+    await httpClient.get(`${baseUrl}/limited`);
+    expect(requests).toHaveLength(2);
+    expect(delays).toContain(7000);
+  });
+
+  test('holds back other requests to the host after a Retry-After', async () => {
+    routes['/limited'] = [{ status: 429, headers: { 'retry-after': '5' } }, { status: 200 }];
+    await httpClient.get(`${baseUrl}/limited`);
+    delays = [];
+    await httpClient.get(`${baseUrl}/limited`);
+    expect(delays.length).toBe(1);
+    expect(delays[0]).toBeGreaterThan(4000);
+  });
+
+  test('does not retry client errors', async () => {
+    routes['/private'] = [{ status: 401, body: '{"error":"bad key"}' }];
+    const error = await httpClient.get(`${baseUrl}/private?apiKey=secret`).catch(e => e);
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error).toMatchObject({ code: 'ERR_HTTP_STATUS', status: 401, attempts: 1 });
+    expect(error.response.data).toEqual({ error: 'bad key' });
+    expect(error.url).not.toContain('secret');
+    expect(requests).toHaveLength(1);
+  });
+
+  test('gives up after the configured number of retries', async () => {
+    routes['/down'] = [{ status: 500 }];
+    const error = await httpClient.get(`${baseUrl}/down`, { retries: 2 }).catch(e => e);
+    expect(error).toMatchObject({ status: 500, attempts: 3 });
+    expect(requests).toHaveLength(3);
+  });
+
+  test('fails at once when Retry-After is longer than a run should wait', async () => {
+    routes['/later'] = [{ status: 429, headers: { 'retry-after': '3600' } }];
+    const error = await httpClient.get(`${baseUrl}/later`).catch(e => e);
+    expect(error).toMatchObject({ status: 429, retryAfterMs: 3600000, attempts: 1 });
+  });
+
+  test('reports timeouts', async () => {
+    routes['/hang'] = [{ hang: true }];
+    const error = await httpClient
+      .get(`${baseUrl}/hang`, { timeout: 50, retries: 0 })
+      .catch(e => e);
+    expect(error).toMatchObject({ code: 'ERR_TIMEOUT', host: '127.0.0.1' });
+  });
+});
+
+describe('HostLimiter', () => {
+  test('caps concurrent requests and spaces their starts', async () => {
+    const limiter = new HostLimiter({ concurrency: 2, minIntervalMs: 100 });
+    let active = 0;
+    let peak = 0;
+    const task = async () => {
+      await limiter.acquire();
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      active--;
+      limiter.release();
+    };
+    await Promise.all([task(), task(), task(), task()]);
+    expect(peak).toBe(2);
+    // Every start after the first waited for its slot in the schedule.
+    expect(delays).toHaveLength(3);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('reads seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+  });
+
+  test('measures an HTTP date against the server clock', () => {
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', 'Wed, 21 Oct 2026 07:28:00 GMT')).toBe(
+      30000
+    );
+  });
+
+  test('ignores missing or malformed values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
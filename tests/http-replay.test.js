@@ -0,0 +1,228 @@
+/**
+ * Tests for HTTP record/replay (scripts/lib/http-replay.js).
+ *
+ * Records real traffic against a local server, shuts the server down, and
+ * checks that replay serves the same responses through every client the
+ * collectors use.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const axios = require('axios');
+const dataStore = require('../scripts/lib/data-store');
+const httpReplay = require('../scripts/lib/http-replay');
+
+const { redactUrl, requestKey } = httpReplay._testing;
+
+let tmpDir;
+let fixtures;
+let server;
+let baseUrl;
+let hits;
+
+function startServer() {
+  hits = 0;
+  server = http.createServer((req, res) => {
+    hits++;
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      if (req.url === '/gzip') {
+        res.writeHead(200, { 'content-type': 'application/json', 'content-encoding': 'gzip' });
+        res.end(zlib.gzipSync(JSON.stringify({ compressed: true })));
+        return;
+      }
+      if (req.url === '/missing') {
+        res.writeHead(404, { 'content-type': 'text/plain' });
+        res.end('not here');
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ path: req.url, method: req.method, body, hit: hits }));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+}
+
+function stopServer() {
+  return new Promise(resolve => server.close(resolve));
+}
+
+function rawGet(url) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, res => {
+        let data = '';
+        res.on('data', chunk => (data += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, data }));
+      })
+      .on('error', reject);
+  });
+}
+
+beforeEach(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-replay-test-'));
+  fixtures = path.join(tmpDir, 'fixtures');
+  await startServer();
+});
+
+afterEach(async () => {
+  httpReplay.stop();
+  if (server.listening) await stopServer();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/** Record `run` against the live server, then replay it with the server down. */
+async function recordThenReplay(run, options = {}) {
+  httpReplay.startRecording(fixtures, options);
+  const recorded = await run();
+  httpReplay.stop();
+  await stopServer();
+
+  httpReplay.startReplay(fixtures, options);
+  const replayed = await run();
+  const session = httpReplay.stop();
+  return { recorded, replayed, session };
+}
+
+describe('record and replay', () => {
+  test('replays axios responses without the network', async () => {
+    const { recorded, replayed, session } = await recordThenReplay(
+      async () => (await axios.get(`${baseUrl}/orcid?page=1`)).data
+    );
+    expect(recorded.path).toBe('/orcid?page=1');
+    expect(replayed).toEqual(recorded);
+    expect(session.requests).toBe(1);
+  });
+
+  test('replays raw https.get-style callers', async () => {
+    const { recorded, replayed } = await recordThenReplay(() => rawGet(`${baseUrl}/feed.xml`));
+    expect(replayed).toEqual(recorded);
+  });
+
+  test('replays fetch requests keyed by their body', async () => {
+    const post = body =>
+      fetch(`${baseUrl}/generate`, { method: 'POST', body }).then(res => res.json());
+    const { recorded, replayed } = await recordThenReplay(async () => [
+      await post('prompt one'),
+      await post('prompt two')
+    ]);
+    expect(recorded.map(r => r.body)).toEqual(['prompt one', 'prompt two']);
+    expect(replayed).toEqual(recorded);
+  });
+
+  test('replays repeated requests in the order they were recorded', async () => {
+    const { recorded, replayed } = await recordThenReplay(async () => [
+      (await axios.get(`${baseUrl}/poll`)).data.hit,
+      (await axios.get(`${baseUrl}/poll`)).data.hit
+    ]);
+    expect(recorded).toEqual([1, 2]);
+    expect(replayed).toEqual([1, 2]);
+  });
+
+  test('stores compressed responses decoded', async () => {
+    const { replayed } = await recordThenReplay(
+      async () => (await axios.get(`${baseUrl}/gzip`)).data
+    );
+    expect(replayed).toEqual({ compressed: true });
+  });
+
+  test('replays error statuses', async () => {
+    const { replayed } = await recordThenReplay(() => rawGet(`${baseUrl}/missing`));
+    expect(replayed).toEqual({ status: 404, data: 'not here' });
+  });
+
+  test('fails requests that were not recorded', async () => {
+    httpReplay.startRecording(fixtures);
+    httpReplay.stop();
+    httpReplay.startReplay(fixtures);
+    await expect(axios.get(`${baseUrl}/never`)).rejects.toMatchObject({
+      code: 'ERR_REPLAY_MISS'
+    });
+    expect(hits).toBe(0);
+  });
+
+  test('freezes the clock at the recording time', async () => {
+    httpReplay.startRecording(fixtures);
+    const recordedAt = new Date().toISOString();
+    httpReplay.stop();
+
+    httpReplay.startReplay(fixtures);
+    expect(new Date().toISOString()).toBe(recordedAt);
+    expect(Date.now()).toBe(Date.parse(recordedAt));
+    expect(new Date('2020-01-01').getUTCFullYear()).toBe(2020);
+    expect(new Date() instanceof Date).toBe(true);
+  });
+});
+
+describe('data files', () => {
+  test('replays the pre-run state of data files and checks outputs', async () => {
+    const root = path.join(tmpDir, 'repo');
+    fs.mkdirSync(root);
+    const input = path.join(root, 'ora.json');
+    const output = path.join(root, 'summary.json');
+    fs.writeFileSync(input, '{"records":1}');
+
+    const run = async () => {
+      const previous = dataStore.readFileSync(input, 'utf8');
+      dataStore.writeFileSync(output, `${previous} @ ${new Date().toISOString()}`);
+      return previous;
+    };
+
+    httpReplay.startRecording(fixtures, { root });
+    await run();
+    httpReplay.stop();
+    const recordedOutput = fs.readFileSync(output, 'utf8');
+
+    // The tree moves on after the recording
+    fs.writeFileSync(input, '{"records":2}');
+    fs.rmSync(output);
+
+    httpReplay.startReplay(fixtures, { root });
+    expect(await run()).toBe('{"records":1}');
+    const session = httpReplay.stop();
+    expect(fs.readFileSync(output, 'utf8')).toBe(recordedOutput);
+    expect(session.mismatched).toEqual([]);
+  });
+
+  test('records credential names but not their values', () => {
+    process.env.REPLAY_TEST_API_KEY = 'secret-value';
+    try {
+      httpReplay.startRecording(fixtures);
+      httpReplay.stop();
+    } finally {
+      delete process.env.REPLAY_TEST_API_KEY;
+    }
+    const manifest = fs.readFileSync(path.join(fixtures, 'manifest.json'), 'utf8');
+    expect(JSON.parse(manifest).credentials).toContain('REPLAY_TEST_API_KEY');
+    expect(manifest).not.toContain('secret-value');
+
+    httpReplay.applyReplayCredentials(fixtures);
+    expect(process.env.REPLAY_TEST_API_KEY).toBe('replay');
+    delete process.env.REPLAY_TEST_API_KEY;
+  });
+});
+
+describe('request keys', () => {
+  test('redact credentials in query parameters', () => {
+    expect(redactUrl('https://api.elsevier.com/search?query=x&apiKey=abc')).toBe(
+      'https://api.elsevier.com/search?query=x&apiKey=REDACTED'
+    );
+  });
+
+  test('distinguish requests by body', () => {
+    const url = 'https://example.org/v1/models:generate';
+    expect(requestKey('POST', url, Buffer.from('a'))).not.toBe(
+      requestKey('POST', url, Buffer.from('b'))
+    );
+    expect(requestKey('get', url)).toBe(`GET ${url}`);
+  });
+});
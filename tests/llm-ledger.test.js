@@ -0,0 +1,157 @@
+/**
+ * Tests for the LLM usage ledger and per-run budget (scripts/lib/llm-ledger.js).
+ */
+
+const dataStore = require('../scripts/lib/data-store');
+const llmLedger = require('../scripts/lib/llm-ledger');
+const { validateContent } = require('../scripts/lib/schemas');
+const { MODELS: GEMINI_MODELS } = require('../scripts/helpers/gemini-client');
+const { MODELS: ANTHROPIC_MODELS } = require('../scripts/helpers/anthropic-client');
+
+const { reset, REPORT_PATH } = llmLedger._testing;
+
+const GEMINI = { provider: 'gemini', model: GEMINI_MODELS.FLASH, purpose: 'test.gemini' };
+
+function geminiResponse(usage, webSearchQueries) {
+  return {
+    text: 'ok',
+    usageMetadata: usage,
+    candidates: [{ groundingMetadata: webSearchQueries ? { webSearchQueries } : undefined }]
+  };
+}
+
+// 1M input tokens at $0.50 plus 100k output + 100k thinking at $3.00: $1.10
+const DOLLAR_CALL = geminiResponse({
+  promptTokenCount: 1e6,
+  candidatesTokenCount: 1e5,
+  thoughtsTokenCount: 1e5
+});
+
+let savedBudget;
+
+beforeEach(() => {
+  reset();
+  savedBudget = process.env.LLM_BUDGET_USD;
+  delete process.env.LLM_BUDGET_USD;
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  if (savedBudget === undefined) delete process.env.LLM_BUDGET_USD;
+  else process.env.LLM_BUDGET_USD = savedBudget;
+  dataStore.setDryRun(false);
+  jest.restoreAllMocks();
+});
+
+describe('track', () => {
+  test('records Gemini token counts, search queries and estimated cost', async () => {
+    const response = geminiResponse(
+      {
+        promptTokenCount: 1000,
+        cachedContentTokenCount: 400,
+        candidatesTokenCount: 200,
+        thoughtsTokenCount: 300
+      },
+      ['q1', 'q2']
+    );
+    await expect(llmLedger.track(GEMINI, async () => response)).resolves.toBe(response);
+
+    const { totals, byPurpose } = llmLedger.summary();
+    expect(totals).toMatchObject({
+      calls: 1,
+      inputTokens: 600,
+      cachedInputTokens: 400,
+      outputTokens: 200,
+      thinkingTokens: 300,
+      searchQueries: 2,
+      promptCacheHits: 1
+    });
+    // 600 * 0.5 + 400 * 0.05 + 500 * 3.0 per million, plus two queries
+    expect(totals.costUsd).toBeCloseTo(0.00182 + 2 * 0.014, 6);
+    expect(byPurpose['test.gemini'].calls).toBe(1);
+  });
+
+  test('records Anthropic usage with thinking folded into output', async () => {
+    await llmLedger.track(
+      { provider: 'anthropic', model: ANTHROPIC_MODELS.REVIEWER, purpose: 'test.anthropic' },
+      async () => ({ usage: { input_tokens: 1e6, output_tokens: 1e6, cache_read_input_tokens: 0 } })
+    );
+    const { totals } = llmLedger.summary();
+    expect(totals.thinkingTokens).toBe(0);
+    expect(totals.costUsd).toBeCloseTo(18, 6);
+  });
+
+  test('records failed calls and rethrows their error', async () => {
+    await expect(
+      llmLedger.track(GEMINI, async () => {
+        throw new Error('503 Service Unavailable');
+      })
+    ).rejects.toThrow('503');
+    expect(llmLedger.summary().totals).toMatchObject({ calls: 1, errors: 1, costUsd: 0 });
+  });
+
+  test('leaves the cost of a model without prices unset', async () => {
+    await llmLedger.track({ ...GEMINI, model: 'unknown-model' }, async () => DOLLAR_CALL);
+    expect(llmLedger.summary().totals.costUsd).toBe(0);
+  });
+});
+
+describe('budget', () => {
+  test('refuses calls without calling the model once the budget is spent', async () => {
+    process.env.LLM_BUDGET_USD = '1.5';
+    await llmLedger.track(GEMINI, async () => DOLLAR_CALL);
+    await llmLedger.track(GEMINI, async () => DOLLAR_CALL);
+
+    const call = jest.fn();
+    await expect(llmLedger.track(GEMINI, call)).rejects.toBeInstanceOf(llmLedger.LlmBudgetError);
+    expect(call).not.toHaveBeenCalled();
+
+    const summary = llmLedger.summary();
+    expect(summary.budgetExhausted).toBe(true);
+    expect(summary.totals).toMatchObject({ calls: 2, skipped: 1 });
+  });
+
+  test('has no cap when LLM_BUDGET_USD is empty', async () => {
+    process.env.LLM_BUDGET_USD = '';
+    for (let i = 0; i < 3; i++) await llmLedger.track(GEMINI, async () => DOLLAR_CALL);
+    expect(llmLedger.summary()).toMatchObject({ budgetUsd: null, budgetExhausted: false });
+  });
+
+  test('treats an invalid budget as zero', async () => {
+    process.env.LLM_BUDGET_USD = 'five';
+    await expect(llmLedger.track(GEMINI, async () => DOLLAR_CALL)).rejects.toMatchObject({
+      code: 'ERR_LLM_BUDGET'
+    });
+  });
+});
+
+describe('writeReport', () => {
+  test('writes nothing for a run without LLM activity', () => {
+    dataStore.setDryRun(true);
+    llmLedger.writeReport('collect');
+    expect(dataStore.stagedWrites()).toEqual([]);
+  });
+
+  test('appends the run, with cache hits, in the llm-usage contract', async () => {
+    dataStore.setDryRun(true);
+    process.env.LLM_BUDGET_USD = '0.5';
+    llmLedger.recordCacheHit('test.gemini');
+    await llmLedger.track(GEMINI, async () => DOLLAR_CALL);
+    await expect(llmLedger.track(GEMINI, async () => DOLLAR_CALL)).rejects.toThrow(
+      /budget exhausted/
+    );
+    llmLedger.writeReport('collect');
+    reset();
+    await llmLedger.track(GEMINI, async () => DOLLAR_CALL);
+    llmLedger.writeReport('generate-about');
+
+    const content = dataStore.readFileSync(REPORT_PATH, 'utf8');
+    expect(validateContent(REPORT_PATH, content).errors).toEqual([]);
+    const { runs } = JSON.parse(content);
+    expect(runs.map(run => run.command)).toEqual(['collect', 'generate-about']);
+    expect(runs[0]).toMatchObject({ budgetUsd: 0.5, budgetExhausted: true });
+    expect(runs[0].byPurpose['test.gemini']).toMatchObject({ calls: 1, skipped: 1, cacheHits: 1 });
+    expect(runs[0].calls.map(call => call.status)).toEqual(['ok', 'skipped']);
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Tests for the open-access classification and the EU deposit report
+ * (scripts/lib/open-access.js), and the open-access share the publications
+ * generator writes for the page's chart.
+ */
+
+jest.mock('../scripts/lib/ora-search', () => ({ findOraPdfByDoi: jest.fn() }));
+jest.mock('../scripts/lib/unpaywall', () => ({ resolveOaPdf: jest.fn() }));
+
+const {
+  classifyOpenAccess,
+  pdfUrl,
+  resolvePdfs,
+  classifyAll,
+  euProgramme,
+  depositReport
+} = require('../scripts/lib/open-access');
+const { findOraPdfByDoi } = require('../scripts/lib/ora-search');
+const { resolveOaPdf } = require('../scripts/lib/unpaywall');
+const publicationsGenerator = require('../scripts/generators/publications-generator');
+const { validateData } = require('../scripts/lib/schemas');
+
+const { openAccessSummary } = publicationsGenerator._testing;
+
+const ORA_PDF = 'https://ora.uniurb.it/bitstream/11576/2674874/10/AAM_with_cover.pdf';
+const VERA = {
+  title: 'vera.ai',
+  funder: 'European Commission (Horizon Europe)',
+  grant_id: '101070093'
+};
+const PROMPT = {
+  title: 'PROMPT',
+  funder: 'European Commission (DG CNECT)',
+  grant_id: 'CNECT/LC-02629302'
+};
+
+describe('classifyOpenAccess', () => {
+  test('takes the best status any source gives, with its evidence', () => {
+    const oa = classifyOpenAccess({
+      oaStatus: 'hybrid',
+      oaUrl: 'https://doi.org/10.1/x',
+      oaPdfUrl: ORA_PDF
+    });
+    expect(oa).toEqual({
+      status: 'hybrid',
+      source: 'openalex',
+      url: 'https://doi.org/10.1/x',
+      evidence: [
+        { source: 'openalex', status: 'hybrid', url: 'https://doi.org/10.1/x' },
+        { source: 'ora', status: 'green', url: ORA_PDF }
+      ],
+      deposit: { source: 'ora', url: ORA_PDF }
+    });
+  });
+
+  test('counts a repository copy over a closed status and reads preprints', () => {
+    expect(classifyOpenAccess({ oaStatus: 'closed', oaPdfUrl: ORA_PDF })).toMatchObject({
+      status: 'green',
+      source: 'ora'
+    });
+    const preprinted = classifyOpenAccess({
+      oaStatus: 'closed',
+      relations: { preprints: [{ doi: '10.31235/osf.io/abc', server: 'SocArXiv' }] }
+    });
+    expect(preprinted).toMatchObject({
+      status: 'green',
+      source: 'preprint',
+      url: 'https://doi.org/10.31235/osf.io/abc',
+      deposit: null
+    });
+    expect(classifyOpenAccess({ oaStatus: 'diamond' }).status).toBe('gold');
+    expect(classifyOpenAccess({ oaStatus: 'closed', oaUrl: null })).toMatchObject({
+      status: 'closed',
+      url: null
+    });
+  });
+
+  test('leaves works no source describes unclassified', () => {
+    const works = [{ title: 'A' }, { title: 'B', oaStatus: 'bronze' }];
+    expect(classifyAll(works)).toEqual({
+      gold: 0,
+      hybrid: 0,
+      bronze: 1,
+      green: 0,
+      closed: 0,
+      unknown: 1
+    });
+    expect(works[0].open_access).toEqual({
+      status: null,
+      source: null,
+      url: null,
+      evidence: [],
+      deposit: null
+    });
+  });
+});
+
+describe('resolvePdfs', () => {
+  const SEARCH_PDF = 'https://ora.uniurb.it/bitstream/11576/2700000/1/paper.pdf';
+
+  beforeEach(() => {
+    findOraPdfByDoi.mockReset().mockResolvedValue(null);
+    resolveOaPdf.mockReset().mockResolvedValue(null);
+  });
+
+  test('counts a PDF only the ORA search finds as green and deposited', async () => {
+    findOraPdfByDoi.mockResolvedValue(SEARCH_PDF);
+    const works = [
+      {
+        id: 'pub-1',
+        title: 'Deposited late',
+        doi: '10.1/late',
+        publicationDate: '2025-01-10',
+        oaStatus: 'closed',
+        projects: [{ title: 'vera.ai', grant_id: '101070093', via: 'award' }]
+      }
+    ];
+
+    expect(await resolvePdfs(works, 'me@example.org')).toEqual({ oraSearch: 1, unpaywall: 0 });
+    expect(resolveOaPdf).not.toHaveBeenCalled();
+    classifyAll(works);
+    expect(works[0].open_access).toEqual({
+      status: 'green',
+      source: 'ora-search',
+      url: SEARCH_PDF,
+      evidence: [
+        { source: 'openalex', status: 'closed', url: null },
+        { source: 'ora-search', status: 'green', url: SEARCH_PDF }
+      ],
+      deposit: { source: 'ora-search', url: SEARCH_PDF }
+    });
+    expect(pdfUrl(works[0])).toBe(SEARCH_PDF);
+    expect(depositReport(works, [VERA], '2026-10-19T00:00:00Z')).toMatchObject({
+      deposited: 1,
+      missing: []
+    });
+  });
+
+  test('falls back to Unpaywall, with its status but no deposit', async () => {
+    resolveOaPdf.mockResolvedValue({ url: 'https://example.org/paper.pdf', status: 'hybrid' });
+    const works = [{ title: 'Hybrid', doi: '10.1/hybrid' }];
+
+    expect(await resolvePdfs(works, 'me@example.org')).toEqual({ oraSearch: 0, unpaywall: 1 });
+    expect(resolveOaPdf).toHaveBeenCalledWith('10.1/hybrid', 'me@example.org');
+    expect(classifyOpenAccess(works[0])).toMatchObject({
+      status: 'hybrid',
+      source: 'unpaywall',
+      url: 'https://example.org/paper.pdf',
+      deposit: null
+    });
+    expect(pdfUrl(works[0])).toBe('https://example.org/paper.pdf');
+  });
+
+  test('skips works with an ORA PDF or without a DOI', async () => {
+    const works = [{ title: 'In ORA', doi: '10.1/ora', oaPdfUrl: ORA_PDF }, { title: 'No DOI' }];
+    expect(await resolvePdfs(works, 'me@example.org')).toEqual({ oraSearch: 0, unpaywall: 0 });
+    expect(findOraPdfByDoi).not.toHaveBeenCalled();
+    expect(pdfUrl(works[0])).toBe(ORA_PDF);
+    expect(pdfUrl(works[1])).toBeNull();
+  });
+});
+
+describe('euProgramme', () => {
+  test('reads the programme from linked projects before Crossref funders', () => {
+    const pub = {
+      funding: [
+        { name: 'Horizon 2020 Framework Programme', doi: '10.13039/100010661', awards: [] }
+      ],
+      projects: [{ title: 'vera.ai', grant_id: '101070093', via: 'award' }]
+    };
+    expect(euProgramme(pub, [VERA])).toBe('horizon-europe');
+    expect(euProgramme(pub, [])).toBe('horizon-2020');
+    expect(
+      euProgramme({
+        funding: [{ name: 'HORIZON EUROPE Digital, Industry and Space', doi: null, awards: [] }]
+      })
+    ).toBe('horizon-europe');
+    expect(
+      euProgramme({ funding: [{ name: 'Social Science Research Council', doi: null, awards: [] }] })
+    ).toBeNull();
+  });
+
+  test('leaves funders that name no programme unclassified', () => {
+    const commission = [{ name: 'European Commission', doi: '10.13039/501100000780', awards: [] }];
+    expect(euProgramme({ year: 2024, funding: commission })).toBeNull();
+    expect(
+      euProgramme({ year: 2024, projects: [{ title: 'PROMPT', via: 'award' }] }, [PROMPT])
+    ).toBeNull();
+  });
+
+  test('drops works published before the programme started', () => {
+    const h2020 = [{ name: 'Horizon 2020', doi: '10.13039/100010661', awards: [] }];
+    expect(euProgramme({ publicationDate: '2012-05-01', funding: h2020 })).toBeNull();
+    expect(euProgramme({ year: 2016, funding: h2020 })).toBe('horizon-2020');
+    expect(euProgramme({ year: 2020, projects: [{ title: 'vera.ai' }] }, [VERA])).toBeNull();
+  });
+});
+
+describe('depositReport', () => {
+  const funding = name => [{ name, doi: null, awards: [] }];
+
+  test('lists EU-funded works without a deposit, past or within their embargo', () => {
+    const works = [
+      { id: 'pub-1', title: 'Deposited', publicationDate: '2024-01-10', oaPdfUrl: ORA_PDF },
+      { id: 'pub-2', title: 'Missing', publicationDate: '2026-07-08' },
+      { id: 'pub-3', title: 'Embargoed', year: 2026, funding: funding('Horizon 2020') },
+      { id: 'pub-4', title: 'Unfunded', year: 2026 }
+    ];
+    works[0].funding = funding('European Commission (Horizon Europe)');
+    works[1].projects = [{ title: 'vera.ai', grant_id: '101070093', via: 'award' }];
+    classifyAll(works);
+
+    const report = depositReport(works, [VERA], '2026-10-19T00:00:00Z');
+    expect(report).toMatchObject({ eu_funded: 3, deposited: 1 });
+    expect(report.missing).toEqual([
+      {
+        id: 'pub-2',
+        title: 'Missing',
+        doi: null,
+        published: '2026-07-08',
+        programme: 'horizon-europe',
+        due: '2026-07-08',
+        status: null,
+        grants: ['101070093']
+      }
+    ]);
+    expect(report.pending).toEqual([
+      expect.objectContaining({ id: 'pub-3', programme: 'horizon-2020', due: '2027-01-01' })
+    ]);
+    const byStatus = classifyAll(works);
+    expect(
+      validateData('oa-compliance', { by_status: byStatus, ...report, lastUpdated: 'now' })
+    ).toEqual([]);
+  });
+});
+
+describe('openAccessSummary', () => {
+  test('counts the page entries by status and year', () => {
+    const summary = openAccessSummary([
+      { year: 2024, oa_status: 'gold' },
+      { year: 2024, oa_status: 'closed' },
+      { year: 2025, oa_status: 'green' },
+      { year: 2025 }
+    ]);
+    expect(summary).toMatchObject({
+      total: 4,
+      classified: 3,
+      open: 2,
+      open_share: 0.667,
+      by_status: { gold: 1, green: 1, closed: 1, unknown: 1 }
+    });
+    expect(summary.by_year.map(row => [row.year, row.total])).toEqual([
+      [2024, 2],
+      [2025, 2]
+    ]);
+    expect(validateData('open-access', summary)).toEqual([]);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Tests for the OpenAlex collector (scripts/collectors/openalex.js).
+ */
+
+jest.mock('../scripts/lib/http-client', () => ({
+  getJson: jest.fn()
+}));
+
+const httpClient = require('../scripts/lib/http-client');
+const openalex = require('../scripts/collectors/openalex');
+const { validateData } = require('../scripts/lib/schemas');
+
+const { mapWork, fetchWorks } = openalex._testing;
+
+const WORK = {
+  id: 'https://openalex.org/W2000000001',
+  doi: 'https://doi.org/10.1177/0011392119837536',
+  title: "'Fake news' is the invention of a liar",
+  publication_year: 2019,
+  publication_date: '2019-04-12',
+  type: 'article',
+  primary_location: { source: { display_name: 'Current Sociology' } },
+  authorships: [
+    {
+      author_position: 'first',
+      author: {
+        id: 'https://openalex.org/A5000000001',
+        display_name: 'Fabio Giglietto',
+        orcid: 'https://orcid.org/0000-0001-8019-1035'
+      },
+      institutions: [
+        {
+          display_name: 'University of Urbino',
+          ror: 'https://ror.org/04q4kt073',
+          country_code: 'IT'
+        }
+      ]
+    },
+    {
+      author_position: 'last',
+      author: { id: 'https://openalex.org/A5000000002', display_name: 'Luca Rossi', orcid: null },
+      institutions: []
+    }
+  ],
+  cited_by_count: 250,
+  counts_by_year: [
+    { year: 2024, cited_by_count: 60 },
+    { year: 2023, cited_by_count: 70 }
+  ],
+  concepts: [{ id: 'https://openalex.org/C1', display_name: 'Sociology', level: 0, score: 0.7 }],
+  topics: [
+    {
+      id: 'https://openalex.org/T1',
+      display_name: 'Misinformation and Its Impacts',
+      score: 0.99,
+      subfield: { display_name: 'Sociology and Political Science' },
+      field: { display_name: 'Social Sciences' }
+    }
+  ],
+  open_access: {
+    is_oa: true,
+    oa_status: 'green',
+    oa_url: 'https://ora.uniurb.it/x.pdf',
+    any_repository_has_fulltext: true
+  },
+  referenced_works: ['https://openalex.org/W1', 'https://openalex.org/W2'],
+  referenced_works_count: 2
+};
+
+afterEach(() => {
+  jest.resetAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('mapWork', () => {
+  test('maps a work to a publication record with short IDs and a bare DOI', () => {
+    const pub = mapWork(WORK);
+    expect(pub).toMatchObject({
+      openalexId: 'W2000000001',
+      title: "'Fake news' is the invention of a liar",
+      authors: 'Fabio Giglietto, Luca Rossi',
+      venue: 'Current Sociology',
+      year: 2019,
+      publicationDate: '2019-04-12',
+      doi: '10.1177/0011392119837536',
+      citations: 250,
+      openAccess: {
+        isOa: true,
+        status: 'green',
+        url: 'https://ora.uniurb.it/x.pdf',
+        repositoryFulltext: true
+      },
+      referencedWorks: ['W1', 'W2'],
+      referencedWorksCount: 2
+    });
+    expect(pub.authorships[0]).toEqual({
+      position: 'first',
+      name: 'Fabio Giglietto',
+      orcid: '0000-0001-8019-1035',
+      openalexId: 'A5000000001',
+      institutions: [
+        { name: 'University of Urbino', ror: 'https://ror.org/04q4kt073', country: 'IT' }
+      ]
+    });
+    expect(pub.topics).toEqual([
+      {
+        name: 'Misinformation and Its Impacts',
+        subfield: 'Sociology and Political Science',
+        field: 'Social Sciences',
+        score: 0.99
+      }
+    ]);
+    expect(pub.concepts).toEqual([{ name: 'Sociology', level: 0, score: 0.7 }]);
+  });
+
+  test('sorts the yearly citation counts oldest first', () => {
+    expect(mapWork(WORK).citationsByYear).toEqual([
+      { year: 2023, count: 70 },
+      { year: 2024, count: 60 }
+    ]);
+  });
+
+  test('skips works without a title and tolerates missing fields', () => {
+    expect(mapWork({ id: 'https://openalex.org/W3', title: null })).toBeNull();
+    expect(mapWork({ id: 'https://openalex.org/W4', title: 'Bare' })).toMatchObject({
+      authors: null,
+      venue: null,
+      doi: null,
+      citations: 0,
+      openAccess: { isOa: false, status: null, url: null, repositoryFulltext: false }
+    });
+  });
+});
+
+describe('fetchWorks', () => {
+  test('follows the cursor until a page comes back empty', async () => {
+    httpClient.getJson
+      .mockResolvedValueOnce({ meta: { next_cursor: 'c2' }, results: [WORK] })
+      .mockResolvedValueOnce({ meta: { next_cursor: 'c3' }, results: [WORK] })
+      .mockResolvedValueOnce({ meta: { next_cursor: null }, results: [] });
+
+    const works = await fetchWorks('A5000000001');
+    expect(works).toHaveLength(2);
+    expect(httpClient.getJson).toHaveBeenCalledTimes(3);
+    expect(httpClient.getJson.mock.calls[1][1].params).toMatchObject({
+      filter: 'author.id:A5000000001',
+      cursor: 'c2'
+    });
+  });
+});
+
+describe('collect', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('resolves the author by ORCID and returns schema-valid data', async () => {
+    httpClient.getJson
+      .mockResolvedValueOnce({
+        id: 'https://openalex.org/A5000000001',
+        display_name: 'Fabio Giglietto',
+        orcid: 'https://orcid.org/0000-0001-8019-1035',
+        works_count: 1,
+        cited_by_count: 250,
+        summary_stats: { h_index: 1, i10_index: 1 },
+        last_known_institutions: [{ display_name: 'University of Urbino', country_code: 'IT' }]
+      })
+      .mockResolvedValueOnce({ meta: { next_cursor: null }, results: [WORK] });
+
+    const data = await openalex.collect();
+    expect(httpClient.getJson.mock.calls[0][0]).toMatch(/\/authors\/orcid:/);
+    expect(data.profile.openalexId).toBe('A5000000001');
+    expect(data.publications).toHaveLength(1);
+    expect(data.metrics).toEqual({ hIndex: 1, i10Index: 1, documentCount: 1, citationCount: 250 });
+    expect(validateData('openalex', data)).toEqual([]);
+  });
+
+  test('returns null when OpenAlex cannot be reached', async () => {
+    httpClient.getJson.mockRejectedValue(new Error('mocked network failure'));
+    expect(await openalex.collect()).toBeNull();
+  });
+});
@@ -0,0 +1,380 @@
+/**
+ * Tests for the pipeline scheduler (scripts/lib/pipeline.js) and the node
+ * registry in collect-all.js.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  runPipeline,
+  buildGraph,
+  selectNodes,
+  toNode,
+  hasErrorMarker,
+  SIDE_WRITES
+} = require('../scripts/lib/pipeline');
+const { setMockAllowed } = require('../scripts/lib/provenance');
+
+/** Shorthand for a registered module with the given pipeline descriptor. */
+function mod(name, descriptor = {}, run = async () => ({ name })) {
+  return { name, collect: run, pipeline: descriptor };
+}
+
+let tmpDir;
+let dirs;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-test-'));
+  dirs = { dataDir: path.join(tmpDir, 'public'), jekyllDataDir: path.join(tmpDir, '_data') };
+  fs.mkdirSync(dirs.dataDir);
+  fs.mkdirSync(dirs.jekyllDataDir);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('buildGraph', () => {
+  test('orders dependencies before their dependents', () => {
+    const nodes = [
+      toNode(mod('feed', { dependsOn: ['aggregator'] })),
+      toNode(mod('aggregator', { dependsOn: ['orcid'] })),
+      toNode(mod('orcid'))
+    ];
+    expect(buildGraph(nodes).map(n => n.name)).toEqual(['orcid', 'aggregator', 'feed']);
+  });
+
+  test('rejects an unknown dependency', () => {
+    expect(() => buildGraph([toNode(mod('a', { dependsOn: ['missing'] }))])).toThrow(
+      'depends on unknown node "missing"'
+    );
+  });
+
+  test('rejects duplicate node names', () => {
+    expect(() => buildGraph([toNode(mod('a')), toNode(mod('a'))])).toThrow('Duplicate');
+  });
+
+  test('reports a dependency cycle with its path', () => {
+    const nodes = [toNode(mod('a', { dependsOn: ['b'] })), toNode(mod('b', { dependsOn: ['a'] }))];
+    expect(() => buildGraph(nodes)).toThrow('a -> b -> a');
+  });
+});
+
+describe('toNode', () => {
+  test('falls back to the module name and collect function', () => {
+    const node = toNode(mod('scholar', { output: 'scholar.json' }));
+    expect(node.name).toBe('scholar');
+    expect(typeof node.run).toBe('function');
+    expect(node.dependsOn).toEqual([]);
+  });
+
+  test('takes name and run from the descriptor for generators', () => {
+    const run = async () => true;
+    const node = toNode({ generateThing: run, pipeline: { name: 'thing-generator', run } });
+    expect(node.name).toBe('thing-generator');
+    expect(node.run).toBe(run);
+  });
+});
+
+describe('selectNodes', () => {
+  const nodes = [
+    toNode(mod('orcid')),
+    toNode(mod('scholar')),
+    toNode(mod('aggregator', { dependsOn: ['orcid', 'scholar'] })),
+    toNode(mod('bibtex', { dependsOn: ['aggregator'] })),
+    toNode(mod('news'))
+  ];
+  const names = selection => [...selectNodes(nodes, selection)].sort();
+
+  test('selects every node by default', () => {
+    expect(names()).toEqual(['aggregator', 'bibtex', 'news', 'orcid', 'scholar']);
+  });
+
+  test('limits the run to --only nodes', () => {
+    expect(names({ only: ['news', 'orcid'] })).toEqual(['news', 'orcid']);
+  });
+
+  test('--from selects a node and everything downstream of it', () => {
+    expect(names({ from: 'scholar' })).toEqual(['aggregator', 'bibtex', 'scholar']);
+  });
+
+  test('--skip removes nodes from the selection', () => {
+    expect(names({ from: 'scholar', skip: ['bibtex'] })).toEqual(['aggregator', 'scholar']);
+  });
+
+  test('rejects unknown node names', () => {
+    expect(() => selectNodes(nodes, { only: ['orcdi'] })).toThrow(
+      'Unknown pipeline node(s): orcdi'
+    );
+  });
+});
+
+describe('runPipeline', () => {
+  test('writes collector output and mirrors it to _data when asked', async () => {
+    const results = await runPipeline(
+      [mod('toread', { output: 'toread.json', mirrorToData: true })],
+      dirs
+    );
+    expect(results.get('toread').status).toBe('ok');
+    expect(JSON.parse(fs.readFileSync(path.join(dirs.dataDir, 'toread.json'), 'utf8'))).toEqual({
+      name: 'toread',
+      provenance: 'live'
+    });
+    expect(fs.existsSync(path.join(dirs.jekyllDataDir, 'toread.json'))).toBe(true);
+  });
+
+  test('does not write anything when a collector returns null', async () => {
+    const results = await runPipeline(
+      [mod('scholar', { output: 'scholar.json' }, async () => null)],
+      dirs
+    );
+    expect(results.get('scholar').status).toBe('failed');
+    expect(fs.existsSync(path.join(dirs.dataDir, 'scholar.json'))).toBe(false);
+  });
+
+  test('keeps the previous file when a collector returns a degraded result', async () => {
+    const file = path.join(dirs.dataDir, 'research-radio.json');
+    fs.writeFileSync(file, '{"episodes":["good"]}');
+    const results = await runPipeline(
+      [
+        mod('research-radio', { output: 'research-radio.json' }, async () => ({
+          episodes: [],
+          error: 'HTTP 503'
+        }))
+      ],
+      dirs
+    );
+    expect(results.get('research-radio')).toMatchObject({ status: 'degraded', error: 'HTTP 503' });
+    expect(fs.readFileSync(file, 'utf8')).toBe('{"episodes":["good"]}');
+  });
+
+  test('stamps live provenance on results that do not declare one', async () => {
+    const results = await runPipeline([mod('orcid', { output: 'orcid.json' })], dirs);
+    expect(results.get('orcid').provenance).toBe('live');
+    const written = JSON.parse(fs.readFileSync(path.join(dirs.dataDir, 'orcid.json'), 'utf8'));
+    expect(written.provenance).toBe('live');
+  });
+
+  test('refuses mock data outside mock mode and keeps the previous file', async () => {
+    const file = path.join(dirs.dataDir, 'wos.json');
+    fs.writeFileSync(file, '{"provenance":"live"}');
+    const wos = mod('wos', { output: 'wos.json' }, async () => ({ provenance: 'mock' }));
+
+    const results = await runPipeline([wos], dirs);
+    expect(results.get('wos')).toMatchObject({ status: 'degraded', provenance: 'mock' });
+    expect(fs.readFileSync(file, 'utf8')).toBe('{"provenance":"live"}');
+
+    setMockAllowed(true);
+    try {
+      const mocked = await runPipeline([wos], dirs);
+      expect(mocked.get('wos')).toMatchObject({ status: 'ok', provenance: 'mock' });
+    } finally {
+      setMockAllowed(false);
+    }
+  });
+
+  test('runs side writes after the output is written, without serializing them', async () => {
+    const order = [];
+    const output = path.join(dirs.dataDir, 'aggregated.json');
+    const results = await runPipeline(
+      [
+        mod('aggregator', { output: 'aggregated.json' }, async () => ({
+          works: [],
+          [SIDE_WRITES]: [() => order.push(fs.existsSync(output) ? 'after' : 'before')]
+        }))
+      ],
+      dirs
+    );
+    expect(results.get('aggregator').status).toBe('ok');
+    expect(order).toEqual(['after']);
+    expect(JSON.parse(fs.readFileSync(output, 'utf8'))).toEqual({ works: [], provenance: 'live' });
+  });
+
+  test('skips side writes when the output is not written', async () => {
+    const write = jest.fn();
+    const results = await runPipeline(
+      [
+        mod('degraded', { output: 'degraded.json' }, async () => ({
+          error: 'HTTP 503',
+          [SIDE_WRITES]: [write]
+        })),
+        mod('mocked', { output: 'mocked.json' }, async () => ({
+          provenance: 'mock',
+          [SIDE_WRITES]: [write]
+        }))
+      ],
+      dirs
+    );
+    expect(results.get('degraded').status).toBe('degraded');
+    expect(results.get('mocked').status).toBe('degraded');
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  test('treats an error in result metadata as degraded', () => {
+    expect(hasErrorMarker({ papers: [], metadata: { error: 'drift' } })).toBe('drift');
+    expect(hasErrorMarker({ papers: [] })).toBeNull();
+    expect(hasErrorMarker([])).toBeNull();
+  });
+
+  test('records a thrown error as a failure without stopping other nodes', async () => {
+    const results = await runPipeline(
+      [
+        mod('broken', {}, async () => {
+          throw new Error('boom');
+        }),
+        mod('fine')
+      ],
+      dirs
+    );
+    expect(results.get('broken')).toMatchObject({ status: 'failed', error: 'boom' });
+    expect(results.get('fine').status).toBe('ok');
+  });
+
+  test('starts a dependent node only after its dependency has written its output', async () => {
+    let seenByFeed = null;
+    await runPipeline(
+      [
+        mod('claims', { dependsOn: ['feed'] }, async () => {
+          seenByFeed = fs.existsSync(path.join(dirs.dataDir, 'feed.json'));
+          return true;
+        }),
+        mod('feed', { output: 'feed.json' })
+      ],
+      dirs
+    );
+    expect(seenByFeed).toBe(true);
+  });
+
+  test('runs independent nodes concurrently', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const slow = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running--;
+      return true;
+    };
+    await runPipeline([mod('a', {}, slow), mod('b', {}, slow), mod('c', {}, slow)], dirs);
+    expect(maxRunning).toBe(3);
+  });
+
+  test('skips a node whose dependency failed', async () => {
+    const run = jest.fn(async () => true);
+    const results = await runPipeline(
+      [mod('upstream', {}, async () => null), mod('downstream', { dependsOn: ['upstream'] }, run)],
+      dirs
+    );
+    expect(run).not.toHaveBeenCalled();
+    expect(results.get('downstream')).toMatchObject({ status: 'skipped' });
+    expect(results.get('downstream').reason).toContain('upstream');
+  });
+
+  test('runs on carried-over inputs when the node allows stale inputs', async () => {
+    const run = jest.fn(async () => true);
+    const results = await runPipeline(
+      [
+        mod('upstream', {}, async () => null),
+        mod('downstream', { dependsOn: ['upstream'], allowStaleInputs: true }, run)
+      ],
+      dirs
+    );
+    expect(run).toHaveBeenCalled();
+    expect(results.get('downstream').status).toBe('ok');
+  });
+
+  test('skips a disabled node and treats it as not fresh downstream', async () => {
+    const results = await runPipeline(
+      [mod('teaching', { enabled: () => false }), mod('about', { dependsOn: ['teaching'] })],
+      dirs
+    );
+    expect(results.get('teaching')).toMatchObject({ status: 'skipped', reason: 'disabled' });
+    expect(results.get('about').status).toBe('skipped');
+  });
+
+  test('runs dependents of unselected nodes on the files already on disk', async () => {
+    const upstream = jest.fn(async () => true);
+    const results = await runPipeline(
+      [mod('upstream', {}, upstream), mod('downstream', { dependsOn: ['upstream'] })],
+      { ...dirs, selected: new Set(['downstream']) }
+    );
+    expect(upstream).not.toHaveBeenCalled();
+    expect(results.get('upstream')).toMatchObject({ status: 'skipped', reason: 'not selected' });
+    expect(results.get('downstream').status).toBe('ok');
+  });
+});
+
+describe('collect-all options', () => {
+  const { parseOptions } = require('../scripts/collect-all');
+
+  test('parses node lists and flags', () => {
+    expect(parseOptions(['--only', 'orcid, scholar', '--skip=news', '--dry-run'])).toEqual({
+      only: ['orcid', 'scholar'],
+      skip: ['news'],
+      from: null,
+      dryRun: true,
+      mock: false,
+      record: null,
+      replay: null
+    });
+  });
+
+  test('defaults to a full, writing run', () => {
+    expect(parseOptions([])).toEqual({
+      only: [],
+      skip: [],
+      from: null,
+      dryRun: false,
+      mock: false,
+      record: null,
+      replay: null
+    });
+  });
+
+  test('refuses to record and replay at once', () => {
+    expect(() => parseOptions(['--record', 'a', '--replay', 'b'])).toThrow('cannot be combined');
+  });
+
+  test('rejects unknown options', () => {
+    expect(() => parseOptions(['--frm', 'orcid'])).toThrow();
+  });
+});
+
+describe('collect-all registry', () => {
+  const { PIPELINE } = require('../scripts/collect-all');
+  const nodes = PIPELINE.map(toNode);
+  const byName = new Map(nodes.map(n => [n.name, n]));
+
+  test('forms a valid dependency graph', () => {
+    expect(() => buildGraph(nodes)).not.toThrow();
+  });
+
+  test("runs own-paper-claims after this run's own-publications feed", () => {
+    const order = buildGraph(nodes).map(n => n.name);
+    expect(byName.get('own-paper-claims').dependsOn).toContain('own-publications-feed');
+    expect(order.indexOf('own-publications-feed')).toBeLessThan(order.indexOf('own-paper-claims'));
+  });
+
+  test('aggregates publications only after every citation source', () => {
+    expect(byName.get('publications-aggregator').dependsOn).toEqual(
+      expect.arrayContaining([
+        'orcid',
+        'scholar',
+        'wos',
+        'scopus',
+        'semantic-scholar',
+        'openalex',
+        'ora'
+      ])
+    );
+  });
+
+  test('gives every output file a single producer', () => {
+    const written = nodes.filter(n => n.output).map(n => n.output);
+    expect(new Set(written).size).toBe(written.length);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for funding links between publications and projects
+ * (scripts/lib/project-funding.js), the Crossref funder metadata they are
+ * read from and the project outputs the publications generator lists.
+ */
+
+const { loadProjects, projectMatch, linkProjects } = require('../scripts/lib/project-funding');
+const crossref = require('../scripts/collectors/crossref');
+const publicationsGenerator = require('../scripts/generators/publications-generator');
+const { validateData } = require('../scripts/lib/schemas');
+
+const { extractFunding } = crossref._testing;
+const { projectOutputs } = publicationsGenerator._testing;
+
+const VERA = {
+  title: 'vera.ai',
+  funder: 'European Commission (Horizon Europe)',
+  grant_id: '101070093',
+  start: 2022,
+  end: '2025-10'
+};
+const SMD = {
+  title: 'MINE-SMD',
+  funder: 'Social Science Research Council — Social Media and Democracy Research Grant',
+  start: 2019,
+  end: 2021
+};
+
+function funding(name, awards = []) {
+  return [{ name, doi: null, awards }];
+}
+
+describe('extractFunding', () => {
+  test('keeps each funder with its award numbers from both Crossref fields', () => {
+    expect(
+      extractFunding([
+        {
+          DOI: '10.13039/100018699',
+          name: 'HORIZON EUROPE Digital, Industry and Space',
+          award: ['Grant Agreement No. 101070093'],
+          'award-info': [{ 'award-number': ['Grant Agreement No. 101070093', '101070093'] }]
+        },
+        { name: 'Foundation Open Society Institute' },
+        {}
+      ])
+    ).toEqual([
+      {
+        name: 'HORIZON EUROPE Digital, Industry and Space',
+        doi: '10.13039/100018699',
+        awards: ['Grant Agreement No. 101070093', '101070093']
+      },
+      { name: 'Foundation Open Society Institute', doi: null, awards: [] }
+    ]);
+    expect(extractFunding(undefined)).toEqual([]);
+  });
+});
+
+describe('projectMatch', () => {
+  test('matches a grant ID inside an award number', () => {
+    const award = funding('Horizon 2020 Framework Programme', ['Grant Agreement No. 101070093']);
+    expect(projectMatch(VERA, award, 2026)).toBe('award');
+    expect(projectMatch(VERA, funding('Horizon 2020', ['101070094']), 2026)).toBeNull();
+    expect(
+      projectMatch(
+        { title: 'MINE-FACTS', grant_id: 'FISR2020IP_00327e' },
+        funding('MUR', ['FISR2020IP-00327E'])
+      )
+    ).toBe('award');
+  });
+
+  test('matches the funder of a project without a grant ID during and after it', () => {
+    const ssrc = funding('Social Science Research Council', ['SSRC-030']);
+    expect(projectMatch(SMD, ssrc, 2020)).toBe('funder');
+    expect(projectMatch(SMD, ssrc, 2024)).toBe('funder');
+    expect(projectMatch(SMD, ssrc, 2025)).toBeNull();
+    expect(projectMatch(SMD, ssrc, 2018)).toBeNull();
+    expect(projectMatch(SMD, funding('National Science Foundation'), 2020)).toBeNull();
+    // Projects with a grant ID are only linked by it
+    expect(projectMatch(VERA, funding('European Commission'), 2023)).toBeNull();
+  });
+});
+
+describe('linkProjects', () => {
+  test('records the projects on the publications they funded', () => {
+    const funded = { title: 'A', year: 2020, funding: funding('Social Science Research Council') };
+    const unfunded = { title: 'B', year: 2020 };
+    expect(linkProjects([funded, unfunded], [VERA, SMD])).toBe(1);
+    expect(funded.projects).toEqual([{ title: 'MINE-SMD', grant_id: null, via: 'funder' }]);
+    expect(unfunded.projects).toBeUndefined();
+  });
+
+  test('reads the project list', () => {
+    const projects = loadProjects();
+    expect(projects.length).toBeGreaterThan(0);
+    expect(projects.some(project => project.grant_id === '101070093')).toBe(true);
+  });
+});
+
+describe('projectOutputs', () => {
+  test('lists the page entries of each project', () => {
+    const outputs = projectOutputs([
+      {
+        id: 'pub-1',
+        title: 'Measuring partisan community dynamics',
+        year: 2026,
+        venue: 'Information, Communication & Society',
+        urls: { doi: 'https://doi.org/10.1080/1369118x.2026.2696929' },
+        projects: ['vera.ai']
+      },
+      { id: 'pub-2', title: 'Unfunded', year: 2025, venue: '', urls: { doi: null } }
+    ]);
+    expect(outputs).toEqual({
+      'vera.ai': [
+        {
+          id: 'pub-1',
+          title: 'Measuring partisan community dynamics',
+          year: 2026,
+          venue: 'Information, Communication & Society',
+          url: 'https://doi.org/10.1080/1369118x.2026.2696929'
+        }
+      ]
+    });
+    expect(validateData('project-outputs', outputs)).toEqual([]);
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Tests for permanent publication IDs (scripts/lib/publication-registry.js)
+ * and the manual overrides file (scripts/lib/publication-overrides.js).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const registryLib = require('../scripts/lib/publication-registry');
+const {
+  createOverrides,
+  loadOverrides,
+  applyCorrection
+} = require('../scripts/lib/publication-overrides');
+
+const { assignIds, identityKeys, resolveRef, mergeWorks, applySplits } = registryLib;
+
+const DAY1 = '2026-03-01T06:00:00.000Z';
+const DAY2 = '2026-03-02T06:00:00.000Z';
+
+function emptyRegistry() {
+  return { lastUpdated: null, works: {}, aliases: {} };
+}
+
+function pub(fields) {
+  return { title: 'Untitled', doi: null, source_ids: {}, ...fields };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('identityKeys', () => {
+  test('uses the normalised DOI and every source ID, and the title apart', () => {
+    expect(
+      identityKeys(
+        pub({
+          title: 'Coordinated  Link-Sharing!',
+          doi: '10.31235/OSF.IO/8DQAG_v2',
+          source_ids: { orcid: 123, scholar: 'abc', wos: null }
+        })
+      )
+    ).toEqual({
+      strong: ['doi:10.31235/osf.io/8dqag', 'orcid:123', 'scholar:abc'],
+      title: 'title:coordinated linksharing'
+    });
+  });
+});
+
+describe('assignIds', () => {
+  test('gives a work the same ID on every run', () => {
+    const registry = emptyRegistry();
+    const [first] = assignIds(registry, [pub({ doi: '10.1/a' })], { now: DAY1 });
+    const [second] = assignIds(registry, [pub({ doi: '10.1/A' })], { now: DAY2 });
+    expect(first).toMatch(registryLib.ID_PATTERN);
+    expect(second).toBe(first);
+    expect(registry.works[first]).toMatchObject({ firstSeen: DAY1, lastSeen: DAY2 });
+  });
+
+  test('keeps the ID when the DOI changes but a source ID stays', () => {
+    const registry = emptyRegistry();
+    const [id] = assignIds(registry, [pub({ source_ids: { orcid: 7 } })], { now: DAY1 });
+    const [again] = assignIds(registry, [pub({ doi: '10.1/new', source_ids: { orcid: 7 } })], {
+      now: DAY2
+    });
+    expect(again).toBe(id);
+  });
+
+  test('matches by title only when no DOI disagrees', () => {
+    const registry = emptyRegistry();
+    const [id] = assignIds(registry, [pub({ title: 'A Study', doi: '10.1/a' })], { now: DAY1 });
+    const [sameTitleNoDoi] = assignIds(registry, [pub({ title: 'A study' })], { now: DAY2 });
+    const [otherDoi] = assignIds(registry, [pub({ title: 'A Study', doi: '10.1/b' })], {
+      now: DAY2
+    });
+    expect(sameTitleNoDoi).toBe(id);
+    expect(otherDoi).not.toBe(id);
+  });
+
+  test('does not give two entries of one run the same ID by title', () => {
+    const registry = emptyRegistry();
+    const ids = assignIds(registry, [
+      pub({ title: 'Introduction' }),
+      pub({ title: 'Introduction' })
+    ]);
+    expect(ids[0]).not.toBe(ids[1]);
+  });
+
+  test('remembers a merge and applies it to later runs', () => {
+    const registry = emptyRegistry();
+    const [a, b] = assignIds(
+      registry,
+      [pub({ doi: '10.1/preprint' }), pub({ source_ids: { scholar: 'S1' } })],
+      { now: DAY1 }
+    );
+    // The sources now join the two: one entry carries both identifiers.
+    const [merged] = assignIds(
+      registry,
+      [pub({ doi: '10.1/preprint', source_ids: { scholar: 'S1' } })],
+      { now: DAY2 }
+    );
+    expect(merged).toBe(a);
+    expect(registry.aliases[b]).toBe(a);
+    expect(resolveRef(registry, b)).toBe(a);
+
+    // Later the sources list them apart again: both still get one ID.
+    const ids = assignIds(registry, [
+      pub({ doi: '10.1/preprint' }),
+      pub({ source_ids: { scholar: 'S1' } })
+    ]);
+    expect(ids).toEqual([a, a]);
+  });
+
+  test('separates identifiers a split names as different works', () => {
+    const registry = emptyRegistry();
+    const [id] = assignIds(
+      registry,
+      [pub({ doi: '10.1/a', source_ids: { ora: 'h1', wos: 'W1' } })],
+      { now: DAY1 }
+    );
+    const overrides = createOverrides({ split: [['doi:10.1/a', 'ora:h1']] });
+    applySplits(registry, overrides.split);
+    const [first, second] = assignIds(
+      registry,
+      [pub({ doi: '10.1/a' }), pub({ source_ids: { ora: 'h1', wos: 'W1' } })],
+      { keepsApart: overrides.keepsApart, now: DAY2 }
+    );
+    expect(first).toBe(id);
+    expect(second).not.toBe(id);
+    expect(registry.works[id].keys).not.toContain('wos:W1');
+  });
+});
+
+describe('resolveRef and mergeWorks', () => {
+  test('resolves IDs, aliases and identifiers', () => {
+    const registry = emptyRegistry();
+    const [a, b] = assignIds(registry, [
+      pub({ doi: '10.1/a' }),
+      pub({ source_ids: { scholar: 'S2' } })
+    ]);
+    mergeWorks(registry, a, b);
+    expect(resolveRef(registry, a)).toBe(a);
+    expect(resolveRef(registry, b)).toBe(a);
+    expect(resolveRef(registry, 'doi:10.1/A')).toBe(a);
+    expect(resolveRef(registry, 'scholar:S2')).toBe(a);
+    expect(resolveRef(registry, 'pub-00000000')).toBeNull();
+  });
+});
+
+describe('loadRegistry', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('starts an empty registry when there is none yet', () => {
+    expect(registryLib.loadRegistry(path.join(tmpDir, 'missing.json'))).toEqual(emptyRegistry());
+  });
+
+  test('throws on a file it cannot parse instead of starting over', () => {
+    const file = path.join(tmpDir, 'publication-registry.json');
+    fs.writeFileSync(file, '{"works": {');
+    expect(() => registryLib.loadRegistry(file)).toThrow(/Cannot read publication-registry.json/);
+  });
+});
+
+describe('publication overrides', () => {
+  test('keepsApart only separates different members of one split', () => {
+    const { keepsApart } = createOverrides({ split: [['doi:10.1/A', 'scholar:S']] });
+    expect(keepsApart(['doi:10.1/a'], ['scholar:S'])).toBe(true);
+    expect(keepsApart(['doi:10.1/a'], ['doi:10.1/a', 'orcid:1'])).toBe(false);
+    expect(keepsApart(['doi:10.1/a'], ['wos:W'])).toBe(false);
+  });
+
+  test('applyCorrection sets the fields and clears a date from another year', () => {
+    const entry = { title: 'Old', year: 2019, month: 5, publicationDate: '2019-05-01' };
+    expect(applyCorrection(entry, { year: 2020, title: 'New', note: 'why' })).toEqual([
+      'title',
+      'year'
+    ]);
+    expect(entry).toEqual({
+      title: 'New',
+      year: 2020,
+      month: null,
+      day: null,
+      publicationDate: null
+    });
+  });
+
+  describe('loadOverrides', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overrides-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('treats a missing file as no overrides', () => {
+      const overrides = loadOverrides(path.join(tmpDir, 'missing.yml'));
+      expect(overrides.merge).toEqual([]);
+      expect(overrides.works.size).toBe(0);
+    });
+
+    test('rejects a misspelt key', () => {
+      const file = path.join(tmpDir, 'overrides.yml');
+      fs.writeFileSync(file, 'works:\n  doi:10.1/a:\n    hidden: true\n');
+      expect(() => loadOverrides(file)).toThrow(/is not valid/);
+    });
+
+    test('normalises DOI references', () => {
+      const file = path.join(tmpDir, 'overrides.yml');
+      fs.writeFileSync(file, 'works:\n  doi:10.1/ABC_v1:\n    hide: true\n');
+      expect([...loadOverrides(file).works.keys()]).toEqual(['doi:10.1/abc']);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for the shared publication type taxonomy
+ * (scripts/lib/publication-types.js) and the BibTeX entry types it gives.
+ */
+
+const {
+  PUBLICATION_TYPES,
+  venueType,
+  normalizeType,
+  classifyType,
+  publicationType,
+  classifyAll
+} = require('../scripts/lib/publication-types');
+const { publicationToBibtex } = require('../scripts/generators/bibtex-generator');
+
+describe('venueType', () => {
+  test('guesses the type from the venue name', () => {
+    expect(venueType('Journal of Communication')).toBe('journal-article');
+    expect(venueType('Rivista italiana di scienza politica')).toBe('journal-article');
+    expect(venueType('Proceedings of the ACM Web Science Conference')).toBe('proceedings-paper');
+    expect(venueType('The Routledge Handbook of Political Communication')).toBe('chapter');
+    expect(venueType('SSRN Electronic Journal')).toBe('journal-article');
+    expect(venueType('XX ISA World Congress of Sociology')).toBe('proceedings-paper');
+    expect(venueType('arXiv')).toBe('preprint');
+  });
+
+  test('says nothing about a venue name without a hint', () => {
+    expect(venueType('Social Media + Society')).toBeNull();
+    expect(venueType(undefined)).toBeNull();
+  });
+});
+
+describe('normalizeType', () => {
+  test('accepts canonical, ORCID and Crossref types', () => {
+    expect(normalizeType('chapter')).toBe('chapter');
+    expect(normalizeType('book-chapter')).toBe('chapter');
+    expect(normalizeType('proceedings-article')).toBe('proceedings-paper');
+    expect(normalizeType('Working-Paper')).toBe('report');
+  });
+
+  test('rejects unknown types', () => {
+    expect(normalizeType('poster')).toBeNull();
+    expect(normalizeType(null)).toBeNull();
+  });
+});
+
+describe('classifyType', () => {
+  test('prefers Crossref to ORCID, ORA, OpenAlex and the venue', () => {
+    const pub = {
+      type: 'journal-article',
+      crossref_type: 'book-chapter',
+      oraType: 'article',
+      openalexType: 'article',
+      venue: 'Journal of Communication'
+    };
+    expect(classifyType(pub)).toEqual({ type: 'chapter', source: 'crossref' });
+  });
+
+  test('falls through the sources in order', () => {
+    expect(classifyType({ type: 'conference-paper', oraType: 'article' })).toEqual({
+      type: 'proceedings-paper',
+      source: 'orcid'
+    });
+    expect(classifyType({ type: 'other', oraType: 'book', openalexType: 'article' })).toEqual({
+      type: 'book',
+      source: 'ora'
+    });
+    expect(classifyType({ openalexType: 'dissertation', venue: 'Journal' })).toEqual({
+      type: 'thesis',
+      source: 'openalex'
+    });
+    expect(classifyType({ venue: 'Proceedings of ICWSM' })).toEqual({
+      type: 'proceedings-paper',
+      source: 'venue'
+    });
+  });
+
+  test('an override wins over every source', () => {
+    const pub = {
+      type: 'book-chapter',
+      overrides: ['type'],
+      crossref_type: 'journal-article'
+    };
+    expect(classifyType(pub)).toEqual({ type: 'chapter', source: 'override' });
+  });
+
+  test('an unusable override does not pass for the ORCID type', () => {
+    const pub = { type: 'poster', overrides: ['type'], venue: 'Journal of Communication' };
+    expect(classifyType(pub)).toEqual({ type: 'journal-article', source: 'venue' });
+  });
+
+  test('falls back to other', () => {
+    expect(classifyType({ venue: 'Social Media + Society' })).toEqual({
+      type: 'other',
+      source: null
+    });
+  });
+});
+
+describe('publicationType', () => {
+  test('uses the stored type, or classifies the work', () => {
+    expect(publicationType({ publication_type: 'report', crossref_type: 'journal-article' })).toBe(
+      'report'
+    );
+    expect(publicationType({ crossref_type: 'posted-content' })).toBe('preprint');
+  });
+});
+
+describe('classifyAll', () => {
+  test('stores the type and its source and counts works per type', () => {
+    const pubs = [
+      { crossref_type: 'journal-article' },
+      { type: 'journal-article' },
+      { venue: 'Workshop on Misinformation' }
+    ];
+    expect(classifyAll(pubs)).toEqual({ 'journal-article': 2, 'proceedings-paper': 1 });
+    expect(pubs[1]).toMatchObject({
+      publication_type: 'journal-article',
+      publication_type_source: 'orcid'
+    });
+    expect(Object.keys(PUBLICATION_TYPES)).toContain(pubs[2].publication_type);
+  });
+});
+
+describe('BibTeX entry types', () => {
+  test('a chapter is an incollection with a booktitle', () => {
+    const bibtex = publicationToBibtex(
+      {
+        title: 'Coordinated inauthentic behavior',
+        authors: 'Giglietto, Fabio',
+        year: 2023,
+        venue: 'Handbook of Media and Disinformation',
+        crossref_type: 'book-chapter'
+      },
+      'giglietto2023coordinated'
+    );
+    expect(bibtex).toMatch(/^@incollection\{giglietto2023coordinated,/);
+    expect(bibtex).toContain('booktitle = {Handbook of Media and Disinformation}');
+  });
+
+  test('follows the stored type rather than the ORCID one', () => {
+    const bibtex = publicationToBibtex(
+      {
+        title: 'A preprint',
+        year: 2024,
+        type: 'journal-article',
+        publication_type: 'preprint'
+      },
+      'key'
+    );
+    expect(bibtex).toMatch(/^@unpublished\{key,/);
+  });
+});
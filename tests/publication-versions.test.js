@@ -0,0 +1,146 @@
+/**
+ * Tests for preprint and version links (scripts/lib/publication-versions.js).
+ */
+
+const {
+  preprintServer,
+  isPreprint,
+  isPreprintPair,
+  arxivDoi,
+  addDoiVersions,
+  linkVersions
+} = require('../scripts/lib/publication-versions');
+
+function work(id, fields) {
+  return { id, title: 'Untitled', year: 2020, doi: null, ...fields };
+}
+
+describe('preprints', () => {
+  test('are recognised by server DOI or by type', () => {
+    expect(preprintServer('10.31235/osf.io/3jteh')).toBe('SocArXiv');
+    expect(preprintServer('10.2139/SSRN.2611083')).toBe('SSRN');
+    expect(preprintServer('10.1111/jcom.12085')).toBeNull();
+    expect(preprintServer('10.48550/arXiv.2101.00001')).toBe('arXiv');
+    expect(isPreprint({ doi: '10.48550/arXiv.2101.00001' })).toBe(true);
+    expect(isPreprint({ doi: null, type: 'preprint' })).toBe(true);
+    expect(isPreprint({ doi: '10.1111/jcom.12085', crossref_type: 'journal-article' })).toBe(false);
+  });
+
+  test('pair with other DOIs only', () => {
+    expect(isPreprintPair('10.2139/ssrn.1', '10.1111/jcom.1')).toBe(true);
+    expect(isPreprintPair('10.2139/ssrn.1', '10.31235/osf.io/x')).toBe(false);
+    expect(isPreprintPair('10.1111/a', '10.1111/b')).toBe(false);
+    expect(isPreprintPair('10.2139/ssrn.1', null)).toBe(false);
+  });
+
+  test('arXiv IDs map to the DOI arXiv registers, without the version', () => {
+    expect(arxivDoi('2101.00001v2')).toBe('10.48550/arXiv.2101.00001');
+  });
+});
+
+describe('addDoiVersions', () => {
+  test('lists the versions of one deposit oldest first', () => {
+    const kept = work('a', { doi: '10.31235/osf.io/abcd_v2' });
+    addDoiVersions(kept, work('b', { doi: '10.31235/osf.io/ABCD_v1' }));
+    addDoiVersions(kept, work('c', { doi: '10.31235/osf.io/abcd_v3' }));
+    expect(kept.relations.versions).toEqual([
+      { version: 1, doi: '10.31235/osf.io/ABCD_v1' },
+      { version: 2, doi: '10.31235/osf.io/abcd_v2' },
+      { version: 3, doi: '10.31235/osf.io/abcd_v3' }
+    ]);
+  });
+
+  test('ignores DOIs that only differ in case', () => {
+    const kept = work('a', { doi: '10.1/X' });
+    addDoiVersions(kept, work('b', { doi: '10.1/x' }));
+    expect(kept.relations).toBeUndefined();
+  });
+});
+
+describe('linkVersions', () => {
+  test('links a preprint to its published version from Crossref relations', () => {
+    const preprint = work('pub-1', {
+      doi: '10.31235/osf.io/3jteh',
+      type: 'preprint',
+      crossref_relations: [{ type: 'is-preprint-of', doi: '10.1177/ABC' }]
+    });
+    const article = work('pub-2', { doi: '10.1177/abc', title: 'Another title', venue: 'Journal' });
+    expect(linkVersions([preprint, article])).toBe(1);
+    expect(preprint.relations.publishedAs).toEqual([
+      { id: 'pub-2', doi: '10.1177/abc', title: 'Another title', venue: 'Journal', via: 'crossref' }
+    ]);
+    expect(article.relations.preprints).toEqual([
+      {
+        id: 'pub-1',
+        doi: '10.31235/osf.io/3jteh',
+        title: 'Untitled',
+        server: 'SocArXiv',
+        via: 'crossref'
+      }
+    ]);
+  });
+
+  test('records an arXiv preprint that is not in the list by its DOI', () => {
+    const article = work('pub-2', { doi: '10.1177/abc', arxivId: '2101.00001v1' });
+    linkVersions([article]);
+    expect(article.relations.preprints).toEqual([
+      { id: null, doi: '10.48550/arXiv.2101.00001', title: null, server: 'arXiv', via: 'arxiv' }
+    ]);
+  });
+
+  test('links by title to a published work of the same year or later', () => {
+    const preprint = work('pub-1', {
+      doi: '10.2139/ssrn.2345240',
+      year: 2013,
+      title:
+        'Second Screen and Participation: A Content Analysis of a Full Season Dataset of Tweets'
+    });
+    const article = work('pub-2', {
+      doi: '10.1111/jcom.12085',
+      year: 2014,
+      title:
+        'Second Screen and Participation: A Content Analysis on a Full Season Dataset of Tweets'
+    });
+    const earlier = work('pub-3', { year: 2010, title: 'Earlier work with the same title' });
+    const earlierPreprint = work('pub-4', {
+      doi: '10.2139/ssrn.1',
+      year: 2012,
+      title: 'Earlier work with the same title'
+    });
+    expect(linkVersions([preprint, article, earlier, earlierPreprint])).toBe(1);
+    expect(preprint.relations.publishedAs[0]).toMatchObject({ id: 'pub-2', via: 'title' });
+    expect(earlierPreprint.relations).toBeUndefined();
+  });
+
+  test('takes a substring match only when the preprint adds to the title', () => {
+    const translated = work('pub-1', {
+      doi: '10.2139/ssrn.2256368',
+      title: 'Social TV: Audience Engagement (Social TV: Networked Publics)'
+    });
+    const article = work('pub-2', {
+      doi: '10.3280/sc2013',
+      title: 'Social tv: audience engagement'
+    });
+    const summary = work('pub-3', {
+      doi: '10.31235/osf.io/6umqs',
+      title: 'Mapping Nefarious Social Media Actors'
+    });
+    const italian = work('pub-4', {
+      title: 'Mapping Nefarious Social Media Actors - Sintesi in italiano'
+    });
+    linkVersions([translated, article, summary, italian]);
+    expect(article.relations.preprints.map(ref => ref.id)).toEqual(['pub-1']);
+    expect(summary.relations).toBeUndefined();
+    expect(italian.relations).toBeUndefined();
+  });
+
+  test('leaves a preprint unlinked when two published works match as well', () => {
+    const preprint = work('pub-1', { doi: '10.2139/ssrn.1', title: 'Introduction' });
+    linkVersions([
+      preprint,
+      work('pub-2', { doi: '10.1/a', title: 'Introduction' }),
+      work('pub-3', { doi: '10.1/b', title: 'Introduction' })
+    ]);
+    expect(preprint.relations).toBeUndefined();
+  });
+});
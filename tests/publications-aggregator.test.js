@@ -5,7 +5,8 @@
  */
 
 const { _testing } = require('../scripts/collectors/publications-aggregator');
-const { isSimilarTitle, calculateHIndex, normalizeDoi, mergeDuplicateDois, isDataArtifact } = _testing;
+const { createOverrides } = require('../scripts/lib/publication-overrides');
+const { isSimilarTitle, calculateHIndex, normalizeDoi, mergeDuplicateDois, identifyWorks, isDataArtifact } = _testing;
 
 /**
  * Build a minimal publication record shaped like the aggregator's internal map
@@ -18,9 +19,9 @@ function makePub(overrides = {}) {
     venue: null,
     year: null,
     doi: null,
-    citations: { scholar: null, wos: null, scopus: null, semanticScholar: null },
-    source_urls: { orcid: null, scholar: null, wos: null, scopus: null, semanticScholar: null, ora: null, crossref: null },
-    source_ids: { orcid: null, scholar: null, wos: null, scopus: null, semanticScholar: null, ora: null },
+    citations: { scholar: null, wos: null, scopus: null, semanticScholar: null, openalex: null },
+    source_urls: { orcid: null, scholar: null, wos: null, scopus: null, semanticScholar: null, openalex: null, ora: null, crossref: null },
+    source_ids: { orcid: null, scholar: null, wos: null, scopus: null, semanticScholar: null, openalex: null, ora: null },
     metrics: {},
     ...overrides
   };
@@ -204,6 +205,18 @@ describe('mergeDuplicateDois', () => {
     expect(pub.year).toBe(2020); // existing non-null kept
   });
 
+  test('records the DOI versions it merges, oldest first', () => {
+    const map = new Map([
+      ['a', makePub({ doi: '10.31235/osf.io/abcd_v2' })],
+      ['b', makePub({ doi: '10.31235/osf.io/abcd_v1' })]
+    ]);
+    const [pub] = mergeDuplicateDois(map).values();
+    expect(pub.relations.versions.map(version => version.doi)).toEqual([
+      '10.31235/osf.io/abcd_v1',
+      '10.31235/osf.io/abcd_v2'
+    ]);
+  });
+
   test('leaves DOI-less entries untouched and unmerged', () => {
     const map = new Map([
       ['title:a', makePub({ title: 'A paper', doi: null })],
@@ -221,6 +234,283 @@ describe('mergeDuplicateDois', () => {
   });
 });
 
+describe('mergeDuplicateDois with overrides', () => {
+  test('keeps apart entries a split names as different works', () => {
+    const overrides = createOverrides({ split: [['orcid:1', 'wos:W1']] });
+    const map = new Map([
+      ['doi:10.1/x', makePub({ doi: '10.1/x', source_ids: { orcid: 1 } })],
+      ['doi:10.1/x#wos', makePub({ doi: '10.1/x', source_ids: { wos: 'W1' } })]
+    ]);
+    expect(mergeDuplicateDois(map, overrides).size).toBe(2);
+  });
+});
+
+describe('identifyWorks', () => {
+  const NOW = '2026-03-01T06:00:00.000Z';
+
+  function emptyRegistry() {
+    return { lastUpdated: null, works: {}, aliases: {} };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('gives every work an ID and drops data artifacts', () => {
+    const works = identifyWorks(
+      [makePub({ doi: '10.1/a' }), makePub({ doi: '10.6084/m9.figshare.1' })],
+      emptyRegistry(),
+      createOverrides(),
+      NOW
+    );
+    expect(works).toHaveLength(1);
+    expect(works[0].id).toMatch(/^pub-[0-9a-f]{8}$/);
+  });
+
+  test('hands the data artifacts it drops back with their IDs', () => {
+    const artifacts = [];
+    const works = identifyWorks(
+      [makePub({ doi: '10.1/a' }), makePub({ doi: '10.7910/dvn/abc', type: 'data-set' })],
+      emptyRegistry(),
+      createOverrides({ works: { 'doi:10.1/a': { hide: true } } }),
+      NOW,
+      artifacts
+    );
+    expect(works).toEqual([]);
+    expect(artifacts).toHaveLength(1);
+    expect(artifacts[0]).toMatchObject({ doi: '10.7910/dvn/abc', id: expect.stringMatching(/^pub-/) });
+  });
+
+  test('merges works named in a merge override', () => {
+    const registry = emptyRegistry();
+    const overrides = createOverrides({ merge: [['doi:10.1/journal', 'doi:10.1/preprint']] });
+    const works = identifyWorks(
+      [
+        makePub({ doi: '10.1/journal', citations: { scholar: 3, wos: null, scopus: null, semanticScholar: null } }),
+        makePub({ doi: '10.1/preprint', citations: { scholar: null, wos: 5, scopus: null, semanticScholar: null } })
+      ],
+      registry,
+      overrides,
+      NOW
+    );
+    expect(works).toHaveLength(1);
+    expect(works[0]).toMatchObject({ doi: '10.1/journal', citations: { scholar: 3, wos: 5 } });
+    expect(Object.keys(registry.aliases)).toHaveLength(1);
+  });
+
+  test('applies corrections, hides works and can keep a data artifact', () => {
+    const overrides = createOverrides({
+      works: {
+        'doi:10.1/a': { title: 'Corrected', type: 'journal-article' },
+        'doi:10.1/b': { hide: true },
+        'doi:10.6084/m9.figshare.2': { hide: false, type: 'report' }
+      }
+    });
+    const works = identifyWorks(
+      [
+        makePub({ title: 'Wrong', doi: '10.1/a' }),
+        makePub({ doi: '10.1/b' }),
+        makePub({ doi: '10.6084/m9.figshare.2', type: 'data-set' })
+      ],
+      emptyRegistry(),
+      overrides,
+      NOW
+    );
+    expect(works.map(work => [work.title, work.type, work.overrides])).toEqual([
+      ['Corrected', 'journal-article', ['title', 'type']],
+      ['Untitled', 'report', ['type']]
+    ]);
+  });
+
+  test('lists a work overridden to a dataset as a data artifact', () => {
+    const artifacts = [];
+    const works = identifyWorks(
+      [makePub({ doi: '10.1/a' }), makePub({ doi: '10.5281/zenodo.1', type: 'other' })],
+      emptyRegistry(),
+      createOverrides({ works: { 'doi:10.5281/zenodo.1': { type: 'dataset' } } }),
+      NOW,
+      artifacts
+    );
+    expect(works.map(work => work.doi)).toEqual(['10.1/a']);
+    expect(artifacts).toHaveLength(1);
+    expect(artifacts[0]).toMatchObject({ doi: '10.5281/zenodo.1', type: 'dataset', overrides: ['type'] });
+  });
+
+  test('resolves corrections by ID on later runs', () => {
+    const registry = emptyRegistry();
+    const [first] = identifyWorks([makePub({ doi: '10.1/a' })], registry, createOverrides(), NOW);
+    const overrides = createOverrides({ works: { [first.id]: { year: 2021 } } });
+    const [again] = identifyWorks([makePub({ doi: '10.1/a' })], registry, overrides, NOW);
+    expect(again).toMatchObject({ id: first.id, year: 2021 });
+  });
+});
+
+describe('merge history', () => {
+  const { processPublicationSource, SOURCE_MAPPINGS, compareTitles } = _testing;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('compareTitles reports how two titles match', () => {
+    expect(compareTitles('Social Media: A Study', 'social media a study')).toEqual({
+      method: 'title-exact'
+    });
+    expect(
+      compareTitles('Coordinated Link Sharing Behavior', 'Coordinated Link Sharing Behavior on Facebook')
+    ).toEqual({ method: 'title-substring' });
+    expect(
+      compareTitles(
+        'Disinformation and Social Media Manipulation',
+        'Social Media Manipulation and Disinformation Campaigns'
+      )
+    ).toEqual({ method: 'title-dice', score: expect.any(Number), threshold: 0.8 });
+    expect(compareTitles('Deep Learning Neural Networks', 'Italian Renaissance Art History')).toBeNull();
+  });
+
+  test('records how each source record was matched and what it set', () => {
+    const map = new Map();
+    const source = (publications) => ({ publications });
+    processPublicationSource(
+      source([{ title: 'Coordinated Link Sharing Behavior', doi: '10.1/clsb', wosId: 'W1', citations: 4 }]),
+      'wos',
+      map,
+      SOURCE_MAPPINGS.wos
+    );
+    processPublicationSource(
+      source([{ title: 'Coordinated link sharing behavior on Facebook', scopusId: 'S1', citations: 6, authors: 'Doe, J.' }]),
+      'scopus',
+      map,
+      SOURCE_MAPPINGS.scopus
+    );
+
+    const [pub] = map.values();
+    expect(pub.merge_history).toEqual([
+      expect.objectContaining({ source: 'wos', method: 'new', sourceId: 'W1' }),
+      {
+        source: 'scopus',
+        method: 'title-substring',
+        sourceId: 'S1',
+        sourceTitle: 'Coordinated link sharing behavior on Facebook',
+        fields: ['authors', 'citations.scopus', 'source_ids.scopus']
+      }
+    ]);
+    expect(pub.merge_history[0].fields).toEqual(
+      expect.arrayContaining(['title', 'doi', 'citations.wos', 'source_ids.wos'])
+    );
+  });
+
+  test('merges OpenAlex records into their own citation, URL and ID slots', () => {
+    const map = new Map([['doi:10.1/clsb', makePub({ title: 'Coordinated Link Sharing Behavior', doi: '10.1/clsb' })]]);
+    processPublicationSource(
+      {
+        publications: [{
+          title: 'Coordinated Link Sharing Behavior',
+          doi: '10.1/clsb',
+          openalexId: 'W123',
+          citations: 42,
+          citationsByYear: [{ year: 2024, count: 12 }],
+          topics: [{ name: 'Misinformation and Its Impacts' }],
+          openAccess: { isOa: true, status: 'gold', url: 'https://example.org/clsb.pdf' },
+          referencedWorksCount: 30
+        }]
+      },
+      'openalex',
+      map,
+      SOURCE_MAPPINGS.openalex
+    );
+    const pub = map.get('doi:10.1/clsb');
+    expect(pub.citations.openalex).toBe(42);
+    expect(pub.source_urls.openalex).toBe('https://openalex.org/W123');
+    expect(pub.source_ids.openalex).toBe('W123');
+    expect(pub).toMatchObject({
+      topics: ['Misinformation and Its Impacts'],
+      oaStatus: 'gold',
+      oaUrl: 'https://example.org/clsb.pdf',
+      citationsByYear: [{ year: 2024, count: 12 }],
+      referencedWorksCount: 30
+    });
+    expect(pub.merge_history[0]).toMatchObject({ source: 'openalex', method: 'doi', sourceId: 'W123' });
+  });
+
+  test('does not merge a preprint into its published version by title', () => {
+    const map = new Map([
+      ['doi:10.1111/jcom.12085', makePub({ title: 'Second Screen and Participation', doi: '10.1111/jcom.12085' })]
+    ]);
+    processPublicationSource(
+      { publications: [{ title: 'Second Screen and Participation', doi: '10.2139/ssrn.2345240', wosId: 'W3' }] },
+      'wos',
+      map,
+      SOURCE_MAPPINGS.wos
+    );
+    expect(map.size).toBe(2);
+    expect(map.get('doi:10.1111/jcom.12085').merge_history).toBeUndefined();
+  });
+
+  test('matches a record to its best title match, not the first', () => {
+    const map = new Map([
+      ['a', makePub({ title: 'Mapping Nefarious Social Media Actors' })],
+      ['b', makePub({ title: 'Mapping Nefarious Social Media Actors - Sintesi in italiano' })]
+    ]);
+    processPublicationSource(
+      { publications: [{ title: 'MAPPING NEFARIOUS SOCIAL MEDIA ACTORS - SINTESI IN ITALIANO', wosId: 'W2' }] },
+      'wos',
+      map,
+      SOURCE_MAPPINGS.wos
+    );
+    expect(map.get('a').merge_history).toBeUndefined();
+    expect(map.get('b').merge_history).toEqual([
+      expect.objectContaining({ source: 'wos', method: 'title-exact', sourceId: 'W2' })
+    ]);
+  });
+
+  test('reports equally good title matches as ambiguous unless they share a DOI', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const map = new Map([
+      ['a', makePub({ title: 'Introduction', doi: '10.1/a' })],
+      ['b', makePub({ title: 'Introduction', doi: '10.1/b' })],
+      ['c', makePub({ title: 'Editorial', doi: '10.1/c' })],
+      ['d', makePub({ title: 'Editorial', doi: '10.1/C' })]
+    ]);
+    processPublicationSource(
+      { publications: [{ title: 'Introduction', wosId: 'W1' }, { title: 'Editorial', wosId: 'W2' }] },
+      'wos',
+      map,
+      SOURCE_MAPPINGS.wos
+    );
+    expect(map.get('a').merge_history[0]).toMatchObject({
+      method: 'title-exact',
+      ambiguousWith: ['Introduction']
+    });
+    expect(map.get('b').merge_history).toBeUndefined();
+    expect(map.get('c').merge_history[0]).not.toHaveProperty('ambiguousWith');
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('nests a merged duplicate\'s history under the merge', () => {
+    const map = new Map([
+      ['a', makePub({ doi: '10.1/X_v1', merge_history: [{ source: 'orcid', method: 'new', fields: ['doi'] }] })],
+      ['b', makePub({ doi: '10.1/x_v2', year: 2020, merge_history: [{ source: 'ora', method: 'new', fields: ['doi', 'year'] }] })]
+    ]);
+    const [pub] = mergeDuplicateDois(map).values();
+    expect(pub.merge_history[1]).toMatchObject({
+      source: 'ora',
+      method: 'normalized-doi',
+      fields: ['year', 'relations.versions'],
+      history: [{ source: 'ora', method: 'new' }]
+    });
+  });
+});
+
 describe('isDataArtifact', () => {
   test('flags entries typed data-set', () => {
     expect(isDataArtifact(makePub({ type: 'data-set', doi: '10.7910/dvn/xnoarv/cx7khg' }))).toBe(true);
@@ -234,6 +524,10 @@ describe('isDataArtifact', () => {
     expect(isDataArtifact(makePub({ type: 'other', doi: '10.6084/m9.figshare.3385456' }))).toBe(true);
   });
 
+  test('flags entries typed dataset in the taxonomy', () => {
+    expect(isDataArtifact(makePub({ type: 'dataset', doi: '10.5281/zenodo.1' }))).toBe(true);
+  });
+
   test('does not flag a journal article', () => {
     expect(isDataArtifact(makePub({ type: 'journal-article', doi: '10.1111/jcom.12085' }))).toBe(false);
   });
@@ -246,3 +540,36 @@ describe('isDataArtifact', () => {
     expect(isDataArtifact(makePub({ type: 'book-chapter', doi: null }))).toBe(false);
   });
 });
+
+describe('loadDataFile', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { setMockAllowed } = require('../scripts/lib/provenance');
+  const { loadDataFile } = _testing;
+
+  let tmpDir;
+  let file;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aggregator-test-'));
+    file = path.join(tmpDir, 'wos.json');
+    fs.writeFileSync(file, JSON.stringify({ publications: [{ title: 'Mock' }], provenance: 'mock' }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setMockAllowed(false);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('refuses mock source data by default', async () => {
+    expect(await loadDataFile(file)).toBeNull();
+  });
+
+  test('accepts mock source data in mock mode', async () => {
+    setMockAllowed(true);
+    expect((await loadDataFile(file)).publications).toHaveLength(1);
+  });
+});
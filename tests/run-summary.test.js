@@ -0,0 +1,73 @@
+/**
+ * Tests for per-source staleness tracking in summary.json
+ * (scripts/lib/run-summary.js).
+ */
+
+const { buildSummary } = require('../scripts/lib/run-summary');
+
+const EARLIER = '2026-01-01T00:00:00.000Z';
+const NOW = '2026-01-02T00:00:00.000Z';
+
+function summarize(entries, previous) {
+  return buildSummary(new Map(Object.entries(entries)), previous, NOW);
+}
+
+describe('buildSummary', () => {
+  test('records a successful source as fresh', () => {
+    const summary = summarize({ orcid: { status: 'ok' } });
+    expect(summary.sources.orcid).toEqual({
+      status: 'ok',
+      lastAttempt: NOW,
+      lastSuccess: NOW,
+      consecutiveFailures: 0,
+      stale: false
+    });
+    expect(summary.collections.orcid).toBe(true);
+  });
+
+  test('marks a failed source stale and keeps its last success', () => {
+    const previous = summarize({ scholar: { status: 'ok' } });
+    previous.sources.scholar.lastSuccess = EARLIER;
+
+    const summary = summarize({ scholar: { status: 'failed', reason: 'no result' } }, previous);
+    expect(summary.sources.scholar).toEqual({
+      status: 'failed',
+      lastAttempt: NOW,
+      lastSuccess: EARLIER,
+      consecutiveFailures: 1,
+      stale: true,
+      error: 'no result'
+    });
+    expect(summary.collections.scholar).toBe(false);
+  });
+
+  test('counts consecutive failures and resets them on success', () => {
+    let summary = summarize({ zettelkasten: { status: 'degraded', error: 'timeout' } });
+    summary = summarize({ zettelkasten: { status: 'degraded', error: 'timeout' } }, summary);
+    expect(summary.sources.zettelkasten.consecutiveFailures).toBe(2);
+
+    summary = summarize({ zettelkasten: { status: 'ok' } }, summary);
+    expect(summary.sources.zettelkasten).toMatchObject({ consecutiveFailures: 0, stale: false });
+    expect(summary.sources.zettelkasten.error).toBeUndefined();
+  });
+
+  test('leaves sources a partial run did not attempt untouched', () => {
+    const previous = summarize({ wos: { status: 'failed', error: 'quota' } });
+    const summary = buildSummary(
+      new Map([['wos', { status: 'skipped', reason: 'not selected' }]]),
+      previous,
+      '2026-02-01T00:00:00.000Z'
+    );
+    expect(summary.sources.wos).toEqual(previous.sources.wos);
+  });
+
+  test('lists the sources that returned mock data', () => {
+    const summary = summarize({
+      wos: { status: 'degraded', error: 'mock data refused', provenance: 'mock' },
+      orcid: { status: 'ok', provenance: 'live' }
+    });
+    expect(summary.mocked).toEqual(['wos']);
+    expect(summary.sources.wos.provenance).toBe('mock');
+    expect(summary.sources.orcid.provenance).toBe('live');
+  });
+});
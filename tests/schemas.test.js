@@ -0,0 +1,141 @@
+/**
+ * Tests for the data file contracts (scripts/lib/schemas.js) and their
+ * enforcement in the data store.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dataStore = require('../scripts/lib/data-store');
+const {
+  REPO_ROOT,
+  SCHEMAS,
+  SchemaViolationError,
+  schemaNameFor,
+  validateData,
+  validateContent
+} = require('../scripts/lib/schemas');
+const { validateDataFiles } = require('../scripts/helpers/validate-data');
+
+const FEED_PATH = path.join(REPO_ROOT, 'public/data/own-publications.json');
+const NEWS_PATH = path.join(REPO_ROOT, '_data/news.yml');
+
+function feedWith(item) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: 'Publications',
+    _updated: '2026-01-01T00:00:00.000Z',
+    items: [item]
+  });
+}
+
+const validItem = {
+  id: 'https://doi.org/10.1/x',
+  title: 'A paper',
+  date_published: '2024-01-01',
+  authors: [{ name: 'Fabio Giglietto' }],
+  url: 'https://doi.org/10.1/x',
+  content_text: 'Abstract',
+  _academic: {
+    doi: '10.1/x',
+    bibtex_key: 'giglietto2024paper',
+    type: 'journal-article',
+    venue: 'Journal',
+    year: 2024,
+    publisher: null,
+    citation_count: 3,
+    open_access: false,
+    open_access_pdf_url: null
+  }
+};
+
+describe('validateContent', () => {
+  test('accepts content that matches the schema', () => {
+    expect(validateContent(FEED_PATH, feedWith(validItem))).toEqual({
+      schema: 'own-publications',
+      errors: []
+    });
+  });
+
+  test('allows fields the schema does not mention', () => {
+    const { errors } = validateContent(FEED_PATH, feedWith({ ...validItem, extra: [1, 2] }));
+    expect(errors).toEqual([]);
+  });
+
+  test('reports missing required fields and wrong types', () => {
+    const { bibtex_key: _key, ...academic } = validItem._academic;
+    const item = { ...validItem, _academic: { ...academic, year: '2024' } };
+    const { errors } = validateContent(FEED_PATH, feedWith(item));
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        "/items/0/_academic must have required property 'bibtex_key'",
+        '/items/0/_academic/year must be integer'
+      ])
+    );
+  });
+
+  test('reports content that cannot be parsed', () => {
+    const { errors } = validateContent(FEED_PATH, '{"items": [');
+    expect(errors[0]).toMatch(/^cannot be parsed/);
+  });
+
+  test('parses YAML data files', () => {
+    const post = [
+      '- date: "2026-01-01"',
+      '  content: Hello',
+      '  url: https://example.org',
+      '  platforms: [bluesky]'
+    ].join('\n');
+    expect(validateContent(NEWS_PATH, post).errors).toEqual([]);
+    expect(validateContent(NEWS_PATH, 'null\n').errors).toEqual([]);
+    expect(validateContent(NEWS_PATH, '- date: "2026-01-01"\n').errors).not.toEqual([]);
+  });
+
+  test('ignores files without a schema', () => {
+    expect(schemaNameFor('/tmp/orcid.json')).toBeNull();
+    expect(validateContent('/tmp/orcid.json', 'not json')).toEqual({ schema: null, errors: [] });
+  });
+});
+
+describe('validateData', () => {
+  test('checks input feeds against their published contract', () => {
+    const feed = { version: 'https://jsonfeed.org/version/1.1', items: [{ id: 'x', title: 'T' }] };
+    expect(validateData('toread-feed', feed)).toEqual([
+      '/items/0/id must match pattern "^bibtex:"'
+    ]);
+    feed.items[0].id = 'bibtex:smith2024';
+    expect(validateData('toread-feed', feed)).toEqual([]);
+  });
+});
+
+describe('data store', () => {
+  afterEach(() => {
+    dataStore.setDryRun(false);
+  });
+
+  test('refuses to write content that violates the schema', () => {
+    dataStore.setDryRun(true);
+    const item = { ...validItem, title: '' };
+    expect(() => dataStore.writeFileSync(FEED_PATH, feedWith(item))).toThrow(SchemaViolationError);
+    expect(dataStore.stagedWrites()).toEqual([]);
+  });
+
+  test('writes content that conforms', () => {
+    dataStore.setDryRun(true);
+    dataStore.writeFileSync(FEED_PATH, feedWith(validItem));
+    expect(dataStore.stagedWrites()).toHaveLength(1);
+  });
+});
+
+describe('committed data files', () => {
+  test('every schema file exists', () => {
+    for (const schema of new Set(Object.values(SCHEMAS))) {
+      const schemaPath = path.join(REPO_ROOT, 'scripts/schemas', `${schema}.schema.json`);
+      expect(fs.existsSync(schemaPath)).toBe(true);
+    }
+  });
+
+  test('conform to their schemas', () => {
+    const invalid = validateDataFiles().filter(result => result.status === 'invalid');
+    expect(invalid).toEqual([]);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for the /status page data (scripts/lib/status-report.js).
+ */
+
+const path = require('path');
+const { buildStatus, countRecords, HISTORY_DAYS } = require('../scripts/lib/status-report');
+const { validateContent, REPO_ROOT } = require('../scripts/lib/schemas');
+
+const NOW = '2026-03-10T06:00:00.000Z';
+
+function run(entries, previous, now = NOW) {
+  return buildStatus(new Map(Object.entries(entries)), previous, now);
+}
+
+function node(status, name) {
+  return status.nodes.find(record => record.name === name);
+}
+
+/** ISO timestamp `days` days before NOW. */
+function daysAgo(days) {
+  const date = new Date(NOW);
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString();
+}
+
+describe('countRecords', () => {
+  test('counts arrays and the longest top-level list of an object', () => {
+    expect(countRecords([1, 2, 3])).toBe(3);
+    expect(countRecords({ profile: {}, publications: [1, 2], tags: [1] })).toBe(2);
+    expect(countRecords({ profile: {} })).toBeNull();
+    expect(countRecords(true)).toBeNull();
+  });
+});
+
+describe('buildStatus', () => {
+  test('records duration, record count, provenance and the day', () => {
+    const status = run({
+      scholar: {
+        status: 'ok',
+        data: { publications: [1, 2, 3] },
+        provenance: 'live',
+        durationMs: 4200
+      }
+    });
+    expect(node(status, 'scholar')).toEqual({
+      name: 'scholar',
+      status: 'ok',
+      lastAttempt: NOW,
+      lastSuccess: NOW,
+      consecutiveFailures: 0,
+      stale: false,
+      provenance: 'live',
+      durationMs: 4200,
+      records: 3,
+      history: [{ date: '2026-03-10', runs: 1, failures: 0 }]
+    });
+  });
+
+  test('keeps the last success and record count while a node fails', () => {
+    let status = run({ scholar: { status: 'ok', data: [1, 2], durationMs: 10 } }, {}, daysAgo(2));
+    status = run(
+      { scholar: { status: 'failed', error: 'HTTP 429', durationMs: 5 } },
+      status,
+      daysAgo(1)
+    );
+    status = run({ scholar: { status: 'failed', error: 'HTTP 429', durationMs: 7 } }, status);
+
+    expect(node(status, 'scholar')).toMatchObject({
+      status: 'failed',
+      error: 'HTTP 429',
+      lastSuccess: daysAgo(2),
+      consecutiveFailures: 2,
+      stale: true,
+      durationMs: 7,
+      records: 2
+    });
+    expect(node(status, 'scholar').history.map(day => day.failures)).toEqual([0, 1, 1]);
+  });
+
+  test('adds runs on the same day to one history entry', () => {
+    let status = run({ websearch: { status: 'ok', data: [] } });
+    status = run({ websearch: { status: 'degraded', error: 'mock data refused' } }, status);
+    expect(node(status, 'websearch').history).toEqual([
+      { date: '2026-03-10', runs: 2, failures: 1 }
+    ]);
+  });
+
+  test(`keeps ${HISTORY_DAYS} days of history`, () => {
+    let status = {};
+    for (let day = HISTORY_DAYS + 5; day >= 0; day--) {
+      status = run({ orcid: { status: 'ok', data: [] } }, status, daysAgo(day));
+    }
+    const { history } = node(status, 'orcid');
+    expect(history).toHaveLength(HISTORY_DAYS);
+    expect(history[history.length - 1].date).toBe('2026-03-10');
+  });
+
+  test('leaves nodes the run did not attempt as they were', () => {
+    const previous = run({
+      'about-generator': { status: 'ok', durationMs: 9000 },
+      'bio-reviewer': { status: 'failed', error: 'stop_reason=refusal' }
+    });
+    const status = run(
+      {
+        orcid: { status: 'ok', data: [] },
+        'about-generator': { status: 'skipped', reason: 'disabled' }
+      },
+      previous,
+      '2026-03-11T06:00:00.000Z'
+    );
+    expect(node(status, 'about-generator')).toEqual(node(previous, 'about-generator'));
+    expect(node(status, 'bio-reviewer')).toEqual(node(previous, 'bio-reviewer'));
+  });
+
+  test('does not list nodes that have never run', () => {
+    const status = run({ scopus: { status: 'skipped', reason: 'disabled' } });
+    expect(status.nodes).toEqual([]);
+  });
+
+  test('lists stale nodes first', () => {
+    const status = run({
+      github: { status: 'ok', data: [] },
+      zettelkasten: { status: 'failed', error: 'timeout' },
+      orcid: { status: 'ok', data: [] }
+    });
+    expect(status.nodes.map(record => record.name)).toEqual(['zettelkasten', 'github', 'orcid']);
+  });
+
+  test('produces files that match the status contract', () => {
+    const status = run({
+      scholar: { status: 'ok', data: [1], provenance: 'mock', durationMs: 1 },
+      wos: { status: 'skipped', reason: 'stale inputs: orcid' }
+    });
+    for (const file of ['public/data/status.json', '_data/status.json']) {
+      expect(validateContent(path.join(REPO_ROOT, file), JSON.stringify(status)).errors).toEqual(
+        []
+      );
+    }
+  });
+});
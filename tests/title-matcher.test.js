@@ -0,0 +1,135 @@
+/**
+ * Tests for indexed title matching (scripts/lib/title-matcher.js).
+ */
+
+const {
+  compareTitles,
+  titleTokens,
+  createTitleIndex,
+  _testing
+} = require('../scripts/lib/title-matcher');
+
+const { matchRank, compareRanks } = _testing;
+
+function indexOf(titles) {
+  return createTitleIndex(new Map(titles.map((title, i) => [`k${i}`, { title }])));
+}
+
+describe('titleTokens', () => {
+  test('keeps content words, folding accents and dropping stop words', () => {
+    expect(titleTokens('Intimità connessa: amicizia tra gli utenti di Facebook')).toEqual([
+      'intimita',
+      'connessa',
+      'amicizia',
+      'utenti',
+      'facebook'
+    ]);
+  });
+
+  test('treats composed and decomposed accents alike', () => {
+    expect(titleTokens('Viralit\u00e0')).toEqual(titleTokens('Viralita\u0300'));
+    expect(compareTitles('Viralit\u00e0', 'Viralita\u0300')).toEqual({ method: 'title-exact' });
+  });
+});
+
+describe('createTitleIndex', () => {
+  test('prefers an exact match over a substring match found earlier', () => {
+    const index = indexOf([
+      'Coordinated Link Sharing Behavior on Facebook',
+      'Coordinated Link Sharing Behavior'
+    ]);
+    expect(index.findBest('Coordinated link sharing behavior')).toMatchObject({
+      key: 'k1',
+      match: { method: 'title-exact' },
+      ambiguousWith: []
+    });
+  });
+
+  test('prefers the closest of several substring matches', () => {
+    const index = indexOf([
+      'Social media and elections: a comparative study of twelve countries',
+      'Social media and elections: a study'
+    ]);
+    expect(index.findBest('Social media and elections').key).toBe('k1');
+  });
+
+  test('reports equally good matches as ambiguous and keeps the first', () => {
+    const index = indexOf(['Introduction', 'Other paper', 'Introduction']);
+    const best = index.findBest('introduction');
+    expect(best.key).toBe('k0');
+    expect(best.ambiguousWith).toEqual([{ title: 'Introduction' }]);
+  });
+
+  test('skips entries the accept predicate rejects', () => {
+    const index = indexOf(['Introduction', 'Introduction']);
+    const first = index.findBest('Introduction').publication;
+    const best = index.findBest('Introduction', publication => publication !== first);
+    expect(best).toMatchObject({ key: 'k1', ambiguousWith: [] });
+  });
+
+  test('finds entries added after the index was built', () => {
+    const index = indexOf(['Deep Learning Neural Networks']);
+    expect(index.findBest('Italian Renaissance Art History')).toBeNull();
+    index.add('late', { title: 'Italian Renaissance Art History' });
+    expect(index.findBest('Italian renaissance art history').key).toBe('late');
+  });
+
+  test('compares titles without content words with every entry', () => {
+    const index = indexOf(['Deep Learning Neural Networks', 'Who and what']);
+    expect(index.findBest('Who and What?').key).toBe('k1');
+  });
+});
+
+describe('on a frozen excerpt of the source data', () => {
+  // Titles of the aggregated works and of ORA, WoS, Scopus and Scholar
+  // records that match them by substring or Dice score, or not at all, plus a
+  // few exact matches from each source.
+  const fixture = require('./fixtures/title-matcher-titles.json');
+  const entries = new Map(fixture.entries.map((title, i) => [`e${i}`, { title }]));
+  const index = createTitleIndex(entries);
+
+  test('finds the same best match as comparing every entry', () => {
+    for (const record of fixture.records) {
+      let best = null;
+      for (const [key, pub] of entries) {
+        const match = compareTitles(pub.title, record.title);
+        if (!match) continue;
+        const rank = matchRank(match, pub.title, record.title);
+        if (!best || compareRanks(rank, best.rank) < 0) best = { key, rank };
+      }
+      const found = index.findBest(record.title);
+      expect([record.title, found ? found.key : null]).toEqual([
+        record.title,
+        best ? best.key : null
+      ]);
+    }
+  });
+
+  test('matches every record the first-match scan matched, at least as well', () => {
+    for (const record of fixture.records) {
+      let first = null;
+      for (const pub of entries.values()) {
+        const match = compareTitles(pub.title, record.title);
+        if (match) {
+          first = matchRank(match, pub.title, record.title);
+          break;
+        }
+      }
+      if (!first) continue;
+      const found = index.findBest(record.title);
+      expect(found).not.toBeNull();
+      const rank = matchRank(found.match, found.publication.title, record.title);
+      expect(compareRanks(rank, first)).toBeLessThanOrEqual(0);
+    }
+  });
+
+  test('covers every kind of match', () => {
+    const methods = fixture.records.map(record => {
+      const found = index.findBest(record.title);
+      return found ? found.match.method : null;
+    });
+    expect(new Set(methods)).toEqual(
+      new Set(['title-exact', 'title-substring', 'title-dice', null])
+    );
+  });
+});
@@ -6,16 +6,9 @@
  * failure behaviour (it must never throw).
  */
 
-// Mock `https` so collect() exercises its catch branch without a network call.
-jest.mock('https', () => ({
-  get: jest.fn(() => ({
-    on: (event, cb) => {
-      if (event === 'error') {
-        cb(new Error('mocked network failure'));
-      }
-      return { on: () => {} };
-    }
-  }))
+// Mock the HTTP client so collect() exercises its catch branch without a network call.
+jest.mock('../scripts/lib/http-client', () => ({
+  getJson: jest.fn(() => Promise.reject(new Error('mocked network failure')))
 }));
 
 const zettelkasten = require('../scripts/collectors/zettelkasten');